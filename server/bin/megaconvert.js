@@ -0,0 +1,510 @@
+#!/usr/bin/env node
+// server/bin/megaconvert.js
+// Command-line front end to the image, audio and document converters, for
+// converting files without running the server:
+//
+//   megaconvert -f webp -r photos/ -o out/
+//   megaconvert -f mp3 --bitrate 192k 'music/**/*.flac'
+//   megaconvert --preset web.json --watch inbox/ -o out/
+//
+// Run with --help for the flags. Exit codes: 0 everything converted,
+// 1 nothing converted (or a fatal error), 2 bad usage, 3 some files failed.
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const imageConverter = require('../services/imageConverter');
+const audioConverter = require('../services/audioConverter');
+const documentConverter = require('../services/documentConverter');
+const fontConverter = require('../services/fontConverter');
+const { canonical } = require('../services/conversionPlanner');
+const { resolveInputFormat } = require('../services/formatDetector');
+const { version } = require('../package.json');
+
+const EXIT = { OK: 0, FAILED: 1, USAGE: 2, PARTIAL: 3, INTERRUPTED: 130 };
+
+// In preference order: PDF -> PNG is a document job, PNG -> PDF an image job
+const CONVERTERS = {
+  image: { convert: imageConverter.convertImage, validate: imageConverter.validateOptions, edges: imageConverter.CONVERSION_EDGES },
+  audio: { convert: audioConverter.convertAudio, validate: audioConverter.validateOptions, edges: audioConverter.CONVERSION_EDGES },
+  document: { convert: documentConverter.convertDocument, validate: documentConverter.validateOptions, edges: documentConverter.CONVERSION_EDGES },
+  font: { convert: fontConverter.convertFont, validate: fontConverter.validateOptions, edges: fontConverter.CONVERSION_EDGES }
+};
+
+// Input formats per converter type
+const INPUTS = Object.fromEntries(Object.entries(CONVERTERS).map(([type, c]) => [
+  type, new Set(c.edges.flatMap(e => e.from.map(canonical)))
+]));
+const ALL_INPUTS = new Set(Object.values(INPUTS).flatMap(s => [...s]));
+
+// Flags of the tool itself; any other --flag becomes a converter option
+const FLAGS = {
+  format: { short: 'f', value: true },
+  type: { short: 't', value: true },
+  'out-dir': { short: 'o', value: true },
+  preset: { value: true },
+  'preset-name': { value: true },
+  options: { value: true },
+  concurrency: { short: 'c', value: true },
+  recursive: { short: 'r' },
+  watch: { short: 'w' },
+  json: {},
+  verbose: { short: 'v' },
+  help: { short: 'h' },
+  version: {}
+};
+const SHORT = Object.fromEntries(Object.entries(FLAGS).filter(([, f]) => f.short).map(([name, f]) => [f.short, name]));
+
+const HELP = `Usage: megaconvert -f <format> [flags] [--<option> <value> ...] <input>...
+
+Inputs are files, directories (top level, or all levels with -r) and quoted
+globs such as 'src/**/*.png'. Outputs mirror the input tree under --out-dir.
+
+  -f, --format <fmt>        Output format (or from the preset)
+  -t, --type <type>         image, audio, document or font (default: picked per file)
+  -o, --out-dir <dir>       Output directory (default: ./converted)
+  -r, --recursive           Descend into subdirectories of directory inputs
+  -w, --watch               Keep running and convert files added to the inputs
+  -c, --concurrency <n>     Files converted at the same time (default: 1)
+      --preset <file>       JSON { type, format, options }, or a preset export
+                            { presets: [...] } together with --preset-name
+      --preset-name <name>  Preset to use from the --preset file
+      --options <json>      Converter options as a JSON object
+      --json                Print a JSON report (one line per file with --watch)
+  -v, --verbose             Show converter logs
+  -h, --help                Show this help
+      --version             Show the version
+
+Any other flag is a converter option: --quality 80, --resize.width=640,
+--strip=true, --no-preserve-tags. Values are read as numbers, booleans or
+JSON where they parse as such. Flag options override --options, which
+override the preset.
+
+Exit codes: 0 all converted, 1 nothing converted, 2 usage error,
+3 some files failed.`;
+
+class UsageError extends Error {}
+
+function camel(name) {
+  return name.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+}
+
+function parseValue(raw) {
+  if (raw === 'true') return true;
+  if (raw === 'false') return false;
+  if (raw !== '' && Number.isFinite(Number(raw))) return Number(raw);
+  if (/^[[{]/.test(raw)) {
+    try { return JSON.parse(raw); } catch { /* plain string */ }
+  }
+  return raw;
+}
+
+// "resize.width" -> options.resize.width
+function setOption(options, key, value) {
+  const parts = key.split('.').map(camel);
+  let target = options;
+  for (const part of parts.slice(0, -1)) {
+    if (target[part] == null || typeof target[part] !== 'object') target[part] = {};
+    target = target[part];
+  }
+  target[parts[parts.length - 1]] = value;
+}
+
+function parseArgs(argv) {
+  const flags = {};
+  const options = {};
+  const inputs = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--') {
+      inputs.push(...argv.slice(i + 1));
+      break;
+    }
+    let name = null;
+    let inline;
+    if (/^--[^-]/.test(arg)) {
+      const eq = arg.indexOf('=');
+      name = eq === -1 ? arg.slice(2) : arg.slice(2, eq);
+      inline = eq === -1 ? undefined : arg.slice(eq + 1);
+    } else if (/^-[a-z]$/i.test(arg)) {
+      name = SHORT[arg[1]];
+      if (!name) throw new UsageError(`Unknown flag ${arg}.`);
+    } else {
+      inputs.push(arg);
+      continue;
+    }
+    const takeValue = () => {
+      if (inline !== undefined) return inline;
+      if (i + 1 >= argv.length || argv[i + 1].startsWith('--')) throw new UsageError(`Missing value for --${name}.`);
+      return argv[++i];
+    };
+
+    if (FLAGS[name]) {
+      flags[camel(name)] = FLAGS[name].value ? takeValue() : true;
+    } else if (name.startsWith('no-') && inline === undefined) {
+      setOption(options, name.slice(3), false);
+    } else if (inline !== undefined || (i + 1 < argv.length && !argv[i + 1].startsWith('-'))) {
+      setOption(options, name, parseValue(takeValue()));
+    } else {
+      setOption(options, name, true);
+    }
+  }
+  return { flags, options, inputs };
+}
+
+async function loadPreset(file, name) {
+  let data;
+  try {
+    data = JSON.parse(await fsp.readFile(file, 'utf8'));
+  } catch (err) {
+    throw new UsageError(`Cannot read preset file ${file}: ${err.message}`);
+  }
+  if (Array.isArray(data.presets)) {
+    if (!name) throw new UsageError(`${file} holds several presets; pick one with --preset-name.`);
+    const preset = data.presets.find(p => p.name === name);
+    if (!preset) throw new UsageError(`No preset "${name}" in ${file}.`);
+    return preset;
+  }
+  return data;
+}
+
+function parseJsonOptions(raw) {
+  let opts;
+  try {
+    opts = JSON.parse(raw);
+  } catch {
+    throw new UsageError('Invalid --options: expected a JSON object.');
+  }
+  if (!isPlainObject(opts)) throw new UsageError('Invalid --options: expected a JSON object.');
+  return opts;
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Deep merge of option objects; later sources win
+function mergeOptions(...sources) {
+  const out = {};
+  for (const src of sources) {
+    for (const [key, value] of Object.entries(src || {})) {
+      out[key] = isPlainObject(value) && isPlainObject(out[key]) ? mergeOptions(out[key], value) : value;
+    }
+  }
+  return out;
+}
+
+// ---- Input discovery ----
+
+const GLOB_CHARS = /[*?[{]/;
+
+function globToRegExp(pattern) {
+  let re = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    if (c === '*' && pattern[i + 1] === '*') {
+      const slash = pattern[i + 2] === '/';
+      re += slash ? '(?:.*/)?' : '.*';
+      i += slash ? 2 : 1;
+    } else if (c === '*') {
+      re += '[^/]*';
+    } else if (c === '?') {
+      re += '[^/]';
+    } else if (c === '{') {
+      const end = pattern.indexOf('}', i);
+      if (end === -1) { re += '\\{'; continue; }
+      re += `(?:${pattern.slice(i + 1, end).split(',').map(s => s.replace(/[.+^$()|\\]/g, '\\$&').replace(/\*/g, '[^/]*')).join('|')})`;
+      i = end;
+    } else if (c === '[') {
+      const end = pattern.indexOf(']', i + 1);
+      if (end === -1) { re += '\\['; continue; }
+      re += `[${pattern.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+      i = end;
+    } else {
+      re += c.replace(/[.+^$()|\\\]]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${re}$`);
+}
+
+/**
+ * Turns an input argument into { root, match, recursive }: the directory the
+ * output tree mirrors and a test for paths relative to it.
+ */
+async function resolveSource(arg, recursive) {
+  const normalized = arg.split(path.sep).join('/');
+  if (GLOB_CHARS.test(normalized)) {
+    const segments = normalized.split('/');
+    const fixed = [];
+    while (segments.length > 1 && !GLOB_CHARS.test(segments[0])) fixed.push(segments.shift());
+    const rest = segments.join('/');
+    return { root: path.resolve(fixed.join('/') || '.'), match: rel => globToRegExp(rest).test(rel), recursive: rest.includes('**') || rest.includes('/') };
+  }
+  const st = await fsp.stat(arg).catch(() => null);
+  if (!st) throw new UsageError(`No such file or directory: ${arg}`);
+  if (st.isDirectory()) {
+    return { root: path.resolve(arg), match: rel => ALL_INPUTS.has(canonical(path.extname(rel).slice(1))), recursive };
+  }
+  const abs = path.resolve(arg);
+  return { root: path.dirname(abs), file: abs, match: rel => rel === path.basename(abs), recursive: false };
+}
+
+// Files under `dir` (relative, "/"-separated) that pass `match`, skipping
+// dotfiles and the output directory
+async function walk(dir, { match, recursive, exclude }, prefix = '') {
+  const found = [];
+  const entries = await fsp.readdir(dir, { withFileTypes: true }).catch(() => []);
+  for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    if (entry.name.startsWith('.')) continue;
+    const abs = path.join(dir, entry.name);
+    const rel = prefix + entry.name;
+    if (entry.isDirectory()) {
+      if (recursive && abs !== exclude) found.push(...await walk(abs, { match, recursive, exclude }, `${rel}/`));
+    } else if (entry.isFile() && match(rel)) {
+      found.push(rel);
+    }
+  }
+  return found;
+}
+
+// ---- Conversion ----
+
+/** Picks the converter for `file`, or returns null when none reads it. */
+async function pickType(file, format, forced) {
+  const { ext } = await resolveInputFormat(file, ALL_INPUTS);
+  const from = canonical(ext);
+  if (forced) return { type: forced, from };
+  const to = canonical(format);
+  const types = Object.keys(CONVERTERS).filter(t => INPUTS[t].has(from));
+  const direct = types.find(t => CONVERTERS[t].edges.some(e => e.from.map(canonical).includes(from) && e.to.map(canonical).includes(to)));
+  return { type: direct || types[0] || null, from };
+}
+
+function outputsOf(result) {
+  if (!result) return [];
+  if (typeof result === 'string') return [result];
+  if (Array.isArray(result)) return result.flatMap(outputsOf);
+  if (typeof result.outputPath === 'string') return [result.outputPath];
+  if (typeof result.outputDir === 'string' && Array.isArray(result.files)) return result.files.map(f => path.join(result.outputDir, f));
+  return [];
+}
+
+async function convertFile(job, spec, signal) {
+  const started = Date.now();
+  const entry = { input: job.file, type: null, status: 'failed', outputs: [], result: null, error: null, durationMs: 0 };
+  try {
+    const { type, from } = await pickType(job.file, spec.format, spec.type);
+    if (!type) {
+      entry.status = 'skipped';
+      entry.error = `No converter reads .${from || '?'} files.`;
+      return entry;
+    }
+    entry.type = type;
+    const outputDir = path.join(spec.outDir, path.dirname(job.rel));
+    const result = await CONVERTERS[type].convert(job.file, spec.format, { ...spec.options, outputDir, cleanup: false, signal });
+    entry.status = 'converted';
+    entry.result = result;
+    entry.outputs = outputsOf(result);
+  } catch (err) {
+    entry.error = err.message;
+  }
+  entry.durationMs = Date.now() - started;
+  return entry;
+}
+
+async function runPool(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const idx = next++;
+      results[idx] = await fn(items[idx]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// ---- Output ----
+
+function printEntry(entry, spec) {
+  if (spec.json) {
+    if (spec.watch) process.stdout.write(`${JSON.stringify(entry)}\n`);
+    return;
+  }
+  const rel = p => path.relative(process.cwd(), p) || p;
+  if (entry.status === 'converted') {
+    process.stdout.write(`ok    ${rel(entry.input)} -> ${entry.outputs.map(rel).join(', ')} (${entry.durationMs} ms)\n`);
+  } else {
+    process.stderr.write(`${entry.status === 'skipped' ? 'skip ' : 'FAIL '} ${rel(entry.input)}: ${entry.error}\n`);
+  }
+}
+
+function summarize(entries) {
+  const count = status => entries.filter(e => e.status === status).length;
+  return { total: entries.length, converted: count('converted'), failed: count('failed'), skipped: count('skipped') };
+}
+
+// Skipped files (no converter reads them) only matter when nothing converted
+function exitCode({ converted, failed }) {
+  if (!converted) return EXIT.FAILED;
+  return failed ? EXIT.PARTIAL : EXIT.OK;
+}
+
+// ---- Watch mode ----
+
+// Waits until a new file stops growing, so half-copied files are not converted
+async function settled(file, intervalMs = 500, maxWaitMs = 10 * 60 * 1000) {
+  let last = null;
+  for (const deadline = Date.now() + maxWaitMs; Date.now() < deadline;) {
+    const st = await fsp.stat(file).catch(() => null);
+    if (!st || !st.isFile()) return false;
+    if (last && st.size === last.size && st.mtimeMs === last.mtimeMs) return true;
+    last = st;
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+  return false;
+}
+
+function watchSources(sources, spec, signal) {
+  const entries = [];
+  const busy = new Set();
+  // file -> mtime of the version already converted
+  const done = new Map();
+  const limit = Math.max(1, spec.concurrency);
+  let running = 0;
+  const waiting = [];
+  const slot = () => (running < limit ? (running++, Promise.resolve()) : new Promise(resolve => waiting.push(resolve)));
+  const release = () => (waiting.length ? waiting.shift()() : running--);
+
+  const onChange = (source, filename) => {
+    if (!filename) return;
+    const rel = filename.split(path.sep).join('/');
+    if (rel.split('/').some(part => part.startsWith('.')) || (!source.recursive && rel.includes('/')) || !source.match(rel)) return;
+    const file = path.join(source.root, rel);
+    if (file.startsWith(spec.outDir + path.sep) || busy.has(file)) return;
+    busy.add(file);
+    (async () => {
+      if (!(await settled(file)) || signal.aborted) return;
+      const { mtimeMs } = await fsp.stat(file);
+      if (done.get(file) === mtimeMs) return;
+      await slot();
+      try {
+        const entry = await convertFile({ file, rel }, spec, signal);
+        done.set(file, mtimeMs);
+        entries.push(entry);
+        printEntry(entry, spec);
+      } finally {
+        release();
+      }
+    })().catch(err => process.stderr.write(`megaconvert: ${rel}: ${err.message}\n`)).finally(() => busy.delete(file));
+  };
+
+  const watchers = sources.map(source => {
+    const watcher = fs.watch(source.file || source.root, { recursive: source.recursive }, (_event, filename) => {
+      onChange(source, source.file ? path.basename(source.file) : filename);
+    });
+    watcher.on('error', err => process.stderr.write(`megaconvert: watching ${source.root} failed: ${err.message}\n`));
+    return watcher;
+  });
+  if (!spec.json) process.stderr.write(`Watching ${sources.map(s => path.relative(process.cwd(), s.file || s.root) || '.').join(', ')} (Ctrl+C to stop)\n`);
+
+  return new Promise(resolve => {
+    signal.addEventListener('abort', () => {
+      for (const w of watchers) w.close();
+      resolve(entries);
+    }, { once: true });
+  });
+}
+
+// ---- Main ----
+
+async function main(argv) {
+  const { flags, options: flagOptions, inputs } = parseArgs(argv);
+  if (flags.help) {
+    process.stdout.write(`${HELP}\n`);
+    return EXIT.OK;
+  }
+  if (flags.version) {
+    process.stdout.write(`${version}\n`);
+    return EXIT.OK;
+  }
+
+  const preset = flags.preset ? await loadPreset(flags.preset, flags.presetName) : {};
+  const spec = {
+    type: flags.type || preset.type || null,
+    format: flags.format || preset.format,
+    options: mergeOptions(preset.options, flags.options ? parseJsonOptions(flags.options) : null, flagOptions),
+    outDir: path.resolve(flags.outDir || 'converted'),
+    concurrency: Number(flags.concurrency || 1),
+    watch: !!flags.watch,
+    json: !!flags.json
+  };
+  if (!spec.format) throw new UsageError('Missing output format: pass -f <format> or a preset that has one.');
+  if (spec.type && !CONVERTERS[spec.type]) throw new UsageError(`Unknown type "${spec.type}". Supported: ${Object.keys(CONVERTERS).join(', ')}`);
+  if (!Number.isInteger(spec.concurrency) || spec.concurrency < 1) throw new UsageError('--concurrency must be a positive integer.');
+  if (!inputs.length) throw new UsageError('No inputs given. Run megaconvert --help for usage.');
+  if (spec.type) {
+    // Without a forced type the options are checked per file, by the converter picked
+    try {
+      CONVERTERS[spec.type].validate(spec.format, spec.options);
+    } catch (err) {
+      throw new UsageError(err.message);
+    }
+  }
+
+  // Converter logs go to stderr with --verbose and are dropped otherwise,
+  // keeping stdout for the results
+  console.log = console.info = flags.verbose ? console.error : () => {};
+
+  const sources = [];
+  for (const arg of inputs) sources.push(await resolveSource(arg, !!flags.recursive));
+
+  const controller = new AbortController();
+  let interrupted = false;
+  process.once('SIGINT', () => {
+    interrupted = !spec.watch;
+    controller.abort();
+  });
+  process.once('SIGTERM', () => controller.abort());
+
+  let entries;
+  if (spec.watch) {
+    entries = await watchSources(sources, spec, controller.signal);
+  } else {
+    const jobs = [];
+    const seen = new Set();
+    for (const source of sources) {
+      for (const rel of await walk(source.root, { ...source, exclude: spec.outDir })) {
+        const file = path.join(source.root, rel);
+        if (!seen.has(file)) jobs.push({ file, rel });
+        seen.add(file);
+      }
+    }
+    if (!jobs.length) throw new UsageError('No input files matched.');
+    entries = await runPool(jobs, spec.concurrency, async (job) => {
+      const entry = await convertFile(job, spec, controller.signal);
+      printEntry(entry, spec);
+      return entry;
+    });
+  }
+
+  const summary = summarize(entries);
+  if (spec.json && !spec.watch) {
+    process.stdout.write(`${JSON.stringify({ format: spec.format, outDir: spec.outDir, summary, files: entries }, null, 2)}\n`);
+  } else if (!spec.json) {
+    process.stderr.write(`${summary.converted} converted, ${summary.failed} failed, ${summary.skipped} skipped\n`);
+  }
+  if (interrupted) return EXIT.INTERRUPTED;
+  return spec.watch && !summary.total ? EXIT.OK : exitCode(summary);
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+  }, (err) => {
+    process.stderr.write(`megaconvert: ${err.message}\n`);
+    process.exitCode = err instanceof UsageError ? EXIT.USAGE : EXIT.FAILED;
+  });
+}
+
+module.exports = { main, parseArgs, globToRegExp, EXIT };
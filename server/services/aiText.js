@@ -0,0 +1,176 @@
+// server/services/aiText.js
+// Summaries, translations and outlines of document text through any
+// OpenAI-compatible chat completions endpoint. Configured with AI_BASE_URL,
+// AI_API_KEY and AI_MODEL (OPENAI_BASE_URL / OPENAI_API_KEY also work).
+const { OpenAI, APIUserAbortError } = require('openai');
+const { ConverterError, ValidationError, QuotaExceededError, CancelledError, throwIfAborted } = require('./errors');
+
+const TASKS = new Set(['summary', 'translate', 'outline']);
+// Rough size of a token for English-like text; good enough for caps and chunking
+const CHARS_PER_TOKEN = 4;
+
+function envNumber(name, fallback) {
+  const n = Number(process.env[name]);
+  return process.env[name] && Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+// Read per call so configuration changes apply without a restart of the module
+function aiConfig() {
+  return {
+    baseURL: process.env.AI_BASE_URL || process.env.OPENAI_BASE_URL || undefined,
+    apiKey: process.env.AI_API_KEY || process.env.OPENAI_API_KEY,
+    model: process.env.AI_MODEL || 'gpt-4o-mini',
+    maxInputTokens: envNumber('AI_MAX_INPUT_TOKENS', 100000),
+    chunkTokens: envNumber('AI_CHUNK_TOKENS', 3000),
+    maxOutputTokens: envNumber('AI_MAX_OUTPUT_TOKENS', 1500),
+    timeoutMs: envNumber('AI_TIMEOUT_MS', 120000)
+  };
+}
+
+let cachedClient = null;
+function getClient(config) {
+  if (!config.baseURL && !config.apiKey) {
+    throw new ConverterError('AI text processing is not configured. Set AI_BASE_URL (for a local server) or AI_API_KEY.', 503);
+  }
+  const id = `${config.baseURL}|${config.apiKey}|${config.timeoutMs}`;
+  if (!cachedClient || cachedClient.id !== id) {
+    // Local OpenAI-compatible servers usually ignore the key, but the SDK requires one
+    const client = new OpenAI({ baseURL: config.baseURL, apiKey: config.apiKey || 'not-needed', timeout: config.timeoutMs, maxRetries: 2 });
+    cachedClient = { id, client };
+  }
+  return cachedClient.client;
+}
+
+function estimateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Checks `options.ai` of a document conversion:
+ * { task, targetLanguage, language, instructions, model, maxInputTokens, truncate }.
+ */
+function validateAiOptions(ai) {
+  if (ai == null) return;
+  if (typeof ai !== 'object' || Array.isArray(ai)) throw new ValidationError('Invalid "ai" options: expected an object.');
+  if (!TASKS.has(ai.task)) throw new ValidationError(`Invalid ai.task "${ai.task}". Supported: ${[...TASKS].join(', ')}`);
+  if (ai.task === 'translate' && (typeof ai.targetLanguage !== 'string' || !ai.targetLanguage.trim())) {
+    throw new ValidationError('ai.task "translate" requires "targetLanguage" (e.g. "German" or "de").');
+  }
+  for (const key of ['targetLanguage', 'language', 'instructions', 'model']) {
+    if (ai[key] != null && typeof ai[key] !== 'string') throw new ValidationError(`Invalid ai.${key}: expected a string.`);
+  }
+  if (ai.instructions && ai.instructions.length > 2000) throw new ValidationError('ai.instructions is limited to 2000 characters.');
+  if (ai.maxInputTokens != null && (!Number.isInteger(ai.maxInputTokens) || ai.maxInputTokens < 1)) {
+    throw new ValidationError(`Invalid ai.maxInputTokens ${ai.maxInputTokens}: expected a positive integer.`);
+  }
+}
+
+// Splits on paragraph breaks, then sentences, then hard cuts, keeping chunks under maxChars
+function chunkText(text, maxChars) {
+  const pieces = [];
+  for (const para of text.split(/\n{2,}/)) {
+    if (para.length <= maxChars) { pieces.push(para); continue; }
+    for (const sentence of para.match(/[^.!?]+[.!?]*\s*/g) || [para]) {
+      for (let i = 0; i < sentence.length; i += maxChars) pieces.push(sentence.slice(i, i + maxChars));
+    }
+  }
+  const chunks = [];
+  let current = '';
+  for (const piece of pieces) {
+    if (current && current.length + piece.length + 2 > maxChars) {
+      chunks.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n\n${piece}` : piece;
+  }
+  if (current.trim()) chunks.push(current);
+  return chunks;
+}
+
+function prompts(ai) {
+  const lang = ai.language ? ` Write in ${ai.language}.` : ' Write in the language of the document.';
+  const extra = ai.instructions ? `\nAdditional instructions: ${ai.instructions}` : '';
+  switch (ai.task) {
+    case 'translate':
+      return {
+        system: `You are a professional translator. Translate the user's text into ${ai.targetLanguage}. Keep paragraph breaks, headings and lists. Reply with the translation only.${extra}`,
+        part: (chunk) => chunk
+      };
+    case 'outline':
+      return {
+        system: `You turn documents into structured outlines: Markdown headings for the main sections with nested "-" bullets for their key points. Reply with the outline only.${lang}${extra}`,
+        part: (chunk, i, n) => (n > 1 ? `Outline part ${i + 1} of ${n} of the document:\n\n${chunk}` : chunk),
+        combine: (parts) => `Merge these partial outlines of one document into a single outline without duplicates:\n\n${parts.join('\n\n---\n\n')}`
+      };
+    default:
+      return {
+        system: `You summarise documents accurately and concisely in Markdown (short paragraphs, bullets for key facts). Do not invent details. Reply with the summary only.${lang}${extra}`,
+        part: (chunk, i, n) => (n > 1 ? `Summarise part ${i + 1} of ${n} of the document:\n\n${chunk}` : chunk),
+        combine: (parts) => `Combine these summaries of consecutive parts of one document into a single coherent summary:\n\n${parts.join('\n\n---\n\n')}`
+      };
+  }
+}
+
+/**
+ * Runs an AI task over `text`. The text is split into chunks of about
+ * AI_CHUNK_TOKENS; summaries and outlines of several chunks are merged in a
+ * final request. Rejects texts above the input cap unless `ai.truncate`.
+ * Resolves with { text, model, chunks, truncated, usage }.
+ */
+async function processText(text, ai, { onProgress, signal } = {}) {
+  validateAiOptions(ai);
+  const config = aiConfig();
+  const client = getClient(config);
+  const cap = Math.min(ai.maxInputTokens || Infinity, config.maxInputTokens);
+  let input = String(text || '').trim();
+  if (!input) throw new ValidationError('The document contains no extractable text.');
+  let truncated = false;
+  if (estimateTokens(input) > cap) {
+    if (!ai.truncate) {
+      throw new QuotaExceededError(`Document is about ${estimateTokens(input)} tokens; the limit is ${cap}. Pass ai.truncate to process the beginning only.`);
+    }
+    input = input.slice(0, cap * CHARS_PER_TOKEN);
+    truncated = true;
+  }
+
+  const model = ai.model || config.model;
+  const { system, part, combine } = prompts(ai);
+  const chunks = chunkText(input, config.chunkTokens * CHARS_PER_TOKEN);
+  const steps = chunks.length + (combine && chunks.length > 1 ? 1 : 0);
+  const usage = { promptTokens: 0, completionTokens: 0 };
+  // A translation is about as long as its source chunk
+  const maxTokens = ai.task === 'translate' ? Math.max(config.maxOutputTokens, Math.ceil(config.chunkTokens * 1.5)) : config.maxOutputTokens;
+  let done = 0;
+
+  const complete = async (content) => {
+    throwIfAborted(signal);
+    let res;
+    try {
+      res = await client.chat.completions.create({
+        model,
+        messages: [{ role: 'system', content: system }, { role: 'user', content }],
+        max_tokens: maxTokens,
+        temperature: ai.task === 'translate' ? 0 : 0.2
+      }, { signal });
+    } catch (err) {
+      if (err instanceof APIUserAbortError || (signal && signal.aborted)) throw new CancelledError();
+      console.error('[aiText] Request failed:', err.message);
+      throw new ConverterError(`AI request failed: ${err.message}`, 502);
+    }
+    usage.promptTokens += res.usage?.prompt_tokens || 0;
+    usage.completionTokens += res.usage?.completion_tokens || 0;
+    done++;
+    console.log(`[aiText] ${ai.task}: step ${done}/${steps}`);
+    if (typeof onProgress === 'function') {
+      try { onProgress(Math.round((done / steps) * 100)); } catch {}
+    }
+    return String(res.choices?.[0]?.message?.content || '').trim();
+  };
+
+  const parts = [];
+  for (let i = 0; i < chunks.length; i++) parts.push(await complete(part(chunks[i], i, chunks.length)));
+  const output = combine && parts.length > 1 ? await complete(combine(parts)) : parts.join('\n\n');
+  return { text: output, model, chunks: chunks.length, truncated, usage };
+}
+
+module.exports = { processText, validateAiOptions, chunkText };
@@ -0,0 +1,245 @@
+// server/services/animatedImage.js
+// Animated GIF/WebP sources: frame timing, still frames, sprite sheets and
+// encoding through ffmpeg (MP4, WebM and animated AVIF, which libvips
+// cannot write).
+const fs = require('fs');
+const fsp = fs.promises;
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { ffmpeg, runCommand } = require('./ffmpegUtils');
+const { ValidationError, throwIfAborted } = require('./errors');
+
+const ANIMATED_INPUTS = new Set(['gif', 'webp']);
+const VIDEO_OUTPUTS = new Set(['mp4', 'webm', 'avif']);
+const STILL_FORMATS = new Set(['png', 'jpg', 'jpeg', 'webp']);
+// Browsers play frame delays of 10 ms or less at 100 ms
+const DEFAULT_DELAY_MS = 100;
+// Sprite sheets are assembled in memory; WebP caps each side at 16383
+const MAX_SHEET_PIXELS = 8192 * 8192;
+const MAX_SHEET_SIDE = 16383;
+
+function normalizeFormat(fmt) { return String(fmt || '').trim().toLowerCase(); }
+function frameDelay(ms) { return Number.isFinite(ms) && ms > 10 ? ms : DEFAULT_DELAY_MS; }
+
+/**
+ * Frame layout of an animated GIF/WebP: { format, pages, width, height
+ * (of one frame), loop, delay[] }. Resolves with null for stills.
+ */
+async function readAnimation(input) {
+  const meta = await sharp(input, { failOnError: false }).metadata().catch(() => null);
+  if (!meta || !ANIMATED_INPUTS.has(meta.format) || !(meta.pages > 1)) return null;
+  const delay = Array.from({ length: meta.pages }, (_, i) => frameDelay(meta.delay && meta.delay[i]));
+  return { format: meta.format, pages: meta.pages, width: meta.width, height: meta.pageHeight || meta.height, loop: meta.loop ?? 0, delay };
+}
+
+// readAnimation for the frame tools, which also take stills but not other files
+async function readFrameSource(input) {
+  const meta = await sharp(input, { failOnError: false }).metadata().catch(() => null);
+  if (!meta || !meta.format) throw new ValidationError(`Cannot read "${path.basename(input)}" as an image.`);
+  return readAnimation(input);
+}
+
+/**
+ * Resolves a frame selection against `pages`: "all", an array of indexes,
+ * or a comma list such as "0,5,10-20" (negative indexes count from the end).
+ */
+function parseFrameSelection(frames, pages) {
+  if (frames == null || frames === 'all') return Array.from({ length: pages }, (_, i) => i);
+  const parts = Array.isArray(frames) ? frames : String(frames).split(',').map(s => s.trim()).filter(Boolean);
+  if (!parts.length) throw new ValidationError('Invalid frames: expected "all", indexes or ranges like "0,5,10-20".');
+  const out = [];
+  const index = (v) => {
+    const n = Number(v);
+    if (!Number.isInteger(n) || n >= pages || n < -pages) throw new ValidationError(`Invalid frame ${v}: the animation has ${pages} frames (0-${pages - 1}).`);
+    return n < 0 ? pages + n : n;
+  };
+  for (const part of parts) {
+    const range = typeof part === 'string' && /^(\d+)-(\d+)$/.exec(part);
+    if (range) {
+      const [from, to] = [index(range[1]), index(range[2])];
+      if (to < from) throw new ValidationError(`Invalid frame range "${part}".`);
+      for (let i = from; i <= to; i++) out.push(i);
+    } else {
+      out.push(index(part));
+    }
+  }
+  return [...new Set(out)];
+}
+
+/**
+ * Decodes every frame once, with `resize` and `background` applied to each,
+ * into raw RGB(A) buffers: { width, height, channels, frames: [Buffer] }.
+ */
+async function decodeFrames(input, { resize, background } = {}) {
+  let img = sharp(input, { animated: true, failOnError: false });
+  if (background) img = img.flatten({ background: { r: background.r ?? 255, g: background.g ?? 255, b: background.b ?? 255 } });
+  if (resize && (resize.width || resize.height)) {
+    img = img.resize({ width: resize.width, height: resize.height, fit: resize.fit || 'cover', withoutEnlargement: !!resize.withoutEnlargement });
+  }
+  const { data, info } = await img.raw().toBuffer({ resolveWithObject: true });
+  const height = info.pageHeight || info.height;
+  const size = info.width * height * info.channels;
+  const frames = Array.from({ length: Math.floor(data.length / size) }, (_, i) => data.subarray(i * size, (i + 1) * size));
+  return { width: info.width, height, channels: info.channels, frames };
+}
+
+function encodeStill(frame, { width, height, channels }, format, quality) {
+  const img = sharp(frame, { raw: { width, height, channels } });
+  const fmt = normalizeFormat(format);
+  if (fmt === 'jpg' || fmt === 'jpeg') return img.flatten({ background: '#ffffff' }).jpeg({ quality: quality ?? 85 });
+  if (fmt === 'webp') return img.webp({ quality: quality ?? 85 });
+  return img.png();
+}
+
+function checkStillFormat(format) {
+  if (!STILL_FORMATS.has(normalizeFormat(format))) throw new ValidationError(`Unsupported frame format "${format}". Supported: ${[...STILL_FORMATS].join(', ')}`);
+}
+
+/**
+ * Writes the selected frames (`frames`, default all) as stills named
+ * <base>-frame-<index>.<format>. Resolves with { outputDir, files, frames:
+ * [{ index, file, delay }] }.
+ */
+async function extractFrames(inputPath, options = {}) {
+  const { frames, format = 'png', quality, resize, background, outputDir, outputBasename, signal } = options;
+  checkStillFormat(format);
+  const anim = await readFrameSource(inputPath);
+  const pages = anim ? anim.pages : 1;
+  const selected = parseFrameSelection(frames, pages);
+  const decoded = await decodeFrames(inputPath, { resize, background });
+  const base = outputBasename || path.basename(inputPath, path.extname(inputPath));
+  const ext = normalizeFormat(format) === 'jpeg' ? 'jpg' : normalizeFormat(format);
+  const digits = String(pages - 1).length;
+  await fsp.mkdir(outputDir, { recursive: true });
+
+  const written = [];
+  for (const index of selected) {
+    throwIfAborted(signal);
+    const file = `${base}-frame-${String(index).padStart(digits, '0')}.${ext}`;
+    await encodeStill(decoded.frames[index], decoded, ext, quality).toFile(path.join(outputDir, file));
+    written.push({ index, file, delay: anim ? anim.delay[index] : null });
+  }
+  console.log(`[animatedImage] Extracted ${written.length} of ${pages} frame(s) from "${inputPath}"`);
+  return { outputDir, files: written.map(f => f.file), frames: written };
+}
+
+/**
+ * Lays the selected frames out on one image, left to right and top to
+ * bottom (`columns`, default a square grid), and writes it with a JSON
+ * frame map (<base>.sprite.<format> and <base>.sprite.json).
+ */
+async function createSpriteSheet(inputPath, options = {}) {
+  const { frames, columns, format = 'png', quality, resize, background, outputDir, outputBasename } = options;
+  checkStillFormat(format);
+  const anim = await readFrameSource(inputPath);
+  const selected = parseFrameSelection(frames, anim ? anim.pages : 1);
+  if (columns != null && (!Number.isInteger(columns) || columns < 1)) throw new ValidationError(`Invalid columns ${columns}: expected a positive integer.`);
+
+  const decoded = await decodeFrames(inputPath, { resize, background });
+  const { width, height, channels } = decoded;
+  const cols = Math.min(selected.length, columns || Math.ceil(Math.sqrt(selected.length)));
+  const rows = Math.ceil(selected.length / cols);
+  if (cols * width * rows * height > MAX_SHEET_PIXELS || cols * width > MAX_SHEET_SIDE || rows * height > MAX_SHEET_SIDE) {
+    throw new ValidationError(`The sprite sheet would be ${cols * width}x${rows * height}; select fewer frames or resize them.`);
+  }
+
+  // Frames are copied row by row into one raw canvas
+  const stride = cols * width * channels;
+  const canvas = Buffer.alloc(stride * rows * height);
+  const map = selected.map((index, n) => {
+    const x = (n % cols) * width;
+    const y = Math.floor(n / cols) * height;
+    const frame = decoded.frames[index];
+    for (let row = 0; row < height; row++) {
+      frame.copy(canvas, (y + row) * stride + x * channels, row * width * channels, (row + 1) * width * channels);
+    }
+    return { index, x, y, width, height, delay: anim ? anim.delay[index] : null };
+  });
+
+  const base = outputBasename || path.basename(inputPath, path.extname(inputPath));
+  const ext = normalizeFormat(format) === 'jpeg' ? 'jpg' : normalizeFormat(format);
+  const image = `${base}.sprite.${ext}`;
+  await fsp.mkdir(outputDir, { recursive: true });
+  await encodeStill(canvas, { width: cols * width, height: rows * height, channels }, ext, quality).toFile(path.join(outputDir, image));
+
+  const manifest = {
+    image,
+    width: cols * width,
+    height: rows * height,
+    frameWidth: width,
+    frameHeight: height,
+    columns: cols,
+    rows,
+    loop: anim ? anim.loop : null,
+    durationMs: map.reduce((sum, f) => sum + (f.delay || 0), 0),
+    frames: map
+  };
+  const manifestPath = path.join(outputDir, `${base}.sprite.json`);
+  await fsp.writeFile(manifestPath, JSON.stringify(manifest, null, 2));
+  return { outputDir, files: [image, path.basename(manifestPath)], manifestPath, manifest };
+}
+
+// Encoder settings per target; `quality` (1-100) maps onto each CRF scale
+const VIDEO_ENCODERS = {
+  mp4: (q) => ['-c:v libx264', '-pix_fmt yuv420p', '-movflags +faststart', `-crf ${Math.round(51 - (q ?? 60) * 0.33)}`],
+  webm: (q) => ['-c:v libvpx-vp9', '-pix_fmt yuv420p', '-b:v 0', `-crf ${Math.round(63 - (q ?? 55) * 0.5)}`],
+  avif: (q, loop) => ['-c:v libaom-av1', '-pix_fmt yuv420p', '-cpu-used 6', '-f avif', `-loop ${loop}`, `-crf ${Math.round(63 - (q ?? 50) * 0.5)}`]
+};
+
+/**
+ * Re-encodes an animated GIF/WebP with ffmpeg as MP4, WebM or animated
+ * AVIF. Frames are decoded by sharp (ffmpeg cannot read animated WebP) and
+ * fed through the concat demuxer so every frame keeps its own delay.
+ * MP4/WebM have no transparency: frames are flattened onto `background`
+ * (default white).
+ */
+async function animationToVideo(inputPath, outputFormat, options = {}) {
+  const { quality, resize, background, outputDir, outputBasename, onProgress, signal } = options;
+  const fmt = normalizeFormat(outputFormat);
+  if (!VIDEO_OUTPUTS.has(fmt)) throw new ValidationError(`Unsupported animation output "${outputFormat}". Supported: ${[...VIDEO_OUTPUTS].join(', ')}`);
+  const anim = await readAnimation(inputPath);
+  if (!anim) throw new ValidationError(`Converting to ${fmt} needs an animated GIF or WebP input.`);
+
+  const decoded = await decodeFrames(inputPath, { resize, background: background || { r: 255, g: 255, b: 255 } });
+  const tmpDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'animation-'));
+  try {
+    // yuv420p needs even dimensions
+    const width = decoded.width - (decoded.width % 2) || 2;
+    const height = decoded.height - (decoded.height % 2) || 2;
+    const lines = ['ffconcat version 1.0'];
+    for (const [i, frame] of decoded.frames.entries()) {
+      throwIfAborted(signal);
+      const file = path.join(tmpDir, `${String(i).padStart(5, '0')}.png`);
+      await sharp(frame, { raw: { width: decoded.width, height: decoded.height, channels: decoded.channels } }).resize({ width, height, fit: 'fill' }).png({ compressionLevel: 1 }).toFile(file);
+      lines.push(`file '${path.basename(file)}'`, `duration ${(anim.delay[i] / 1000).toFixed(3)}`);
+    }
+    // The concat demuxer ignores the last duration unless the file is listed again
+    lines.push(lines[lines.length - 2]);
+    const listPath = path.join(tmpDir, 'frames.txt');
+    await fsp.writeFile(listPath, lines.join('\n') + '\n');
+
+    await fsp.mkdir(outputDir, { recursive: true });
+    const base = outputBasename || path.basename(inputPath, path.extname(inputPath));
+    const outPath = path.join(outputDir, `${base}.${fmt}`);
+    const duration = anim.delay.reduce((a, b) => a + b, 0) / 1000;
+    const cmd = ffmpeg(listPath)
+      .inputOptions(['-f concat', '-safe 0'])
+      .outputOptions(['-an', '-vsync vfr', ...VIDEO_ENCODERS[fmt](quality, anim.loop)]);
+    await runCommand(cmd, outPath, { tag: 'animatedImage', duration, onProgress, signal });
+    const st = await fsp.stat(outPath);
+    return { outputPath: outPath, format: fmt, width, height, duration, frames: anim.pages, sizeBytes: st.size };
+  } finally {
+    fsp.rm(tmpDir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+module.exports = {
+  ANIMATED_INPUTS,
+  VIDEO_OUTPUTS,
+  readAnimation,
+  parseFrameSelection,
+  extractFrames,
+  createSpriteSheet,
+  animationToVideo
+};
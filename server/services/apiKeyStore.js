@@ -0,0 +1,202 @@
+// server/services/apiKeyStore.js
+// API keys with their limits, persisted to a JSON file. Only the SHA-256 of a
+// key is stored; the key itself is returned once, when it is issued.
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const crypto = require('crypto');
+const { ValidationError, NotFoundError } = require('./errors');
+
+// "mk_<id>_<secret>": the id is public (listings, usage reports), the secret is not
+const KEY_RE = /^mk_([0-9a-f]{12})_[A-Za-z0-9_-]{32}$/;
+const ID_RE = /^[0-9a-f]{12}$/;
+const MAX_NAME = 100;
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest();
+}
+
+function clone(value) {
+  return value == null ? value : JSON.parse(JSON.stringify(value));
+}
+
+// Positive integer or null (= server default)
+function checkCount(value, field) {
+  if (value == null) return null;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) throw new ValidationError(`Invalid "${field}": expected a positive integer.`);
+  return n;
+}
+
+function checkAmount(value, field) {
+  if (value == null) return null;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0) throw new ValidationError(`Invalid "${field}": expected a number >= 0.`);
+  return n;
+}
+
+/** "https://App.example.com/" -> "https://app.example.com"; only http(s) origins are accepted. */
+function normaliseOrigin(value) {
+  let url;
+  try {
+    url = new URL(String(value).trim());
+  } catch {
+    throw new ValidationError(`Invalid origin "${value}".`);
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new ValidationError(`Invalid origin "${value}": use http or https.`);
+  }
+  return url.origin;
+}
+
+class ApiKeyStore {
+  /**
+   * @param {object} opts
+   * @param {string} opts.filePath JSON file backing the store (created on first write)
+   * @param {string[]} [opts.quotaTypes] Converter types a quota may name, besides "*" (all types)
+   */
+  constructor({ filePath, quotaTypes = [] } = {}) {
+    this.filePath = filePath;
+    this.quotaTypes = new Set(quotaTypes);
+    this.keys = null;
+    this.queue = Promise.resolve();
+  }
+
+  async _load() {
+    if (this.keys) return this.keys;
+    try {
+      const data = JSON.parse(await fsp.readFile(this.filePath, 'utf8'));
+      this.keys = new Map((data.keys || []).map(k => [k.id, k]));
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.warn(`[apiKeyStore] Could not read ${this.filePath}: ${err.message}`);
+      this.keys = new Map();
+    }
+    return this.keys;
+  }
+
+  async _save() {
+    await fsp.mkdir(path.dirname(this.filePath), { recursive: true });
+    const tmp = `${this.filePath}.${process.pid}.tmp`;
+    // Owner-only: the hashes are not secrets, but nobody else needs the file
+    await fsp.writeFile(tmp, JSON.stringify({ keys: [...this.keys.values()] }, null, 2), { mode: 0o600 });
+    await fsp.rename(tmp, this.filePath);
+  }
+
+  _exclusive(fn) {
+    const run = this.queue.then(fn);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * { requestsPerMinute, concurrentJobs, quotas: { <type>|"*": { bytes, cpuSeconds } } };
+   * unset values fall back to the server defaults.
+   */
+  _checkLimits(limits) {
+    if (limits == null) limits = {};
+    if (typeof limits !== 'object' || Array.isArray(limits)) throw new ValidationError('Invalid "limits": expected an object.');
+    const quotas = {};
+    if (limits.quotas != null) {
+      if (typeof limits.quotas !== 'object' || Array.isArray(limits.quotas)) {
+        throw new ValidationError('Invalid "limits.quotas": expected { <type>: { bytes, cpuSeconds } }.');
+      }
+      for (const [type, quota] of Object.entries(limits.quotas)) {
+        if (type !== '*' && !this.quotaTypes.has(type)) {
+          throw new ValidationError(`Unknown quota type "${type}". Supported: *, ${[...this.quotaTypes].join(', ')}`);
+        }
+        if (!quota || typeof quota !== 'object') throw new ValidationError(`Invalid quota for "${type}": expected { bytes, cpuSeconds }.`);
+        quotas[type] = {
+          bytes: checkAmount(quota.bytes, `quotas.${type}.bytes`),
+          cpuSeconds: checkAmount(quota.cpuSeconds, `quotas.${type}.cpuSeconds`)
+        };
+      }
+    }
+    return {
+      requestsPerMinute: checkCount(limits.requestsPerMinute, 'requestsPerMinute'),
+      concurrentJobs: checkCount(limits.concurrentJobs, 'concurrentJobs'),
+      quotas
+    };
+  }
+
+  _public(record) {
+    const { hash, ...rest } = record;
+    return clone(rest);
+  }
+
+  async list() {
+    const keys = await this._load();
+    return [...keys.values()]
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .map(k => this._public(k));
+  }
+
+  async get(id) {
+    const record = ID_RE.test(String(id)) && (await this._load()).get(String(id));
+    if (!record) throw new NotFoundError(`Unknown API key "${id}".`);
+    return this._public(record);
+  }
+
+  /** Creates a key. The result carries the plaintext `key`; it cannot be read back later. */
+  issue({ name = '', limits, allowedOrigins = [] } = {}) {
+    return this._exclusive(async () => {
+      name = String(name ?? '').trim();
+      if (name.length > MAX_NAME) throw new ValidationError(`Key names are limited to ${MAX_NAME} characters.`);
+      if (!Array.isArray(allowedOrigins)) throw new ValidationError('Invalid "allowedOrigins": expected an array of origins.');
+      const record = {
+        id: '',
+        name,
+        hash: '',
+        limits: this._checkLimits(limits),
+        allowedOrigins: [...new Set(allowedOrigins.map(normaliseOrigin))],
+        createdAt: new Date().toISOString(),
+        revokedAt: null
+      };
+
+      const keys = await this._load();
+      do {
+        record.id = crypto.randomBytes(6).toString('hex');
+      } while (keys.has(record.id));
+      const key = `mk_${record.id}_${crypto.randomBytes(24).toString('base64url')}`;
+      record.hash = hashKey(key).toString('hex');
+      keys.set(record.id, record);
+      await this._save();
+      return { ...this._public(record), key };
+    });
+  }
+
+  /** Revoked keys stay listed (usage reports still name them) but no longer authenticate. */
+  revoke(id) {
+    return this._exclusive(async () => {
+      const record = ID_RE.test(String(id)) && (await this._load()).get(String(id));
+      if (!record) throw new NotFoundError(`Unknown API key "${id}".`);
+      if (!record.revokedAt) {
+        record.revokedAt = new Date().toISOString();
+        await this._save();
+      }
+      return this._public(record);
+    });
+  }
+
+  /** The key's record, or null for malformed, unknown and revoked keys. */
+  async authenticate(key) {
+    const m = KEY_RE.exec(String(key || ''));
+    if (!m) return null;
+    const record = (await this._load()).get(m[1]);
+    if (!record || record.revokedAt) return null;
+    const expected = Buffer.from(record.hash, 'hex');
+    const actual = hashKey(m[0]);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+    return this._public(record);
+  }
+
+  /** Origins allowed by any active key, for CORS preflights (which carry no key). */
+  async origins() {
+    const out = new Set();
+    for (const record of (await this._load()).values()) {
+      if (!record.revokedAt) for (const origin of record.allowedOrigins || []) out.add(origin);
+    }
+    return out;
+  }
+}
+
+module.exports = { ApiKeyStore, normaliseOrigin };
@@ -0,0 +1,517 @@
+// server/services/archiveConverter.js
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const os = require('os');
+const zlib = require('zlib');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const Seven = require('node-7z');
+const { ValidationError, NotFoundError, ConverterError, CancelledError, throwIfAborted } = require('./errors');
+const imageConverter = require('./imageConverter');
+const audioConverter = require('./audioConverter');
+const documentConverter = require('./documentConverter');
+const { resolveInputFormat } = require('./formatDetector');
+// The bundled 7za, used unless SEVEN_ZIP_PATH points elsewhere
+const { path7za } = require('7zip-bin');
+
+const SUPPORTED_INPUTS = new Set(['zip', '7z', 'tar', 'tar.gz', 'tgz', 'rar']);
+const SUPPORTED_OUTPUTS = new Set(['zip', '7z', 'tar.gz']);
+const PASSWORD_OUTPUTS = new Set(['zip', '7z']);
+
+// Direct conversions declared to the conversion planner
+const CONVERSION_EDGES = [{ from: [...SUPPORTED_INPUTS], to: [...SUPPORTED_OUTPUTS], requires: ['7z'] }];
+
+// Guards against zip bombs. Both limits are checked against the archive
+// listing before extraction, which a crafted header can understate, and
+// against what actually lands on disk: while 7-Zip extracts, the output
+// folder is measured every EXTRACT_CHECK_MS and the extraction is killed once
+// it goes over. They are server settings only; conversion options cannot
+// change them.
+const DEFAULT_MAX_ENTRIES = Number(process.env.ARCHIVE_MAX_ENTRIES || 10000);
+const DEFAULT_MAX_TOTAL_BYTES = Number(process.env.ARCHIVE_MAX_BYTES || 2 * 1024 * 1024 * 1024);
+const EXTRACT_CHECK_MS = 200;
+
+const CONTENT_CONVERTERS = {
+  image: { convert: imageConverter.convertImage, validate: imageConverter.validateOptions, inputs: imageConverter.SUPPORTED_INPUTS },
+  audio: { convert: audioConverter.convertAudio, validate: audioConverter.validateOptions, inputs: audioConverter.SUPPORTED_INPUTS },
+  document: { convert: documentConverter.convertDocument, validate: documentConverter.validateOptions, inputs: documentConverter.SUPPORTED_INPUTS }
+};
+
+function resolveBin() {
+  return process.env.SEVEN_ZIP_PATH || path7za;
+}
+
+function archiveFormat(p) {
+  const lower = String(p || '').toLowerCase();
+  if (lower.endsWith('.tar.gz') || lower.endsWith('.tgz')) return 'tar.gz';
+  return path.extname(lower).replace(/^\./, '');
+}
+
+function normalizeOutputFormat(fmt) {
+  const f = String(fmt || '').trim().toLowerCase().replace(/^\./, '');
+  return f === 'tgz' ? 'tar.gz' : f;
+}
+
+function archiveBasename(p) {
+  const fmt = archiveFormat(p);
+  const name = path.basename(p);
+  if (fmt === 'tar.gz') return name.replace(/\.(tar\.gz|tgz)$/i, '');
+  return path.basename(name, path.extname(name));
+}
+
+async function ensureDir(dir) { await fsp.mkdir(dir, { recursive: true }); }
+
+async function removeDir(dir) { await fsp.rm(dir, { recursive: true, force: true }).catch(() => {}); }
+
+function run7z(stream, signal) {
+  return new Promise((resolve, reject) => {
+    const data = [];
+    let settled = false;
+    const onAbort = () => { try { stream._childProcess && stream._childProcess.kill('SIGKILL'); } catch {} };
+    const settle = (fn, val) => {
+      if (settled) return;
+      settled = true;
+      if (signal) signal.removeEventListener('abort', onAbort);
+      fn(val);
+    };
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    // 7-Zip is already running; one cancelled before it started is stopped right away
+    if (signal && signal.aborted) onAbort();
+
+    stream.on('data', (d) => data.push(d));
+    stream.on('error', (err) => {
+      if (signal && signal.aborted) return settle(reject, new CancelledError());
+      const detail = String((err && (err.stderr || err.message)) || 'Unknown 7-Zip error').trim();
+      if (/wrong password|encrypted/i.test(detail)) {
+        return settle(reject, new ValidationError('Archive is encrypted: wrong or missing password.'));
+      }
+      console.error('[archiveConverter] 7-Zip error:', detail);
+      settle(reject, new ConverterError(`Archive operation failed: ${detail}`));
+    });
+    stream.on('end', () => {
+      if (signal && signal.aborted) return settle(reject, new CancelledError());
+      settle(resolve, data);
+    });
+  });
+}
+
+// Options shared by read operations. An explicit (possibly empty) password is
+// always passed so 7-Zip never blocks waiting for one on stdin.
+function readOptions(password, extra = {}) {
+  const opts = { $bin: resolveBin(), ...extra };
+  if (password) opts.password = String(password);
+  else opts.$raw = ['-p'];
+  return opts;
+}
+
+function isUnsafeEntryPath(name) {
+  const p = String(name || '').replace(/\\/g, '/');
+  if (!p) return true;
+  if (p.startsWith('/') || /^[a-zA-Z]:/.test(p)) return true;
+  return p.split('/').some(seg => seg === '..');
+}
+
+function checkTotals(count, total, { maxEntries, maxTotalBytes }) {
+  if (count > maxEntries) {
+    throw new ValidationError(`Archive has ${count} entries; the limit is ${maxEntries}.`);
+  }
+  if (total > maxTotalBytes) {
+    throw new ValidationError(`Archive expands to ${total} bytes; the limit is ${maxTotalBytes}.`);
+  }
+}
+
+function enforceLimits(entries, limits) {
+  const files = entries.filter(e => !e.isDirectory);
+  const total = files.reduce((sum, e) => sum + (e.size || 0), 0);
+  checkTotals(files.length, total, limits);
+  return total;
+}
+
+// Files and bytes under `dir` so far; entries that vanish while 7-Zip works are skipped
+async function measureDir(dir) {
+  let files = 0;
+  let bytes = 0;
+  const entries = await fsp.readdir(dir, { withFileTypes: true }).catch(() => []);
+  for (const entry of entries) {
+    const abs = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      const sub = await measureDir(abs);
+      files += sub.files;
+      bytes += sub.bytes;
+    } else {
+      const st = await fsp.lstat(abs).catch(() => null);
+      if (st) {
+        files++;
+        bytes += st.size;
+      }
+    }
+  }
+  return { files, bytes };
+}
+
+// Measures `dir` while 7-Zip extracts into it and kills `stream`'s process
+// once the output goes over a limit; `error` then holds the reason.
+function watchExtraction(dir, stream, limits) {
+  const watch = { error: null, stop: () => clearInterval(timer) };
+  let busy = false;
+  const timer = setInterval(async () => {
+    if (busy || watch.error) return;
+    busy = true;
+    try {
+      const { files, bytes } = await measureDir(dir);
+      checkTotals(files, bytes, limits);
+    } catch (err) {
+      watch.error = err;
+      try { stream._childProcess && stream._childProcess.kill('SIGKILL'); } catch {}
+    } finally {
+      busy = false;
+    }
+  }, EXTRACT_CHECK_MS);
+  return watch;
+}
+
+function resolveLimits() {
+  return { maxEntries: DEFAULT_MAX_ENTRIES, maxTotalBytes: DEFAULT_MAX_TOTAL_BYTES };
+}
+
+// Gunzips `source` into `dest`, failing as soon as more than `maxBytes` come
+// out. The gzip size trailer is not trusted: it is 32-bit and attacker-set.
+async function gunzipLimited(source, dest, maxBytes, signal) {
+  let total = 0;
+  const counter = new Transform({
+    transform(chunk, _enc, cb) {
+      total += chunk.length;
+      if (total > maxBytes) return cb(new ValidationError(`Archive expands to more than ${maxBytes} bytes, the limit.`));
+      cb(null, chunk);
+    }
+  });
+  try {
+    await pipeline(fs.createReadStream(source), zlib.createGunzip(), counter, fs.createWriteStream(dest), { signal });
+  } catch (err) {
+    if (signal && signal.aborted) throw new CancelledError();
+    if (err instanceof ValidationError) throw err;
+    throw new ValidationError(`Could not unpack the gzip layer of the tar.gz archive: ${err.message}`);
+  }
+  return total;
+}
+
+async function resolveInput(inputPath) {
+  if (!inputPath || typeof inputPath !== 'string') {
+    throw new ValidationError('Invalid inputPath: expected a file path string');
+  }
+  const resolved = path.isAbsolute(inputPath) ? inputPath : path.resolve(process.cwd(), inputPath);
+  const st = await fsp.stat(resolved).catch(() => null);
+  if (!st || !st.isFile()) throw new NotFoundError(`Input file not found: ${resolved}`);
+  const { ext: fmt } = await resolveInputFormat(resolved, SUPPORTED_INPUTS);
+  if (!SUPPORTED_INPUTS.has(fmt)) {
+    throw new ValidationError(`Unsupported archive format ".${fmt}". Supported: ${[...SUPPORTED_INPUTS].join(', ')}`);
+  }
+  return { resolved, fmt: fmt === 'tgz' ? 'tar.gz' : fmt };
+}
+
+async function listRaw(archive, password, signal) {
+  const rows = await run7z(Seven.list(archive, readOptions(password, { techInfo: true })), signal);
+  return rows.map((row) => {
+    const info = row.techInfo || new Map();
+    return {
+      path: row.file,
+      size: Number(info.get('Size') ?? row.size) || 0,
+      packedSize: Number(info.get('Packed Size') ?? row.sizeCompressed) || 0,
+      isDirectory: info.get('Folder') === '+' || /^D/.test(String(info.get('Attributes') || row.attributes || '')),
+      encrypted: info.get('Encrypted') === '+',
+      modified: info.get('Modified') || null
+    };
+  });
+}
+
+// tar.gz is two containers for 7-Zip: unwrap the gzip layer into a temp dir
+// (stopping at the size limit) and hand the inner tar to `fn`.
+async function withTarball(resolved, fmt, options, fn) {
+  if (fmt !== 'tar.gz') return fn(resolved);
+  const { signal } = options;
+  const limits = resolveLimits();
+  const tmp = await fsp.mkdtemp(path.join(os.tmpdir(), 'archive-gz-'));
+  try {
+    const tarPath = path.join(tmp, 'inner.tar');
+    await gunzipLimited(resolved, tarPath, limits.maxTotalBytes, signal);
+    return await fn(tarPath);
+  } finally {
+    await removeDir(tmp);
+  }
+}
+
+async function listArchive(inputPath, options = {}) {
+  const { resolved, fmt } = await resolveInput(inputPath);
+  return withTarball(resolved, fmt, options, (archive) => listRaw(archive, options.password, options.signal));
+}
+
+async function walkFiles(root, rel = '') {
+  const out = [];
+  const entries = await fsp.readdir(path.join(root, rel), { withFileTypes: true });
+  for (const entry of entries) {
+    const childRel = rel ? path.join(rel, entry.name) : entry.name;
+    if (entry.isDirectory()) out.push(...await walkFiles(root, childRel));
+    else out.push({ rel: childRel, dirent: entry });
+  }
+  return out;
+}
+
+/**
+ * Extracts an archive into `outputDir` (default: a fresh folder under
+ * /server/converted named after the archive).
+ *
+ * Entry paths that are absolute or climb out with ".." are rejected before
+ * anything is written, and the entry count / total size limits are checked
+ * against the listing, during extraction and against the extracted files.
+ * Symlinks are dropped.
+ */
+async function extractArchive(inputPath, options = {}) {
+  const {
+    password,
+    signal,
+    outputDir = path.resolve(process.cwd(), 'server', 'converted'),
+    outputBasename
+  } = options;
+  const limits = resolveLimits();
+  const { resolved, fmt } = await resolveInput(inputPath);
+  const dest = path.join(outputDir, outputBasename || archiveBasename(resolved));
+
+  return withTarball(resolved, fmt, options, async (archive) => {
+    const entries = await listRaw(archive, password, signal);
+    const unsafe = entries.find(e => isUnsafeEntryPath(e.path));
+    if (unsafe) throw new ValidationError(`Archive entry "${unsafe.path}" escapes the extraction directory.`);
+    enforceLimits(entries, limits);
+
+    throwIfAborted(signal);
+    await ensureDir(dest);
+    console.log(`[archiveConverter] Extracting "${resolved}" -> ${dest}`);
+    try {
+      const stream = Seven.extractFull(archive, dest, readOptions(password, { yes: true }));
+      const watch = watchExtraction(dest, stream, limits);
+      try {
+        await run7z(stream, signal);
+      } catch (err) {
+        throw watch.error || err;
+      } finally {
+        watch.stop();
+      }
+      if (watch.error) throw watch.error;
+
+      const root = await fsp.realpath(dest);
+      const files = [];
+      let totalBytes = 0;
+      for (const { rel, dirent } of await walkFiles(root)) {
+        const abs = path.join(root, rel);
+        if (dirent.isSymbolicLink() || !dirent.isFile()) {
+          await fsp.unlink(abs).catch(() => {});
+          continue;
+        }
+        const real = await fsp.realpath(abs);
+        if (!real.startsWith(root + path.sep)) throw new ValidationError(`Archive entry "${rel}" escapes the extraction directory.`);
+        totalBytes += (await fsp.stat(abs)).size;
+        files.push(rel);
+      }
+      checkTotals(files.length, totalBytes, limits);
+      return { outputDir: dest, files, totalBytes };
+    } catch (err) {
+      await removeDir(dest);
+      throw err;
+    }
+  });
+}
+
+/**
+ * Packs the contents of `sourceDir` into a zip, 7z or tar.gz archive.
+ * `password` is supported for zip (AES-256) and 7z (with encrypted headers).
+ */
+async function createArchive(sourceDir, outputFormat, options = {}) {
+  const {
+    password,
+    level,
+    signal,
+    outputDir = path.resolve(process.cwd(), 'server', 'converted'),
+    outputBasename
+  } = options;
+
+  const fmt = normalizeOutputFormat(outputFormat);
+  if (!SUPPORTED_OUTPUTS.has(fmt)) {
+    throw new ValidationError(`Unsupported output format "${outputFormat}". Supported: ${[...SUPPORTED_OUTPUTS].join(', ')}`);
+  }
+  if (password && !PASSWORD_OUTPUTS.has(fmt)) {
+    throw new ValidationError(`Password protection is only supported for: ${[...PASSWORD_OUTPUTS].join(', ')}`);
+  }
+  const st = await fsp.stat(sourceDir).catch(() => null);
+  if (!st || !st.isDirectory()) throw new NotFoundError(`Source directory not found: ${sourceDir}`);
+
+  await ensureDir(outputDir);
+  const base = outputBasename || path.basename(sourceDir);
+  const outputPath = path.join(outputDir, `${base}.${fmt}`);
+  await fsp.unlink(outputPath).catch(() => {});
+
+  const method = [];
+  if (typeof level === 'number' && Number.isFinite(level)) method.push(`x=${Math.max(0, Math.min(9, Math.round(level)))}`);
+  const source = path.join(sourceDir, '*');
+
+  console.log(`[archiveConverter] Creating ${fmt} archive ${outputPath}`);
+  try {
+    if (fmt === 'tar.gz') {
+      const tmp = await fsp.mkdtemp(path.join(os.tmpdir(), 'archive-tar-'));
+      try {
+        const tarPath = path.join(tmp, `${base}.tar`);
+        await run7z(Seven.add(tarPath, source, { $bin: resolveBin(), archiveType: 'tar' }), signal);
+        await run7z(Seven.add(outputPath, tarPath, { $bin: resolveBin(), archiveType: 'gzip', method }), signal);
+      } finally {
+        await removeDir(tmp);
+      }
+    } else {
+      const opts = { $bin: resolveBin(), archiveType: fmt, method: [...method] };
+      if (password) {
+        opts.password = String(password);
+        opts.method.push(fmt === 'zip' ? 'em=AES256' : 'he=on');
+      }
+      await run7z(Seven.add(outputPath, source, opts), signal);
+    }
+  } catch (err) {
+    await fsp.unlink(outputPath).catch(() => {});
+    throw err;
+  }
+
+  const outStat = await fsp.stat(outputPath).catch(() => null);
+  return { outputPath, format: fmt, sizeBytes: outStat?.size };
+}
+
+function converterFor(file, convert) {
+  const ext = path.extname(file).replace(/^\./, '').toLowerCase();
+  for (const [type, entry] of Object.entries(CONTENT_CONVERTERS)) {
+    if (convert[type] && entry.inputs.has(ext)) return { type, entry, target: convert[type] };
+  }
+  return null;
+}
+
+/**
+ * Extracts an archive, runs every image / audio / document file whose type has
+ * a target in `convert` through the matching converter and repacks the result.
+ *
+ *   convert: { image: { format: 'webp', options: { quality: 80 } }, audio: { format: 'mp3' } }
+ *
+ * Files without a target are copied as-is unless `keepOthers` is false.
+ * `password` unlocks the input, `outputPassword` protects the new archive.
+ */
+async function convertArchiveContents(inputPath, outputFormat, options = {}) {
+  const {
+    convert = {},
+    keepOthers = true,
+    onProgress,
+    signal,
+    outputDir = path.resolve(process.cwd(), 'server', 'converted'),
+    outputBasename
+  } = options;
+
+  const { resolved } = await resolveInput(inputPath);
+  const work = await fsp.mkdtemp(path.join(os.tmpdir(), 'archive-work-'));
+  try {
+    const extracted = await extractArchive(resolved, { ...options, outputDir: work, outputBasename: 'in' });
+    const packDir = path.join(work, 'out');
+    await ensureDir(packDir);
+
+    const converted = [];
+    let done = 0;
+    for (const rel of extracted.files) {
+      throwIfAborted(signal);
+      const src = path.join(extracted.outputDir, rel);
+      const destDir = path.join(packDir, path.dirname(rel));
+      const match = converterFor(rel, convert);
+      if (match) {
+        const { format, options: convOptions = {} } = match.target;
+        await match.entry.convert(src, format, {
+          ...convOptions,
+          signal,
+          outputDir: destDir,
+          outputBasename: path.basename(rel, path.extname(rel)),
+          cleanup: false
+        });
+        converted.push({ path: rel, converter: match.type, format });
+      } else if (keepOthers) {
+        await ensureDir(destDir);
+        await fsp.copyFile(src, path.join(destDir, path.basename(rel)));
+      }
+      done++;
+      if (typeof onProgress === 'function') {
+        try { onProgress(Math.round((done / extracted.files.length) * 100)); } catch {}
+      }
+    }
+
+    const packed = await createArchive(packDir, outputFormat, {
+      level: options.level,
+      password: options.outputPassword,
+      signal,
+      outputDir,
+      outputBasename: outputBasename || archiveBasename(resolved)
+    });
+    return { ...packed, converted };
+  } finally {
+    await removeDir(work);
+  }
+}
+
+/**
+ * Checks the input-independent options of an archive conversion (used when a
+ * preset is saved), including every nested `convert` target.
+ */
+function validateOptions(outputFormat, options = {}) {
+  const { extract = false, convert, level, outputPassword } = options;
+  if (extract) return;
+  const fmt = normalizeOutputFormat(outputFormat);
+  if (!SUPPORTED_OUTPUTS.has(fmt)) {
+    throw new ValidationError(`Unsupported output format "${outputFormat}". Supported: ${[...SUPPORTED_OUTPUTS].join(', ')}`);
+  }
+  if (outputPassword && !PASSWORD_OUTPUTS.has(fmt)) {
+    throw new ValidationError(`Password protection is only supported for: ${[...PASSWORD_OUTPUTS].join(', ')}`);
+  }
+  if (level != null && (typeof level !== 'number' || level < 0 || level > 9)) {
+    throw new ValidationError(`Invalid level ${level}: expected 0-9.`);
+  }
+  if (convert == null) return;
+  if (typeof convert !== 'object' || Array.isArray(convert)) throw new ValidationError('Invalid convert: expected an object keyed by converter type.');
+  for (const [type, target] of Object.entries(convert)) {
+    const entry = CONTENT_CONVERTERS[type];
+    if (!entry) throw new ValidationError(`Invalid convert.${type}: supported types are ${Object.keys(CONTENT_CONVERTERS).join(', ')}.`);
+    if (!target || !target.format) throw new ValidationError(`Invalid convert.${type}: missing "format".`);
+    entry.validate(target.format, target.options || {});
+  }
+}
+
+/**
+ * Entry point used by the HTTP layer.
+ *
+ * - `extract: true` unpacks the archive and returns the extracted file list
+ * - `convert: {...}` converts matching contents and repacks (see convertArchiveContents)
+ * - otherwise the archive is repacked into `outputFormat` (e.g. rar -> zip)
+ *
+ * `password` unlocks the input; `outputPassword` protects the output.
+ */
+async function convertArchive(inputPath, outputFormat, options = {}) {
+  const { extract = false, cleanup = false } = options;
+  const { resolved } = await resolveInput(inputPath);
+
+  const result = extract
+    ? await extractArchive(resolved, options)
+    : await convertArchiveContents(resolved, outputFormat, options);
+
+  if (cleanup) { try { await fsp.unlink(resolved); } catch (e) { console.warn('[archiveConverter] Cleanup warning:', e.message); } }
+  return result;
+}
+
+module.exports = {
+  convertArchive,
+  validateOptions,
+  listArchive,
+  extractArchive,
+  createArchive,
+  convertArchiveContents,
+  SUPPORTED_INPUTS,
+  SUPPORTED_OUTPUTS,
+  CONVERSION_EDGES,
+  resolveBin
+};
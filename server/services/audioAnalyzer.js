@@ -0,0 +1,275 @@
+// server/services/audioAnalyzer.js
+// Inspects an audio file before publishing: ffprobe metadata, EBU R128
+// loudness (integrated, true peak, LRA), silent segments, waveform and
+// spectrogram PNGs and waveform peaks as JSON in the audiowaveform format
+// that web players such as peaks.js read.
+const fsp = require('fs').promises;
+const path = require('path');
+const { ffmpeg, probe, runCommand, runAnalysis } = require('./ffmpegUtils');
+const { resolveInput, resolveLoudness, resolveSilence, parseSilenceSpans, parseLoudnorm } = require('./audioConverter');
+const { ConverterError, ValidationError, CancelledError, throwIfAborted } = require('./errors');
+
+const DEFAULT_IMAGE = { width: 1800, height: 280 };
+const MAX_IMAGE = { width: 8192, height: 4096 };
+const DEFAULT_PEAKS = 2000;
+const MAX_PEAKS = 100000;
+// showspectrumpic colour schemes and amplitude scales
+const SPECTRUM_COLORS = new Set(['intensity', 'rainbow', 'moreland', 'nebulae', 'fire', 'fiery', 'fruit', 'cool', 'magma', 'green', 'viridis', 'plasma', 'cividis', 'terrain']);
+const SPECTRUM_SCALES = new Set(['lin', 'sqrt', 'cbrt', 'log', '4thrt', '5thrt']);
+
+// true / {} / { width, height, ... } -> options object; false / null -> null
+function section(value, name) {
+  if (value == null || value === false) return null;
+  if (value === true) return {};
+  if (typeof value !== 'object' || Array.isArray(value)) throw new ValidationError(`Invalid ${name}: expected true or an object.`);
+  return value;
+}
+
+function imageSize(opts, name) {
+  const width = opts.width ?? DEFAULT_IMAGE.width;
+  const height = opts.height ?? DEFAULT_IMAGE.height;
+  for (const [key, value, max] of [['width', width, MAX_IMAGE.width], ['height', height, MAX_IMAGE.height]]) {
+    if (!Number.isInteger(value) || value < 16 || value > max) {
+      throw new ValidationError(`Invalid ${name}.${key} ${value}: expected an integer from 16 to ${max}.`);
+    }
+  }
+  return { width, height };
+}
+
+// "#3b82f6", "3b82f6" or a colour name ffmpeg knows ("white")
+function ffmpegColor(value, name) {
+  const s = String(value).trim();
+  if (/^#?[0-9a-f]{6}([0-9a-f]{2})?$/i.test(s)) return `0x${s.replace(/^#/, '')}`;
+  if (/^[a-z]{3,20}$/i.test(s)) return s.toLowerCase();
+  throw new ValidationError(`Invalid ${name} "${value}": expected a hex colour or a colour name.`);
+}
+
+/**
+ * Checks analysis options; returns the sections to compute. loudness and
+ * silence are on unless set to false, waveform, spectrogram and peaks are
+ * off unless requested.
+ */
+function resolveAnalysisOptions(options = {}) {
+  const out = {};
+  out.loudness = options.loudness === false ? null : resolveLoudness(true);
+  const silence = options.silence === false ? null : section(options.silence ?? true, 'silence');
+  out.silence = silence && resolveSilence(silence);
+
+  const waveform = section(options.waveform, 'waveform');
+  if (waveform) {
+    out.waveform = {
+      ...imageSize(waveform, 'waveform'),
+      color: ffmpegColor(waveform.color ?? '#3b82f6', 'waveform.color'),
+      background: waveform.background == null ? null : ffmpegColor(waveform.background, 'waveform.background'),
+      splitChannels: !!waveform.splitChannels
+    };
+  }
+
+  const spectrogram = section(options.spectrogram, 'spectrogram');
+  if (spectrogram) {
+    const color = spectrogram.color ?? 'intensity';
+    const scale = spectrogram.scale ?? 'log';
+    if (!SPECTRUM_COLORS.has(color)) throw new ValidationError(`Invalid spectrogram.color "${color}". Supported: ${[...SPECTRUM_COLORS].join(', ')}`);
+    if (!SPECTRUM_SCALES.has(scale)) throw new ValidationError(`Invalid spectrogram.scale "${scale}". Supported: ${[...SPECTRUM_SCALES].join(', ')}`);
+    out.spectrogram = { ...imageSize(spectrogram, 'spectrogram'), color, scale, legend: !!spectrogram.legend };
+  }
+
+  const peaks = section(options.peaks, 'peaks');
+  if (peaks) {
+    const count = peaks.count ?? DEFAULT_PEAKS;
+    if (!Number.isInteger(count) || count < 10 || count > MAX_PEAKS) {
+      throw new ValidationError(`Invalid peaks.count ${count}: expected an integer from 10 to ${MAX_PEAKS}.`);
+    }
+    out.peaks = { count };
+  }
+  return out;
+}
+
+function describeMetadata(data) {
+  const fmt = data.format || {};
+  const audio = (data.streams || []).find(s => s.codec_type === 'audio');
+  if (!audio) throw new ValidationError('The file has no audio stream.');
+  return {
+    container: fmt.format_name,
+    duration: Number(fmt.duration) || undefined,
+    bitrate: Number(fmt.bit_rate) || undefined,
+    sizeBytes: Number(fmt.size) || undefined,
+    codec: audio.codec_name,
+    codecLongName: audio.codec_long_name,
+    sampleRate: Number(audio.sample_rate) || undefined,
+    channels: audio.channels,
+    channelLayout: audio.channel_layout,
+    sampleFormat: audio.sample_fmt,
+    bitsPerSample: Number(audio.bits_per_raw_sample || audio.bits_per_sample) || undefined,
+    streamBitrate: Number(audio.bit_rate) || undefined,
+    // ogg/opus keep their tags on the stream rather than the container
+    tags: { ...(audio.tags || {}), ...(fmt.tags || {}) },
+    hasCoverArt: (data.streams || []).some(s => s.codec_type === 'video' && s.disposition?.attached_pic)
+  };
+}
+
+const round = (n, digits = 3) => (Number.isFinite(n) ? Number(n.toFixed(digits)) : null);
+
+async function renderImage(input, filter, outputPath, signal) {
+  const cmd = ffmpeg(input).complexFilter(filter, 'img').frames(1);
+  await runCommand(cmd, outputPath, { tag: 'audioAnalyzer', signal });
+  const st = await fsp.stat(outputPath).catch(() => null);
+  return st ? st.size : undefined;
+}
+
+/**
+ * Decodes to mono 16-bit PCM and keeps the min/max of every
+ * `samplesPerPixel` samples, scaled to 8 bits.
+ */
+function readPeaks(input, { sampleRate, samplesPerPixel, signal }) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(new CancelledError());
+    const data = [];
+    let min = 0; let max = 0; let n = 0;
+    let carry = null;
+    const flush = () => {
+      data.push(Math.max(-128, Math.round(min / 256)), Math.min(127, Math.round(max / 256)));
+      min = 0; max = 0; n = 0;
+    };
+    const cmd = ffmpeg(input).noVideo().audioChannels(1).audioFrequency(sampleRate).audioCodec('pcm_s16le').format('s16le');
+    const onAbort = () => cmd.kill('SIGKILL');
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    const done = (err) => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      if (err) return reject(signal && signal.aborted ? new CancelledError() : new ConverterError(`Peak extraction failed: ${err.message}`));
+      if (n) flush();
+      resolve(data);
+    };
+    cmd.on('error', done);
+    // An abort before ffmpeg was spawned had no process to kill
+    cmd.on('start', () => { if (signal && signal.aborted) onAbort(); });
+    const stream = cmd.pipe();
+    stream.on('data', (chunk) => {
+      const buf = carry ? Buffer.concat([carry, chunk]) : chunk;
+      const usable = buf.length - (buf.length % 2);
+      for (let i = 0; i < usable; i += 2) {
+        const v = buf.readInt16LE(i);
+        if (v < min) min = v;
+        if (v > max) max = v;
+        if (++n === samplesPerPixel) flush();
+      }
+      carry = usable < buf.length ? buf.subarray(usable) : null;
+    });
+    stream.on('end', () => done());
+  });
+}
+
+/**
+ * Analyses one audio file. Options (see resolveAnalysisOptions):
+ *   loudness: false              skip the EBU R128 measurement
+ *   silence: { threshold, minDuration } | false
+ *   waveform: { width, height, color, background, splitChannels }
+ *   spectrogram: { width, height, color, scale, legend }
+ *   peaks: { count }             peak pairs in the JSON
+ * Images and peaks are written to outputDir. Resolves with { metadata,
+ * probe, loudness, silence, waveform, spectrogram, peaks }.
+ */
+async function analyzeAudio(inputPath, options = {}) {
+  const {
+    onProgress,
+    signal,
+    outputDir = path.resolve(process.cwd(), 'server', 'converted'),
+    outputBasename
+  } = options;
+  const wanted = resolveAnalysisOptions(options);
+  const input = await resolveInput(inputPath);
+  throwIfAborted(signal);
+
+  const data = await probe(input);
+  const metadata = describeMetadata(data);
+  const result = { metadata, probe: data, loudness: null, silence: null, waveform: null, spectrogram: null, peaks: null };
+  const steps = [wanted.loudness || wanted.silence, wanted.waveform, wanted.spectrogram, wanted.peaks].filter(Boolean).length;
+  let finished = 0;
+  const step = () => {
+    finished++;
+    if (typeof onProgress === 'function') { try { onProgress(Math.round((finished / steps) * 100)); } catch {} }
+  };
+
+  // Loudness and silence come out of a single decoding pass
+  if (wanted.loudness || wanted.silence) {
+    const filters = [];
+    if (wanted.silence) filters.push(`silencedetect=noise=${wanted.silence.threshold}dB:d=${wanted.silence.minDuration}`);
+    if (wanted.loudness) {
+      const { target, truePeak, lra } = wanted.loudness;
+      filters.push(`loudnorm=I=${target}:TP=${truePeak}:LRA=${lra}:print_format=json`);
+    }
+    const lines = await runAnalysis(ffmpeg(input).complexFilter(`[0:a:0]${filters.join(',')}[aout]`, 'aout'), { tag: 'audioAnalyzer', signal });
+    if (wanted.loudness) {
+      const m = parseLoudnorm(lines);
+      result.loudness = {
+        integratedLufs: round(Number(m.input_i), 2),
+        truePeakDbtp: round(Number(m.input_tp), 2),
+        lraLu: round(Number(m.input_lra), 2),
+        thresholdLufs: round(Number(m.input_thresh), 2)
+      };
+    }
+    if (wanted.silence) {
+      const segments = parseSilenceSpans(lines).map(({ start, end }) => {
+        const stop = end ?? metadata.duration ?? null;
+        return { start: round(start), end: round(stop), duration: stop == null ? null : round(stop - start) };
+      });
+      result.silence = {
+        ...wanted.silence,
+        segments,
+        totalSeconds: round(segments.reduce((sum, s) => sum + (s.duration || 0), 0))
+      };
+    }
+    step();
+  }
+
+  const base = outputBasename || path.basename(input, path.extname(input));
+  if (wanted.waveform || wanted.spectrogram || wanted.peaks) await fsp.mkdir(outputDir, { recursive: true });
+
+  if (wanted.waveform) {
+    const { width, height, color, background, splitChannels } = wanted.waveform;
+    let filter = `[0:a:0]showwavespic=s=${width}x${height}:colors=${color}:split_channels=${splitChannels ? 1 : 0}`;
+    filter += background
+      ? `[w];color=c=${background}:s=${width}x${height}[bg];[bg][w]overlay=format=auto[img]`
+      : '[img]';
+    const outputPath = path.join(outputDir, `${base}_waveform.png`);
+    const sizeBytes = await renderImage(input, filter, outputPath, signal);
+    result.waveform = { outputPath, format: 'png', width, height, sizeBytes };
+    step();
+  }
+
+  if (wanted.spectrogram) {
+    const { width, height, color, scale, legend } = wanted.spectrogram;
+    const filter = `[0:a:0]showspectrumpic=s=${width}x${height}:color=${color}:scale=${scale}:legend=${legend ? 1 : 0}[img]`;
+    const outputPath = path.join(outputDir, `${base}_spectrogram.png`);
+    const sizeBytes = await renderImage(input, filter, outputPath, signal);
+    // The legend adds axes around the requested plot size
+    const meta = legend ? await probe(outputPath).catch(() => null) : null;
+    const stream = meta && (meta.streams || [])[0];
+    result.spectrogram = { outputPath, format: 'png', width: stream?.width || width, height: stream?.height || height, sizeBytes };
+    step();
+  }
+
+  if (wanted.peaks) {
+    const sampleRate = metadata.sampleRate || 44100;
+    const total = metadata.duration ? Math.ceil(metadata.duration * sampleRate) : sampleRate * 60;
+    const samplesPerPixel = Math.max(1, Math.ceil(total / wanted.peaks.count));
+    const peaks = await readPeaks(input, { sampleRate, samplesPerPixel, signal });
+    const json = {
+      version: 2,
+      channels: 1,
+      sample_rate: sampleRate,
+      samples_per_pixel: samplesPerPixel,
+      bits: 8,
+      length: peaks.length / 2,
+      data: peaks
+    };
+    const outputPath = path.join(outputDir, `${base}_peaks.json`);
+    await fsp.writeFile(outputPath, JSON.stringify(json));
+    result.peaks = { outputPath, format: 'json', length: json.length, samplesPerPixel, sampleRate };
+    step();
+  }
+
+  return result;
+}
+
+module.exports = { analyzeAudio, resolveAnalysisOptions };
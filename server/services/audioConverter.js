@@ -1,7 +1,10 @@
 const fs = require('fs');
 const fsp = fs.promises;
 const path = require('path');
-const ffmpeg = require('fluent-ffmpeg');
+const { ffmpeg, resolveTrim, effectiveDuration, parseTimestamp, probe, runCommand, runAnalysis } = require('./ffmpegUtils');
+const { ValidationError, NotFoundError, throwIfAborted } = require('./errors');
+const { resolveInputFormat } = require('./formatDetector');
+const { convertBatch } = require('./batchRunner');
 
 const SUPPORTED_INPUTS = new Set([
   'mp3', 'wav', 'ogg', 'm4a', 'flac', 'aac', 'wma', 'aiff', 'opus'
@@ -11,11 +14,59 @@ const SUPPORTED_OUTPUTS = new Set([
   'mp3', 'wav', 'ogg', 'm4a', 'flac', 'aac', 'opus'
 ]);
 
-const SUPPORTED_BITRATES = new Set(['128k', '192k', '256k', '320k']);
-const SUPPORTED_SAMPLE_RATES = new Set([44100, 48000]);
+// Bitrates are in kbps. Encoders either accept a fixed list or a range;
+// lossless codecs take no bitrate at all.
+const AAC_LIMITS = {
+  minBitrate: 16, maxBitrate: 512,
+  sampleRates: [8000, 11025, 12000, 16000, 22050, 24000, 32000, 44100, 48000, 64000, 88200, 96000]
+};
+const CODEC_LIMITS = {
+  mp3: {
+    bitrates: [8, 16, 24, 32, 40, 48, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+    sampleRates: [8000, 11025, 12000, 16000, 22050, 24000, 32000, 44100, 48000]
+  },
+  aac: AAC_LIMITS,
+  m4a: AAC_LIMITS,
+  ogg: { minBitrate: 45, maxBitrate: 500, minSampleRate: 8000, maxSampleRate: 192000 },
+  opus: { minBitrate: 6, maxBitrate: 510, sampleRates: [8000, 12000, 16000, 24000, 48000] },
+  flac: { lossless: true, minSampleRate: 8000, maxSampleRate: 192000 },
+  wav: { lossless: true, minSampleRate: 8000, maxSampleRate: 192000 }
+};
+
+// Bitrates the encoders accept for a given sample rate and channel count,
+// on top of the per-option limits above.
+// MP3: MPEG-1 rates take 32-320k, MPEG-2 up to 160k, MPEG-2.5 up to 64k.
+const MP3_BITRATES_BY_RATE = [
+  { maxRate: 12000, min: 8, max: 64 },
+  { maxRate: 24000, min: 8, max: 160 },
+  { maxRate: Infinity, min: 32, max: 320 }
+];
+// Vorbis (libvorbis ABR): the usable range per sample-rate band, for mono and
+// per channel of a stereo (or wider) stream.
+const VORBIS_BITRATES_BY_RATE = [
+  { maxRate: 9000, mono: [8, 42], perChannel: [6, 32] },
+  { maxRate: 15000, mono: [12, 50], perChannel: [8, 44] },
+  { maxRate: 19000, mono: [16, 64], perChannel: [12, 44] },
+  { maxRate: 26000, mono: [16, 90], perChannel: [15, 86] },
+  { maxRate: 40000, mono: [30, 150], perChannel: [18, 190] },
+  { maxRate: Infinity, mono: [32, 240], perChannel: [23, 250] }
+];
+// Opus (libopus): at most 256k per channel
+const OPUS_MAX_PER_CHANNEL = 256;
+
+// Containers that can carry an embedded cover picture
+const COVER_FORMATS = new Set(['mp3', 'm4a', 'flac']);
+const COVER_INPUTS = new Set(['jpg', 'jpeg', 'png']);
 
-if (process.env.FFMPEG_PATH) ffmpeg.setFfmpegPath(process.env.FFMPEG_PATH);
-if (process.env.FFPROBE_PATH) ffmpeg.setFfprobePath(process.env.FFPROBE_PATH);
+// Direct conversions declared to the conversion planner. Cover art in other
+// image formats is converted to one of COVER_INPUTS first.
+const CONVERSION_EDGES = [
+  { from: [...SUPPORTED_INPUTS], to: [...SUPPORTED_OUTPUTS].filter(f => !COVER_FORMATS.has(f)), requires: ['ffmpeg'] },
+  { from: [...SUPPORTED_INPUTS], to: [...COVER_FORMATS], requires: ['ffmpeg'], fileOptions: { coverArt: [...COVER_INPUTS] } }
+];
+
+const DEFAULT_LOUDNESS = { target: -16, truePeak: -1.5, lra: 11 };
+const DEFAULT_SILENCE = { threshold: -50, minDuration: 0.5 };
 
 function getCodecForFormat(format) {
   const f = String(format).toLowerCase();
@@ -31,113 +82,461 @@ function getCodecForFormat(format) {
   }
 }
 
-function timemarkToSeconds(mark) {
-  const parts = String(mark).split(':').map(Number);
-  if (parts.length !== 3 || parts.some(Number.isNaN)) return 0;
-  return parts[0] * 3600 + parts[1] * 60 + parts[2];
+// ffmpeg muxer names differ from the file extension for some formats
+function getMuxerForFormat(format) {
+  const f = String(format).toLowerCase();
+  switch (f) {
+    case 'm4a': return 'ipod';
+    case 'aac': return 'adts';
+    default: return f;
+  }
+}
+
+function parseBitrate(value) {
+  if (typeof value === 'number') return value >= 1000 ? value / 1000 : value;
+  const m = String(value).trim().match(/^(\d+(?:\.\d+)?)(k?)$/i);
+  if (!m) return NaN;
+  const n = Number(m[1]);
+  return m[2] || n < 1000 ? n : n / 1000;
 }
 
+function describeRange(list, min, max, unit) {
+  return list ? list.join(', ') : `${min}-${max}${unit}`;
+}
+
+// { min, max } kbps the encoder of `fmt` accepts at `hz` with `channels`, or
+// null when the combination does not narrow the codec's own limits
+function bitrateRangeFor(fmt, hz, channels) {
+  if (fmt === 'mp3' && hz) {
+    const { min, max } = MP3_BITRATES_BY_RATE.find(b => hz <= b.maxRate);
+    return { min, max };
+  }
+  if (fmt === 'ogg' && hz && channels) {
+    const band = VORBIS_BITRATES_BY_RATE.find(b => hz <= b.maxRate);
+    if (channels === 1) return { min: band.mono[0], max: band.mono[1] };
+    return {
+      min: Math.max(CODEC_LIMITS.ogg.minBitrate, band.perChannel[0] * channels),
+      max: Math.min(CODEC_LIMITS.ogg.maxBitrate, band.perChannel[1] * channels)
+    };
+  }
+  if (fmt === 'opus' && channels) {
+    return { min: CODEC_LIMITS.opus.minBitrate, max: Math.min(CODEC_LIMITS.opus.maxBitrate, OPUS_MAX_PER_CHANNEL * channels) };
+  }
+  return null;
+}
+
+function describeSettings(hz, channels) {
+  const parts = [];
+  if (hz) parts.push(`${hz} Hz`);
+  if (channels) parts.push(channels === 1 ? 'mono' : channels === 2 ? 'stereo' : `${channels} channels`);
+  return parts.join(', ');
+}
+
+/**
+ * Validates bitrate / sampleRate against what the output codec accepts and
+ * normalises them to ffmpeg values ("192k", 44100). With `channels` (a
+ * count), the bitrate is also checked against what the encoder takes at
+ * that sample rate and channel count, which convertAudio repeats once the
+ * source's rate and channels are known.
+ */
+function validateAudioOptions(format, { bitrate, sampleRate, channels } = {}) {
+  const fmt = String(format || '').toLowerCase();
+  const limits = CODEC_LIMITS[fmt];
+  if (!limits) throw new ValidationError(`Unsupported output format ${format}. Supported: ${[...SUPPORTED_OUTPUTS].join(', ')}`);
+  const out = {};
+
+  if (bitrate != null && bitrate !== '') {
+    if (limits.lossless) throw new ValidationError(`${fmt} is lossless and does not take a bitrate.`);
+    const kbps = parseBitrate(bitrate);
+    const ok = Number.isFinite(kbps) && (limits.bitrates
+      ? limits.bitrates.includes(kbps)
+      : kbps >= limits.minBitrate && kbps <= limits.maxBitrate);
+    if (!ok) {
+      throw new ValidationError(`Unsupported bitrate ${bitrate} for ${fmt}. Supported: ${describeRange(limits.bitrates, limits.minBitrate, limits.maxBitrate, 'k')}`);
+    }
+    out.bitrate = `${kbps}k`;
+  }
+
+  if (sampleRate != null && sampleRate !== '') {
+    const hz = Number(sampleRate);
+    const ok = Number.isInteger(hz) && (limits.sampleRates
+      ? limits.sampleRates.includes(hz)
+      : hz >= limits.minSampleRate && hz <= limits.maxSampleRate);
+    if (!ok) {
+      throw new ValidationError(`Unsupported sampleRate ${sampleRate} for ${fmt}. Supported: ${describeRange(limits.sampleRates, limits.minSampleRate, limits.maxSampleRate, ' Hz')}`);
+    }
+    out.sampleRate = hz;
+  }
+
+  if (out.bitrate) {
+    const kbps = parseBitrate(out.bitrate);
+    const range = bitrateRangeFor(fmt, out.sampleRate, channels);
+    if (range && (kbps < range.min || kbps > range.max)) {
+      throw new ValidationError(
+        `Unsupported bitrate ${bitrate} for ${fmt} (${describeSettings(out.sampleRate, channels)}). Supported: ${range.min}-${range.max}k`
+      );
+    }
+  }
+  return out;
+}
+
+function isSampleRateAllowed(format, hz) {
+  try { validateAudioOptions(format, { sampleRate: hz }); return true; } catch { return false; }
+}
+
+function parseChannels(channels) {
+  if (channels == null || channels === '') return undefined;
+  const c = String(channels).toLowerCase();
+  if (c === 'mono' || c === '1') return 1;
+  if (c === 'stereo' || c === '2') return 2;
+  throw new ValidationError(`Unsupported channels ${channels}. Use "mono" or "stereo".`);
+}
+
+function parseFade(value, name) {
+  if (value == null || value === '' || value === 0) return undefined;
+  const s = parseTimestamp(value);
+  if (Number.isNaN(s) || s <= 0) throw new ValidationError(`Invalid ${name} ${value}: expected a duration in seconds.`);
+  return s;
+}
+
+function resolveLoudness(normalize) {
+  if (!normalize) return null;
+  const opts = typeof normalize === 'object' ? normalize : {};
+  const target = opts.target ?? opts.lufs ?? DEFAULT_LOUDNESS.target;
+  const truePeak = opts.truePeak ?? DEFAULT_LOUDNESS.truePeak;
+  const lra = opts.lra ?? DEFAULT_LOUDNESS.lra;
+  // Ranges accepted by ffmpeg's loudnorm filter
+  if (!(Number(target) >= -70 && Number(target) <= -5)) throw new ValidationError(`Invalid loudness target ${target}: expected -70 to -5 LUFS.`);
+  if (!(Number(truePeak) >= -9 && Number(truePeak) <= 0)) throw new ValidationError(`Invalid true peak ${truePeak}: expected -9 to 0 dBTP.`);
+  if (!(Number(lra) >= 1 && Number(lra) <= 50)) throw new ValidationError(`Invalid LRA ${lra}: expected 1 to 50 LU.`);
+  return { target: Number(target), truePeak: Number(truePeak), lra: Number(lra) };
+}
+
+function resolveSilence(trimSilence) {
+  if (!trimSilence) return null;
+  const opts = typeof trimSilence === 'object' ? trimSilence : {};
+  const threshold = Number(opts.threshold ?? DEFAULT_SILENCE.threshold);
+  const minDuration = Number(opts.minDuration ?? DEFAULT_SILENCE.minDuration);
+  if (!(threshold < 0 && threshold >= -120)) throw new ValidationError(`Invalid silence threshold ${opts.threshold}: expected dB below 0.`);
+  if (!(minDuration > 0)) throw new ValidationError(`Invalid silence minDuration ${opts.minDuration}: expected seconds > 0.`);
+  return { threshold, minDuration };
+}
+
+function resolveTags(tags) {
+  if (tags == null) return {};
+  if (typeof tags !== 'object' || Array.isArray(tags)) throw new ValidationError('Invalid tags: expected an object.');
+  const out = {};
+  for (const [key, value] of Object.entries(tags)) {
+    if (!/^[a-z][a-z0-9_]*$/i.test(key)) throw new ValidationError(`Invalid tag name "${key}".`);
+    if (value == null) continue;
+    if (typeof value === 'object') throw new ValidationError(`Invalid value for tag "${key}".`);
+    out[key.toLowerCase()] = String(value);
+  }
+  return out;
+}
+
+/**
+ * Checks the input-independent options of an audio conversion (used when a
+ * preset is saved); throws ValidationError on the first problem.
+ */
+function validateOptions(outputFormat, options = {}) {
+  const fmt = String(outputFormat || '').toLowerCase();
+  if (!SUPPORTED_OUTPUTS.has(fmt)) {
+    throw new ValidationError(`Unsupported output format ${outputFormat}. Supported: ${[...SUPPORTED_OUTPUTS].join(', ')}`);
+  }
+  validateAudioOptions(fmt, { bitrate: options.bitrate, sampleRate: options.sampleRate, channels: parseChannels(options.channels) });
+  parseFade(options.fadeIn, 'fadeIn');
+  parseFade(options.fadeOut, 'fadeOut');
+  resolveTrim(options.start, options.end);
+  resolveLoudness(options.normalize);
+  resolveSilence(options.trimSilence);
+  resolveTags(options.tags);
+  if (options.coverArt && !COVER_FORMATS.has(fmt)) {
+    throw new ValidationError(`Cover art is supported for: ${[...COVER_FORMATS].join(', ')}`);
+  }
+}
+
+async function resolveInput(inputPath) {
+  if (!inputPath || typeof inputPath !== 'string') {
+    throw new ValidationError('Invalid inputPath: expected a file path string');
+  }
+  const resolvedInput = path.isAbsolute(inputPath) ? inputPath : path.resolve(process.cwd(), inputPath);
+  const stat = await fsp.stat(resolvedInput).catch(() => null);
+  if (!stat || !stat.isFile()) throw new NotFoundError(`Input file not found: ${resolvedInput}`);
+
+  const { ext: inExt } = await resolveInputFormat(resolvedInput, SUPPORTED_INPUTS);
+  if (!SUPPORTED_INPUTS.has(inExt)) {
+    throw new ValidationError(`Unsupported input format .${inExt}. Supported: ${[...SUPPORTED_INPUTS].join(', ')}`);
+  }
+  return resolvedInput;
+}
+
+/**
+ * Creates an ffmpeg command reading every input (concatenated in order when
+ * there are several) through the given audio filters into the output.
+ */
+function buildCommand(inputs, filters) {
+  const cmd = ffmpeg();
+  inputs.forEach(i => cmd.input(i));
+
+  const graph = [];
+  if (inputs.length > 1) {
+    const sources = inputs.map((_, i) => `[${i}:a:0]`).join('');
+    graph.push(`${sources}concat=n=${inputs.length}:v=0:a=1${filters.length ? '[cat]' : '[aout]'}`);
+    if (filters.length) graph.push(`[cat]${filters.join(',')}[aout]`);
+  } else if (filters.length) {
+    graph.push(`[0:a:0]${filters.join(',')}[aout]`);
+  }
+
+  if (graph.length) cmd.complexFilter(graph.join(';'), 'aout');
+  else cmd.outputOptions('-map', '0:a:0');
+  return cmd;
+}
+
+// Silent spans { start, end } in silencedetect output; end is null when the input ends silent.
+function parseSilenceSpans(lines) {
+  const spans = [];
+  for (const line of lines) {
+    const start = line.match(/silence_start:\s*(-?[\d.]+)/);
+    const end = line.match(/silence_end:\s*([\d.]+)/);
+    if (start) spans.push({ start: Math.max(0, Number(start[1])), end: null });
+    else if (end && spans.length) spans[spans.length - 1].end = Number(end[1]);
+  }
+  return spans;
+}
+
+// Finds leading/trailing silence in silencedetect output; returns the span to keep.
+function parseSilence(lines, duration) {
+  const spans = parseSilenceSpans(lines);
+  let keepStart = 0;
+  let keepEnd = duration;
+  const first = spans[0];
+  if (first && first.start <= 0.05 && first.end != null) keepStart = first.end;
+  const last = spans[spans.length - 1];
+  if (last && (last.end == null || (duration && last.end >= duration - 0.05)) && last.start > keepStart) {
+    keepEnd = last.start;
+  }
+  return { keepStart, keepEnd };
+}
+
+function parseLoudnorm(lines) {
+  const text = lines.join('\n');
+  const json = text.slice(text.lastIndexOf('{'), text.lastIndexOf('}') + 1);
+  try {
+    const data = JSON.parse(json);
+    if (data.input_i == null) throw new Error('missing input_i');
+    return data;
+  } catch {
+    throw new ValidationError('Loudness measurement failed: the input may be silent or too short.');
+  }
+}
+
+/**
+ * Converts one audio file, or concatenates several (pass an array), into
+ * `outputFormat`. Editing options are applied in this order:
+ *   concat -> trim (start/end) -> trimSilence -> fadeIn/fadeOut -> normalize
+ *
+ * normalize: true | { target: -16, truePeak: -1.5, lra: 11 } uses two-pass EBU R128 loudnorm.
+ * tags: { title, artist, album, track, ... } are written on top of the source
+ * tags, which are kept unless preserveTags is false. coverArt embeds a JPEG/PNG
+ * in mp3, m4a and flac outputs; otherwise an existing cover is carried over.
+ */
 async function convertAudio(inputPath, outputFormat, options = {}) {
   const {
     bitrate,
     sampleRate,
+    channels,
+    start,
+    end,
+    fadeIn,
+    fadeOut,
+    normalize,
+    trimSilence,
+    tags,
+    coverArt,
+    preserveTags = true,
     onProgress,
+    signal,
     cleanup = true,
     outputDir = path.resolve(process.cwd(), 'server', 'converted'),
     outputBasename
   } = options;
 
-  if (!inputPath || typeof inputPath !== 'string') {
-    throw new Error('Invalid inputPath: expected a file path string');
-  }
-  const resolvedInput = path.isAbsolute(inputPath) ? inputPath : path.resolve(process.cwd(), inputPath);
-  const stat = await fsp.stat(resolvedInput).catch(() => null);
-  if (!stat || !stat.isFile()) throw new Error(`Input file not found: ${resolvedInput}`);
-
-  const inExt = path.extname(resolvedInput).replace(/^\./, '').toLowerCase();
-  if (!SUPPORTED_INPUTS.has(inExt)) {
-    throw new Error(`Unsupported input format .${inExt}. Supported: ${[...SUPPORTED_INPUTS].join(', ')}`);
-  }
+  const inputList = Array.isArray(inputPath) ? inputPath : [inputPath];
+  if (!inputList.length) throw new ValidationError('Invalid inputPath: expected at least one file');
+  const inputs = [];
+  for (const p of inputList) inputs.push(await resolveInput(p));
 
   const fmt = String(outputFormat || '').toLowerCase();
   if (!SUPPORTED_OUTPUTS.has(fmt)) {
-    throw new Error(`Unsupported output format ${outputFormat}. Supported: ${[...SUPPORTED_OUTPUTS].join(', ')}`);
+    throw new ValidationError(`Unsupported output format ${outputFormat}. Supported: ${[...SUPPORTED_OUTPUTS].join(', ')}`);
   }
 
-  if (bitrate && !SUPPORTED_BITRATES.has(String(bitrate))) {
-    throw new Error(`Unsupported bitrate ${bitrate}. Supported: ${[...SUPPORTED_BITRATES].join(', ')}`);
-  }
-  if (sampleRate && !SUPPORTED_SAMPLE_RATES.has(Number(sampleRate))) {
-    throw new Error(`Unsupported sampleRate ${sampleRate}. Supported: ${[...SUPPORTED_SAMPLE_RATES].join(', ')}`);
+  const channelCount = parseChannels(channels);
+  const encoder = validateAudioOptions(fmt, { bitrate, sampleRate, channels: channelCount });
+  const fadeInSec = parseFade(fadeIn, 'fadeIn');
+  const fadeOutSec = parseFade(fadeOut, 'fadeOut');
+  const loudness = resolveLoudness(normalize);
+  const silence = resolveSilence(trimSilence);
+  const tagValues = resolveTags(tags);
+
+  let coverPath = null;
+  if (coverArt) {
+    if (!COVER_FORMATS.has(fmt)) {
+      throw new ValidationError(`Cover art is supported for: ${[...COVER_FORMATS].join(', ')}`);
+    }
+    coverPath = path.isAbsolute(coverArt) ? coverArt : path.resolve(process.cwd(), coverArt);
+    const coverStat = await fsp.stat(coverPath).catch(() => null);
+    if (!coverStat || !coverStat.isFile()) throw new NotFoundError(`Cover art not found: ${coverPath}`);
+    const coverExt = path.extname(coverPath).replace(/^\./, '').toLowerCase();
+    if (!COVER_INPUTS.has(coverExt)) {
+      throw new ValidationError(`Unsupported cover art format .${coverExt}. Supported: ${[...COVER_INPUTS].join(', ')}`);
+    }
   }
 
+  throwIfAborted(signal);
   await fsp.mkdir(outputDir, { recursive: true });
-  const base = outputBasename || path.basename(resolvedInput, path.extname(resolvedInput));
+  const base = outputBasename || path.basename(inputs[0], path.extname(inputs[0]));
   const outputPath = path.join(outputDir, `${base}.${fmt}`);
   await fsp.unlink(outputPath).catch(() => {});
 
-  const metadata = await new Promise((resolve, reject) => {
-    ffmpeg.ffprobe(resolvedInput, (err, data) => {
-      if (err) return reject(new Error(`ffprobe failed: ${err.message}`));
-      resolve(data);
-    });
-  });
+  const metadata = [];
+  for (const p of inputs) metadata.push(await probe(p));
+  const durations = metadata.map(m => Number(m?.format?.duration) || 0);
+  const sourceDuration = durations.every(d => d > 0) ? durations.reduce((a, b) => a + b, 0) : undefined;
+
+  const trim = resolveTrim(start, end, sourceDuration);
+  let duration = effectiveDuration(sourceDuration, trim);
+  const filters = [];
+  if (trim.start || trim.length) {
+    const bounds = [`start=${trim.start || 0}`];
+    if (trim.length) bounds.push(`end=${(trim.start || 0) + trim.length}`);
+    filters.push(`atrim=${bounds.join(':')}`, 'asetpts=PTS-STARTPTS');
+  }
+  throwIfAborted(signal);
+
+  if (silence) {
+    const lines = await runAnalysis(
+      buildCommand(inputs, [...filters, `silencedetect=noise=${silence.threshold}dB:d=${silence.minDuration}`]),
+      { tag: 'audioConverter', signal }
+    );
+    const { keepStart, keepEnd } = parseSilence(lines, duration);
+    if (keepEnd != null && keepStart >= keepEnd) throw new ValidationError('Input is entirely silent; nothing left after trimming silence.');
+    if (keepStart > 0 || (keepEnd && duration && keepEnd < duration)) {
+      const bounds = [`start=${keepStart}`];
+      if (keepEnd) bounds.push(`end=${keepEnd}`);
+      filters.push(`atrim=${bounds.join(':')}`, 'asetpts=PTS-STARTPTS');
+      if (duration) duration = Math.max(0, (keepEnd || duration) - keepStart);
+    }
+  }
+
+  if (fadeInSec) filters.push(`afade=t=in:st=0:d=${fadeInSec}`);
+  if (fadeOutSec) {
+    if (!duration) throw new ValidationError('fadeOut requires an input with a known duration.');
+    filters.push(`afade=t=out:st=${Math.max(0, duration - fadeOutSec).toFixed(3)}:d=${fadeOutSec}`);
+  }
 
-  const duration = metadata?.format?.duration;
-
-  const result = await new Promise((resolve, reject) => {
-    let lastPercent = 0;
-    const cmd = ffmpeg(resolvedInput)
-      .audioCodec(getCodecForFormat(fmt))
-      .format(fmt);
-
-    if (bitrate) cmd.audioBitrate(String(bitrate));
-    if (sampleRate) cmd.audioFrequency(Number(sampleRate));
-
-    if (fmt === 'opus') cmd.outputOptions(['-vbr on', '-compression_level 10']);
-    if (fmt === 'aac' || fmt === 'm4a') cmd.outputOptions(['-movflags +faststart']);
-
-    cmd.on('start', (cl) => console.log(`[audioConverter] ffmpeg start: ${cl}`))
-      .on('progress', (progress) => {
-        let percent = progress.percent;
-        if (typeof percent !== 'number' && typeof progress.timemark === 'string' && duration) {
-          const t = timemarkToSeconds(progress.timemark);
-          percent = Math.min(100, Math.max(0, (t / duration) * 100));
-        }
-        if (typeof percent === 'number' && Number.isFinite(percent)) {
-          const p = Math.max(0, Math.min(100, Math.round(percent)));
-          if (p !== lastPercent) {
-            lastPercent = p;
-            if (typeof onProgress === 'function') {
-              try { onProgress(p); } catch {}
-            }
-          }
-        }
-      })
-      .on('error', async (err, _stdout, stderr) => {
-        console.error('[audioConverter] ffmpeg error:', err?.message);
-        if (stderr) console.error('[audioConverter] stderr:', stderr);
-        try { await fsp.unlink(outputPath); } catch {}
-        reject(new Error(`Conversion failed: ${err?.message || 'Unknown ffmpeg error'}`));
-      })
-      .on('end', async () => {
-        const outStat = await fsp.stat(outputPath).catch(() => null);
-        resolve({ outputPath, format: fmt, duration, sizeBytes: outStat?.size });
-      })
-      .save(outputPath);
+  let measured = null;
+  if (loudness) {
+    const target = `I=${loudness.target}:TP=${loudness.truePeak}:LRA=${loudness.lra}`;
+    const lines = await runAnalysis(
+      buildCommand(inputs, [...filters, `loudnorm=${target}:print_format=json`]),
+      { tag: 'audioConverter', signal }
+    );
+    measured = parseLoudnorm(lines);
+    filters.push(
+      `loudnorm=${target}:measured_I=${measured.input_i}:measured_TP=${measured.input_tp}` +
+      `:measured_LRA=${measured.input_lra}:measured_thresh=${measured.input_thresh}` +
+      `:offset=${measured.target_offset}:linear=true`
+    );
+    // loudnorm resamples to 192 kHz internally; pick an explicit output rate
+    if (!encoder.sampleRate) {
+      const sourceRate = Number((metadata[0].streams || []).find(s => s.codec_type === 'audio')?.sample_rate);
+      encoder.sampleRate = isSampleRateAllowed(fmt, sourceRate) ? sourceRate : 48000;
+    }
+  }
+  throwIfAborted(signal);
+
+  // The bitrate against the rate and channels the encoder will actually get
+  const sourceAudio = (metadata[0].streams || []).find(s => s.codec_type === 'audio');
+  const outputRate = encoder.sampleRate || Number(sourceAudio?.sample_rate) || undefined;
+  const outputChannels = channelCount || Number(sourceAudio?.channels) || undefined;
+  if (encoder.bitrate) validateAudioOptions(fmt, { bitrate: encoder.bitrate, sampleRate: outputRate, channels: outputChannels });
+
+  const cmd = buildCommand(inputs, filters)
+    .audioCodec(getCodecForFormat(fmt))
+    .format(getMuxerForFormat(fmt));
+
+  if (encoder.bitrate) cmd.audioBitrate(encoder.bitrate);
+  if (encoder.sampleRate) cmd.audioFrequency(encoder.sampleRate);
+  if (channelCount) cmd.audioChannels(channelCount);
+
+  if (fmt === 'opus') cmd.outputOptions(['-vbr on', '-compression_level 10']);
+  if (fmt === 'aac' || fmt === 'm4a') cmd.outputOptions(['-movflags +faststart']);
+
+  // Tags: ogg/opus sources keep theirs on the audio stream rather than globally
+  if (preserveTags) {
+    const first = metadata[0];
+    const hasGlobal = first?.format?.tags && Object.keys(first.format.tags).length;
+    cmd.outputOptions('-map_metadata', hasGlobal ? '0' : '0:s:a:0');
+  } else {
+    cmd.outputOptions('-map_metadata', '-1');
+  }
+  for (const [key, value] of Object.entries(tagValues)) cmd.outputOptions('-metadata', `${key}=${value}`);
+
+  if (COVER_FORMATS.has(fmt)) {
+    let picture = null;
+    if (coverPath) {
+      cmd.input(coverPath);
+      picture = `${inputs.length}:v:0`;
+    } else if (preserveTags) {
+      const attached = (metadata[0].streams || []).find(s => s.codec_type === 'video' && s.disposition?.attached_pic);
+      if (attached) picture = `0:${attached.index}`;
+    }
+    if (picture) cmd.outputOptions('-map', picture, '-c:v', 'copy', '-disposition:v:0', 'attached_pic');
+    if (fmt === 'mp3') cmd.outputOptions('-id3v2_version', '3');
+  }
+
+  await runCommand(cmd, outputPath, {
+    tag: 'audioConverter', duration, onProgress, signal,
+    settings: [fmt, encoder.bitrate, describeSettings(outputRate, outputChannels)].filter(Boolean).join(', ')
   });
+  const outStat = await fsp.stat(outputPath).catch(() => null);
+  const result = { outputPath, format: fmt, duration, sizeBytes: outStat?.size };
+  if (measured) result.loudness = { inputLufs: Number(measured.input_i), targetLufs: loudness.target };
 
   if (cleanup) {
-    try { await fsp.unlink(resolvedInput); } catch (e) { console.warn('[audioConverter] cleanup warning:', e.message); }
+    for (const p of inputs) {
+      try { await fsp.unlink(p); } catch (e) { console.warn('[audioConverter] cleanup warning:', e.message); }
+    }
   }
 
   return result;
 }
 
+/**
+ * Converts every input to its own file (convertAudio concatenates arrays)
+ * and reports each: [{ input, ok, result | error }]. Keeps going past
+ * failures unless `failFast`; `signal` stops the files not yet started.
+ */
+function convertAudioBatch(inputs, outputFormat, options = {}) {
+  return convertBatch(convertAudio, inputs, outputFormat, { concurrency: 2, ...options });
+}
+
 module.exports = {
   convertAudio,
+  convertAudioBatch,
+  validateOptions,
+  validateAudioOptions,
+  resolveInput,
+  resolveLoudness,
+  resolveSilence,
+  parseSilenceSpans,
+  parseLoudnorm,
+  getCodecForFormat,
+  getMuxerForFormat,
   SUPPORTED_INPUTS,
   SUPPORTED_OUTPUTS,
-  SUPPORTED_BITRATES,
-  SUPPORTED_SAMPLE_RATES,
+  CODEC_LIMITS,
+  CONVERSION_EDGES
 };
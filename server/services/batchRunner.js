@@ -0,0 +1,90 @@
+// server/services/batchRunner.js
+// Runs a conversion over many inputs and reports every item on its own:
+// [{ input, ok: true, result } | { input, ok: false, error, statusCode }].
+// One bad file no longer costs the results of the others.
+const path = require('path');
+const { ConverterError, CancelledError } = require('./errors');
+
+// Upper bound of `concurrency`, whoever asks: every lane is a sharp,
+// ffmpeg or LibreOffice process of its own
+const MAX_CONCURRENCY = 8;
+
+function clampConcurrency(value, fallback = 4) {
+  const n = Math.floor(Number(value));
+  return Number.isFinite(n) && n >= 1 ? Math.min(n, MAX_CONCURRENCY) : fallback;
+}
+
+function reportProgress(onProgress, p) {
+  if (typeof onProgress === 'function') { try { onProgress(Math.round(p)); } catch {} }
+}
+
+/**
+ * Calls `worker(item, index, { onProgress })` for every item, `concurrency`
+ * (at most MAX_CONCURRENCY) at a time. With `failFast`, no new item starts after the first failure;
+ * aborting `signal` does the same (running items see the signal through the
+ * worker). Items that never ran are reported with `skipped: true`. Resolves
+ * with the per-item list in input order; never rejects for item failures.
+ */
+async function runBatch(items, worker, { concurrency = 4, failFast = false, signal, onProgress } = {}) {
+  const results = new Array(items.length);
+  const progress = new Array(items.length).fill(0);
+  const update = () => reportProgress(onProgress, progress.reduce((a, b) => a + b, 0) / Math.max(1, items.length));
+  let next = 0;
+  let stopped = null;
+
+  const runOne = async (idx) => {
+    const input = items[idx];
+    try {
+      const result = await worker(input, idx, {
+        onProgress: (p) => { progress[idx] = Math.max(0, Math.min(100, Number(p) || 0)); update(); }
+      });
+      results[idx] = { input, ok: true, result };
+    } catch (err) {
+      results[idx] = { input, ok: false, error: err.message, statusCode: Number(err.statusCode) || 500 };
+      if (failFast && !stopped) stopped = `Skipped after ${path.basename(String(input))} failed.`;
+    }
+    progress[idx] = 100;
+    update();
+  };
+
+  const lane = async () => {
+    while (next < items.length) {
+      if (signal && signal.aborted) stopped = stopped || new CancelledError().message;
+      if (stopped) break;
+      await runOne(next++);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(clampConcurrency(concurrency), items.length)) }, lane));
+
+  for (let i = 0; i < items.length; i++) {
+    if (!results[i]) results[i] = { input: items[i], ok: false, skipped: true, error: stopped, statusCode: signal && signal.aborted ? 499 : 424 };
+  }
+  return results;
+}
+
+/**
+ * Converts each input separately with `convert(input, format, options)`.
+ * Options are shared. A given outputBasename, and inputs that share a base
+ * name, get a "_<n>" suffix so outputs do not overwrite each other.
+ * `failFast`, `concurrency` and `signal` control the run (see runBatch).
+ */
+function convertBatch(convert, inputs, outputFormat, options = {}) {
+  const { failFast = false, concurrency = 4, signal, onProgress, outputBasename, ...rest } = options;
+  const bases = inputs.map(p => path.basename(String(p), path.extname(String(p))));
+  const shared = new Set(bases.filter((b, i) => bases.indexOf(b) !== i));
+  return runBatch(inputs, (input, idx, { onProgress: itemProgress }) => {
+    const itemOptions = { ...rest, signal, onProgress: itemProgress };
+    if (outputBasename) itemOptions.outputBasename = inputs.length > 1 ? `${outputBasename}_${idx + 1}` : outputBasename;
+    else if (shared.has(bases[idx])) itemOptions.outputBasename = `${bases[idx]}_${idx + 1}`;
+    return convert(input, outputFormat, itemOptions);
+  }, { concurrency, failFast, signal, onProgress });
+}
+
+/** Throws the first failure of a batch (as a ConverterError with its status), else returns the results. */
+function unwrapBatch(items) {
+  const failed = items.find(item => !item.ok && !item.skipped) || items.find(item => !item.ok);
+  if (failed) throw failed.statusCode === 499 ? new CancelledError() : new ConverterError(failed.error, failed.statusCode);
+  return items.map(item => item.result);
+}
+
+module.exports = { runBatch, convertBatch, unwrapBatch, clampConcurrency, MAX_CONCURRENCY };
@@ -0,0 +1,82 @@
+// server/services/blurhash.js
+// BlurHash encoder (https://blurha.sh): a short string describing a blurred
+// version of an image, decoded client-side into a placeholder.
+const DIGITS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz#$%*+,-.:;=?@[]^_{|}~';
+
+function encode83(value, length) {
+  let out = '';
+  for (let i = 1; i <= length; i++) {
+    out += DIGITS[Math.floor(value / 83 ** (length - i)) % 83];
+  }
+  return out;
+}
+
+function sRGBToLinear(value) {
+  const v = value / 255;
+  return v <= 0.04045 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4;
+}
+
+function linearToSRGB(value) {
+  const v = Math.max(0, Math.min(1, value));
+  return Math.floor((v <= 0.0031308 ? v * 12.92 : 1.055 * v ** (1 / 2.4) - 0.055) * 255 + 0.5);
+}
+
+function signPow(value, exp) {
+  return Math.sign(value) * Math.abs(value) ** exp;
+}
+
+/**
+ * Encodes raw RGB or RGBA pixels (`channels` 3 or 4) of a width x height
+ * image with componentsX x componentsY (1-9 each) cosine components.
+ */
+function encodeBlurhash(pixels, width, height, { componentsX = 4, componentsY = 3, channels = 4 } = {}) {
+  if (componentsX < 1 || componentsX > 9 || componentsY < 1 || componentsY > 9) {
+    throw new RangeError('BlurHash components must be between 1 and 9.');
+  }
+  const linear = new Float64Array(width * height * 3);
+  for (let i = 0; i < width * height; i++) {
+    linear[i * 3] = sRGBToLinear(pixels[i * channels]);
+    linear[i * 3 + 1] = sRGBToLinear(pixels[i * channels + 1]);
+    linear[i * 3 + 2] = sRGBToLinear(pixels[i * channels + 2]);
+  }
+
+  const factors = [];
+  for (let j = 0; j < componentsY; j++) {
+    for (let i = 0; i < componentsX; i++) {
+      const norm = i === 0 && j === 0 ? 1 : 2;
+      let r = 0; let g = 0; let b = 0;
+      for (let y = 0; y < height; y++) {
+        const cy = Math.cos((Math.PI * j * y) / height);
+        for (let x = 0; x < width; x++) {
+          const basis = cy * Math.cos((Math.PI * i * x) / width);
+          const p = (y * width + x) * 3;
+          r += basis * linear[p];
+          g += basis * linear[p + 1];
+          b += basis * linear[p + 2];
+        }
+      }
+      const scale = norm / (width * height);
+      factors.push([r * scale, g * scale, b * scale]);
+    }
+  }
+
+  const [dc, ...ac] = factors;
+  let hash = encode83((componentsX - 1) + (componentsY - 1) * 9, 1);
+  let maxValue = 1;
+  if (ac.length) {
+    const actualMax = Math.max(...ac.flatMap(f => f.map(Math.abs)));
+    const quantised = Math.max(0, Math.min(82, Math.floor(actualMax * 166 - 0.5)));
+    maxValue = (quantised + 1) / 166;
+    hash += encode83(quantised, 1);
+  } else {
+    hash += encode83(0, 1);
+  }
+  hash += encode83((linearToSRGB(dc[0]) << 16) + (linearToSRGB(dc[1]) << 8) + linearToSRGB(dc[2]), 4);
+  for (const [r, g, b] of ac) {
+    const q = v => Math.max(0, Math.min(18, Math.floor(signPow(v / maxValue, 0.5) * 9 + 9.5)));
+    hash += encode83(q(r) * 19 * 19 + q(g) * 19 + q(b), 2);
+  }
+  return hash;
+}
+
+module.exports = { encodeBlurhash };
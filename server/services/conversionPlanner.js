@@ -0,0 +1,259 @@
+// server/services/conversionPlanner.js
+// Chains converters. Each converter registers the direct input -> output
+// edges it handles; a conversion without a direct edge runs along the
+// shortest chain of edges whose tools are installed, with the intermediate
+// files kept in a temp folder that is removed afterwards.
+const fsp = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { resolveInputFormat } = require('./formatDetector');
+const { ConverterError, ValidationError, throwIfAborted } = require('./errors');
+
+// Spellings of one format; edges are stored under the canonical name
+const ALIASES = { jpeg: 'jpg', tif: 'tiff', htm: 'html', tgz: 'tar.gz' };
+const MAX_STEPS = 4;
+
+function canonical(format) {
+  const f = String(format || '').trim().toLowerCase();
+  return ALIASES[f] || f;
+}
+
+// Output files of any converter result shape
+function resultFiles(result) {
+  if (!result) return [];
+  if (typeof result === 'string') return [result];
+  if (Array.isArray(result)) return result.flatMap(resultFiles);
+  if (typeof result.outputPath === 'string') return [result.outputPath];
+  if (typeof result.outputDir === 'string' && Array.isArray(result.files)) {
+    return result.files.map(f => path.join(result.outputDir, f));
+  }
+  return [];
+}
+
+class ConversionPlanner {
+  /**
+   * `probeTools()` resolves with { [tool]: { available } } for the names
+   * used in edge `requires` lists (see hostTools).
+   */
+  constructor({ probeTools = async () => ({}) } = {}) {
+    this.probeTools = probeTools;
+    this.converters = new Map();
+    // from -> [{ type, from, to, requires, fileOptions }]
+    this.edges = new Map();
+    this.inputs = new Set();
+    this.outputs = new Set();
+  }
+
+  /**
+   * Registers a converter `convert(input, format, options)` with its edges:
+   * [{ from: [ext], to: [ext], requires: [tool], fileOptions: { option: [ext] } }].
+   * `fileOptions` names options that hold a file path and the formats the
+   * converter accepts there; other formats are converted first.
+   */
+  register(type, convert, edges) {
+    this.converters.set(type, convert);
+    for (const edge of edges) {
+      for (const from of edge.from.map(canonical)) {
+        for (const to of edge.to.map(canonical)) {
+          const list = this.edges.get(from) || [];
+          if (list.some(e => e.type === type && e.to === to)) continue;
+          list.push({ type, from, to, requires: [...new Set(edge.requires || [])], fileOptions: edge.fileOptions || null });
+          this.edges.set(from, list);
+          this.inputs.add(from);
+          this.outputs.add(to);
+        }
+      }
+    }
+  }
+
+  /** Throws unless some registered converter produces `format`. */
+  validateFormat(format) {
+    if (!this.outputs.has(canonical(format))) {
+      throw new ValidationError(`Unsupported output format "${format}". Supported: ${[...this.outputs].sort().join(', ')}`);
+    }
+  }
+
+  // Converter that goes through the planner when it has no edge of its own
+  converter(type) {
+    return (input, format, options) => this.convert(input, format, options, { type });
+  }
+
+  async formatOf(file) {
+    const known = new Set([...this.inputs, ...Object.keys(ALIASES)]);
+    const { ext } = await resolveInputFormat(String(file), known);
+    return canonical(ext);
+  }
+
+  /**
+   * Fewest-step chains from `from` to every reachable format, over the edges
+   * that pass `usable`. Edges of `prefer` win ties. Resolves Map(to -> steps).
+   */
+  _search(from, usable, prefer) {
+    const ranked = list => (prefer ? [...list].sort((a, b) => (b.type === prefer) - (a.type === prefer)) : list);
+    const routes = new Map();
+    const direct = ranked(this.edges.get(from) || []).find(e => e.to === from && usable(e));
+    if (direct) routes.set(from, [direct]);
+    const seen = new Map([[from, []]]);
+    let frontier = [from];
+    for (let depth = 0; depth < MAX_STEPS && frontier.length; depth++) {
+      const next = [];
+      for (const node of frontier) {
+        for (const edge of ranked(this.edges.get(node) || [])) {
+          if (seen.has(edge.to) || !usable(edge)) continue;
+          const steps = [...seen.get(node), edge];
+          seen.set(edge.to, steps);
+          routes.set(edge.to, steps);
+          next.push(edge.to);
+        }
+      }
+      frontier = next;
+    }
+    return routes;
+  }
+
+  /**
+   * Steps from `from` to `to` using installed tools only. Throws a 503 that
+   * names the missing tools when only uninstalled tools would connect them,
+   * and a ValidationError when nothing does.
+   */
+  async plan(from, to, { prefer } = {}) {
+    const tools = await this.probeTools();
+    const installed = edge => edge.requires.every(t => tools[t] && tools[t].available);
+    const steps = this._search(from, installed, prefer).get(to);
+    if (steps) return steps;
+    const blocked = this._search(from, () => true, prefer).get(to);
+    if (blocked) {
+      const missing = [...new Set(blocked.flatMap(s => s.requires))].filter(t => !(tools[t] && tools[t].available));
+      throw new ConverterError(`Converting ${from} to ${to} needs ${missing.join(', ')}, which ${missing.length > 1 ? 'are' : 'is'} not available on this server.`, 503);
+    }
+    throw new ValidationError(`No conversion path from ${from} to ${to}.`);
+  }
+
+  /**
+   * Converts one input to `outputFormat`. With `type`, that converter's own
+   * edge is used when it has one, and batches go straight to it. Only the
+   * last step gets the caller's options; earlier steps use defaults.
+   */
+  async convert(inputPath, outputFormat, options = {}, { type } = {}) {
+    if (Array.isArray(inputPath)) {
+      if (type) return this.converters.get(type)(inputPath, outputFormat, options);
+      throw new ValidationError('Automatic conversion takes a single input.');
+    }
+    const from = await this.formatOf(inputPath);
+    const to = canonical(outputFormat);
+    const own = type && (this.edges.get(from) || []).find(e => e.type === type && e.to === to);
+    let steps;
+    if (own) {
+      steps = [own];
+    } else {
+      try {
+        steps = await this.plan(from, to, { prefer: type });
+      } catch (err) {
+        // Let the requested converter report formats nobody handles in its own words
+        if (type && err instanceof ValidationError) return this.converters.get(type)(inputPath, outputFormat, options);
+        throw err;
+      }
+    }
+
+    let work = null;
+    const workDir = async () => {
+      if (!work) work = await fsp.mkdtemp(path.join(os.tmpdir(), 'convchain-'));
+      return work;
+    };
+    try {
+      return await this._run(inputPath, steps, outputFormat, options, workDir);
+    } finally {
+      if (work) await fsp.rm(work, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  async _run(inputPath, steps, outputFormat, options, workDir) {
+    const { onProgress, signal, outputBasename } = options;
+    if (steps.length > 1) {
+      console.log(`[conversionPlanner] ${[steps[0].from, ...steps.map(s => `${s.to} (${s.type})`)].join(' -> ')}`);
+    }
+    const report = (p) => {
+      if (typeof onProgress === 'function') { try { onProgress(Math.round(p)); } catch {} }
+    };
+
+    let files = [inputPath];
+    let results = [];
+    for (let i = 0; i < steps.length; i++) {
+      throwIfAborted(signal);
+      const step = steps[i];
+      const last = i === steps.length - 1;
+      const base = last
+        ? { ...options, ...(steps.length > 1 ? { cleanup: false } : {}) }
+        : { outputDir: path.join(await workDir(), `step-${i + 1}`), cleanup: false, signal };
+      if (last) await this._prepareFileOptions(step, base, workDir);
+      results = [];
+      for (let k = 0; k < files.length; k++) {
+        const stepOptions = {
+          ...base,
+          onProgress: (p) => report(((i + (k + p / 100) / files.length) / steps.length) * 100)
+        };
+        if (last && outputBasename && files.length > 1) stepOptions.outputBasename = `${outputBasename}_${k + 1}`;
+        results.push(await this.converters.get(step.type)(files[k], last ? outputFormat : step.to, stepOptions));
+      }
+      files = resultFiles(results);
+      if (!files.length) throw new ConverterError(`The ${step.type} converter produced no ${step.to} output.`);
+    }
+    if (steps.length > 1 && options.cleanup) await fsp.unlink(inputPath).catch(() => {});
+    return results.length === 1 ? results[0] : results;
+  }
+
+  // Converts files named by the step's fileOptions (e.g. WebP cover art) to a format it accepts
+  async _prepareFileOptions(step, options, workDir) {
+    if (!step.fileOptions) return;
+    for (const [key, accepted] of Object.entries(step.fileOptions)) {
+      if (typeof options[key] !== 'string') continue;
+      const from = await this.formatOf(options[key]);
+      const targets = accepted.map(canonical);
+      if (targets.includes(from)) continue;
+      let steps = null;
+      for (const to of targets) {
+        steps = await this.plan(from, to).catch(() => null);
+        if (steps) break;
+      }
+      if (!steps) throw new ValidationError(`Cannot use a .${from} file for "${key}". Supported: ${targets.join(', ')}`);
+      const outputDir = path.join(await workDir(), key);
+      const result = await this._run(options[key], steps, steps[steps.length - 1].to, { outputDir, cleanup: false, signal: options.signal }, workDir);
+      options[key] = resultFiles(result)[0];
+    }
+  }
+
+  /**
+   * Every reachable input/output pair: { from, to, via, converters, requires,
+   * available }, preferring chains whose tools are installed. `tools` is the
+   * probe result the answer is based on.
+   */
+  async capabilities({ refresh = false } = {}) {
+    const tools = await this.probeTools({ refresh });
+    const installed = edge => edge.requires.every(t => tools[t] && tools[t].available);
+    const conversions = [];
+    for (const from of [...this.inputs].sort()) {
+      const usable = this._search(from, installed);
+      const any = this._search(from, () => true);
+      for (const to of [...any.keys()].sort()) {
+        const steps = usable.get(to) || any.get(to);
+        const requires = [...new Set(steps.flatMap(s => s.requires))];
+        conversions.push({
+          from,
+          to,
+          via: steps.slice(0, -1).map(s => s.to),
+          converters: steps.map(s => s.type),
+          requires,
+          available: usable.has(to)
+        });
+      }
+    }
+    return {
+      tools,
+      inputs: [...this.inputs].sort(),
+      outputs: [...this.outputs].sort(),
+      conversions
+    };
+  }
+}
+
+module.exports = { ConversionPlanner, canonical };
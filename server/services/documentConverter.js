@@ -6,20 +6,55 @@ const os = require('os');
 const { execFile } = require('child_process');
 const { PDFDocument } = require('pdf-lib');
 const mammoth = require('mammoth');
+const { resolveInputFormat } = require('./formatDetector');
+const sharp = require('sharp');
+const { editPdf, validatePdfOperations, parsePageRange } = require('./pdfToolkit');
+const { renderPdfPages, registerBackend } = require('./pdfRasterizer');
+const { joinTiffPages } = require('./tiffUtils');
+const imageConverter = require('./imageConverter');
+const { validateOperations: validateImageOperations } = require('./imageOperations');
+const { extractText } = require('./textExtractor');
+const { processText, validateAiOptions } = require('./aiText');
+const { writeTextDocument, TEXT_FORMATS } = require('./textDocument');
+const { markdownToHtml } = require('./markdown');
+const { buildEpub, writeMarkdownPage, validateEpubOptions, EPUB_INPUTS } = require('./epubBuilder');
+const { convertBatch } = require('./batchRunner');
+const { ValidationError, NotFoundError, CancelledError, throwIfAborted } = require('./errors');
 
 const SUPPORTED_INPUTS = new Set([
-  'pdf', 'docx', 'doc', 'txt', 'rtf', 'odt', 'html', 'htm', 'epub'
+  'pdf', 'docx', 'doc', 'txt', 'rtf', 'odt', 'html', 'htm', 'epub', 'md'
 ]);
 
 const SUPPORTED_OUTPUTS = new Set([
-  'pdf', 'docx', 'txt', 'html', 'epub'
+  'pdf', 'docx', 'txt', 'html', 'epub', 'png', 'jpg', 'jpeg', 'webp', 'tiff', 'tif'
 ]);
 
-let cachedLOPath = null;
+// PDF -> image outputs; pages are rendered to PNG, then encoded by imageConverter
+const IMAGE_OUTPUTS = new Set(['png', 'jpg', 'jpeg', 'webp', 'tiff', 'tif']);
+// Inputs LibreOffice opens for the office conversions below
+const OFFICE_INPUTS = ['docx', 'doc', 'rtf', 'odt', 'txt', 'html', 'htm', 'epub'];
+const OFFICE_OUTPUTS = ['pdf', 'docx', 'txt', 'html', 'epub'];
+
+// Direct conversions declared to the conversion planner, mirroring the
+// branches of convertDocument (DOCX -> HTML goes through mammoth, Markdown is
+// rendered in-process and EPUBs from HTML/Markdown/DOCX/text are built natively).
+const CONVERSION_EDGES = [
+  { from: ['pdf'], to: ['pdf'] },
+  { from: ['pdf'], to: [...IMAGE_OUTPUTS], requires: ['pdf-rasterizer'] },
+  { from: ['pdf'], to: OFFICE_OUTPUTS.filter(f => f !== 'pdf'), requires: ['libreoffice'] },
+  { from: ['docx'], to: ['html'] },
+  { from: ['md'], to: ['html', 'txt'] },
+  { from: [...EPUB_INPUTS], to: ['epub'] },
+  { from: ['md'], to: ['pdf', 'docx'], requires: ['libreoffice'] },
+  { from: ['docx'], to: OFFICE_OUTPUTS.filter(f => f !== 'html' && f !== 'epub'), requires: ['libreoffice'] },
+  { from: OFFICE_INPUTS.filter(f => f !== 'docx' && EPUB_INPUTS.has(f)), to: OFFICE_OUTPUTS.filter(f => f !== 'epub'), requires: ['libreoffice'] },
+  { from: OFFICE_INPUTS.filter(f => !EPUB_INPUTS.has(f)), to: OFFICE_OUTPUTS, requires: ['libreoffice'] }
+];
+
+// Options forwarded to convertImage for PDF -> image conversions
+const IMAGE_ENCODER_OPTIONS = ['quality', 'resize', 'png', 'jpeg', 'webp', 'tiff', 'background', 'operations'];
 
-function normalizeExt(p) {
-  return path.extname(p).replace(/^\./, '').toLowerCase();
-}
+let cachedLOPath = null;
 
 function ensureOutputExt(format) {
   const f = String(format || '').trim().toLowerCase();
@@ -93,27 +128,6 @@ async function locateLibreOffice() {
   return null;
 }
 
-function parsePageRange(rangeStr, totalPages) {
-  const set = new Set();
-  if (!rangeStr || !String(rangeStr).trim()) return [];
-  const chunks = String(rangeStr).split(',').map(s => s.trim()).filter(Boolean);
-  for (const chunk of chunks) {
-    const m = chunk.match(/^(\d+)\s*-\s*(\d+)$/);
-    if (m) {
-      let start = parseInt(m[1], 10);
-      let end = parseInt(m[2], 10);
-      if (start > end) [start, end] = [end, start];
-      for (let p = start; p <= end; p++) {
-        if (p >= 1 && (!totalPages || p <= totalPages)) set.add(p);
-      }
-    } else {
-      const p = parseInt(chunk, 10);
-      if (Number.isFinite(p) && p >= 1 && (!totalPages || p <= totalPages)) set.add(p);
-    }
-  }
-  return Array.from(set).sort((a, b) => a - b);
-}
-
 async function getPdfPageCount(pdfPath) {
   const data = await fsp.readFile(pdfPath);
   const doc = await PDFDocument.load(data);
@@ -156,7 +170,7 @@ async function mergePdfs(inputs, outputPdf) {
 async function splitPdf(inputPdf, ranges, outDir, base) {
   const total = await getPdfPageCount(inputPdf);
   const rangeList = Array.isArray(ranges) ? ranges : String(ranges || '').split(',').map(s => s.trim()).filter(Boolean);
-  if (!rangeList.length) throw new Error('split: no ranges provided');
+  if (!rangeList.length) throw new ValidationError('split: no ranges provided');
 
   await ensureDir(outDir);
   const outputs = [];
@@ -171,13 +185,15 @@ async function splitPdf(inputPdf, ranges, outDir, base) {
   return outputs;
 }
 
-async function runLibreOfficeConvert(loPath, inputFile, targetExt, outDir, filterOptions) {
+async function runLibreOfficeConvert(loPath, inputFile, targetExt, outDir, filterOptions, signal) {
+  throwIfAborted(signal);
   await ensureDir(outDir);
   const convertArg = filterOptions ? `${targetExt}:${filterOptions}` : targetExt;
   const args = ['--headless', '--convert-to', convertArg, '--outdir', outDir, inputFile];
 
   console.log(`[documentConverter] LO convert: ${loPath} ${args.join(' ')}`);
-  const { stderr } = await execFileAsync(loPath, args, { timeout: 120000 }).catch(err => {
+  const { stderr } = await execFileAsync(loPath, args, { timeout: 120000, signal, killSignal: 'SIGKILL' }).catch(err => {
+    if (signal && signal.aborted) throw new CancelledError();
     console.error('[documentConverter] LibreOffice conversion error:', err.stderr || err.message);
     throw new Error(`LibreOffice conversion failed: ${err.message}`);
   });
@@ -194,67 +210,176 @@ async function runLibreOfficeConvert(loPath, inputFile, targetExt, outDir, filte
   return path.join(outDir, match);
 }
 
-async function pdfToImagesViaLibreOffice(loPath, inputPdf, outDir, imageFormat = 'png', concurrency = 4) {
-  const total = await getPdfPageCount(inputPdf);
-  const tmpDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'pdfpages-'));
-
-  try {
-    const singles = [];
-    for (let p = 1; p <= total; p++) {
-      const singleOut = path.join(tmpDir, `page-${p}.pdf`);
-      await subsetPdf(inputPdf, singleOut, [p]);
-      singles.push({ page: p, file: singleOut });
+// LibreOffice has no resolution switch, so pages are scaled to the requested DPI afterwards.
+registerBackend({
+  name: 'libreoffice',
+  locate: locateLibreOffice,
+  async renderPage(loPath, { input, page, dpi, output, widthPt, signal }) {
+    const tmpDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'pdfpage-'));
+    try {
+      const single = path.join(tmpDir, `page-${page}.pdf`);
+      await subsetPdf(input, single, [page]);
+      const produced = await runLibreOfficeConvert(loPath, single, 'png', tmpDir, undefined, signal);
+      await sharp(produced).resize({ width: Math.max(1, Math.round((widthPt / 72) * dpi)) }).png().toFile(output);
+    } finally {
+      await fsp.rm(tmpDir, { recursive: true, force: true }).catch(() => {});
     }
+  }
+});
+
+/**
+ * Lays page images out on a grid. `options`: { columns, thumbWidth, gap, background, labels }.
+ */
+async function buildContactSheet(pages, outPath, options = {}) {
+  const opts = typeof options === 'object' ? options : {};
+  const columns = opts.columns || Math.ceil(Math.sqrt(pages.length));
+  const thumbWidth = opts.thumbWidth || 300;
+  const gap = opts.gap ?? 16;
+  const labelHeight = opts.labels === false ? 0 : 20;
+  const thumbs = [];
+  for (const { page, file } of pages) {
+    const { data, info } = await sharp(file).resize({ width: thumbWidth }).png().toBuffer({ resolveWithObject: true });
+    thumbs.push({ page, data, height: info.height });
+  }
+  const cellHeight = Math.max(...thumbs.map(t => t.height)) + labelHeight;
+  const rows = Math.ceil(thumbs.length / columns);
+  const width = columns * thumbWidth + (columns + 1) * gap;
+  const height = rows * cellHeight + (rows + 1) * gap;
+  const layers = [];
+  thumbs.forEach((t, i) => {
+    const left = gap + (i % columns) * (thumbWidth + gap);
+    const top = gap + Math.floor(i / columns) * (cellHeight + gap);
+    layers.push({ input: t.data, left, top });
+    if (labelHeight) {
+      const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${thumbWidth}" height="${labelHeight}">`
+        + `<text x="50%" y="15" text-anchor="middle" font-family="sans-serif" font-size="13" fill="#444">${t.page}</text></svg>`;
+      layers.push({ input: Buffer.from(svg), left, top: top + cellHeight - labelHeight });
+    }
+  });
+  await sharp({ create: { width, height, channels: 3, background: opts.background || '#ffffff' } })
+    .composite(layers)
+    .png()
+    .toFile(outPath);
+  return outPath;
+}
 
-    const results = new Array(singles.length);
-    let next = 0;
-    let active = 0;
-    await new Promise((resolve, reject) => {
-      const launch = () => {
-        while (active < concurrency && next < singles.length) {
-          const i = next++;
-          active++;
-          (async () => {
-            const { page, file } = singles[i];
-            const produced = await runLibreOfficeConvert(loPath, file, imageFormat, outDir).catch(reject);
-            if (!produced) return;
-            const target = path.join(outDir, `${path.basename(inputPdf, '.pdf')}_page-${page}.${ensureOutputExt(imageFormat)}`);
-            await fsp.rename(produced, target).catch(async () => {
-              await fsp.copyFile(produced, target);
-              await fsp.unlink(produced).catch(() => {});
-            });
-            results[i] = target;
-            active--;
-            if (next >= singles.length && active === 0) resolve();
-            else launch();
-          })().catch(reject);
-        }
-      };
-      launch();
+/**
+ * PDF -> png/jpg/webp/tiff. Pages are rendered at `dpi` (default 150) by
+ * pdfRasterizer and encoded through convertImage, so the image encoder
+ * options (quality, resize, webp, tiff, ...) apply. `multipage` packs the
+ * pages into one TIFF; `contactSheet` lays them out in a single image.
+ */
+async function rasterizePdf(inputPdf, format, options = {}) {
+  const {
+    outputDir,
+    outputBasename,
+    dpi = 150,
+    pageRange,
+    multipage = false,
+    contactSheet,
+    concurrency = 2,
+    onProgress,
+    signal
+  } = options;
+  const fmt = ensureOutputExt(format);
+  const base = outputBasename || path.basename(inputPdf, path.extname(inputPdf));
+  const imageOptions = {};
+  for (const key of IMAGE_ENCODER_OPTIONS) if (options[key] !== undefined) imageOptions[key] = options[key];
+  const report = (p) => {
+    if (typeof onProgress === 'function') { try { onProgress(Math.round(p)); } catch {} }
+  };
+
+  const work = await fsp.mkdtemp(path.join(os.tmpdir(), 'pdfraster-'));
+  try {
+    const pages = await renderPdfPages(inputPdf, {
+      outDir: work, basename: base, dpi, pageRange, concurrency, signal, onProgress: (p) => report(p * 0.9)
     });
-
-    return results;
+    throwIfAborted(signal);
+
+    let result;
+    if (contactSheet) {
+      const sheet = await buildContactSheet(pages, path.join(work, `${base}_sheet.png`), contactSheet);
+      result = await imageConverter.convertImage(sheet, fmt, { ...imageOptions, outputDir, outputBasename: `${base}_sheet`, signal });
+    } else if (multipage) {
+      const tiffDir = path.join(work, 'tiff');
+      const converted = await imageConverter.convertImage(pages.map(p => p.file), 'tiff', {
+        ...imageOptions, preserveMetadata: false, outputDir: tiffDir, signal
+      });
+      const outputPath = path.join(outputDir, `${base}.tiff`);
+      await ensureDir(outputDir);
+      const buffers = await Promise.all(converted.map(c => fsp.readFile(c.outputPath)));
+      await fsp.writeFile(outputPath, joinTiffPages(buffers));
+      const st = await fsp.stat(outputPath);
+      result = { outputPath, format: 'tiff', pages: pages.length, sizeBytes: st.size };
+    } else {
+      result = await imageConverter.convertImage(pages.map(p => p.file), fmt, { ...imageOptions, outputDir, signal });
+    }
+    report(100);
+    return result;
   } finally {
-    try {
-      const files = await fsp.readdir(tmpDir);
-      await Promise.all(files.map(f => fsp.unlink(path.join(tmpDir, f)).catch(() => {})));
-      await fsp.rmdir(tmpDir).catch(() => {});
-    } catch {}
+    await fsp.rm(work, { recursive: true, force: true }).catch(() => {});
   }
 }
 
-function validateIO(inputPath, outputFormat) {
+// Returns the detected format of each input, in order.
+async function validateIO(inputPath, outputFormat) {
   const out = String(outputFormat || '').trim().toLowerCase();
   if (!SUPPORTED_OUTPUTS.has(out)) {
-    throw new Error(`Unsupported output format "${outputFormat}". Supported: ${[...SUPPORTED_OUTPUTS].join(', ')}`);
+    throw new ValidationError(`Unsupported output format "${outputFormat}". Supported: ${[...SUPPORTED_OUTPUTS].join(', ')}`);
   }
   const inputs = isArray(inputPath) ? inputPath : [inputPath];
+  const exts = [];
   for (const p of inputs) {
-    const ext = normalizeExt(String(p));
+    const { ext } = await resolveInputFormat(String(p), SUPPORTED_INPUTS);
     if (!SUPPORTED_INPUTS.has(ext)) {
-      throw new Error(`Unsupported input format ".${ext}" for file "${p}". Supported: ${[...SUPPORTED_INPUTS].join(', ')}`);
+      throw new ValidationError(`Unsupported input format ".${ext}" for file "${p}". Supported: ${[...SUPPORTED_INPUTS].join(', ')}`);
+    }
+    exts.push(ext);
+  }
+  return exts;
+}
+
+/**
+ * Checks the input-independent options of a document conversion (used when a
+ * preset is saved); throws ValidationError on the first problem.
+ */
+function validateOptions(outputFormat, options = {}) {
+  const out = String(outputFormat || '').trim().toLowerCase();
+  if (!SUPPORTED_OUTPUTS.has(out)) {
+    throw new ValidationError(`Unsupported output format "${outputFormat}". Supported: ${[...SUPPORTED_OUTPUTS].join(', ')}`);
+  }
+  const { split, pageRange, concurrency, operations, dpi, multipage, contactSheet, ai } = options;
+  if (ai != null) {
+    validateAiOptions(ai);
+    if (!TEXT_FORMATS.has(out)) throw new ValidationError(`AI text tasks produce ${[...TEXT_FORMATS].join(', ')}, not ${out}.`);
+    return;
+  }
+  if (split != null && typeof split !== 'string' && !Array.isArray(split)) {
+    throw new ValidationError('Invalid split: expected a range string like "1-3,5" or an array of ranges.');
+  }
+  if (pageRange != null && typeof pageRange !== 'string') throw new ValidationError('Invalid pageRange: expected a string like "1-3,5".');
+  if (concurrency != null && (!Number.isInteger(concurrency) || concurrency < 1)) {
+    throw new ValidationError(`Invalid concurrency ${concurrency}: expected a positive integer.`);
+  }
+  if (IMAGE_OUTPUTS.has(out)) {
+    // PDF -> image: operations are image operations applied to every page
+    validateImageOperations(operations);
+    if (dpi != null && (typeof dpi !== 'number' || dpi < 36 || dpi > 1200)) throw new ValidationError(`Invalid dpi ${dpi}: expected 36-1200.`);
+    if (multipage && out !== 'tiff' && out !== 'tif') throw new ValidationError('multipage output requires "tiff" as the output format.');
+    if (multipage && contactSheet) throw new ValidationError('Use either multipage or contactSheet, not both.');
+    if (contactSheet != null && typeof contactSheet !== 'boolean' && (typeof contactSheet !== 'object' || Array.isArray(contactSheet))) {
+      throw new ValidationError('Invalid contactSheet: expected true or { columns, thumbWidth, gap, background, labels }.');
     }
+    for (const key of ['columns', 'thumbWidth']) {
+      const v = contactSheet && contactSheet[key];
+      if (v != null && (!Number.isInteger(v) || v < 1)) throw new ValidationError(`Invalid contactSheet.${key} ${v}: expected a positive integer.`);
+    }
+    imageConverter.validateOptions(out, options);
+    return;
   }
+  if (out === 'epub') validateEpubOptions(options);
+  if (operations != null && out !== 'pdf') throw new ValidationError('PDF operations require "pdf" as the output format.');
+  validatePdfOperations(operations);
 }
 
 function defaultOutputPath(outputDir, inputFile, outputFormat, outputBasename) {
@@ -281,6 +406,36 @@ async function compressPdfLossless(inputPdf, outPdf) {
   return outPdf;
 }
 
+// Plain text of formats textExtractor cannot read itself (RTF, DOC)
+async function libreOfficeText(inputFile, signal) {
+  const loPath = await locateLibreOffice();
+  if (!loPath) throw new Error(`LibreOffice not found. Extracting text from ${path.extname(inputFile)} requires LibreOffice.`);
+  const tmpDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'doctext-'));
+  try {
+    const produced = await runLibreOfficeConvert(loPath, inputFile, 'txt', tmpDir, 'Text (encoded):UTF8', signal);
+    return await fsp.readFile(produced, 'utf8');
+  } finally {
+    await fsp.rm(tmpDir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+/**
+ * Summary / translation / outline of a document (options.ai, see aiText),
+ * written as txt, html or docx.
+ */
+async function runAiTask(absInput, inputExt, outFmt, outPath, ai, { onProgress, signal }) {
+  console.log(`[documentConverter] AI ${ai.task} of ${path.basename(absInput)} -> ${outFmt}`);
+  const text = await extractText(absInput, inputExt, { fallback: file => libreOfficeText(file, signal) });
+  const result = await processText(text, ai, { onProgress, signal });
+  const title = `${path.basename(absInput, path.extname(absInput))} (${ai.task === 'translate' ? ai.targetLanguage : ai.task})`;
+  // Only language tags ("de", "pt-BR") can go into the html lang attribute
+  const language = ai.task === 'translate' ? ai.targetLanguage : ai.language;
+  const lang = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(language || '') ? language : undefined;
+  await writeTextDocument(result.text, outFmt, outPath, { title, lang });
+  const { model, chunks, truncated, usage } = result;
+  return { outputPath: outPath, task: ai.task, model, chunks, truncated, usage };
+}
+
 async function convertDocument(inputPath, outputFormat, options = {}) {
   const {
     outputDir = path.resolve(process.cwd(), 'server', 'converted'),
@@ -292,11 +447,16 @@ async function convertDocument(inputPath, outputFormat, options = {}) {
     compress = false,
     pdfToImages = false,
     imageFormat = 'png',
-    concurrency = 4,
+    operations,
+    ai,
+    onProgress,
+    signal,
     cleanup = false
   } = options;
 
-  validateIO(inputPath, outputFormat);
+  const inputExts = await validateIO(inputPath, outputFormat);
+  validateOptions(outputFormat, options);
+  throwIfAborted(signal);
   await ensureDir(outputDir);
 
   const inputs = isArray(inputPath) ? inputPath : [inputPath];
@@ -304,24 +464,47 @@ async function convertDocument(inputPath, outputFormat, options = {}) {
     const abs = path.isAbsolute(inFile) ? inFile : path.resolve(process.cwd(), inFile);
     const st = await fsp.stat(abs).catch(() => null);
     if (!st || !st.isFile()) {
-      throw new Error(`Input file not found: ${abs}`);
+      throw new NotFoundError(`Input file not found: ${abs}`);
     }
   }
 
   const outFmt = ensureOutputExt(outputFormat);
 
+  if (ai) {
+    if (inputs.length > 1) throw new ValidationError('AI text tasks take a single document.');
+    const absInput = path.isAbsolute(inputs[0]) ? inputs[0] : path.resolve(process.cwd(), inputs[0]);
+    const outPath = defaultOutputPath(outputDir, absInput, outFmt, outputBasename);
+    const result = await runAiTask(absInput, inputExts[0], outFmt, outPath, ai, { onProgress, signal });
+    if (cleanup) await fsp.unlink(absInput).catch(() => {});
+    return result;
+  }
+
+  // HTML, Markdown, DOCX and text become an EPUB without LibreOffice; several
+  // inputs are the chapters of one book, in order
+  if (outFmt === 'epub' && inputExts.every(ext => EPUB_INPUTS.has(ext))) {
+    const absInputs = inputs.map(f => (path.isAbsolute(f) ? f : path.resolve(process.cwd(), f)));
+    const outPath = defaultOutputPath(outputDir, absInputs[0], 'epub', outputBasename || (inputs.length > 1 ? 'book' : undefined));
+    const result = await buildEpub(absInputs.map((file, i) => ({ path: file, ext: inputExts[i] })), outPath, options);
+    if (cleanup) for (const f of absInputs) await fsp.unlink(f).catch(() => {});
+    return result;
+  }
+  if (outFmt === 'epub' && inputs.length > 1) {
+    throw new ValidationError(`A book from several files takes ${[...EPUB_INPUTS].join(', ')} files.`);
+  }
+
   if (merge) {
-    const allPdf = inputs.every(f => normalizeExt(f) === 'pdf');
-    if (!allPdf) throw new Error('merge option requires all inputs to be PDF files.');
+    const allPdf = inputExts.every(ext => ext === 'pdf');
+    if (!allPdf) throw new ValidationError('merge option requires all inputs to be PDF files.');
     const outPath = defaultOutputPath(outputDir, inputs[0], 'pdf', outputBasename || 'merged');
     console.log(`[documentConverter] Merging ${inputs.length} PDF(s) -> ${outPath}`);
     const result = await mergePdfs(inputs, outPath);
+    if (operations) await editPdf(result, operations);
     if (cleanup) for (const f of inputs) await fsp.unlink(f).catch(() => {});
     return result;
   }
 
   const input = inputs[0];
-  const inputExt = normalizeExt(input);
+  const inputExt = inputExts[0];
   const absInput = path.isAbsolute(input) ? input : path.resolve(process.cwd(), input);
 
   const loPath = await locateLibreOffice();
@@ -344,6 +527,10 @@ async function convertDocument(inputPath, outputFormat, options = {}) {
       } else {
         await fsp.copyFile(absInput, tempOut);
       }
+      if (operations) {
+        console.log(`[documentConverter] Applying ${operations.length} PDF operation(s)`);
+        await editPdf(tempOut, operations);
+      }
 
       if (compress) {
         const compressed = defaultOutputPath(outputDir, absInput, 'pdf', (outputBasename || path.basename(absInput, '.pdf')) + '_compressed');
@@ -358,10 +545,10 @@ async function convertDocument(inputPath, outputFormat, options = {}) {
       }
     }
 
-    if (pdfToImages) {
-      if (!loPath) throw new Error('LibreOffice not found. PDF to images requires LibreOffice.');
-      console.log('[documentConverter] Extracting PDF pages to images via LibreOffice');
-      const images = await pdfToImagesViaLibreOffice(loPath, absInput, outputDir, imageFormat, concurrency);
+    if (IMAGE_OUTPUTS.has(outFmt) || pdfToImages) {
+      const target = IMAGE_OUTPUTS.has(outFmt) ? outFmt : imageFormat;
+      console.log(`[documentConverter] Rendering PDF pages to ${target}`);
+      const images = await rasterizePdf(absInput, target, { ...options, outputDir });
       if (cleanup) await fsp.unlink(absInput).catch(() => {});
       return images;
     }
@@ -369,7 +556,7 @@ async function convertDocument(inputPath, outputFormat, options = {}) {
     if (!loPath) {
       throw new Error(`LibreOffice not found. Cannot convert PDF -> ${outFmt} without LibreOffice.`);
     }
-    const out = await runLibreOfficeConvert(loPath, absInput, outFmt, outputDir);
+    const out = await runLibreOfficeConvert(loPath, absInput, outFmt, outputDir, undefined, signal);
     if (cleanup) await fsp.unlink(absInput).catch(() => {});
     return out;
   }
@@ -382,34 +569,78 @@ async function convertDocument(inputPath, outputFormat, options = {}) {
     return produced;
   }
 
+  if (inputExt === 'md') {
+    const outPath = defaultOutputPath(outputDir, absInput, outFmt, outputBasename);
+    const base = path.basename(outPath, path.extname(outPath));
+    if (outFmt === 'html' || outFmt === 'txt') {
+      console.log(`[documentConverter] Markdown -> ${outFmt.toUpperCase()}`);
+      const content = outFmt === 'html'
+        ? markdownToHtml(await fsp.readFile(absInput, 'utf8'), { title: base })
+        : await extractText(absInput, 'md') + '\n';
+      await fsp.writeFile(outPath, content, 'utf8');
+      if (cleanup) await fsp.unlink(absInput).catch(() => {});
+      return outPath;
+    }
+    if (outFmt === 'pdf' || outFmt === 'docx') {
+      if (!loPath) throw new Error(`LibreOffice not found. Markdown -> ${outFmt} requires LibreOffice.`);
+      const tmpDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'markdown-'));
+      try {
+        // Images the Markdown may use are copied next to the page; LibreOffice gets nothing else
+        const htmlPath = path.join(tmpDir, `${base}.html`);
+        await writeMarkdownPage(absInput, htmlPath, { title: base });
+        const out = await runLibreOfficeConvert(loPath, htmlPath, outFmt, outputDir, undefined, signal);
+        if (operations && outFmt === 'pdf') await editPdf(out, operations);
+        if (cleanup) await fsp.unlink(absInput).catch(() => {});
+        return out;
+      } finally {
+        await fsp.rm(tmpDir, { recursive: true, force: true }).catch(() => {});
+      }
+    }
+  }
+
   if ((inputExt === 'html' || inputExt === 'htm') && outFmt === 'pdf') {
     if (!loPath) throw new Error('LibreOffice not found. HTML -> PDF requires LibreOffice.');
-    const out = await runLibreOfficeConvert(loPath, absInput, 'pdf', outputDir);
+    const out = await runLibreOfficeConvert(loPath, absInput, 'pdf', outputDir, undefined, signal);
+    if (operations) await editPdf(out, operations);
     if (cleanup) await fsp.unlink(absInput).catch(() => {});
     return out;
   }
 
-  if (['docx', 'doc', 'rtf', 'odt', 'txt', 'html', 'htm', 'epub'].includes(inputExt)) {
+  if (OFFICE_INPUTS.includes(inputExt)) {
     if (outFmt === 'html' && inputExt !== 'docx') {
       if (!loPath) throw new Error(`LibreOffice not found. ${inputExt} -> HTML requires LibreOffice.`);
-      const out = await runLibreOfficeConvert(loPath, absInput, 'html', outputDir);
+      const out = await runLibreOfficeConvert(loPath, absInput, 'html', outputDir, undefined, signal);
       if (cleanup) await fsp.unlink(absInput).catch(() => {});
       return out;
     }
 
     if (outFmt === 'pdf' || outFmt === 'docx' || outFmt === 'txt' || outFmt === 'epub') {
       if (!loPath) throw new Error(`LibreOffice not found. ${inputExt} -> ${outFmt} requires LibreOffice.`);
-      const out = await runLibreOfficeConvert(loPath, absInput, outFmt, outputDir);
+      const out = await runLibreOfficeConvert(loPath, absInput, outFmt, outputDir, undefined, signal);
+      if (operations && outFmt === 'pdf') await editPdf(out, operations);
       if (cleanup) await fsp.unlink(absInput).catch(() => {});
       return out;
     }
   }
 
-  throw new Error(`Unsupported conversion path: ${inputExt} -> ${outFmt}`);
+  throw new ValidationError(`Unsupported conversion path: ${inputExt} -> ${outFmt}`);
+}
+
+/**
+ * Converts every input to its own document (convertDocument merges arrays
+ * of PDFs) and reports each: [{ input, ok, result | error }]. Keeps going
+ * past failures unless `failFast`; `signal` stops the files not yet started.
+ */
+function convertDocumentBatch(inputs, outputFormat, options = {}) {
+  return convertBatch(convertDocument, inputs, outputFormat, { concurrency: 2, ...options });
 }
 
 module.exports = {
   convertDocument,
+  convertDocumentBatch,
+  validateOptions,
+  locateLibreOffice,
   SUPPORTED_INPUTS,
-  SUPPORTED_OUTPUTS
+  SUPPORTED_OUTPUTS,
+  CONVERSION_EDGES
 };
@@ -0,0 +1,728 @@
+// server/services/epubBuilder.js
+// EPUB 3 books from HTML, Markdown, DOCX (mammoth's HTML) and plain text,
+// without LibreOffice: markup is cleaned into XHTML, split into chapters on
+// headings, listed in a nav document, and images (files next to the source
+// or data URIs) and an optional cover are embedded. Several sources make one
+// book, in the order given.
+const fsp = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const mammoth = require('mammoth');
+const { createZip } = require('./zipUtils');
+const { renderMarkdown } = require('./markdown');
+const { decodeEntities } = require('./textExtractor');
+const { ValidationError, throwIfAborted } = require('./errors');
+
+const EPUB_INPUTS = new Set(['html', 'htm', 'md', 'docx', 'txt']);
+
+// EPUB core media types; other images sharp can read are converted to PNG
+const IMAGE_MEDIA_TYPES = { jpeg: 'image/jpeg', png: 'image/png', gif: 'image/gif', webp: 'image/webp', svg: 'image/svg+xml' };
+const IMAGE_EXTS = { jpeg: 'jpg', png: 'png', gif: 'gif', webp: 'webp', svg: 'svg' };
+
+const VOID = new Set(['br', 'hr', 'img', 'wbr', 'col', 'area', 'source', 'track', 'embed', 'input', 'link', 'meta', 'base', 'param']);
+// Elements whose content is raw text up to the closing tag
+const RAW_TEXT = new Set(['script', 'style', 'textarea', 'title']);
+// Dropped with everything inside (scripts, embeds, forms controls, head-only elements)
+const DROP = new Set([
+  'script', 'style', 'noscript', 'iframe', 'object', 'embed', 'template', 'audio', 'video', 'canvas', 'svg', 'math',
+  'button', 'select', 'textarea', 'input', 'title', 'meta', 'link', 'base', 'param', 'source', 'track', 'area', 'map'
+]);
+// HTML elements kept in chapters; any other tag is unwrapped (its content kept)
+const ALLOWED = new Set([
+  'a', 'abbr', 'address', 'article', 'aside', 'b', 'bdi', 'bdo', 'blockquote', 'br', 'caption', 'cite', 'code',
+  'col', 'colgroup', 'dd', 'del', 'details', 'dfn', 'div', 'dl', 'dt', 'em', 'figcaption', 'figure', 'footer',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'i', 'img', 'ins', 'kbd', 'li', 'main', 'mark', 'nav', 'ol',
+  'p', 'pre', 'q', 'rp', 'rt', 'ruby', 's', 'samp', 'section', 'small', 'span', 'strong', 'sub', 'summary', 'sup',
+  'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'time', 'tr', 'u', 'ul', 'var', 'wbr'
+]);
+const RENAME = { font: 'span', center: 'div', big: 'span', tt: 'code', strike: 's', acronym: 'abbr' };
+// Attributes kept besides id, class, style, title, lang, dir, role, aria-* and data-*
+const ELEMENT_ATTRS = {
+  a: ['href', 'hreflang', 'type'],
+  img: ['src', 'alt', 'width', 'height'],
+  td: ['colspan', 'rowspan', 'headers'],
+  th: ['colspan', 'rowspan', 'headers', 'scope', 'abbr'],
+  ol: ['start', 'reversed', 'type'],
+  li: ['value'],
+  col: ['span'],
+  colgroup: ['span'],
+  blockquote: ['cite'],
+  q: ['cite'],
+  del: ['cite', 'datetime'],
+  ins: ['cite', 'datetime'],
+  time: ['datetime'],
+  details: ['open']
+};
+const GLOBAL_ATTRS = new Set(['id', 'class', 'style', 'title', 'lang', 'dir', 'role']);
+const HEADING_RE = /^h[1-6]$/;
+// Open elements that an opening tag closes implicitly, and where the search stops
+const CLOSES_P = new Set([
+  'address', 'article', 'aside', 'blockquote', 'details', 'div', 'dl', 'figure', 'figcaption', 'footer',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'ul'
+]);
+const IMPLIED_END = {
+  li: [['li'], ['ul', 'ol']],
+  dt: [['dt', 'dd'], ['dl']],
+  dd: [['dt', 'dd'], ['dl']],
+  tr: [['tr', 'td', 'th'], ['table', 'thead', 'tbody', 'tfoot']],
+  td: [['td', 'th'], ['tr', 'table']],
+  th: [['td', 'th'], ['tr', 'table']],
+  thead: [['thead', 'tbody', 'tfoot', 'tr'], ['table']],
+  tbody: [['thead', 'tbody', 'tfoot', 'tr'], ['table']],
+  tfoot: [['thead', 'tbody', 'tfoot', 'tr'], ['table']],
+  a: [['a'], []]
+};
+
+const BOOK_CSS = `body { margin: 0 5%; line-height: 1.5; font-family: serif; }
+h1, h2, h3, h4, h5, h6 { line-height: 1.2; page-break-after: avoid; }
+h1 { page-break-before: always; }
+img { max-width: 100%; height: auto; }
+pre { white-space: pre-wrap; font-size: 0.9em; }
+table { border-collapse: collapse; }
+td, th { border: 1px solid #999; padding: 0.2em 0.4em; }
+blockquote { margin: 1em 2em; font-style: italic; }
+body.cover { margin: 0; padding: 0; text-align: center; }
+body.cover img { max-height: 100vh; }
+`;
+
+const LANGUAGE_RE = /^[a-z]{2,3}(?:-[a-z0-9]{1,8})*$/i;
+
+function escapeXml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Checks the EPUB options (used when a preset is saved): metadata { title,
+ * author, language, publisher, description, date, identifier }, cover,
+ * chapterLevel (0-6, 0 keeps each source as one chapter) and tocDepth (1-6).
+ */
+function validateEpubOptions({ metadata, cover, chapterLevel, tocDepth } = {}) {
+  if (metadata != null) {
+    if (typeof metadata !== 'object' || Array.isArray(metadata)) throw new ValidationError('Invalid metadata: expected an object such as { "title": "...", "author": "..." }.');
+    for (const key of ['title', 'language', 'publisher', 'description', 'date', 'identifier']) {
+      if (metadata[key] != null && (typeof metadata[key] !== 'string' || !metadata[key].trim())) throw new ValidationError(`Invalid metadata.${key}: expected a non-empty string.`);
+    }
+    const { author } = metadata;
+    if (author != null && !(typeof author === 'string' || (Array.isArray(author) && author.every(a => typeof a === 'string')))) {
+      throw new ValidationError('Invalid metadata.author: expected a name or an array of names.');
+    }
+    if (metadata.language != null && !LANGUAGE_RE.test(metadata.language)) throw new ValidationError(`Invalid metadata.language "${metadata.language}": expected a language tag such as "en" or "pt-BR".`);
+  }
+  if (cover != null && typeof cover !== 'string') throw new ValidationError('Invalid cover: expected an image file.');
+  if (chapterLevel != null && (!Number.isInteger(chapterLevel) || chapterLevel < 0 || chapterLevel > 6)) {
+    throw new ValidationError(`Invalid chapterLevel ${chapterLevel}: expected 1-6, or 0 for one chapter per file.`);
+  }
+  if (tocDepth != null && (!Number.isInteger(tocDepth) || tocDepth < 1 || tocDepth > 6)) throw new ValidationError(`Invalid tocDepth ${tocDepth}: expected 1-6.`);
+}
+
+// ---- HTML to XHTML ------------------------------------------------------------
+
+function parseAttributes(src) {
+  const attrs = [];
+  for (const m of String(src).matchAll(/([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g)) {
+    attrs.push([m[1].toLowerCase(), decodeEntities(m[2] ?? m[3] ?? m[4] ?? '')]);
+  }
+  return attrs;
+}
+
+// Tolerant HTML tokenizer: open/close tags, text and the raw text of RAW_TEXT elements
+function tokenize(html) {
+  const tokens = [];
+  const lower = html.toLowerCase();
+  const re = /<!--[\s\S]*?(?:-->|$)|<![^>]*>|<\?[^>]*>|<(\/?)([a-z][a-z0-9:-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*(\/?)>/gi;
+  let last = 0;
+  let m;
+  while ((m = re.exec(html))) {
+    if (m.index > last) tokens.push({ type: 'text', text: html.slice(last, m.index) });
+    last = re.lastIndex;
+    if (!m[2]) continue;
+    const tag = m[2].toLowerCase();
+    if (m[1]) { tokens.push({ type: 'close', tag }); continue; }
+    tokens.push({ type: 'open', tag, attrs: parseAttributes(m[3]), selfClosing: Boolean(m[4]) });
+    if (RAW_TEXT.has(tag) && !m[4]) {
+      const end = lower.indexOf(`</${tag}`, last);
+      const stop = end < 0 ? html.length : end;
+      tokens.push({ type: 'raw', text: html.slice(last, stop) });
+      tokens.push({ type: 'close', tag });
+      const close = end < 0 ? -1 : html.indexOf('>', end);
+      last = re.lastIndex = close < 0 ? html.length : close + 1;
+    }
+  }
+  if (last < html.length) tokens.push({ type: 'text', text: html.slice(last) });
+  return tokens;
+}
+
+function cleanAttributes(tag, attrs) {
+  const allowed = ELEMENT_ATTRS[tag] || [];
+  const out = new Map();
+  for (const [name, value] of attrs) {
+    if (name === 'align' && /^(left|right|center|justify)$/i.test(value)) {
+      out.set('style', `text-align: ${value.toLowerCase()}; ${out.get('style') || ''}`.trim());
+    } else if (GLOBAL_ATTRS.has(name) || allowed.includes(name) || /^(aria|data)-[a-z0-9_.-]+$/.test(name)) {
+      if (!out.has(name) && !(name === 'id' && !value.trim())) out.set(name, name === 'id' ? value.trim().replace(/\s+/g, '-') : value);
+    }
+  }
+  if (tag === 'img' && !out.has('alt')) out.set('alt', '');
+  return [...out];
+}
+
+/**
+ * Parses an HTML document or fragment into balanced tokens of allowed
+ * elements. Returns { tokens, title, lang, author, css }; head content is
+ * only read for the title, language, author and styles.
+ */
+function normalizeHtml(html) {
+  const info = { title: null, lang: null, author: null, css: [] };
+  const tokens = [];
+  const stack = [];
+  const closeTo = (index) => { while (stack.length > index) tokens.push({ type: 'close', tag: stack.pop() }); };
+  const source = tokenize(html);
+  let inHead = false;
+  for (let i = 0; i < source.length; i++) {
+    const t = source[i];
+    if (t.type === 'raw') continue;
+    if (t.type === 'open' || t.type === 'close') {
+      const raw = t.tag;
+      if (raw === 'html' && t.type === 'open') info.lang = (t.attrs.find(([n]) => n === 'lang' || n === 'xml:lang') || [])[1] || null;
+      if (raw === 'head') { inHead = t.type === 'open'; continue; }
+      if (raw === 'body') { inHead = false; continue; }
+      if (raw === 'title' && t.type === 'open' && source[i + 1] && source[i + 1].type === 'raw') info.title = decodeEntities(source[i + 1].text).replace(/\s+/g, ' ').trim() || null;
+      if (raw === 'style' && t.type === 'open' && source[i + 1] && source[i + 1].type === 'raw') info.css.push(source[i + 1].text);
+      if (raw === 'meta' && t.type === 'open') {
+        const attrs = new Map(t.attrs);
+        if (String(attrs.get('name')).toLowerCase() === 'author' && attrs.get('content')) info.author = attrs.get('content');
+      }
+    }
+    if (inHead) continue;
+
+    if (t.type === 'text') {
+      tokens.push({ type: 'text', text: decodeEntities(t.text) });
+      continue;
+    }
+    const tag = RENAME[t.tag] || t.tag;
+    if (t.type === 'open' && DROP.has(tag)) {
+      // Skip to the matching close tag
+      if (!VOID.has(tag) && !t.selfClosing) {
+        for (let depth = 1; depth > 0 && i + 1 < source.length; i++) {
+          const n = source[i + 1];
+          if (n.tag === t.tag && n.type === 'open' && !n.selfClosing) depth++;
+          if (n.tag === t.tag && n.type === 'close') depth--;
+        }
+      }
+      continue;
+    }
+    if (!ALLOWED.has(tag)) continue;
+    if (t.type === 'close') {
+      if (tag === 'br') { tokens.push({ type: 'open', tag: 'br', attrs: [], void: true }); continue; }
+      const at = stack.lastIndexOf(tag);
+      if (at >= 0) closeTo(at);
+      continue;
+    }
+    if (CLOSES_P.has(tag)) {
+      for (let k = stack.length - 1; k >= 0; k--) {
+        if (stack[k] === 'p') { closeTo(k); break; }
+        if (CLOSES_P.has(stack[k]) || ['li', 'td', 'th', 'dd', 'dt'].includes(stack[k])) break;
+      }
+    }
+    if (IMPLIED_END[tag]) {
+      const [ends, scope] = IMPLIED_END[tag];
+      // Close the outermost ending element inside the scope (a new <tr> ends the open <td> and <tr>)
+      let at = -1;
+      for (let k = stack.length - 1; k >= 0 && !scope.includes(stack[k]); k--) if (ends.includes(stack[k])) at = k;
+      if (at >= 0) closeTo(at);
+    }
+    const attrs = cleanAttributes(tag, t.attrs);
+    if (VOID.has(tag)) {
+      tokens.push({ type: 'open', tag, attrs, void: true });
+    } else {
+      tokens.push({ type: 'open', tag, attrs });
+      if (t.selfClosing) tokens.push({ type: 'close', tag });
+      else stack.push(tag);
+    }
+  }
+  closeTo(0);
+  return { tokens, ...info };
+}
+
+function serialize(tokens) {
+  return tokens.map(t => {
+    if (t.type === 'text') return escapeXml(t.text);
+    if (t.type === 'close') return `</${t.tag}>`;
+    const attrs = t.attrs.map(([n, v]) => ` ${n}="${escapeXml(v)}"`).join('');
+    return t.void ? `<${t.tag}${attrs} />` : `<${t.tag}${attrs}>`;
+  }).join('');
+}
+
+function textOf(tokens) {
+  return tokens.filter(t => t.type === 'text').map(t => t.text).join('').replace(/\s+/g, ' ').trim();
+}
+
+// Text of the first heading, if any
+function firstHeadingText(tokens) {
+  const start = tokens.findIndex(t => t.type === 'open' && HEADING_RE.test(t.tag));
+  if (start < 0) return null;
+  const end = tokens.findIndex((t, k) => k > start && t.type === 'close' && t.tag === tokens[start].tag);
+  return textOf(tokens.slice(start, end < 0 ? undefined : end)) || null;
+}
+
+function getAttr(token, name) {
+  const found = token.attrs.find(([n]) => n === name);
+  return found ? found[1] : undefined;
+}
+
+function setAttr(token, name, value) {
+  token.attrs = [...token.attrs.filter(([n]) => n !== name), ...(value == null ? [] : [[name, value]])];
+}
+
+// ---- sources --------------------------------------------------------------------
+
+function textToHtml(text) {
+  return String(text).replace(/\r\n?/g, '\n').split(/\n\s*\n/).map(p => p.trim()).filter(Boolean)
+    .map(p => `<p>${escapeXml(p).replace(/\n/g, '<br />')}</p>`).join('\n');
+}
+
+// Reads one source as HTML with what it says about itself
+async function loadSource(file, ext) {
+  if (ext === 'md') {
+    const { html, meta, title } = renderMarkdown(await fsp.readFile(file, 'utf8'));
+    const parsed = normalizeHtml(html);
+    return { ...parsed, title: title || parsed.title, author: meta.author || null, lang: meta.lang || meta.language || null };
+  }
+  if (ext === 'docx') {
+    const { value, messages } = await mammoth.convertToHtml({ path: file }).catch(err => {
+      throw new ValidationError(`Could not read the DOCX file: ${err.message}`);
+    });
+    if (messages && messages.length) console.log('[epubBuilder] mammoth messages:', messages.map(m => m.message).join(' | '));
+    return normalizeHtml(value);
+  }
+  if (ext === 'txt') return normalizeHtml(textToHtml(await fsp.readFile(file, 'utf8')));
+  return normalizeHtml(await fsp.readFile(file, 'utf8'));
+}
+
+// The shallowest heading level used more than once (a lone h1 is usually the title)
+function autoChapterLevel(tokens) {
+  const counts = [0, 0, 0, 0, 0, 0, 0];
+  for (const t of tokens) if (t.type === 'open' && HEADING_RE.test(t.tag)) counts[Number(t.tag[1])]++;
+  const repeated = counts.findIndex((n, level) => level > 0 && n > 1);
+  if (repeated > 0) return repeated;
+  const any = counts.findIndex((n, level) => level > 0 && n > 0);
+  return any > 0 ? any : 0;
+}
+
+// Splits balanced tokens before each heading of `level` or above, closing and
+// reopening the elements that are open at the split
+function splitChapters(tokens, level) {
+  const chapters = [{ tokens: [], hasContent: false }];
+  const stack = [];
+  for (const t of tokens) {
+    let current = chapters[chapters.length - 1];
+    if (level && t.type === 'open' && HEADING_RE.test(t.tag) && Number(t.tag[1]) <= level && current.hasContent) {
+      for (let k = stack.length - 1; k >= 0; k--) current.tokens.push({ type: 'close', tag: stack[k].tag });
+      current = { tokens: stack.map(o => ({ ...o, attrs: o.attrs.filter(([n]) => n !== 'id') })), hasContent: false };
+      chapters.push(current);
+    }
+    current.tokens.push(t);
+    if (t.type === 'open' && !t.void) stack.push(t);
+    else if (t.type === 'close') stack.pop();
+    if ((t.type === 'text' && t.text.trim()) || (t.type === 'open' && (t.void && t.tag !== 'br'))) current.hasContent = true;
+  }
+  return chapters.filter(c => c.hasContent || c.tokens.some(t => t.type === 'open' && HEADING_RE.test(t.tag)));
+}
+
+// ---- images -----------------------------------------------------------------------
+
+/**
+ * Embeds images for the book; each distinct image is stored once. `add`
+ * resolves with the href of the stored image (relative to OEBPS) or null
+ * when it cannot be used.
+ */
+function createImageStore() {
+  const items = [];
+  const byHash = new Map();
+
+  async function store(buffer, name) {
+    let data = buffer;
+    const head = data.subarray(0, 512).toString('utf8').trimStart();
+    let format;
+    if (/^(<\?xml[\s\S]*)?<svg[\s>]/i.test(head) || (head.startsWith('<?xml') && data.includes('<svg'))) {
+      format = 'svg';
+    } else {
+      const meta = await sharp(data).metadata().catch(() => null);
+      if (!meta) return null;
+      format = meta.format;
+      if (!IMAGE_MEDIA_TYPES[format]) {
+        data = await sharp(data).png().toBuffer().catch(() => null);
+        if (!data) return null;
+        format = 'png';
+      }
+    }
+    const hash = crypto.createHash('sha1').update(data).digest('hex');
+    if (byHash.has(hash)) return byHash.get(hash).href;
+    const id = name || `img-${String(items.length + 1).padStart(3, '0')}`;
+    const item = { id, href: `images/${id}.${IMAGE_EXTS[format]}`, mediaType: IMAGE_MEDIA_TYPES[format], data };
+    items.push(item);
+    byHash.set(hash, item);
+    return item.href;
+  }
+
+  async function add(src, baseDir) {
+    const value = String(src || '').trim();
+    const dataUri = /^data:([^;,]*)(;base64)?,([\s\S]*)$/i.exec(value);
+    if (dataUri) {
+      const bytes = dataUri[2] ? Buffer.from(dataUri[3], 'base64') : Buffer.from(decodeURIComponent(dataUri[3]), 'utf8');
+      return store(bytes);
+    }
+    if (!value || /^[a-z][a-z0-9+.-]*:/i.test(value) || value.startsWith('//')) return null;
+    // Files next to the source only: no absolute paths, no way out of its folder
+    let rel;
+    try { rel = decodeURIComponent(value.replace(/[?#].*$/, '')); } catch { return null; }
+    const abs = path.resolve(baseDir, rel);
+    const inside = path.relative(baseDir, abs);
+    if (!inside || inside.startsWith('..') || path.isAbsolute(inside) || path.isAbsolute(rel)) return null;
+    const buffer = await fsp.readFile(abs).catch(() => null);
+    return buffer ? store(buffer) : null;
+  }
+
+  return { items, add, store };
+}
+
+// Images of a page LibreOffice renders: the same rule as book images, and no
+// inline styles, whose url() values LibreOffice would fetch too
+async function localizeImages(tokens, images, baseDir) {
+  const out = [];
+  for (const t of tokens) {
+    if (t.type === 'open' && /url\s*\(/i.test(getAttr(t, 'style') || '')) setAttr(t, 'style', null);
+    if (t.type === 'open' && t.tag === 'img') {
+      const href = await images.add(getAttr(t, 'src'), baseDir);
+      if (!href) {
+        const alt = getAttr(t, 'alt');
+        if (alt) out.push({ type: 'text', text: `[${alt}]` });
+        continue;
+      }
+      setAttr(t, 'src', href);
+    }
+    out.push(t);
+  }
+  return out;
+}
+
+/**
+ * Writes a Markdown file as a standalone HTML page at `pagePath` for
+ * LibreOffice to convert (Markdown to PDF or DOCX). Raw HTML is cleaned up like book
+ * chapters, and images follow the book rule: data: URIs and files inside the
+ * Markdown's folder only, copied next to the page; remote, file: and other
+ * images are left out, so rendering never reads or fetches anything else.
+ * `title` and `lang` apply when the Markdown names none.
+ */
+async function writeMarkdownPage(file, pagePath, { title, lang } = {}) {
+  const dir = path.dirname(pagePath);
+  const src = await loadSource(file, 'md');
+  const images = createImageStore();
+  const tokens = await localizeImages(src.tokens, images, path.dirname(path.resolve(file)));
+  for (const item of images.items) {
+    await fsp.mkdir(path.join(dir, path.dirname(item.href)), { recursive: true });
+    await fsp.writeFile(path.join(dir, item.href), item.data);
+  }
+  const language = src.lang || lang;
+  const page = [
+    '<!DOCTYPE html>',
+    `<html${language ? ` lang="${escapeXml(language)}"` : ''}>`,
+    '<head>',
+    '<meta charset="utf-8" />',
+    `<title>${escapeXml(src.title || title || 'Document')}</title>`,
+    ...(src.author ? [`<meta name="author" content="${escapeXml(src.author)}" />`] : []),
+    '</head>',
+    `<body>${serialize(tokens)}</body>`,
+    '</html>',
+    ''
+  ].join('\n');
+  await fsp.writeFile(pagePath, page, 'utf8');
+}
+
+// ---- package documents --------------------------------------------------------------
+
+function xhtmlPage({ title, lang, body, bodyClass }) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="${escapeXml(lang)}" xml:lang="${escapeXml(lang)}">
+<head>
+<title>${escapeXml(title)}</title>
+<link rel="stylesheet" type="text/css" href="../styles/book.css" />
+</head>
+<body${bodyClass ? ` class="${bodyClass}"` : ''}>
+${body}
+</body>
+</html>
+`;
+}
+
+// Nested <ol> of [{ level, label, href }]; deeper levels nest under the previous entry
+function navList(entries) {
+  let html = '';
+  const stack = [];
+  for (const e of entries) {
+    if (!stack.length || e.level > stack[stack.length - 1]) {
+      html += '\n<ol>';
+      stack.push(e.level);
+    } else {
+      html += '</li>';
+      while (stack.length > 1 && e.level <= stack[stack.length - 2]) {
+        stack.pop();
+        html += '</ol></li>';
+      }
+    }
+    html += `\n<li><a href="${escapeXml(e.href)}">${escapeXml(e.label)}</a>`;
+  }
+  while (stack.length) {
+    stack.pop();
+    html += '</li></ol>';
+  }
+  return html;
+}
+
+function navDocument({ title, lang, toc, landmarks }) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="${escapeXml(lang)}" xml:lang="${escapeXml(lang)}">
+<head>
+<title>${escapeXml(title)}</title>
+</head>
+<body>
+<nav epub:type="toc" id="toc">
+<h1>${escapeXml(title)}</h1>${navList(toc)}
+</nav>
+<nav epub:type="landmarks" hidden="hidden">
+<ol>
+${landmarks.map(l => `<li><a epub:type="${l.type}" href="${escapeXml(l.href)}">${escapeXml(l.label)}</a></li>`).join('\n')}
+</ol>
+</nav>
+</body>
+</html>
+`;
+}
+
+function packageDocument({ meta, items, spine, coverImageId }) {
+  const dc = [
+    `<dc:identifier id="book-id">${escapeXml(meta.identifier)}</dc:identifier>`,
+    `<dc:title>${escapeXml(meta.title)}</dc:title>`,
+    `<dc:language>${escapeXml(meta.language)}</dc:language>`,
+    ...meta.authors.map((a, i) => `<dc:creator id="creator-${i + 1}">${escapeXml(a)}</dc:creator>`),
+    ...(meta.publisher ? [`<dc:publisher>${escapeXml(meta.publisher)}</dc:publisher>`] : []),
+    ...(meta.description ? [`<dc:description>${escapeXml(meta.description)}</dc:description>`] : []),
+    ...(meta.date ? [`<dc:date>${escapeXml(meta.date)}</dc:date>`] : []),
+    `<meta property="dcterms:modified">${new Date().toISOString().replace(/\.\d{3}Z$/, 'Z')}</meta>`,
+    // EPUB 2 readers find the cover through this
+    ...(coverImageId ? [`<meta name="cover" content="${coverImageId}" />`] : [])
+  ];
+  const manifest = items.map(i => `<item id="${i.id}" href="${escapeXml(i.href)}" media-type="${i.mediaType}"${i.properties ? ` properties="${i.properties}"` : ''} />`);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${escapeXml(meta.language)}">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+${dc.join('\n')}
+</metadata>
+<manifest>
+${manifest.join('\n')}
+</manifest>
+<spine>
+${spine.map(id => `<itemref idref="${id}" />`).join('\n')}
+</spine>
+</package>
+`;
+}
+
+// ---- book -----------------------------------------------------------------------------
+
+/**
+ * Builds an EPUB 3 book from `sources` ([{ path, ext }] with ext html, htm,
+ * md, docx or txt), in order, and writes it to `outPath`. Options:
+ *   metadata      { title, author, language, publisher, description, date, identifier };
+ *                 missing values come from the first source (<title>, front matter, first h1)
+ *   cover         image file for the cover (any format sharp reads)
+ *   chapterLevel  heading level that starts a chapter (default: picked per
+ *                 source; 0 keeps each source as one chapter)
+ *   tocDepth      heading levels listed in the table of contents (default 2)
+ * Resolves with { outputPath, title, chapters, images }.
+ */
+async function buildEpub(sources, outPath, options = {}) {
+  const { metadata = {}, cover, chapterLevel, tocDepth = 2, onProgress, signal } = options;
+  validateEpubOptions(options);
+  if (!sources.length) throw new ValidationError('An EPUB needs at least one source document.');
+  for (const s of sources) {
+    if (!EPUB_INPUTS.has(s.ext)) throw new ValidationError(`Cannot add .${s.ext} files to an EPUB. Supported: ${[...EPUB_INPUTS].join(', ')}`);
+  }
+  const report = (p) => { if (typeof onProgress === 'function') { try { onProgress(Math.round(p)); } catch {} } };
+
+  // 1. Parse every source and give its ids book-wide unique names
+  const loaded = [];
+  const usedIds = new Set();
+  for (const [index, s] of sources.entries()) {
+    throwIfAborted(signal);
+    const src = await loadSource(s.path, s.ext);
+    const renamed = new Map();
+    let headingCount = 0;
+    for (const t of src.tokens) {
+      if (t.type !== 'open') continue;
+      let id = getAttr(t, 'id');
+      if (!id && HEADING_RE.test(t.tag)) id = `s${index + 1}-h${++headingCount}`;
+      if (!id) continue;
+      let unique = id;
+      for (let n = 2; usedIds.has(unique); n++) unique = `${id}-${n}`;
+      usedIds.add(unique);
+      if (!renamed.has(id)) renamed.set(id, unique);
+      setAttr(t, 'id', unique);
+    }
+    const name = path.basename(s.path);
+    const title = src.title || firstHeadingText(src.tokens) || path.basename(name, path.extname(name));
+    loaded.push({ ...src, title, file: s.path, name, baseDir: path.dirname(path.resolve(s.path)), renamed });
+    report(((index + 1) / sources.length) * 40);
+  }
+
+  const first = loaded[0];
+  const sourceAuthor = loaded.map(s => s.author).find(Boolean);
+  const language = metadata.language || loaded.map(s => s.lang).find(l => l && LANGUAGE_RE.test(l)) || 'en';
+  const meta = {
+    title: metadata.title || first.title,
+    authors: metadata.author != null ? [].concat(metadata.author) : sourceAuthor ? [sourceAuthor] : [],
+    language,
+    publisher: metadata.publisher,
+    description: metadata.description,
+    date: metadata.date,
+    identifier: metadata.identifier || `urn:uuid:${crypto.randomUUID()}`
+  };
+
+  // 2. Chapters, and which chapter file each id ended up in
+  const chapters = [];
+  const idFile = new Map();
+  for (const src of loaded) {
+    const level = chapterLevel ?? autoChapterLevel(src.tokens);
+    src.chapterLevel = level || 1;
+    src.firstChapter = chapters.length;
+    for (const part of splitChapters(src.tokens, level)) {
+      const file = `chapter-${String(chapters.length + 1).padStart(3, '0')}.xhtml`;
+      for (const t of part.tokens) if (t.type === 'open' && getAttr(t, 'id')) idFile.set(getAttr(t, 'id'), file);
+      chapters.push({ file, tokens: part.tokens, source: src });
+    }
+    if (src.firstChapter === chapters.length) {
+      console.warn(`[epubBuilder] ${src.name} has no content, skipped`);
+    }
+  }
+  if (!chapters.length) throw new ValidationError('The source documents have no content to put in an EPUB.');
+  const sourceByName = new Map(loaded.filter(s => s.firstChapter < chapters.length).map(s => [s.name.toLowerCase(), s]));
+
+  // 3. Images and links
+  const images = createImageStore();
+  let dropped = 0;
+  for (const [n, chapter] of chapters.entries()) {
+    throwIfAborted(signal);
+    const { source } = chapter;
+    const out = [];
+    for (const t of chapter.tokens) {
+      if (t.type === 'open' && t.tag === 'img') {
+        const href = await images.add(getAttr(t, 'src'), source.baseDir);
+        if (!href) {
+          dropped++;
+          const alt = getAttr(t, 'alt');
+          if (alt) out.push({ type: 'text', text: `[${alt}]` });
+          continue;
+        }
+        setAttr(t, 'src', `../${href}`);
+      } else if (t.type === 'open' && t.tag === 'a' && getAttr(t, 'href') != null) {
+        setAttr(t, 'href', resolveLink(getAttr(t, 'href'), source, { idFile, sourceByName, chapters }));
+      }
+      out.push(t);
+    }
+    chapter.tokens = out;
+    report(40 + ((n + 1) / chapters.length) * 40);
+  }
+  if (dropped) console.warn(`[epubBuilder] ${dropped} image(s) could not be embedded (remote, missing or unreadable) and were left out`);
+
+  // 4. Table of contents: each source's chapter headings at the top level,
+  // with tocDepth levels in all
+  const entries = [];
+  for (const chapter of chapters) {
+    const headings = [];
+    chapter.tokens.forEach((t, k) => {
+      if (t.type !== 'open' || !HEADING_RE.test(t.tag)) return;
+      const end = chapter.tokens.findIndex((c, j) => j > k && c.type === 'close' && c.tag === t.tag);
+      const label = textOf(chapter.tokens.slice(k, end < 0 ? undefined : end));
+      const id = getAttr(t, 'id');
+      const level = Math.max(1, Number(t.tag[1]) - chapter.source.chapterLevel + 1);
+      if (label && id) headings.push({ level, label, href: `text/${chapter.file}#${id}` });
+    });
+    chapter.title = headings.length ? headings[0].label : chapter.source.title;
+    // Text before the first heading (or no heading at all) gets an entry of its own
+    const firstHeading = chapter.tokens.findIndex(t => t.type === 'open' && HEADING_RE.test(t.tag));
+    if (firstHeading < 0 || textOf(chapter.tokens.slice(0, firstHeading))) {
+      headings.unshift({ level: 1, label: chapter.title, href: `text/${chapter.file}` });
+    }
+    entries.push(...headings);
+  }
+  const toc = entries.filter(e => e.level <= tocDepth);
+
+  // 5. Package
+  const items = [
+    { id: 'nav', href: 'nav.xhtml', mediaType: 'application/xhtml+xml', properties: 'nav' },
+    { id: 'css', href: 'styles/book.css', mediaType: 'text/css' }
+  ];
+  const files = [];
+  const spine = [];
+  const landmarks = [{ type: 'toc', href: 'nav.xhtml#toc', label: 'Contents' }];
+  let coverImageId = null;
+  if (cover) {
+    const buffer = await fsp.readFile(cover).catch(() => null);
+    const href = buffer && await images.store(buffer, 'cover');
+    if (!href) throw new ValidationError('The cover is not an image that can be read.');
+    const item = images.items.find(i => i.href === href);
+    item.properties = 'cover-image';
+    coverImageId = item.id;
+    files.push({ name: 'OEBPS/text/cover.xhtml', data: xhtmlPage({ title: meta.title, lang: language, bodyClass: 'cover', body: `<div><img src="../${href}" alt="${escapeXml(meta.title)}" /></div>` }) });
+    items.push({ id: 'cover-page', href: 'text/cover.xhtml', mediaType: 'application/xhtml+xml' });
+    spine.push('cover-page');
+    landmarks.unshift({ type: 'cover', href: 'text/cover.xhtml', label: 'Cover' });
+  }
+  for (const [n, chapter] of chapters.entries()) {
+    const id = `chapter-${String(n + 1).padStart(3, '0')}`;
+    files.push({ name: `OEBPS/text/${chapter.file}`, data: xhtmlPage({ title: chapter.title, lang: chapter.source.lang && LANGUAGE_RE.test(chapter.source.lang) ? chapter.source.lang : language, body: serialize(chapter.tokens) }) });
+    items.push({ id, href: `text/${chapter.file}`, mediaType: 'application/xhtml+xml' });
+    spine.push(id);
+  }
+  landmarks.push({ type: 'bodymatter', href: `text/${chapters[0].file}`, label: 'Start' });
+  for (const image of images.items) items.push(image);
+
+  const css = [BOOK_CSS, ...loaded.flatMap(s => s.css)].join('\n');
+  const zip = createZip([
+    { name: 'mimetype', data: 'application/epub+zip', store: true },
+    { name: 'META-INF/container.xml', data: `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+<rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml" /></rootfiles>
+</container>
+` },
+    { name: 'OEBPS/content.opf', data: packageDocument({ meta, items, spine, coverImageId }) },
+    { name: 'OEBPS/nav.xhtml', data: navDocument({ title: meta.title, lang: language, toc, landmarks }) },
+    { name: 'OEBPS/styles/book.css', data: css },
+    ...files,
+    ...images.items.map(i => ({ name: `OEBPS/${i.href}`, data: i.data, store: i.mediaType !== 'image/svg+xml' }))
+  ]);
+  await fsp.mkdir(path.dirname(outPath), { recursive: true });
+  await fsp.writeFile(outPath, zip);
+  report(100);
+  console.log(`[epubBuilder] ${sources.length} source(s) -> ${chapters.length} chapter(s), ${images.items.length} image(s): ${outPath}`);
+  return { outputPath: outPath, title: meta.title, chapters: chapters.length, images: images.items.length };
+}
+
+// Points in-book links at the chapter files; unresolvable relative links are dropped
+function resolveLink(href, source, { idFile, sourceByName, chapters }) {
+  const value = href.trim();
+  if (/^[a-z][a-z0-9+.-]*:/i.test(value) || value.startsWith('//')) return value;
+  const [file, fragment] = value.split('#');
+  const target = file ? sourceByName.get(decodeURIComponent(path.posix.basename(file)).toLowerCase()) : source;
+  if (!target) return null;
+  if (fragment) {
+    const id = target.renamed.get(fragment) || fragment;
+    if (idFile.has(id)) return `${idFile.get(id)}#${id}`;
+  }
+  return chapters[target.firstChapter] ? chapters[target.firstChapter].file : null;
+}
+
+module.exports = { buildEpub, writeMarkdownPage, validateEpubOptions, EPUB_INPUTS };
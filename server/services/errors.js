@@ -0,0 +1,97 @@
+// server/services/errors.js
+// Error types thrown by the converters. `statusCode` is picked up by the
+// Express error handler so caller mistakes surface as 4xx instead of 500.
+
+class ConverterError extends Error {
+  constructor(message, statusCode = 500) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+  }
+}
+
+class ValidationError extends ConverterError {
+  constructor(message) {
+    super(message, 400);
+  }
+}
+
+// Missing, unknown or revoked API key
+class UnauthorizedError extends ConverterError {
+  constructor(message = 'Authentication required.') {
+    super(message, 401);
+  }
+}
+
+class ForbiddenError extends ConverterError {
+  constructor(message) {
+    super(message, 403);
+  }
+}
+
+class NotFoundError extends ConverterError {
+  constructor(message) {
+    super(message, 404);
+  }
+}
+
+class ConflictError extends ConverterError {
+  constructor(message) {
+    super(message, 409);
+  }
+}
+
+// Upload quotas (per request or total disk)
+class QuotaExceededError extends ConverterError {
+  constructor(message) {
+    super(message, 413);
+  }
+}
+
+// Per-key rate, concurrency and monthly limits; `retryAfter` is in seconds
+class TooManyRequestsError extends ConverterError {
+  constructor(message, retryAfter = null) {
+    super(message, 429);
+    this.retryAfter = retryAfter;
+  }
+}
+
+class UnsupportedMediaTypeError extends ConverterError {
+  constructor(message) {
+    super(message, 415);
+  }
+}
+
+// Uploaded bytes do not match the checksum the client declared (tus uses 460)
+class ChecksumMismatchError extends ConverterError {
+  constructor(message = 'Checksum mismatch') {
+    super(message, 460);
+  }
+}
+
+// Raised when a conversion is stopped through its AbortSignal.
+// 499 follows the "client closed request" convention.
+class CancelledError extends ConverterError {
+  constructor(message = 'Conversion cancelled') {
+    super(message, 499);
+  }
+}
+
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) throw new CancelledError();
+}
+
+module.exports = {
+  ConverterError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  QuotaExceededError,
+  TooManyRequestsError,
+  UnsupportedMediaTypeError,
+  ChecksumMismatchError,
+  CancelledError,
+  throwIfAborted
+};
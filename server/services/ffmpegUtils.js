@@ -0,0 +1,166 @@
+// server/services/ffmpegUtils.js
+// Shared fluent-ffmpeg plumbing for the audio and video converters.
+const fs = require('fs');
+const fsp = fs.promises;
+const ffmpeg = require('fluent-ffmpeg');
+const { ConverterError, ValidationError, CancelledError } = require('./errors');
+
+if (process.env.FFMPEG_PATH) ffmpeg.setFfmpegPath(process.env.FFMPEG_PATH);
+if (process.env.FFPROBE_PATH) ffmpeg.setFfprobePath(process.env.FFPROBE_PATH);
+
+function timemarkToSeconds(mark) {
+  const parts = String(mark).split(':').map(Number);
+  if (parts.length !== 3 || parts.some(Number.isNaN)) return 0;
+  return parts[0] * 3600 + parts[1] * 60 + parts[2];
+}
+
+// Accepts seconds (number or numeric string) or "HH:MM:SS(.ms)" / "MM:SS".
+function parseTimestamp(value) {
+  if (value == null || value === '') return undefined;
+  if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? value : NaN;
+  const s = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(s)) return Number(s);
+  const parts = s.split(':');
+  if (parts.length < 2 || parts.length > 3 || parts.some(p => !/^\d+(\.\d+)?$/.test(p))) return NaN;
+  return parts.map(Number).reduce((acc, n) => acc * 60 + n, 0);
+}
+
+// Validates start/end and returns { start, length } in seconds (either may be undefined).
+function resolveTrim(start, end, sourceDuration) {
+  const s = parseTimestamp(start);
+  const e = parseTimestamp(end);
+  if (Number.isNaN(s)) throw new ValidationError(`Invalid start time "${start}". Use seconds or HH:MM:SS.`);
+  if (Number.isNaN(e)) throw new ValidationError(`Invalid end time "${end}". Use seconds or HH:MM:SS.`);
+  if (s != null && e != null && e <= s) throw new ValidationError('End time must be after start time.');
+  if (s != null && sourceDuration && s >= sourceDuration) {
+    throw new ValidationError(`Start time ${s}s is beyond the end of the input (${sourceDuration}s).`);
+  }
+  const length = e != null ? e - (s || 0) : undefined;
+  return { start: s, length };
+}
+
+function effectiveDuration(sourceDuration, trim) {
+  if (trim.length) return sourceDuration ? Math.min(trim.length, sourceDuration - (trim.start || 0)) : trim.length;
+  if (sourceDuration && trim.start) return Math.max(0, sourceDuration - trim.start);
+  return sourceDuration;
+}
+
+function probe(inputPath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(inputPath, (err, data) => {
+      if (err) return reject(new ConverterError(`ffprobe failed: ${err.message}`));
+      resolve(data);
+    });
+  });
+}
+
+/**
+ * Builds a fluent-ffmpeg 'progress' listener that reports whole percentages to
+ * `onProgress`. ffmpeg only reports `percent` for some inputs, so it is
+ * derived from the timemark and `duration` (seconds) when missing.
+ */
+function progressReporter(duration, onProgress) {
+  let lastPercent = 0;
+  return (progress) => {
+    let percent = progress.percent;
+    if (typeof percent !== 'number' && typeof progress.timemark === 'string' && duration) {
+      const t = timemarkToSeconds(progress.timemark);
+      percent = Math.min(100, Math.max(0, (t / duration) * 100));
+    }
+    if (typeof percent === 'number' && Number.isFinite(percent)) {
+      const p = Math.max(0, Math.min(100, Math.round(percent)));
+      if (p !== lastPercent) {
+        lastPercent = p;
+        if (typeof onProgress === 'function') {
+          try { onProgress(p); } catch {}
+        }
+      }
+    }
+  };
+}
+
+// ffmpeg's ways of saying an encoder refused its bitrate, rate or channels
+const ENCODER_SETUP_RE = /Error while opening encoder|Error initializing output stream|encoder setup failed|Please choose a value between/i;
+
+/**
+ * Runs a prepared fluent-ffmpeg command, saving to `outputPath`.
+ * Aborting `signal` kills ffmpeg, and an already aborted signal rejects
+ * without starting it; on any failure the partial output is removed.
+ * With `settings` (e.g. "ogg, 96k, 22050 Hz, mono"), an encoder refusing
+ * its parameters is reported as a ValidationError naming them.
+ */
+function runCommand(cmd, outputPath, { tag, duration, onProgress, signal, settings } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(new CancelledError());
+    const onAbort = () => cmd.kill('SIGKILL');
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    cmd.on('start', (cl) => {
+      console.log(`[${tag}] ffmpeg start: ${cl}`);
+      // Aborted while fluent-ffmpeg was still preparing, before there was a process to kill
+      if (signal && signal.aborted) onAbort();
+    })
+      .on('progress', progressReporter(duration, onProgress))
+      .on('error', async (err, _stdout, stderr) => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        try { await fsp.unlink(outputPath); } catch {}
+        if (signal && signal.aborted) return reject(new CancelledError());
+        console.error(`[${tag}] ffmpeg error:`, err?.message);
+        if (stderr) console.error(`[${tag}] stderr:`, stderr);
+        if (settings && ENCODER_SETUP_RE.test(`${err?.message}\n${stderr}`)) {
+          return reject(new ValidationError(`The encoder does not support these settings (${settings}). Try another bitrate, sample rate or channel count.`));
+        }
+        reject(new ConverterError(`Conversion failed: ${err?.message || 'Unknown ffmpeg error'}`));
+      })
+      .on('end', () => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve(outputPath);
+      })
+      .save(outputPath);
+  });
+}
+
+/**
+ * Runs a command whose only purpose is the log output of an analysis filter
+ * (loudnorm measurement, silencedetect, ...). Output is discarded; resolves
+ * with ffmpeg's stderr lines. Cancellation works as in runCommand.
+ */
+function runAnalysis(cmd, { tag, duration, onProgress, signal } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(new CancelledError());
+    const lines = [];
+    const onAbort = () => cmd.kill('SIGKILL');
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    cmd.on('start', (cl) => {
+      console.log(`[${tag}] ffmpeg analysis: ${cl}`);
+      if (signal && signal.aborted) onAbort();
+    })
+      .on('stderr', (line) => lines.push(line))
+      .on('progress', progressReporter(duration, onProgress))
+      .on('error', (err) => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        if (signal && signal.aborted) return reject(new CancelledError());
+        console.error(`[${tag}] ffmpeg analysis error:`, err?.message);
+        reject(new ConverterError(`Analysis failed: ${err?.message || 'Unknown ffmpeg error'}`));
+      })
+      .on('end', () => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve(lines);
+      })
+      .format('null')
+      .save('-');
+  });
+}
+
+module.exports = {
+  ffmpeg,
+  timemarkToSeconds,
+  parseTimestamp,
+  resolveTrim,
+  effectiveDuration,
+  probe,
+  progressReporter,
+  runCommand,
+  runAnalysis
+};
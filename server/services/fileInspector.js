@@ -0,0 +1,99 @@
+// server/services/fileInspector.js
+// Reports what a file actually is (sniffed type) plus basic media metadata.
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const sharp = require('sharp');
+const { NotFoundError } = require('./errors');
+const { detectFormat, extensionOf, EQUIVALENT_EXTS } = require('./formatDetector');
+const { probe } = require('./ffmpegUtils');
+const { readPdfMetadata } = require('./pdfToolkit');
+const { readFontMetadata } = require('./fontConverter');
+
+function parseFrameRate(rate) {
+  const [num, den] = String(rate || '').split('/').map(Number);
+  if (!num || !den) return undefined;
+  return Math.round((num / den) * 100) / 100;
+}
+
+async function imageMetadata(filePath) {
+  const meta = await sharp(filePath, { animated: true }).metadata();
+  return {
+    width: meta.width,
+    height: meta.pageHeight || meta.height,
+    pages: meta.pages || 1,
+    colorSpace: meta.space,
+    channels: meta.channels,
+    hasAlpha: meta.hasAlpha,
+    density: meta.density
+  };
+}
+
+async function mediaMetadata(filePath) {
+  const data = await probe(filePath);
+  const fmt = data.format || {};
+  const streams = (data.streams || []).map(s => {
+    const out = { index: s.index, type: s.codec_type, codec: s.codec_name };
+    if (s.codec_type === 'video') {
+      Object.assign(out, { width: s.width, height: s.height, fps: parseFrameRate(s.avg_frame_rate || s.r_frame_rate) });
+    } else if (s.codec_type === 'audio') {
+      Object.assign(out, { sampleRate: Number(s.sample_rate) || undefined, channels: s.channels });
+    }
+    return out;
+  });
+  return {
+    duration: Number(fmt.duration) || undefined,
+    bitrate: Number(fmt.bit_rate) || undefined,
+    container: fmt.format_name,
+    tags: fmt.tags || {},
+    streams
+  };
+}
+
+const METADATA_READERS = {
+  image: imageMetadata,
+  audio: mediaMetadata,
+  video: mediaMetadata,
+  font: readFontMetadata,
+  pdf: readPdfMetadata
+};
+
+/**
+ * Inspects a file by content rather than by name.
+ * Returns { name, size, extension, detected, ext, mime, kind, extensionMatches, metadata }.
+ * Metadata extraction is best effort: failures are reported as `metadataError`.
+ */
+async function inspectFile(filePath) {
+  const resolved = path.isAbsolute(filePath) ? filePath : path.resolve(process.cwd(), filePath);
+  const st = await fsp.stat(resolved).catch(() => null);
+  if (!st || !st.isFile()) throw new NotFoundError(`File not found: ${resolved}`);
+
+  const extension = extensionOf(resolved);
+  const detected = await detectFormat(resolved);
+  const info = {
+    name: path.basename(resolved),
+    size: st.size,
+    extension: extension || null,
+    detected: Boolean(detected),
+    ext: detected ? detected.ext : null,
+    mime: detected ? detected.mime : 'application/octet-stream',
+    kind: detected ? detected.kind : 'unknown',
+    extensionMatches: detected
+      ? detected.ext === extension || (EQUIVALENT_EXTS[detected.ext] || []).includes(extension)
+      : null,
+    metadata: null
+  };
+
+  const reader = detected && (detected.ext === 'pdf' ? METADATA_READERS.pdf : METADATA_READERS[detected.kind]);
+  if (reader) {
+    try {
+      info.metadata = await reader(resolved);
+    } catch (err) {
+      console.warn(`[fileInspector] Metadata read failed for ${info.name}: ${err.message}`);
+      info.metadataError = err.message;
+    }
+  }
+  return info;
+}
+
+module.exports = { inspectFile };
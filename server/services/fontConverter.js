@@ -0,0 +1,533 @@
+// server/services/fontConverter.js
+// Web font conversion between TTF, OTF, WOFF and WOFF2, subsetting to a
+// character set, metadata and PNG previews. Outlines are never converted:
+// TrueType stays TrueType (an .otf may hold either), CFF cannot become .ttf.
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const sharp = require('sharp');
+const fontkit = require('fontkit');
+const { ValidationError, NotFoundError, throwIfAborted } = require('./errors');
+const { resolveInputFormat } = require('./formatDetector');
+const { extractText } = require('./textExtractor');
+const { FLAVOR_CFF, readFont, writeSfnt, writeWoff, writeWoff2, buildGlyfLoca } = require('./sfntUtils');
+
+const SUPPORTED_INPUTS = new Set(['ttf', 'otf', 'woff', 'woff2']);
+const SUPPORTED_OUTPUTS = new Set(['ttf', 'otf', 'woff', 'woff2', 'png']);
+// Documents whose characters a font can be subset to (others are converted first)
+const TEXT_FILE_FORMATS = ['html', 'txt'];
+
+// Direct conversions declared to the conversion planner
+const CONVERSION_EDGES = [
+  { from: [...SUPPORTED_INPUTS], to: [...SUPPORTED_OUTPUTS], fileOptions: { textFile: TEXT_FILE_FORMATS } }
+];
+
+const DEFAULT_SAMPLE = 'The quick brown fox jumps over the lazy dog';
+const MAX_SAMPLE_CHARS = 500;
+const MAX_PREVIEW_SIZE = 512;
+const HEX_COLOUR_RE = /^#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+// Unicode blocks used to report which writing systems a font covers
+const SCRIPT_RANGES = {
+  Latin: [[0x41, 0x5a], [0x61, 0x7a], [0xc0, 0x24f], [0x1e00, 0x1eff]],
+  Greek: [[0x370, 0x3ff], [0x1f00, 0x1fff]],
+  Cyrillic: [[0x400, 0x52f]],
+  Armenian: [[0x530, 0x58f]],
+  Hebrew: [[0x590, 0x5ff]],
+  Arabic: [[0x600, 0x6ff], [0x750, 0x77f], [0xfb50, 0xfdff], [0xfe70, 0xfeff]],
+  Devanagari: [[0x900, 0x97f]],
+  Bengali: [[0x980, 0x9ff]],
+  Tamil: [[0xb80, 0xbff]],
+  Thai: [[0xe00, 0xe7f]],
+  Georgian: [[0x10a0, 0x10ff]],
+  Ethiopic: [[0x1200, 0x137f]],
+  Hangul: [[0x1100, 0x11ff], [0xac00, 0xd7af]],
+  Hiragana: [[0x3040, 0x309f]],
+  Katakana: [[0x30a0, 0x30ff]],
+  Han: [[0x3400, 0x4dbf], [0x4e00, 0x9fff]]
+};
+
+function normalizeFormat(fmt) { return String(fmt || '').trim().toLowerCase(); }
+
+function reportProgress(onProgress, percent) {
+  if (typeof onProgress !== 'function') return;
+  try { onProgress(percent); } catch {}
+}
+
+/**
+ * Parses CSS unicode-range style ranges ("U+0000-00FF, U+20AC, U+4??") into
+ * [start, end] pairs. Accepts a comma list or an array of such strings.
+ */
+function parseUnicodeRanges(value) {
+  const parts = Array.isArray(value) ? value.map(String) : String(value).split(',');
+  const ranges = [];
+  for (const raw of parts.map(s => s.trim()).filter(Boolean)) {
+    const m = /^(?:U\+)?([0-9a-f?]{1,6})(?:-(?:U\+)?([0-9a-f]{1,6}))?$/i.exec(raw);
+    if (!m || (m[1].includes('?') && m[2])) throw new ValidationError(`Invalid unicode range "${raw}": use U+XXXX, U+XXXX-YYYY or U+4??.`);
+    const start = parseInt(m[1].replace(/\?/g, '0'), 16);
+    const end = m[2] ? parseInt(m[2], 16) : parseInt(m[1].replace(/\?/g, 'f'), 16);
+    if (end < start || end > 0x10ffff) throw new ValidationError(`Invalid unicode range "${raw}".`);
+    ranges.push([start, end]);
+  }
+  if (!ranges.length) throw new ValidationError('Invalid "unicodes": expected at least one range.');
+  return ranges;
+}
+
+/**
+ * Checks the input-independent options of a font conversion (used when a
+ * preset is saved); throws ValidationError on the first problem.
+ */
+function validateOptions(outputFormat, options = {}) {
+  const out = normalizeFormat(outputFormat);
+  if (!SUPPORTED_OUTPUTS.has(out)) throw new ValidationError(`Unsupported output format "${outputFormat}". Supported: ${[...SUPPORTED_OUTPUTS].join(', ')}`);
+  const { text, unicodes, sampleText, fontSize, color, background, variation } = options;
+  if (text != null && typeof text !== 'string') throw new ValidationError('Invalid "text": expected a string of characters to keep.');
+  if (unicodes != null) parseUnicodeRanges(unicodes);
+  if (sampleText != null && (typeof sampleText !== 'string' || !sampleText.trim() || sampleText.length > MAX_SAMPLE_CHARS)) {
+    throw new ValidationError(`Invalid "sampleText": expected 1 to ${MAX_SAMPLE_CHARS} characters.`);
+  }
+  if (fontSize != null && (!Number.isFinite(fontSize) || fontSize < 6 || fontSize > MAX_PREVIEW_SIZE)) {
+    throw new ValidationError(`Invalid fontSize ${fontSize}: expected 6 to ${MAX_PREVIEW_SIZE}.`);
+  }
+  for (const [key, value] of [['color', color], ['background', background]]) {
+    if (value != null && value !== 'transparent' && !HEX_COLOUR_RE.test(String(value))) {
+      throw new ValidationError(`Invalid "${key}" ${value}: expected a hex colour such as #1a2b3c${key === 'background' ? ' or "transparent"' : ''}.`);
+    }
+  }
+  if (variation != null && (typeof variation !== 'object' || Array.isArray(variation) || Object.values(variation).some(v => !Number.isFinite(v)))) {
+    throw new ValidationError('Invalid "variation": expected axis values such as { "wght": 700 }.');
+  }
+}
+
+function openFont(source) {
+  try {
+    return fontkit.create(writeSfnt(source.flavor, source.tables));
+  } catch (err) {
+    throw new ValidationError(`Cannot read the font: ${err.message}`);
+  }
+}
+
+// ---- subsetting -------------------------------------------------------------
+
+function forEachCovered(coverage, keep, fn) {
+  if (!coverage) return;
+  if (coverage.version === 1) {
+    coverage.glyphs.forEach((gid, idx) => { if (keep.has(gid)) fn(gid, idx); });
+  } else if (coverage.version === 2) {
+    for (const r of coverage.rangeRecords) {
+      for (let gid = r.start; gid <= r.end; gid++) if (keep.has(gid)) fn(gid, r.startCoverageIndex + gid - r.start);
+    }
+  }
+}
+
+// Glyphs one GSUB subtable can produce from the kept ones (context ignored)
+function substitutes(type, sub, keep) {
+  const out = [];
+  if (type === 7) return substitutes(sub.lookupType, sub.extension, keep);
+  forEachCovered(sub.coverage, keep, (gid, idx) => {
+    if (type === 1) out.push(sub.version === 1 ? (gid + sub.deltaGlyphID) & 0xffff : sub.substitute.get(idx));
+    else if (type === 2) out.push(...sub.sequences.get(idx));
+    else if (type === 3) out.push(...sub.alternateSet.get(idx));
+    else if (type === 4) {
+      for (const lig of sub.ligatureSets.get(idx)) if (lig.components.every(c => keep.has(c))) out.push(lig.glyph);
+    } else if (type === 8) out.push(sub.substitutes[idx]);
+  });
+  return out;
+}
+
+/**
+ * Adds every glyph that GSUB can substitute for the kept glyphs (ligatures,
+ * alternates, contextual forms) so shaping never lands on an emptied glyph.
+ */
+function gsubClosure(font, keep) {
+  let lookups;
+  try {
+    lookups = font.GSUB ? font.GSUB.lookupList.toArray() : [];
+  } catch (err) {
+    console.warn('[fontConverter] Could not read GSUB, substitutions are not kept:', err.message);
+    return;
+  }
+  for (let changed = true; changed;) {
+    changed = false;
+    for (const lookup of lookups) {
+      for (const sub of lookup.subTables) {
+        for (const gid of substitutes(lookup.lookupType, sub, keep)) {
+          if (gid != null && gid < font.numGlyphs && !keep.has(gid)) { keep.add(gid); changed = true; }
+        }
+      }
+    }
+  }
+}
+
+function compositeComponents(glyph) {
+  if (glyph.length < 10 || glyph.readInt16BE(0) >= 0) return [];
+  const ids = [];
+  let pos = 10; let flags;
+  do {
+    flags = glyph.readUInt16BE(pos);
+    ids.push(glyph.readUInt16BE(pos + 2));
+    pos += 4 + (flags & 0x0001 ? 4 : 2);
+    if (flags & 0x0008) pos += 2; else if (flags & 0x0040) pos += 4; else if (flags & 0x0080) pos += 8;
+  } while (flags & 0x0020);
+  return ids;
+}
+
+// Empties the glyf entries of dropped glyphs; glyph IDs stay as they are
+function subsetGlyf(tables, keep) {
+  const head = Buffer.from(tables.get('head'));
+  const numGlyphs = tables.get('maxp').readUInt16BE(4);
+  const loca = tables.get('loca');
+  const glyf = tables.get('glyf');
+  const longLoca = head.readInt16BE(50) === 1;
+  const offset = (i) => (longLoca ? loca.readUInt32BE(i * 4) : loca.readUInt16BE(i * 2) * 2);
+  const glyphAt = (i) => glyf.subarray(offset(i), offset(i + 1));
+
+  for (const queue = [...keep]; queue.length;) {
+    const gid = queue.pop();
+    if (gid >= numGlyphs) continue;
+    for (const c of compositeComponents(glyphAt(gid))) if (!keep.has(c)) { keep.add(c); queue.push(c); }
+  }
+  const glyphs = Array.from({ length: numGlyphs }, (_, i) => (keep.has(i) ? glyphAt(i) : Buffer.alloc(0)));
+  const size = glyphs.reduce((n, g) => n + ((g.length + 3) & ~3), 0);
+  const indexFormat = size > 0x1fffe ? 1 : 0;
+  const rebuilt = buildGlyfLoca(glyphs, indexFormat);
+  head.writeInt16BE(indexFormat, 50);
+  tables.set('glyf', rebuilt.glyf);
+  tables.set('loca', rebuilt.loca);
+  tables.set('head', head);
+}
+
+// CFF charstrings of dropped glyphs become a bare endchar; glyph IDs stay
+function subsetCff(font, keep) {
+  const subset = font.createSubset();
+  for (let gid = 1; gid < font.numGlyphs; gid++) subset.includeGlyph(gid);
+  const kept = [...keep].sort((a, b) => a - b);
+  subset.subsetCharstrings = function subsetCharstrings() {
+    this.charstrings = [];
+    const gsubrs = {};
+    for (const gid of this.glyphs) {
+      if (!keep.has(gid)) { this.charstrings.push(new Uint8Array([14])); continue; }
+      this.charstrings.push(this.cff.getCharString(gid));
+      const glyph = this.font.getGlyph(gid);
+      glyph.path; // parsing records the subroutines the glyph calls
+      for (const subr in glyph._usedGsubrs) gsubrs[subr] = true;
+    }
+    this.gsubrs = this.subsetSubrs(this.cff.globalSubrIndex, gsubrs);
+  };
+  // Local subroutines of non-CID fonts: only those of the kept glyphs
+  const createCIDFontdict = subset.createCIDFontdict;
+  subset.createCIDFontdict = function (topDict) {
+    const all = this.glyphs;
+    this.glyphs = kept;
+    try { return createCIDFontdict.call(this, topDict); } finally { this.glyphs = all; }
+  };
+  return Buffer.from(subset.encode());
+}
+
+function buildFormat4(entries) {
+  const segments = [];
+  for (const [cp, gid] of entries) {
+    const last = segments[segments.length - 1];
+    if (last && cp === last.end + 1) { last.end = cp; last.gids.push(gid); } else segments.push({ start: cp, end: cp, gids: [gid] });
+  }
+  segments.push({ start: 0xffff, end: 0xffff, gids: [0], delta: 1 });
+  const segCount = segments.length;
+  let arrayLength = 0;
+  for (const s of segments) {
+    if (s.delta != null) continue;
+    const delta = s.gids[0] - s.start;
+    if (s.gids.every((g, i) => g - (s.start + i) === delta)) s.delta = delta;
+    else { s.arrayIndex = arrayLength; arrayLength += s.gids.length; }
+  }
+  const length = 16 + segCount * 8 + arrayLength * 2;
+  if (length > 0xffff) throw new ValidationError('Too many separate characters for one cmap subtable; use fewer, contiguous ranges.');
+  const out = Buffer.alloc(length);
+  const searchRange = 2 * 2 ** Math.floor(Math.log2(segCount));
+  out.writeUInt16BE(4, 0);
+  out.writeUInt16BE(length, 2);
+  out.writeUInt16BE(segCount * 2, 6);
+  out.writeUInt16BE(searchRange, 8);
+  out.writeUInt16BE(Math.log2(searchRange / 2), 10);
+  out.writeUInt16BE(segCount * 2 - searchRange, 12);
+  const ends = 14; const starts = ends + segCount * 2 + 2; const deltas = starts + segCount * 2;
+  const rangeOffsets = deltas + segCount * 2; const glyphArray = rangeOffsets + segCount * 2;
+  segments.forEach((s, i) => {
+    out.writeUInt16BE(s.end, ends + i * 2);
+    out.writeUInt16BE(s.start, starts + i * 2);
+    if (s.arrayIndex == null) {
+      out.writeUInt16BE(s.delta & 0xffff, deltas + i * 2);
+    } else {
+      out.writeUInt16BE(2 * (segCount - i) + 2 * s.arrayIndex, rangeOffsets + i * 2);
+      s.gids.forEach((g, k) => out.writeUInt16BE(g, glyphArray + (s.arrayIndex + k) * 2));
+    }
+  });
+  return out;
+}
+
+function buildFormat12(entries) {
+  const groups = [];
+  for (const [cp, gid] of entries) {
+    const last = groups[groups.length - 1];
+    if (last && cp === last.end + 1 && gid === last.glyph + (cp - last.start)) last.end = cp;
+    else groups.push({ start: cp, end: cp, glyph: gid });
+  }
+  const out = Buffer.alloc(16 + groups.length * 12);
+  out.writeUInt16BE(12, 0);
+  out.writeUInt32BE(out.length, 4);
+  out.writeUInt32BE(groups.length, 12);
+  groups.forEach((g, i) => {
+    out.writeUInt32BE(g.start, 16 + i * 12);
+    out.writeUInt32BE(g.end, 20 + i * 12);
+    out.writeUInt32BE(g.glyph, 24 + i * 12);
+  });
+  return out;
+}
+
+// A cmap with Unicode BMP (format 4) and, when needed, full-range (format 12) subtables
+function buildCmap(mapping) {
+  const entries = [...mapping].sort((a, b) => a[0] - b[0]);
+  const subtables = [buildFormat4(entries.filter(([cp]) => cp < 0xffff))];
+  const records = [[0, 3, 0], [3, 1, 0]];
+  if (entries.some(([cp]) => cp > 0xffff)) {
+    subtables.push(buildFormat12(entries));
+    records.push([0, 4, 1], [3, 10, 1]);
+  }
+  records.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  const header = Buffer.alloc(4 + records.length * 8);
+  header.writeUInt16BE(records.length, 2);
+  const offsets = [header.length, header.length + subtables[0].length];
+  records.forEach(([platform, encoding, table], i) => {
+    header.writeUInt16BE(platform, 4 + i * 8);
+    header.writeUInt16BE(encoding, 6 + i * 8);
+    header.writeUInt32BE(offsets[table], 8 + i * 8);
+  });
+  return Buffer.concat([header, ...subtables]);
+}
+
+/**
+ * Code points to keep: the characters of `text` (and of `textFile`, an
+ * HTML or TXT document) plus the font's characters inside `unicodes`.
+ */
+async function selectCodePoints(font, { text, unicodes, textFile }) {
+  const selected = new Set();
+  let chars = typeof text === 'string' ? text : '';
+  if (textFile) {
+    const { ext } = await resolveInputFormat(textFile, new Set(TEXT_FILE_FORMATS));
+    if (!TEXT_FILE_FORMATS.includes(ext)) throw new ValidationError(`"textFile" must be an HTML or TXT document, not .${ext}.`);
+    chars += await extractText(textFile, ext);
+  }
+  for (const ch of chars) {
+    const cp = ch.codePointAt(0);
+    if (cp >= 0x20 || cp === 0x09) selected.add(cp);
+  }
+  if (unicodes != null) {
+    const ranges = parseUnicodeRanges(unicodes);
+    for (const cp of font.characterSet) if (ranges.some(([a, b]) => cp >= a && cp <= b)) selected.add(cp);
+  }
+  return [...selected].filter(cp => font.hasGlyphForCodePoint(cp));
+}
+
+/**
+ * Subsets the font to `codePoints`. Glyph IDs are kept and dropped glyphs
+ * emptied, so layout tables (GSUB, GPOS, kern), hinting and variations stay
+ * valid. Returns new tables and the number of glyphs kept.
+ */
+function subsetTables(font, source, codePoints) {
+  const tables = new Map(source.tables);
+  if (tables.has('CFF2')) throw new ValidationError('Subsetting CFF2 (variable PostScript) fonts is not supported.');
+  const mapping = new Map(codePoints.map(cp => [cp, font.glyphForCodePoint(cp).id]));
+  const keep = new Set([0, ...mapping.values()]);
+  gsubClosure(font, keep);
+  if (tables.has('glyf') && tables.has('loca')) subsetGlyf(tables, keep);
+  else if (tables.has('CFF ')) tables.set('CFF ', subsetCff(font, keep));
+  tables.set('cmap', buildCmap(mapping));
+  const os2 = tables.get('OS/2');
+  if (os2 && os2.length >= 68) {
+    const copy = Buffer.from(os2);
+    copy.writeUInt16BE(Math.min(Math.min(...codePoints), 0xffff), 64);
+    copy.writeUInt16BE(Math.min(Math.max(...codePoints), 0xffff), 66);
+    tables.set('OS/2', copy);
+  }
+  // A digital signature no longer matches once tables change
+  tables.delete('DSIG');
+  return { tables, glyphs: keep.size };
+}
+
+// ---- metadata and preview ---------------------------------------------------
+
+function outlinesOf(tables) {
+  if (tables.has('CFF2')) return 'CFF2';
+  if (tables.has('CFF ')) return 'CFF';
+  if (tables.has('glyf')) return 'TrueType';
+  return 'bitmap';
+}
+
+// fontkit's characterSet also lists code points mapped to .notdef, such as
+// the U+FFFF that ends every format 4 cmap
+function mappedCharacters(font) {
+  return font.characterSet.filter(cp => font.hasGlyphForCodePoint(cp));
+}
+
+function describeFont(font, source) {
+  const os2 = font['OS/2'];
+  const chars = mappedCharacters(font);
+  const scripts = Object.entries(SCRIPT_RANGES).map(([script, ranges]) => ({
+    script,
+    characters: chars.filter(cp => ranges.some(([a, b]) => cp >= a && cp <= b)).length
+  })).filter(s => s.characters > 0);
+  const layoutScripts = new Set();
+  for (const table of [font.GSUB, font.GPOS]) {
+    try { for (const s of (table && table.scriptList) || []) layoutScripts.add(s.tag.trim()); } catch {}
+  }
+  const axes = font.variationAxes || {};
+  return {
+    familyName: font.familyName || null,
+    subfamilyName: font.subfamilyName || null,
+    fullName: font.fullName || null,
+    postscriptName: font.postscriptName || null,
+    version: font.version || null,
+    weight: os2 ? os2.usWeightClass : null,
+    width: os2 ? os2.usWidthClass : null,
+    style: os2 && os2.fsSelection.italic ? 'italic' : os2 && os2.fsSelection.oblique ? 'oblique' : font.italicAngle ? 'italic' : 'normal',
+    outlines: outlinesOf(source.tables),
+    unitsPerEm: font.unitsPerEm,
+    ascent: font.ascent,
+    descent: font.descent,
+    glyphCount: font.numGlyphs,
+    characterCount: chars.length,
+    scripts,
+    layoutScripts: [...layoutScripts].filter(t => t !== 'DFLT').sort(),
+    features: font.availableFeatures,
+    variationAxes: Object.entries(axes).map(([tag, a]) => ({ tag, name: a.name, min: a.min, default: a.default, max: a.max })),
+    namedInstances: Object.keys(font.namedVariations || {}),
+    tables: [...source.tables.keys()].sort()
+  };
+}
+
+/** Resolves with the metadata of a font file (see describeFont). */
+async function readFontMetadata(filePath) {
+  const source = readFont(await fsp.readFile(filePath));
+  return describeFont(openFont(source), source);
+}
+
+function escapeXml(s) {
+  return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// The pangram when the font covers it, else the first characters it has
+function defaultSample(font) {
+  if ([...DEFAULT_SAMPLE].every(ch => ch === ' ' || font.hasGlyphForCodePoint(ch.codePointAt(0)))) return DEFAULT_SAMPLE;
+  const chars = mappedCharacters(font).filter(cp => cp > 0x20 && !(cp >= 0x7f && cp < 0xa0)).slice(0, 32);
+  return String.fromCodePoint(...chars);
+}
+
+/** Lays `text` out with the font (shaping included) and renders it to PNG through SVG. */
+async function renderPreview(font, outPath, { sampleText, fontSize = 48, color = '#000000', background = '#ffffff', variation }) {
+  const face = variation && Object.keys(font.variationAxes || {}).length ? font.getVariation(variation) : font;
+  const text = sampleText || defaultSample(face);
+  const scale = fontSize / face.unitsPerEm;
+  const lineHeight = Math.ceil((face.ascent - face.descent + (face.lineGap || 0)) * scale);
+  const padding = Math.round(fontSize / 2);
+  const paths = [];
+  let width = 0;
+  text.split(/\r?\n/).forEach((line, row) => {
+    const run = face.layout(line);
+    const baseline = padding + row * lineHeight + face.ascent * scale;
+    let x = padding;
+    run.glyphs.forEach((glyph, i) => {
+      const pos = run.positions[i];
+      const d = glyph.path.toSVG();
+      if (d) {
+        const gx = (x + pos.xOffset * scale).toFixed(2);
+        const gy = (baseline - pos.yOffset * scale).toFixed(2);
+        paths.push(`<path transform="translate(${gx} ${gy}) scale(${scale.toFixed(5)} ${(-scale).toFixed(5)})" d="${d}"/>`);
+      }
+      x += pos.xAdvance * scale;
+    });
+    width = Math.max(width, x + padding);
+  });
+  const height = padding * 2 + lineHeight * text.split(/\r?\n/).length;
+  const w = Math.max(1, Math.ceil(width));
+  const bg = background === 'transparent' ? '' : `<rect width="100%" height="100%" fill="${escapeXml(background)}"/>`;
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${w}" height="${height}" viewBox="0 0 ${w} ${height}">${bg}<g fill="${escapeXml(color)}">${paths.join('')}</g></svg>`;
+  const info = await sharp(Buffer.from(svg), { limitInputPixels: false }).png().toFile(outPath);
+  return { width: info.width, height: info.height, sampleText: text };
+}
+
+// ---- conversion ---------------------------------------------------------------
+
+/**
+ * Converts a TTF/OTF/WOFF/WOFF2 font. Options:
+ *   text, unicodes, textFile   subset to these characters (any combination)
+ *   sampleText, fontSize, color, background, variation   for "png" previews
+ * Resolves with { outputPath, format, sizeBytes, ... } plus, for subsets,
+ * the kept glyph and character counts.
+ */
+async function convertFont(inputPath, outputFormat, options = {}) {
+  const {
+    text,
+    unicodes,
+    textFile,
+    outputDir = path.resolve(process.cwd(), 'server', 'converted'),
+    outputBasename,
+    cleanup = false,
+    onProgress,
+    signal
+  } = options;
+  const fmt = normalizeFormat(outputFormat);
+  validateOptions(fmt, options);
+  if (Array.isArray(inputPath)) throw new ValidationError('Font conversion takes one input file.');
+
+  const resolvedInput = path.isAbsolute(inputPath) ? inputPath : path.resolve(process.cwd(), inputPath);
+  const st = await fsp.stat(resolvedInput).catch(() => null);
+  if (!st || !st.isFile()) throw new NotFoundError(`Input file not found: ${resolvedInput}`);
+  const { ext } = await resolveInputFormat(resolvedInput, SUPPORTED_INPUTS);
+  if (!SUPPORTED_INPUTS.has(ext)) throw new ValidationError(`Unsupported input format ".${ext}". Supported: ${[...SUPPORTED_INPUTS].join(', ')}`);
+  throwIfAborted(signal);
+
+  let source = readFont(await fsp.readFile(resolvedInput));
+  const font = openFont(source);
+  await fsp.mkdir(outputDir, { recursive: true });
+  const base = outputBasename || path.basename(resolvedInput, path.extname(resolvedInput));
+  const outPath = path.join(outputDir, `${base}.${fmt}`);
+  const result = { outputPath: outPath, format: fmt };
+
+  if (text != null || unicodes != null || textFile) {
+    const codePoints = await selectCodePoints(font, { text, unicodes, textFile });
+    if (!codePoints.length) throw new ValidationError('None of the requested characters are in the font.');
+    const subset = subsetTables(font, source, codePoints);
+    source = { flavor: source.flavor, tables: subset.tables };
+    Object.assign(result, { subset: true, glyphs: subset.glyphs, characters: codePoints.length });
+    console.log(`[fontConverter] Subset "${resolvedInput}" to ${codePoints.length} character(s), ${subset.glyphs} of ${font.numGlyphs} glyph(s)`);
+  }
+  throwIfAborted(signal);
+
+  if (fmt === 'png') {
+    const subsetFont = result.subset ? openFont(source) : font;
+    Object.assign(result, await renderPreview(subsetFont, outPath, options));
+  } else {
+    if (fmt === 'ttf' && source.flavor === FLAVOR_CFF) {
+      throw new ValidationError('This font has CFF (PostScript) outlines, which TTF cannot hold; convert it to otf, woff or woff2.');
+    }
+    const encoded = fmt === 'woff' ? writeWoff(source.flavor, source.tables)
+      : fmt === 'woff2' ? writeWoff2(source.flavor, source.tables)
+        : writeSfnt(source.flavor, source.tables);
+    await fsp.writeFile(outPath, encoded);
+  }
+  result.sizeBytes = (await fsp.stat(outPath)).size;
+  result.originalSizeBytes = st.size;
+
+  if (cleanup) { try { await fsp.unlink(resolvedInput); } catch (e) { console.warn('[fontConverter] Cleanup warning:', e.message); } }
+  reportProgress(onProgress, 100);
+  return result;
+}
+
+module.exports = {
+  convertFont,
+  validateOptions,
+  readFontMetadata,
+  parseUnicodeRanges,
+  SUPPORTED_INPUTS,
+  SUPPORTED_OUTPUTS,
+  CONVERSION_EDGES
+};
@@ -0,0 +1,289 @@
+// server/services/formatDetector.js
+// Identifies files by their magic bytes / container signatures instead of
+// trusting the file extension.
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const zlib = require('zlib');
+
+const HEAD_BYTES = 4100;
+
+// ext -> [mime, kind]
+const FORMATS = {
+  jpg: ['image/jpeg', 'image'],
+  png: ['image/png', 'image'],
+  gif: ['image/gif', 'image'],
+  webp: ['image/webp', 'image'],
+  bmp: ['image/bmp', 'image'],
+  tiff: ['image/tiff', 'image'],
+  ico: ['image/x-icon', 'image'],
+  svg: ['image/svg+xml', 'image'],
+  heic: ['image/heic', 'image'],
+  avif: ['image/avif', 'image'],
+  mp3: ['audio/mpeg', 'audio'],
+  aac: ['audio/aac', 'audio'],
+  wav: ['audio/wav', 'audio'],
+  ogg: ['audio/ogg', 'audio'],
+  opus: ['audio/opus', 'audio'],
+  flac: ['audio/flac', 'audio'],
+  m4a: ['audio/mp4', 'audio'],
+  aiff: ['audio/aiff', 'audio'],
+  wma: ['audio/x-ms-wma', 'audio'],
+  mp4: ['video/mp4', 'video'],
+  mov: ['video/quicktime', 'video'],
+  webm: ['video/webm', 'video'],
+  mkv: ['video/x-matroska', 'video'],
+  avi: ['video/x-msvideo', 'video'],
+  pdf: ['application/pdf', 'document'],
+  rtf: ['application/rtf', 'document'],
+  doc: ['application/msword', 'document'],
+  docx: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document', 'document'],
+  xlsx: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', 'document'],
+  pptx: ['application/vnd.openxmlformats-officedocument.presentationml.presentation', 'document'],
+  odt: ['application/vnd.oasis.opendocument.text', 'document'],
+  ods: ['application/vnd.oasis.opendocument.spreadsheet', 'document'],
+  odp: ['application/vnd.oasis.opendocument.presentation', 'document'],
+  epub: ['application/epub+zip', 'document'],
+  html: ['text/html', 'document'],
+  txt: ['text/plain', 'document'],
+  zip: ['application/zip', 'archive'],
+  '7z': ['application/x-7z-compressed', 'archive'],
+  rar: ['application/vnd.rar', 'archive'],
+  tar: ['application/x-tar', 'archive'],
+  'tar.gz': ['application/gzip', 'archive'],
+  gz: ['application/gzip', 'archive'],
+  ttf: ['font/ttf', 'font'],
+  otf: ['font/otf', 'font'],
+  woff: ['font/woff', 'font'],
+  woff2: ['font/woff2', 'font']
+};
+
+// ISO BMFF (ftyp) brands
+const HEIF_BRANDS = new Set(['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1']);
+const AVIF_BRANDS = new Set(['avif', 'avis']);
+const M4A_BRANDS = new Set(['M4A ', 'M4B ', 'M4P ']);
+
+const ODF_MIMES = {
+  'application/vnd.oasis.opendocument.text': 'odt',
+  'application/vnd.oasis.opendocument.spreadsheet': 'ods',
+  'application/vnd.oasis.opendocument.presentation': 'odp',
+  'application/epub+zip': 'epub'
+};
+
+function result(ext) {
+  const [mime, kind] = FORMATS[ext];
+  return { ext, mime, kind };
+}
+
+function startsWith(buf, bytes, offset = 0) {
+  if (buf.length < offset + bytes.length) return false;
+  for (let i = 0; i < bytes.length; i++) if (buf[offset + i] !== bytes[i]) return false;
+  return true;
+}
+
+function ascii(buf, start, end) {
+  return buf.toString('latin1', start, Math.min(end, buf.length));
+}
+
+function detectIsoBmff(buf) {
+  const boxSize = buf.readUInt32BE(0);
+  const major = ascii(buf, 8, 12);
+  const brands = [major];
+  for (let o = 16; o + 4 <= Math.min(boxSize, buf.length); o += 4) brands.push(ascii(buf, o, o + 4));
+  if (brands.some(b => AVIF_BRANDS.has(b))) return result('avif');
+  if (brands.some(b => HEIF_BRANDS.has(b))) return result('heic');
+  if (M4A_BRANDS.has(major)) return result('m4a');
+  if (major === 'qt  ') return result('mov');
+  return result('mp4');
+}
+
+function detectOgg(buf) {
+  const head = ascii(buf, 0, 256);
+  if (head.includes('OpusHead')) return result('opus');
+  return result('ogg');
+}
+
+function detectMatroska(buf) {
+  return ascii(buf, 0, 64).includes('webm') ? result('webm') : result('mkv');
+}
+
+function detectText(buf) {
+  if (buf.includes(0)) return null;
+  // A multi-byte character may be cut off at the end of the sniffed block
+  const text = buf.toString('utf8').replace(/^\uFEFF/, '');
+  if (text.slice(0, -3).includes('\uFFFD')) return null;
+  const head = text.trimStart().slice(0, 1024).toLowerCase();
+  if (head.startsWith('{\\rtf')) return result('rtf');
+  if (/<svg[\s>]/.test(head) && (head.startsWith('<?xml') || head.startsWith('<svg') || head.startsWith('<!doctype svg'))) return result('svg');
+  if (head.startsWith('<!doctype html') || /^<html[\s>]/.test(head) || (head.startsWith('<?xml') && head.includes('<html'))) return result('html');
+  return result('txt');
+}
+
+/**
+ * Reads the names in a zip central directory (and the stored "mimetype"
+ * entry that ODF and EPUB put first) to tell OOXML, ODF and EPUB apart from
+ * plain zip archives.
+ */
+async function detectZip(fh, head, size) {
+  // ODF / EPUB: first local file is an uncompressed "mimetype" entry
+  if (head.length >= 30) {
+    const method = head.readUInt16LE(8);
+    const nameLen = head.readUInt16LE(26);
+    const extraLen = head.readUInt16LE(28);
+    const name = ascii(head, 30, 30 + nameLen);
+    if (name === 'mimetype' && method === 0) {
+      const dataLen = head.readUInt32LE(18);
+      const start = 30 + nameLen + extraLen;
+      const mime = ascii(head, start, start + Math.min(dataLen, 100)).trim();
+      if (ODF_MIMES[mime]) return result(ODF_MIMES[mime]);
+    }
+  }
+
+  const tailLen = Math.min(size, 65536 + 22);
+  const tail = Buffer.alloc(tailLen);
+  await fh.read(tail, 0, tailLen, size - tailLen);
+  const eocd = tail.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  if (eocd < 0) return result('zip');
+  const cdSize = tail.readUInt32LE(eocd + 12);
+  const cdOffset = tail.readUInt32LE(eocd + 16);
+  if (!cdSize || cdOffset + cdSize > size) return result('zip');
+
+  const cd = Buffer.alloc(Math.min(cdSize, 4 * 1024 * 1024));
+  await fh.read(cd, 0, cd.length, cdOffset);
+  const names = [];
+  for (let o = 0; o + 46 <= cd.length && cd.readUInt32LE(o) === 0x02014b50;) {
+    const nameLen = cd.readUInt16LE(o + 28);
+    const extraLen = cd.readUInt16LE(o + 30);
+    const commentLen = cd.readUInt16LE(o + 32);
+    names.push(cd.toString('utf8', o + 46, o + 46 + nameLen));
+    o += 46 + nameLen + extraLen + commentLen;
+  }
+
+  if (names.includes('[Content_Types].xml')) {
+    if (names.some(n => n.startsWith('word/'))) return result('docx');
+    if (names.some(n => n.startsWith('xl/'))) return result('xlsx');
+    if (names.some(n => n.startsWith('ppt/'))) return result('pptx');
+  }
+  if (names.includes('META-INF/container.xml') && names.includes('mimetype')) return result('epub');
+  return result('zip');
+}
+
+function detectGzip(head) {
+  try {
+    const inner = zlib.gunzipSync(head, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+    if (ascii(inner, 257, 262) === 'ustar') return result('tar.gz');
+  } catch {}
+  return result('gz');
+}
+
+function isMpegFrame(b0, b1) {
+  // 11-bit frame sync; layer bits 00 mean ADTS (AAC), anything else MPEG audio
+  return b0 === 0xff && (b1 & 0xe0) === 0xe0 && (b1 & 0x06) !== 0;
+}
+
+// An sfnt header: version tag and a plausible table count (text can start with "true")
+function isSfnt(head, tag) {
+  if (head.length < 12 || ascii(head, 0, 4) !== tag) return false;
+  const numTables = head.readUInt16BE(4);
+  return numTables > 0 && numTables < 100 && head.readUInt16BE(6) === 16 * 2 ** Math.floor(Math.log2(numTables));
+}
+
+/**
+ * Detects the type of a file from its content.
+ * Returns { ext, mime, kind } or null when nothing matches. `kind` is one of
+ * image, audio, video, document, archive or font.
+ */
+async function detectFormat(filePath) {
+  const fh = await fsp.open(filePath, 'r');
+  try {
+    const { size } = await fh.stat();
+    const head = Buffer.alloc(Math.min(size, HEAD_BYTES));
+    await fh.read(head, 0, head.length, 0);
+    if (!head.length) return null;
+
+    if (startsWith(head, [0xff, 0xd8, 0xff])) return result('jpg');
+    if (startsWith(head, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return result('png');
+    if (ascii(head, 0, 6) === 'GIF87a' || ascii(head, 0, 6) === 'GIF89a') return result('gif');
+    if (ascii(head, 0, 4) === 'RIFF') {
+      const sub = ascii(head, 8, 12);
+      if (sub === 'WEBP') return result('webp');
+      if (sub === 'WAVE') return result('wav');
+      if (sub === 'AVI ') return result('avi');
+    }
+    if (ascii(head, 0, 4) === 'FORM' && ['AIFF', 'AIFC'].includes(ascii(head, 8, 12))) return result('aiff');
+    if (startsWith(head, [0x49, 0x49, 0x2a, 0x00]) || startsWith(head, [0x4d, 0x4d, 0x00, 0x2a])) return result('tiff');
+    if (head.length >= 12 && ascii(head, 4, 8) === 'ftyp') return detectIsoBmff(head);
+    if (ascii(head, 0, 3) === 'ID3') return result('mp3');
+    if (ascii(head, 0, 4) === 'OggS') return detectOgg(head);
+    if (ascii(head, 0, 4) === 'fLaC') return result('flac');
+    if (startsWith(head, [0x30, 0x26, 0xb2, 0x75, 0x8e, 0x66, 0xcf, 0x11])) return result('wma');
+    if (startsWith(head, [0x1a, 0x45, 0xdf, 0xa3])) return detectMatroska(head);
+    if (ascii(head, 0, 1024).includes('%PDF-')) return result('pdf');
+    if (startsWith(head, [0x50, 0x4b, 0x03, 0x04]) || startsWith(head, [0x50, 0x4b, 0x05, 0x06])) return await detectZip(fh, head, size);
+    if (startsWith(head, [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c])) return result('7z');
+    if (ascii(head, 0, 6) === 'Rar!\x1a\x07') return result('rar');
+    if (startsWith(head, [0x1f, 0x8b])) return detectGzip(head);
+    if (ascii(head, 257, 262) === 'ustar') return result('tar');
+    if (startsWith(head, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])) return result('doc');
+    if (ascii(head, 0, 2) === 'BM' && head.length >= 14) return result('bmp');
+    if (ascii(head, 0, 4) === 'wOFF') return result('woff');
+    if (ascii(head, 0, 4) === 'wOF2') return result('woff2');
+    if (isSfnt(head, 'OTTO')) return result('otf');
+    if (isSfnt(head, '\x00\x01\x00\x00') || isSfnt(head, 'true')) return result('ttf');
+    if (startsWith(head, [0x00, 0x00, 0x01, 0x00])) return result('ico');
+    if (head.length >= 2 && isMpegFrame(head[0], head[1])) return result('mp3');
+    if (head.length >= 2 && head[0] === 0xff && (head[1] & 0xf6) === 0xf0) return result('aac');
+    return detectText(head);
+  } finally {
+    await fh.close();
+  }
+}
+
+function extensionOf(filePath) {
+  const lower = String(filePath || '').toLowerCase();
+  if (lower.endsWith('.tar.gz') || lower.endsWith('.tgz')) return 'tar.gz';
+  return path.extname(lower).replace(/^\./, '');
+}
+
+// Extensions that name the same container as the detected type
+const EQUIVALENT_EXTS = {
+  jpg: ['jpeg', 'jpe'],
+  tiff: ['tif'],
+  html: ['htm', 'xhtml'],
+  txt: ['text', 'md', 'csv', 'log'],
+  mp4: ['m4v', 'm4a', 'm4b'],
+  m4a: ['mp4', 'm4b'],
+  mp3: ['mpga'],
+  ogg: ['oga', 'opus'],
+  opus: ['ogg'],
+  aiff: ['aif', 'aifc'],
+  'tar.gz': ['tgz'],
+  // TrueType outlines in an .otf file
+  ttf: ['otf']
+};
+
+/**
+ * Resolves the effective input format of a file for a converter: the sniffed
+ * type wins, unless the extension names an equivalent or more specific
+ * format that the converter supports (e.g. ".jpeg" for a JPEG). Plain text
+ * is a weak match, so any supported extension beats it (".html", ".md").
+ * Falls back to the extension when the content is not recognised.
+ */
+async function resolveInputFormat(filePath, supported) {
+  const ext = extensionOf(filePath);
+  const detected = await detectFormat(filePath).catch(() => null);
+  if (!detected) return { ext, detected: null };
+  const extAllowed = ext && ext !== detected.ext && (!supported || supported.has(ext));
+  if (extAllowed && (detected.ext === 'txt' || (EQUIVALENT_EXTS[detected.ext] || []).includes(ext))) {
+    return { ext, detected };
+  }
+  return { ext: detected.ext, detected };
+}
+
+module.exports = {
+  detectFormat,
+  resolveInputFormat,
+  extensionOf,
+  FORMATS,
+  EQUIVALENT_EXTS
+};
@@ -0,0 +1,77 @@
+// server/services/hostTools.js
+// Reports which optional external tools and sharp/libvips features this host
+// has, by the names the converters use in their CONVERSION_EDGES.
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const sharp = require('sharp');
+const { locateLibreOffice } = require('./documentConverter');
+const { pickBackend } = require('./pdfRasterizer');
+const { resolveBin: sevenZipBin } = require('./archiveConverter');
+
+const execFileAsync = promisify(execFile);
+const PROBE_TIMEOUT_MS = 10000;
+// Installing a tool should not need a restart, so results expire
+const CACHE_MS = 60000;
+
+function libvips() {
+  return `libvips ${sharp.versions.vips}`;
+}
+
+// name -> async () => { available, detail }
+const PROBES = {
+  libreoffice: async () => {
+    const bin = await locateLibreOffice();
+    return bin ? { available: true, detail: bin } : { available: false, detail: 'Install LibreOffice or set LIBREOFFICE_PATH.' };
+  },
+  ffmpeg: async () => {
+    const bin = process.env.FFMPEG_PATH || 'ffmpeg';
+    try {
+      const { stdout } = await execFileAsync(bin, ['-version'], { timeout: PROBE_TIMEOUT_MS });
+      return { available: true, detail: stdout.split(/\r?\n/)[0] };
+    } catch {
+      return { available: false, detail: 'Install ffmpeg or set FFMPEG_PATH.' };
+    }
+  },
+  'pdf-rasterizer': async () => {
+    try {
+      const { backend, bin } = await pickBackend();
+      return { available: true, detail: `${backend.name} (${bin})` };
+    } catch (err) {
+      return { available: false, detail: err.message };
+    }
+  },
+  '7z': async () => {
+    const bin = sevenZipBin();
+    try {
+      await execFileAsync(bin, ['i'], { timeout: PROBE_TIMEOUT_MS });
+      return { available: true, detail: bin };
+    } catch {
+      return { available: false, detail: 'Install 7-Zip (7z) or set SEVEN_ZIP_PATH.' };
+    }
+  },
+  // Prebuilt sharp decodes AVIF through libheif but not HEVC-coded HEIC
+  'sharp:heic': async () => ({
+    available: (sharp.format.heif.input.fileSuffix || []).includes('.heic'),
+    detail: libvips()
+  }),
+  'sharp:avif': async () => ({ available: !!sharp.format.heif.output.file, detail: libvips() }),
+  'sharp:gif': async () => ({ available: !!sharp.format.gif.output.file, detail: libvips() })
+};
+
+let cached = null;
+
+/**
+ * Probes every tool once per CACHE_MS (or when `refresh` is set).
+ * Resolves with { [name]: { available, detail } }.
+ */
+function probeTools({ refresh = false } = {}) {
+  if (!refresh && cached && Date.now() - cached.at < CACHE_MS) return cached.promise;
+  const promise = Promise.all(Object.entries(PROBES).map(async ([name, probe]) => {
+    const result = await probe().catch(err => ({ available: false, detail: err.message }));
+    return [name, result];
+  })).then(Object.fromEntries);
+  cached = { at: Date.now(), promise };
+  return promise;
+}
+
+module.exports = { probeTools };
@@ -2,6 +2,12 @@ const fs = require('fs');
 const fsp = fs.promises;
 const path = require('path');
 const sharp = require('sharp');
+const { ValidationError, NotFoundError, throwIfAborted } = require('./errors');
+const { resolveInputFormat } = require('./formatDetector');
+const { validateOperations, applyOperations } = require('./imageOperations');
+const { imagesToPdf, validatePdfLayout } = require('./imagesToPdf');
+const { convertBatch, unwrapBatch, clampConcurrency } = require('./batchRunner');
+const { readAnimation, animationToVideo, VIDEO_OUTPUTS } = require('./animatedImage');
 let pngToIco;
 try { pngToIco = require('png-to-ico'); } catch { pngToIco = null; }
 
@@ -10,9 +16,24 @@ const SUPPORTED_INPUTS = new Set([
 ]);
 
 const SUPPORTED_OUTPUTS = new Set([
-  'jpg', 'jpeg', 'png', 'webp', 'gif', 'bmp', 'tif', 'tiff', 'ico', 'avif'
+  'jpg', 'jpeg', 'png', 'webp', 'gif', 'bmp', 'tif', 'tiff', 'ico', 'avif', 'pdf', 'mp4', 'webm'
 ]);
 
+// Outputs that keep the frames of an animated GIF/WebP (the rest take the first frame)
+const ANIMATED_OUTPUTS = new Set(['gif', 'webp', 'avif', 'mp4', 'webm']);
+const ANIMATION_ONLY_OUTPUTS = new Set(['mp4', 'webm']);
+
+// Formats that need an optional libvips feature (see hostTools)
+const INPUT_FEATURES = { heic: 'sharp:heic' };
+const OUTPUT_FEATURES = { gif: 'sharp:gif', avif: 'sharp:avif' };
+
+// Direct conversions declared to the conversion planner
+const CONVERSION_EDGES = [...SUPPORTED_INPUTS].flatMap(from => [...SUPPORTED_OUTPUTS].filter(to => !ANIMATION_ONLY_OUTPUTS.has(to)).map(to => ({
+  from: [from],
+  to: [to],
+  requires: [INPUT_FEATURES[from], OUTPUT_FEATURES[to]].filter(Boolean)
+}))).concat({ from: ['gif', 'webp'], to: [...ANIMATION_ONLY_OUTPUTS], requires: ['ffmpeg'] });
+
 function normalizeFormat(fmt) { return String(fmt || '').trim().toLowerCase(); }
 function requiresAlphaFlatten(format) {
   const f = normalizeFormat(format);
@@ -25,17 +46,37 @@ function getOutputPath(outputDir, inputFile, outputFormat, outputBasename) {
   const base = outputBasename ? outputBasename : path.basename(inputFile, path.extname(inputFile));
   return path.join(outputDir, `${base}.${outputExt(outputFormat)}`);
 }
-function validateFormats(inputPath, outputFormat) {
+async function validateFormats(inputPath, outputFormat) {
   const out = normalizeFormat(outputFormat);
-  if (!SUPPORTED_OUTPUTS.has(out)) throw new Error(`Unsupported output format "${outputFormat}". Supported: ${[...SUPPORTED_OUTPUTS].join(', ')}`);
+  if (!SUPPORTED_OUTPUTS.has(out)) throw new ValidationError(`Unsupported output format "${outputFormat}". Supported: ${[...SUPPORTED_OUTPUTS].join(', ')}`);
   const inputs = isBatch(inputPath) ? inputPath : [inputPath];
   for (const p of inputs) {
-    const ext = path.extname(String(p)).replace(/^\./, '').toLowerCase();
-    if (!SUPPORTED_INPUTS.has(ext)) throw new Error(`Unsupported input format ".${ext}" for file "${p}". Supported: ${[...SUPPORTED_INPUTS].join(', ')}`);
+    const { ext } = await resolveInputFormat(String(p), SUPPORTED_INPUTS);
+    if (!SUPPORTED_INPUTS.has(ext)) throw new ValidationError(`Unsupported input format ".${ext}" for file "${p}". Supported: ${[...SUPPORTED_INPUTS].join(', ')}`);
   }
 }
+function reportProgress(onProgress, percent) {
+  if (typeof onProgress !== 'function') return;
+  try { onProgress(Math.max(0, Math.min(100, Math.round(percent)))); } catch {}
+}
 function pickNumber(n, min, max) { if (typeof n !== 'number' || !Number.isFinite(n)) return undefined; if (min!=null && n<min) return min; if (max!=null && n>max) return max; return n; }
 
+// sharp resize options for the `resize` option against the source dimensions, or null
+function resizeTarget(resize, meta) {
+  if (!resize || !(resize.percent || resize.width || resize.height)) return null;
+  let targetWidth; let targetHeight;
+  if (resize.percent) {
+    const percent = pickNumber(resize.percent, 1, 10000);
+    if (!meta.width || !meta.height) throw new ValidationError('Cannot apply percentage resize: source dimensions unavailable');
+    targetWidth = Math.max(1, Math.round((meta.width * percent) / 100));
+    if (resize.lockAspectRatio === false) targetHeight = Math.max(1, Math.round((meta.height * percent) / 100));
+  } else {
+    targetWidth = pickNumber(resize.width, 1);
+    targetHeight = pickNumber(resize.height, 1);
+  }
+  return { width: targetWidth, height: targetHeight, fit: resize.fit || 'cover', withoutEnlargement: !!resize.withoutEnlargement };
+}
+
 async function convertOne(inputPath, outputFormat, options) {
   const {
     quality,
@@ -48,49 +89,56 @@ async function convertOne(inputPath, outputFormat, options) {
     gif,
     preserveMetadata,
     background,
+    operations,
     outputDir = path.resolve(process.cwd(), 'server', 'converted'),
     outputBasename,
-    cleanup = false
+    animated = true,
+    cleanup = false,
+    onProgress,
+    signal
   } = options || {};
 
   const resolvedInput = path.isAbsolute(inputPath) ? inputPath : path.resolve(process.cwd(), inputPath);
   const st = await fsp.stat(resolvedInput).catch(() => null);
-  if (!st || !st.isFile()) throw new Error(`Input file not found: ${resolvedInput}`);
+  if (!st || !st.isFile()) throw new NotFoundError(`Input file not found: ${resolvedInput}`);
 
   await ensureDir(outputDir);
   const outPath = getOutputPath(outputDir, resolvedInput, outputFormat, outputBasename);
   const fmt = normalizeFormat(outputFormat);
 
-  const meta = await sharp(resolvedInput, { failOnError: false }).metadata();
-  let pipeline = sharp(resolvedInput, { failOnError: false });
-  if (preserveMetadata) pipeline = pipeline.withMetadata();
+  // Animated GIF/WebP sources stay animated for outputs that can hold frames
+  const anim = animated !== false && ANIMATED_OUTPUTS.has(fmt) ? await readAnimation(resolvedInput) : null;
+  if (ANIMATION_ONLY_OUTPUTS.has(fmt) && !anim) throw new ValidationError(`Converting to ${fmt} needs an animated GIF or WebP input.`);
+  if (anim && operations && operations.length) {
+    throw new ValidationError('Operations are not supported on animated images; set "animated": false to convert the first frame only.');
+  }
+  if (anim && VIDEO_OUTPUTS.has(fmt)) {
+    const result = await animationToVideo(resolvedInput, fmt, {
+      quality: pickNumber(quality, 1, 100),
+      resize: resizeTarget(resize, anim),
+      background,
+      outputDir,
+      outputBasename: path.basename(outPath, path.extname(outPath)),
+      onProgress,
+      signal
+    });
+    if (cleanup) { try { await fsp.unlink(resolvedInput); } catch (e) { console.warn('[imageConverter] Cleanup warning:', e.message); } }
+    return result;
+  }
+
+  let pipeline = anim
+    ? sharp(resolvedInput, { animated: true, failOnError: false })
+    : await applyOperations(resolvedInput, operations, { preserveMetadata });
+  if (anim && preserveMetadata) pipeline = pipeline.withMetadata();
+  const meta = await pipeline.metadata();
   if (background && requiresAlphaFlatten(fmt)) {
     const bg = { r: background.r ?? 255, g: background.g ?? 255, b: background.b ?? 255, alpha: background.alpha == null ? 1 : background.alpha };
     pipeline = pipeline.flatten({ background: bg });
   }
 
-  if (resize && (resize.percent || resize.width || resize.height)) {
-    let targetWidth; let targetHeight;
-    if (resize.percent) {
-      const percent = pickNumber(resize.percent, 1, 10000);
-      if (!meta.width || !meta.height) throw new Error('Cannot apply percentage resize: source dimensions unavailable');
-      if (resize.lockAspectRatio === false) {
-        targetWidth = Math.max(1, Math.round((meta.width * percent) / 100));
-        targetHeight = Math.max(1, Math.round((meta.height * percent) / 100));
-      } else {
-        targetWidth = Math.max(1, Math.round((meta.width * percent) / 100));
-      }
-    } else {
-      if (resize.lockAspectRatio === false) {
-        targetWidth = pickNumber(resize.width, 1);
-        targetHeight = pickNumber(resize.height, 1);
-      } else {
-        targetWidth = pickNumber(resize.width, 1);
-        targetHeight = pickNumber(resize.height, 1);
-      }
-    }
-    pipeline = pipeline.resize({ width: targetWidth, height: targetHeight, fit: resize.fit || 'cover', withoutEnlargement: !!resize.withoutEnlargement });
-  }
+  // Resizes every frame of an animation (percentages use the frame size)
+  const target = resizeTarget(resize, anim || meta);
+  if (target) pipeline = pipeline.resize(target);
 
   const q = pickNumber(quality, 1, 100);
   if (fmt === 'jpg' || fmt === 'jpeg') {
@@ -101,14 +149,14 @@ async function convertOne(inputPath, outputFormat, options) {
     const pngQuality = png && typeof png.quality === 'number' ? pickNumber(png.quality, 1, 100) : undefined;
     pipeline = pipeline.png({ compressionLevel, palette, quality: pngQuality });
   } else if (fmt === 'webp') {
-    pipeline = pipeline.webp({ quality: q ?? 80, lossless: !!(webp && webp.lossless) });
+    pipeline = pipeline.webp({ quality: q ?? 80, lossless: !!(webp && webp.lossless), ...(anim && { loop: anim.loop, delay: anim.delay }) });
   } else if (fmt === 'avif') {
     pipeline = pipeline.avif({ quality: q ?? 50, lossless: !!(avif && avif.lossless), chromaSubsampling: (avif && avif.chromaSubsampling) || '4:2:0' });
   } else if (fmt === 'gif') {
     if (!sharp.format.gif || !sharp.format.gif.output) throw new Error('GIF output not supported by current sharp/libvips build.');
     const effort = gif && typeof gif.effort === 'number' ? Math.max(1, Math.min(10, gif.effort)) : 7;
     const colours = gif && typeof gif.colours === 'number' ? Math.max(2, Math.min(256, gif.colours)) : 256;
-    pipeline = pipeline.gif({ effort, colours });
+    pipeline = pipeline.gif({ effort, colours, ...(anim && { loop: anim.loop, delay: anim.delay }) });
   } else if (fmt === 'tif' || fmt === 'tiff') {
     pipeline = pipeline.tiff({ quality: q ?? 80, compression: (tiff && tiff.compression) || 'lzw' });
   } else if (fmt === 'bmp') {
@@ -116,9 +164,12 @@ async function convertOne(inputPath, outputFormat, options) {
   } else if (fmt === 'ico') {
     if (!pngToIco) throw new Error('ICO output requires "png-to-ico" package.');
     const sizes = (options.ico && Array.isArray(options.ico.sizes) && options.ico.sizes.length) ? options.ico.sizes : [16,24,32,48,64,128,256];
+    const base = operations && operations.length
+      ? await (await applyOperations(resolvedInput, operations)).png().toBuffer()
+      : resolvedInput;
     const pngBuffers = [];
     for (const size of sizes) {
-      let img = sharp(resolvedInput, { failOnError: false });
+      let img = sharp(base, { failOnError: false });
       if (preserveMetadata) img = img.withMetadata();
       if (background && requiresAlphaFlatten('ico')) {
         const bg = { r: background.r ?? 255, g: background.g ?? 255, b: background.b ?? 255, alpha: background.alpha == null ? 1 : background.alpha };
@@ -145,38 +196,107 @@ async function convertOne(inputPath, outputFormat, options) {
 
   if (cleanup) { try { await fsp.unlink(resolvedInput); } catch (e) { console.warn('[imageConverter] Cleanup warning:', e.message); } }
 
-  return { outputPath: outPath, format: outputExt(outputFormat), width: info?.width, height: info?.height, sizeBytes: info?.size };
+  const result = { outputPath: outPath, format: outputExt(outputFormat), width: info?.width, height: info?.pageHeight || info?.height, sizeBytes: info?.size };
+  return anim ? { ...result, frames: anim.pages, loop: anim.loop, duration: anim.delay.reduce((a, b) => a + b, 0) / 1000 } : result;
+}
+
+/**
+ * Combines all inputs, in order, into one PDF (options.pdf: pageSize,
+ * orientation, fit, margin, dpi, imageFormat; quality for JPEG recompression).
+ */
+async function convertToPdf(inputPath, options) {
+  const {
+    pdf = {},
+    quality,
+    background,
+    operations,
+    outputDir = path.resolve(process.cwd(), 'server', 'converted'),
+    outputBasename,
+    cleanup = false,
+    onProgress,
+    signal
+  } = options || {};
+
+  const inputs = [];
+  for (const p of isBatch(inputPath) ? inputPath : [inputPath]) {
+    const resolved = path.isAbsolute(p) ? p : path.resolve(process.cwd(), p);
+    const st = await fsp.stat(resolved).catch(() => null);
+    if (!st || !st.isFile()) throw new NotFoundError(`Input file not found: ${resolved}`);
+    inputs.push(resolved);
+  }
+
+  await ensureDir(outputDir);
+  const outPath = getOutputPath(outputDir, inputs[0], 'pdf', outputBasename);
+  console.log(`[imageConverter] Assembling ${inputs.length} image(s) into "${outPath}"`);
+  const bg = background ? { r: background.r ?? 255, g: background.g ?? 255, b: background.b ?? 255 } : undefined;
+  const { pages, sizeBytes } = await imagesToPdf(inputs, outPath, { ...pdf, quality: pickNumber(quality, 1, 100), background: bg, operations, onProgress, signal });
+
+  if (cleanup) {
+    for (const p of inputs) { try { await fsp.unlink(p); } catch (e) { console.warn('[imageConverter] Cleanup warning:', e.message); } }
+  }
+  return { outputPath: outPath, format: 'pdf', pages, sizeBytes };
 }
 
-async function runLimited(items, limit, mapper) {
-  const results = new Array(items.length);
-  let next = 0; let active = 0;
-  return new Promise((resolve, reject) => {
-    const launch = () => {
-      while (active < limit && next < items.length) {
-        const idx = next++;
-        active++;
-        Promise.resolve().then(() => mapper(items[idx], idx)).then((res) => {
-          results[idx] = res; active--; if (next >= items.length && active === 0) resolve(results); else launch();
-        }).catch((err) => reject(err));
+/**
+ * Checks the input-independent options of an image conversion (used when a
+ * preset is saved); throws ValidationError on the first problem.
+ */
+function validateOptions(outputFormat, options = {}) {
+  const out = normalizeFormat(outputFormat);
+  if (!SUPPORTED_OUTPUTS.has(out)) throw new ValidationError(`Unsupported output format "${outputFormat}". Supported: ${[...SUPPORTED_OUTPUTS].join(', ')}`);
+  const { quality, resize, ico, operations } = options;
+  if (quality != null && (typeof quality !== 'number' || quality < 1 || quality > 100)) {
+    throw new ValidationError(`Invalid quality ${quality}: expected 1-100.`);
+  }
+  if (resize != null) {
+    if (typeof resize !== 'object') throw new ValidationError('Invalid resize: expected an object.');
+    for (const key of ['width', 'height', 'percent']) {
+      if (resize[key] != null && (typeof resize[key] !== 'number' || resize[key] <= 0)) {
+        throw new ValidationError(`Invalid resize.${key} ${resize[key]}: expected a positive number.`);
       }
-    };
-    launch();
-  });
+    }
+  }
+  if (ico && ico.sizes != null) {
+    if (!Array.isArray(ico.sizes) || ico.sizes.some(n => !Number.isInteger(n) || n < 1 || n > 256)) {
+      throw new ValidationError('Invalid ico.sizes: expected integers between 1 and 256.');
+    }
+  }
+  validateOperations(operations);
+  if (out === 'pdf') validatePdfLayout(options.pdf);
 }
 
 async function convertImage(inputPath, outputFormat, options = {}) {
-  validateFormats(inputPath, outputFormat);
+  const { onProgress, signal } = options;
+  await validateFormats(inputPath, outputFormat);
+  validateOperations(options.operations);
+  throwIfAborted(signal);
+  if (normalizeFormat(outputFormat) === 'pdf') {
+    validatePdfLayout(options.pdf);
+    const result = await convertToPdf(inputPath, options);
+    reportProgress(onProgress, 100);
+    return result;
+  }
   if (isBatch(inputPath)) {
-    const inputs = inputPath;
-    const concurrency = options.concurrency && Number.isFinite(options.concurrency) ? Math.max(1, options.concurrency) : 4;
-    console.log(`[imageConverter] Batch converting ${inputs.length} file(s) with concurrency ${concurrency}`);
-    const results = await runLimited(inputs, concurrency, (p) => convertOne(p, outputFormat, options));
-    return results;
+    // All or nothing: stops at the first bad file (convertImageBatch reports per file)
+    return unwrapBatch(await convertImageBatch(inputPath, outputFormat, { ...options, failFast: true }));
   } else {
     const result = await convertOne(inputPath, outputFormat, options);
+    reportProgress(onProgress, 100);
     return result;
   }
 }
 
-module.exports = { convertImage, SUPPORTED_INPUTS, SUPPORTED_OUTPUTS };
+/**
+ * Converts every input on its own and reports each: [{ input, ok, result |
+ * error }]. Keeps going past failures unless `failFast`; `concurrency`
+ * defaults to 4 (at most MAX_CONCURRENCY of batchRunner) and `signal`
+ * stops the files not yet started.
+ */
+async function convertImageBatch(inputs, outputFormat, options = {}) {
+  validateOperations(options.operations);
+  const concurrency = clampConcurrency(options.concurrency);
+  console.log(`[imageConverter] Batch converting ${inputs.length} file(s) with concurrency ${concurrency}`);
+  return convertBatch(convertImage, inputs, outputFormat, { ...options, concurrency });
+}
+
+module.exports = { convertImage, convertImageBatch, convertOne, validateOptions, SUPPORTED_INPUTS, SUPPORTED_OUTPUTS, CONVERSION_EDGES };
@@ -0,0 +1,302 @@
+// server/services/imageOperations.js
+// Ordered sharp transforms (crop, rotate, watermark, ...) applied before encoding.
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const sharp = require('sharp');
+const { ValidationError, NotFoundError } = require('./errors');
+
+const GRAVITIES = new Set([
+  'center', 'centre', 'north', 'northeast', 'east', 'southeast',
+  'south', 'southwest', 'west', 'northwest'
+]);
+const CROP_STRATEGIES = new Set(['attention', 'entropy']);
+const FLIP_DIRECTIONS = new Set(['horizontal', 'vertical', 'both']);
+
+function isNum(n) { return typeof n === 'number' && Number.isFinite(n); }
+
+function toColour(value, fallback) {
+  if (value == null) return fallback;
+  if (typeof value === 'string') return value;
+  if (typeof value === 'object') {
+    return { r: value.r ?? 255, g: value.g ?? 255, b: value.b ?? 255, alpha: value.alpha == null ? 1 : value.alpha };
+  }
+  return fallback;
+}
+
+function escapeXml(s) {
+  return String(s).replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[c]));
+}
+
+function requirePositive(op, key, { optional = false } = {}) {
+  const v = op[key];
+  if (v == null && optional) return;
+  if (!isNum(v) || v <= 0) throw new ValidationError(`Operation "${op.type}": "${key}" must be a positive number.`);
+}
+
+function requireGravity(op, key = 'position') {
+  if (op[key] != null && !GRAVITIES.has(op[key])) {
+    throw new ValidationError(`Operation "${op.type}": "${key}" must be one of ${[...GRAVITIES].join(', ')}.`);
+  }
+}
+
+const VALIDATORS = {
+  resize(op) {
+    if (op.width == null && op.height == null) throw new ValidationError('Operation "resize": give "width" and/or "height".');
+    requirePositive(op, 'width', { optional: true });
+    requirePositive(op, 'height', { optional: true });
+  },
+  crop(op) {
+    requirePositive(op, 'width');
+    requirePositive(op, 'height');
+    const box = op.left != null || op.top != null;
+    if (box && [op.left ?? 0, op.top ?? 0].some(v => !isNum(v) || v < 0)) {
+      throw new ValidationError('Operation "crop": "left" and "top" must be non-negative numbers.');
+    }
+    if (box && (op.gravity != null || op.strategy != null)) {
+      throw new ValidationError('Operation "crop": use either a box (left/top) or gravity/strategy, not both.');
+    }
+    requireGravity(op, 'gravity');
+    if (op.strategy != null && !CROP_STRATEGIES.has(op.strategy)) {
+      throw new ValidationError(`Operation "crop": "strategy" must be one of ${[...CROP_STRATEGIES].join(', ')}.`);
+    }
+  },
+  rotate(op) {
+    if (!isNum(op.angle)) throw new ValidationError('Operation "rotate": "angle" must be a number of degrees.');
+  },
+  flip(op) {
+    if (op.direction != null && !FLIP_DIRECTIONS.has(op.direction)) {
+      throw new ValidationError(`Operation "flip": "direction" must be one of ${[...FLIP_DIRECTIONS].join(', ')}.`);
+    }
+  },
+  autoOrient() {},
+  trim(op) {
+    if (op.threshold != null && (!isNum(op.threshold) || op.threshold < 0)) {
+      throw new ValidationError('Operation "trim": "threshold" must be a non-negative number.');
+    }
+  },
+  grayscale() {},
+  blur(op) {
+    if (op.sigma != null && (!isNum(op.sigma) || op.sigma < 0.3 || op.sigma > 1000)) {
+      throw new ValidationError('Operation "blur": "sigma" must be between 0.3 and 1000.');
+    }
+  },
+  sharpen(op) {
+    if (op.sigma != null && (!isNum(op.sigma) || op.sigma < 0.000001 || op.sigma > 10)) {
+      throw new ValidationError('Operation "sharpen": "sigma" must be between 0.000001 and 10.');
+    }
+  },
+  modulate(op) {
+    const keys = ['brightness', 'saturation', 'hue', 'lightness'].filter(k => op[k] != null);
+    if (!keys.length) throw new ValidationError('Operation "modulate": give at least one of brightness, saturation, hue, lightness.');
+    for (const k of keys) if (!isNum(op[k])) throw new ValidationError(`Operation "modulate": "${k}" must be a number.`);
+    if ((op.brightness != null && op.brightness < 0) || (op.saturation != null && op.saturation < 0)) {
+      throw new ValidationError('Operation "modulate": brightness and saturation must be non-negative multipliers.');
+    }
+  },
+  watermark(op) {
+    if (!op.text === !op.image) throw new ValidationError('Operation "watermark": give exactly one of "text" or "image".');
+    if (op.opacity != null && (!isNum(op.opacity) || op.opacity < 0 || op.opacity > 1)) {
+      throw new ValidationError('Operation "watermark": "opacity" must be between 0 and 1.');
+    }
+    if (op.scale != null && (!isNum(op.scale) || op.scale <= 0 || op.scale > 1)) {
+      throw new ValidationError('Operation "watermark": "scale" must be a fraction of the image width (0-1].');
+    }
+    if (op.margin != null && (!isNum(op.margin) || op.margin < 0)) {
+      throw new ValidationError('Operation "watermark": "margin" must be a non-negative number.');
+    }
+    requirePositive(op, 'fontSize', { optional: true });
+    requireGravity(op);
+  },
+  extend(op) {
+    const canvas = op.width != null || op.height != null;
+    const sides = ['top', 'bottom', 'left', 'right'].filter(k => op[k] != null);
+    if (canvas === (sides.length > 0)) {
+      throw new ValidationError('Operation "extend": give either a canvas size (width/height) or padding (top/bottom/left/right).');
+    }
+    if (canvas) {
+      requirePositive(op, 'width', { optional: true });
+      requirePositive(op, 'height', { optional: true });
+      requireGravity(op);
+    }
+    for (const k of sides) if (!isNum(op[k]) || op[k] < 0) throw new ValidationError(`Operation "extend": "${k}" must be a non-negative number.`);
+  }
+};
+
+/**
+ * Checks an `operations` array up front so a batch fails before any work is
+ * done. Throws ValidationError on the first bad entry.
+ */
+function validateOperations(operations) {
+  if (operations == null) return;
+  if (!Array.isArray(operations)) throw new ValidationError('"operations" must be an array.');
+  operations.forEach((op, i) => {
+    if (!op || typeof op !== 'object') throw new ValidationError(`operations[${i}] must be an object.`);
+    const validate = VALIDATORS[op.type];
+    if (!validate) {
+      throw new ValidationError(`operations[${i}]: unknown type "${op.type}". Supported: ${Object.keys(VALIDATORS).join(', ')}`);
+    }
+    validate(op);
+  });
+}
+
+async function textOverlay(op, baseWidth) {
+  const fontSize = op.fontSize || Math.max(12, Math.round(baseWidth / 20));
+  const lines = String(op.text).split('\n');
+  // Rough box estimate; librsvg clips anything outside the viewport.
+  const width = Math.ceil(Math.max(...lines.map(l => l.length)) * fontSize * 0.62) + fontSize;
+  const height = Math.ceil(lines.length * fontSize * 1.25) + Math.ceil(fontSize * 0.5);
+  const tspans = lines.map((l, i) => `<tspan x="50%" dy="${i === 0 ? fontSize : fontSize * 1.25}">${escapeXml(l)}</tspan>`).join('');
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">`
+    + `<text x="50%" y="0" text-anchor="middle" font-family="${escapeXml(op.font || 'sans-serif')}" font-size="${fontSize}"`
+    + ` fill="${escapeXml(op.color || '#ffffff')}">${tspans}</text></svg>`;
+  return sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+async function imageOverlay(op) {
+  if (Buffer.isBuffer(op.image)) return op.image;
+  const resolved = path.isAbsolute(op.image) ? op.image : path.resolve(process.cwd(), op.image);
+  const st = await fsp.stat(resolved).catch(() => null);
+  if (!st || !st.isFile()) throw new NotFoundError(`Watermark image not found: ${resolved}`);
+  return fsp.readFile(resolved);
+}
+
+async function buildWatermark(op, width, height) {
+  let overlay = sharp(op.text ? await textOverlay(op, width) : await imageOverlay(op)).ensureAlpha();
+  if (op.scale) overlay = overlay.resize({ width: Math.max(1, Math.round(width * op.scale)) });
+  let buf = await overlay.png().toBuffer();
+
+  const margin = Math.round(op.margin ?? 0);
+  const opacity = op.opacity ?? (op.text ? 0.5 : 1);
+  let img = sharp(buf);
+  if (opacity < 1) {
+    // Scale the alpha channel by compositing a translucent pixel with dest-in.
+    img = img.composite([{
+      input: Buffer.from([255, 255, 255, Math.round(255 * opacity)]),
+      raw: { width: 1, height: 1, channels: 4 },
+      tile: true,
+      blend: 'dest-in'
+    }]);
+  }
+  if (margin) img = sharp(await img.png().toBuffer()).extend({ top: margin, bottom: margin, left: margin, right: margin, background: { r: 0, g: 0, b: 0, alpha: 0 } });
+  buf = await img.png().toBuffer();
+
+  // composite() rejects overlays larger than the base image.
+  const meta = await sharp(buf).metadata();
+  if (meta.width > width || meta.height > height) {
+    buf = await sharp(buf).resize({ width, height, fit: 'inside' }).png().toBuffer();
+  }
+  return buf;
+}
+
+// Offset of a w x h box inside a W x H area for a sharp gravity name.
+function gravityOffset(gravity, W, H, w, h) {
+  const g = gravity || 'center';
+  const left = g.includes('west') ? 0 : g.includes('east') ? W - w : Math.floor((W - w) / 2);
+  const top = g.startsWith('north') ? 0 : g.startsWith('south') ? H - h : Math.floor((H - h) / 2);
+  return { left, top };
+}
+
+async function toRaw(img) {
+  const { data, info } = await img.ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  const raw = { width: info.width, height: info.height, channels: info.channels };
+  return { img: sharp(data, { raw }), ...raw };
+}
+
+// Each handler receives a sharp instance plus the current dimensions and returns a sharp instance.
+const HANDLERS = {
+  resize(img, op) {
+    return img.resize({
+      width: op.width,
+      height: op.height,
+      fit: op.fit || 'cover',
+      withoutEnlargement: !!op.withoutEnlargement,
+      background: toColour(op.background, { r: 0, g: 0, b: 0, alpha: 0 })
+    });
+  },
+  crop(img, op, { width, height }) {
+    if (op.left != null || op.top != null) {
+      const left = Math.round(op.left ?? 0);
+      const top = Math.round(op.top ?? 0);
+      if (left + op.width > width || top + op.height > height) {
+        throw new ValidationError(`Operation "crop": box ${op.width}x${op.height}+${left}+${top} is outside the ${width}x${height} image.`);
+      }
+      return img.extract({ left, top, width: Math.round(op.width), height: Math.round(op.height) });
+    }
+    if (op.strategy) {
+      // Content-aware crops go through sharp's cover resize, so the region is scaled to the box.
+      return img.resize({ width: Math.round(op.width), height: Math.round(op.height), fit: 'cover', position: sharp.strategy[op.strategy] });
+    }
+    const w = Math.min(width, Math.round(op.width));
+    const h = Math.min(height, Math.round(op.height));
+    return img.extract({ ...gravityOffset(op.gravity, width, height, w, h), width: w, height: h });
+  },
+  rotate(img, op) {
+    return img.rotate(op.angle, { background: toColour(op.background, { r: 0, g: 0, b: 0, alpha: 0 }) });
+  },
+  flip(img, op) {
+    const dir = op.direction || 'vertical';
+    if (dir === 'vertical' || dir === 'both') img = img.flip();
+    if (dir === 'horizontal' || dir === 'both') img = img.flop();
+    return img;
+  },
+  autoOrient(img) { return img.rotate(); },
+  trim(img, op) {
+    const opts = {};
+    if (op.threshold != null) opts.threshold = op.threshold;
+    if (op.background != null) opts.background = toColour(op.background);
+    return img.trim(opts);
+  },
+  grayscale(img) { return img.grayscale(); },
+  blur(img, op) { return img.blur(op.sigma ?? 3); },
+  sharpen(img, op) { return op.sigma != null ? img.sharpen({ sigma: op.sigma }) : img.sharpen(); },
+  modulate(img, op) {
+    const opts = {};
+    for (const k of ['brightness', 'saturation', 'hue', 'lightness']) if (op[k] != null) opts[k] = op[k];
+    return img.modulate(opts);
+  },
+  async watermark(img, op, { width, height }) {
+    const input = await buildWatermark(op, width, height);
+    return img.composite([{ input, gravity: op.position || 'southeast', tile: !!op.tile }]);
+  },
+  async extend(img, op, { width, height }) {
+    const background = toColour(op.background, { r: 0, g: 0, b: 0, alpha: 0 });
+    if (op.width == null && op.height == null) {
+      const pad = {};
+      for (const k of ['top', 'bottom', 'left', 'right']) pad[k] = Math.round(op[k] ?? 0);
+      return img.extend({ ...pad, background });
+    }
+    // Pad (never enlarge) to an exact canvas; shrink first if the image is larger.
+    const W = Math.round(op.width ?? width);
+    const H = Math.round(op.height ?? height);
+    if (width > W || height > H) {
+      ({ img, width, height } = await toRaw(img.resize({ width: W, height: H, fit: 'inside' })));
+    }
+    const { left, top } = gravityOffset(op.position, W, H, width, height);
+    return img.extend({ left, top, right: W - width - left, bottom: H - height - top, background });
+  }
+};
+
+/**
+ * Runs `operations` in order against `input` (a path or Buffer) and returns a
+ * sharp instance ready for encoding. sharp reorders chained calls internally,
+ * so the result of every step is flattened to raw pixels before the next one
+ * (and before the caller's resize/encode) runs.
+ */
+async function applyOperations(input, operations, { preserveMetadata = false } = {}) {
+  let img = sharp(input, { failOnError: false });
+  if (operations && operations.length) {
+    // The first step runs on the source so autoOrient still sees the EXIF orientation.
+    const meta = await img.metadata();
+    let dims = { width: meta.width, height: meta.height };
+    for (const op of operations) {
+      const raw = await toRaw(await HANDLERS[op.type](img, op, dims));
+      img = raw.img;
+      dims = { width: raw.width, height: raw.height };
+    }
+  }
+  // Source EXIF does not survive the raw round trips; withMetadata() then only tags the colour space.
+  return preserveMetadata ? img.withMetadata() : img;
+}
+
+module.exports = { validateOperations, applyOperations };
@@ -0,0 +1,174 @@
+// server/services/imagesToPdf.js
+// Builds one PDF from an ordered list of images: one page per image, or per
+// page of a multi-page TIFF. Images are normalised through sharp first.
+const fsp = require('fs').promises;
+const sharp = require('sharp');
+const { PDFDocument, PageSizes } = require('pdf-lib');
+const { ValidationError, throwIfAborted } = require('./errors');
+const { applyOperations } = require('./imageOperations');
+
+const FITS = new Set(['fit', 'fill', 'original']);
+const ORIENTATIONS = new Set(['auto', 'portrait', 'landscape']);
+const IMAGE_FORMATS = new Set(['auto', 'jpeg', 'png']);
+
+function isNum(n) {
+  return typeof n === 'number' && Number.isFinite(n);
+}
+
+// "auto", a pdf-lib paper name (case-insensitive) or [width, height] in points
+function resolvePageSize(size = 'A4') {
+  if (size === 'auto') return 'auto';
+  if (Array.isArray(size)) return size.length === 2 && size.every(n => isNum(n) && n > 0) ? size : null;
+  const name = Object.keys(PageSizes).find(k => k.toLowerCase() === String(size).toLowerCase());
+  return name ? PageSizes[name] : null;
+}
+
+// A number (points on every side) or { top, right, bottom, left }
+function resolveMargins(margin = 0) {
+  if (isNum(margin)) return { top: margin, right: margin, bottom: margin, left: margin };
+  if (margin && typeof margin === 'object') {
+    const { top = 0, right = 0, bottom = 0, left = 0 } = margin;
+    return { top, right, bottom, left };
+  }
+  return null;
+}
+
+/**
+ * Checks the `pdf` options of an image -> PDF conversion:
+ * { pageSize, orientation, fit, margin, dpi, imageFormat }.
+ */
+function validatePdfLayout(layout = {}) {
+  if (layout == null) return;
+  if (typeof layout !== 'object' || Array.isArray(layout)) throw new ValidationError('Invalid "pdf" options: expected an object.');
+  const { pageSize, orientation, fit, margin, dpi, imageFormat } = layout;
+  if (pageSize != null && !resolvePageSize(pageSize)) {
+    throw new ValidationError(`Invalid pdf.pageSize "${pageSize}": use "auto", a paper name like "A4" or "Letter", or [width, height] in points.`);
+  }
+  if (orientation != null && !ORIENTATIONS.has(orientation)) {
+    throw new ValidationError(`Invalid pdf.orientation "${orientation}". Supported: ${[...ORIENTATIONS].join(', ')}`);
+  }
+  if (fit != null && !FITS.has(fit)) throw new ValidationError(`Invalid pdf.fit "${fit}". Supported: ${[...FITS].join(', ')}`);
+  if (margin != null) {
+    const m = resolveMargins(margin);
+    if (!m || !Object.values(m).every(n => isNum(n) && n >= 0)) {
+      throw new ValidationError('Invalid pdf.margin: expected points (>= 0) or { top, right, bottom, left }.');
+    }
+  }
+  if (dpi != null && (!isNum(dpi) || dpi < 1 || dpi > 2400)) throw new ValidationError(`Invalid pdf.dpi ${dpi}: expected 1-2400.`);
+  if (imageFormat != null && !IMAGE_FORMATS.has(imageFormat)) {
+    throw new ValidationError(`Invalid pdf.imageFormat "${imageFormat}". Supported: ${[...IMAGE_FORMATS].join(', ')}`);
+  }
+}
+
+// Size of an image in points at the given resolution
+function naturalSize(info, density) {
+  return { width: (info.width * 72) / density, height: (info.height * 72) / density };
+}
+
+// Page box and the rectangle the image is drawn into, all in points
+function layoutPage(natural, { pageSize, orientation, fit, margins }) {
+  let width;
+  let height;
+  if (pageSize === 'auto') {
+    width = natural.width + margins.left + margins.right;
+    height = natural.height + margins.top + margins.bottom;
+  } else {
+    [width, height] = pageSize;
+    const landscape = orientation === 'auto' ? natural.width > natural.height : orientation === 'landscape';
+    if (landscape !== width > height) [width, height] = [height, width];
+  }
+  const box = { x: margins.left, y: margins.bottom, width: width - margins.left - margins.right, height: height - margins.top - margins.bottom };
+  if (box.width <= 0 || box.height <= 0) throw new ValidationError('pdf.margin leaves no room for the image on the page.');
+
+  if (fit === 'fill') return { width, height, draw: box };
+  let scale = Math.min(box.width / natural.width, box.height / natural.height);
+  if (fit === 'original') scale = Math.min(1, scale);
+  const w = natural.width * scale;
+  const h = natural.height * scale;
+  return { width, height, draw: { x: box.x + (box.width - w) / 2, y: box.y + (box.height - h) / 2, width: w, height: h } };
+}
+
+// Centre crop of a raw image to the aspect ratio of `box`
+function cropToAspect(img, info, box) {
+  const target = box.width / box.height;
+  let width = info.width;
+  let height = info.height;
+  if (width / height > target) width = Math.max(1, Math.round(height * target));
+  else height = Math.max(1, Math.round(width / target));
+  if (width === info.width && height === info.height) return img;
+  return img.extract({ left: Math.floor((info.width - width) / 2), top: Math.floor((info.height - height) / 2), width, height });
+}
+
+/**
+ * Writes `inputs` (image paths, in order) as a single PDF to `outPath`.
+ * `quality` sets the JPEG recompression level; untouched JPEGs are embedded
+ * as-is unless a quality is given. `operations` run on every page.
+ * Resolves with { pages, sizeBytes }.
+ */
+async function imagesToPdf(inputs, outPath, {
+  pageSize = 'A4',
+  orientation = 'auto',
+  fit = 'fit',
+  margin = 0,
+  dpi,
+  imageFormat = 'auto',
+  quality,
+  background = { r: 255, g: 255, b: 255 },
+  operations,
+  onProgress,
+  signal
+} = {}) {
+  validatePdfLayout({ pageSize, orientation, fit, margin, dpi, imageFormat });
+  const layout = { pageSize: resolvePageSize(pageSize), orientation, fit, margins: resolveMargins(margin) };
+  const doc = await PDFDocument.create();
+
+  // One entry per output page (a multi-page TIFF contributes several)
+  const sources = [];
+  for (const input of inputs) {
+    const meta = await sharp(input, { failOnError: false }).metadata();
+    const pages = meta.format === 'tiff' ? meta.pages || 1 : 1;
+    for (let page = 0; page < pages; page++) sources.push({ input, page, meta });
+  }
+
+  for (let i = 0; i < sources.length; i++) {
+    throwIfAborted(signal);
+    const { input, page, meta } = sources[i];
+    const density = dpi || meta.density || 72;
+
+    let embedded;
+    let info;
+    const passthrough = meta.format === 'jpeg' && imageFormat !== 'png' && quality == null && fit !== 'fill'
+      && !(operations && operations.length) && !(meta.orientation > 1);
+    if (passthrough) {
+      embedded = await doc.embedJpg(await fsp.readFile(input));
+      info = { width: meta.width, height: meta.height };
+    } else {
+      let img = sharp(input, { page, failOnError: false }).rotate();
+      if (operations && operations.length) img = await applyOperations(await img.png().toBuffer(), operations);
+      const raw = await img.raw().toBuffer({ resolveWithObject: true });
+      info = raw.info;
+      img = sharp(raw.data, { raw: { width: info.width, height: info.height, channels: info.channels } });
+      if (fit === 'fill') img = cropToAspect(img, info, layoutPage(naturalSize(info, density), layout).draw);
+      const alpha = info.channels === 2 || info.channels === 4;
+      if (imageFormat === 'png' || (imageFormat === 'auto' && alpha)) {
+        embedded = await doc.embedPng(await img.png().toBuffer());
+      } else {
+        if (alpha) img = img.flatten({ background });
+        embedded = await doc.embedJpg(await img.jpeg({ quality: quality ?? 85, mozjpeg: true }).toBuffer());
+      }
+    }
+
+    const { width, height, draw } = layoutPage(naturalSize(info, density), layout);
+    doc.addPage([width, height]).drawImage(embedded, draw);
+
+    if (typeof onProgress === 'function') {
+      try { onProgress(Math.round(((i + 1) / sources.length) * 100)); } catch {}
+    }
+  }
+
+  const bytes = await doc.save();
+  await fsp.writeFile(outPath, bytes);
+  return { pages: sources.length, sizeBytes: bytes.length };
+}
+
+module.exports = { imagesToPdf, validatePdfLayout };
@@ -0,0 +1,129 @@
+// server/services/jobQueue.js
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { CancelledError } = require('./errors');
+
+const TERMINAL_STATES = new Set(['done', 'failed', 'cancelled']);
+
+function snapshot(job) {
+  const { controller, run, ...pub } = job;
+  return pub;
+}
+
+/**
+ * In-memory queue for long running conversions.
+ *
+ * A job wraps a `run({ signal, onProgress })` function. At most `concurrency`
+ * jobs run at once; the rest wait in FIFO order. Cancelling a running job
+ * aborts its signal, which the converters use to kill ffmpeg / soffice.
+ *
+ * Emits:
+ *   'status'   (job) whenever a job changes state
+ *   'progress' (job) whenever a running job reports a new percentage
+ */
+class JobQueue extends EventEmitter {
+  constructor({ concurrency = 2, retainMs = 60 * 60 * 1000 } = {}) {
+    super();
+    this.setMaxListeners(0);
+    this.concurrency = Math.max(1, Number(concurrency) || 1);
+    this.retainMs = retainMs;
+    this.jobs = new Map();
+    this.pending = [];
+    this.active = 0;
+  }
+
+  submit(type, run, meta = {}) {
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      status: 'queued',
+      progress: 0,
+      result: null,
+      error: null,
+      meta,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      controller: new AbortController(),
+      run
+    };
+    this.jobs.set(job.id, job);
+    this.pending.push(job);
+    this.emit('status', snapshot(job));
+    this._drain();
+    return snapshot(job);
+  }
+
+  get(id) {
+    const job = this.jobs.get(id);
+    return job ? snapshot(job) : null;
+  }
+
+  list() {
+    return [...this.jobs.values()].map(snapshot);
+  }
+
+  isTerminal(status) {
+    return TERMINAL_STATES.has(status);
+  }
+
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+    if (TERMINAL_STATES.has(job.status)) return snapshot(job);
+
+    if (job.status === 'queued') {
+      this.pending = this.pending.filter(j => j !== job);
+      this._finish(job, 'cancelled', { error: new CancelledError().message });
+    } else {
+      job.controller.abort();
+    }
+    return snapshot(job);
+  }
+
+  _drain() {
+    while (this.active < this.concurrency && this.pending.length) {
+      const job = this.pending.shift();
+      this._start(job);
+    }
+  }
+
+  _start(job) {
+    this.active++;
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    this.emit('status', snapshot(job));
+
+    const onProgress = (percent) => {
+      const p = Math.max(0, Math.min(100, Math.round(Number(percent) || 0)));
+      if (job.status !== 'running' || p === job.progress) return;
+      job.progress = p;
+      this.emit('progress', snapshot(job));
+    };
+
+    Promise.resolve()
+      .then(() => job.run({ signal: job.controller.signal, onProgress }))
+      .then((result) => {
+        this._finish(job, 'done', { result, progress: 100 });
+      })
+      .catch((err) => {
+        const cancelled = job.controller.signal.aborted || err instanceof CancelledError;
+        this._finish(job, cancelled ? 'cancelled' : 'failed', { error: err?.message || String(err) });
+      })
+      .finally(() => {
+        this.active--;
+        this._drain();
+      });
+  }
+
+  _finish(job, status, fields) {
+    Object.assign(job, fields, { status, finishedAt: new Date().toISOString() });
+    this.emit('status', snapshot(job));
+    if (this.retainMs > 0) {
+      const t = setTimeout(() => this.jobs.delete(job.id), this.retainMs);
+      if (t.unref) t.unref();
+    }
+  }
+}
+
+module.exports = { JobQueue, TERMINAL_STATES };
@@ -0,0 +1,319 @@
+// server/services/markdown.js
+// Markdown to HTML without dependencies: the CommonMark blocks people write
+// (ATX/setext headings, paragraphs, lists, block quotes, fenced and indented
+// code, rules, raw HTML) plus GFM tables and strikethrough, YAML-style front
+// matter and reference links. Output is XHTML-compatible (void tags closed).
+
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'details', 'div', 'dl', 'fieldset', 'figcaption', 'figure',
+  'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'nav', 'ol', 'p',
+  'pre', 'section', 'table', 'ul', 'script', 'style'
+]);
+
+const PLACEHOLDER_RE = /\u0000(\d+)\u0000/g;
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Like escapeHtml, but entity references the author wrote stay as they are
+function escapeText(text) {
+  return String(text).replace(/&(?!#\d+;|#x[0-9a-f]+;|[a-z][a-z0-9]*;)/gi, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function safeUrl(url) {
+  const u = String(url).trim();
+  return /^\s*(javascript|vbscript|data:text\/html)/i.test(u) ? '#' : u;
+}
+
+function slugify(text) {
+  return String(text).toLowerCase().replace(/<[^>]+>/g, '').replace(/&[a-z0-9#]+;/gi, '')
+    .replace(/[^\p{L}\p{N}\s-]/gu, '').trim().replace(/\s+/g, '-') || 'section';
+}
+
+function stripTags(html) {
+  return String(html).replace(/<[^>]+>/g, '').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&amp;/g, '&');
+}
+
+/** Renders inline Markdown (emphasis, code, links, images, breaks) to HTML. */
+function renderInline(text, refs = new Map()) {
+  const saved = [];
+  const hold = html => `\u0000${saved.push(html) - 1}\u0000`;
+  const plain = s => s.replace(PLACEHOLDER_RE, (_, i) => stripTags(saved[i]));
+  const attrTitle = title => (title ? ` title="${escapeHtml(title)}"` : '');
+  const link = (label, url, title) => hold(`<a href="${escapeHtml(safeUrl(url))}"${attrTitle(title)}>`) + label + hold('</a>');
+  const image = (alt, url, title) => hold(`<img src="${escapeHtml(safeUrl(url))}" alt="${escapeHtml(plain(alt))}"${attrTitle(title)} />`);
+  const ref = (label, key) => refs.get((key || label).trim().toLowerCase().replace(/\s+/g, ' '));
+
+  let s = String(text)
+    .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (_, ticks, code) => hold(`<code>${escapeHtml(code.replace(/^ ([\s\S]*) $/, '$1'))}</code>`))
+    .replace(/\\([!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~])/g, (_, ch) => hold(escapeHtml(ch)))
+    .replace(/\\\n/g, () => hold('<br />\n'))
+    .replace(/<((?:https?|ftp|mailto):[^\s<>]+)>/gi, (_, url) => hold(`<a href="${escapeHtml(url)}">${escapeHtml(url)}</a>`))
+    .replace(/<([^\s<>@]+@[^\s<>@]+\.[a-z]{2,})>/gi, (_, mail) => hold(`<a href="mailto:${escapeHtml(mail)}">${escapeHtml(mail)}</a>`))
+    .replace(/<\/?[a-z][a-z0-9-]*(?:\s+[a-z_:][\w:.-]*(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*\s*\/?>|<!--[\s\S]*?-->/gi, m => hold(m));
+
+  const DEST = String.raw`\(\s*<?([^\s<>()]*(?:\([^\s()]*\)[^\s<>()]*)*)>?(?:\s+(?:"([^"]*)"|'([^']*)'))?\s*\)`;
+  s = s.replace(new RegExp(String.raw`!\[([^\]]*)\]` + DEST, 'g'), (_, alt, url, t1, t2) => image(alt, url, t1 ?? t2))
+    .replace(/!\[([^\]]*)\]\[([^\]]*)\]/g, (m, alt, key) => { const r = ref(alt, key); return r ? image(alt, r.url, r.title) : m; })
+    .replace(new RegExp(String.raw`\[((?:[^\[\]]|\[[^\]]*\])*)\]` + DEST, 'g'), (_, label, url, t1, t2) => link(label, url, t1 ?? t2))
+    .replace(/\[([^\]]+)\]\[([^\]]*)\]/g, (m, label, key) => { const r = ref(label, key); return r ? link(label, r.url, r.title) : m; })
+    .replace(/\[([^\]]+)\](?![(\[])/g, (m, label) => { const r = ref(label); return r ? link(label, r.url, r.title) : m; });
+
+  s = escapeText(s)
+    .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1(?![*_])/g, (m, mark, inner, off, all) => (mark === '__' && /\w/.test(all[off - 1] || '') ? m : `<strong>${inner}</strong>`))
+    .replace(/(\*|_)(?=[^\s*_])([\s\S]*?[^\s*_])\1(?![*_])/g, (m, mark, inner, off, all) => (mark === '_' && (/\w/.test(all[off - 1] || '') || /\w/.test(all[off + m.length] || '')) ? m : `<em>${inner}</em>`))
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+    .replace(/ {2,}\n/g, '<br />\n');
+  // Placeholders can nest (a link label holding code), so restore until none are left
+  while (PLACEHOLDER_RE.test(s)) s = s.replace(PLACEHOLDER_RE, (_, i) => saved[i]);
+  return s;
+}
+
+// Front matter: "---" lines around "key: value" pairs at the very top
+function splitFrontMatter(source) {
+  const m = /^---[ \t]*\n([\s\S]*?)\n(?:---|\.\.\.)[ \t]*(?:\n|$)/.exec(source);
+  if (!m) return { meta: {}, body: source };
+  const meta = {};
+  for (const line of m[1].split('\n')) {
+    const kv = /^([A-Za-z][\w-]*)\s*:\s*(.*)$/.exec(line);
+    if (kv) meta[kv[1].toLowerCase()] = kv[2].trim().replace(/^(["'])([\s\S]*)\1$/, '$2');
+  }
+  return { meta, body: source.slice(m[0].length) };
+}
+
+const RE = {
+  blank: /^\s*$/,
+  atx: /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/,
+  setext: /^ {0,3}(=+|-+)[ \t]*$/,
+  hr: /^ {0,3}(?:(?:\*[ \t]*){3,}|(?:-[ \t]*){3,}|(?:_[ \t]*){3,})$/,
+  fence: /^( {0,3})(`{3,}|~{3,})[ \t]*([^`\s]*)[^`]*$/,
+  quote: /^ {0,3}> ?/,
+  bullet: /^( {0,3})([-*+])([ \t]+|$)/,
+  ordered: /^( {0,3})(\d{1,9})([.)])([ \t]+|$)/,
+  html: /^ {0,3}<(?:!--|\/?([a-z][a-z0-9-]*)(?=[\s/>]|$))/i,
+  refDef: /^ {0,3}\[([^\]]+)\]:\s*<?(\S+?)>?(?:\s+(?:"([^"]*)"|'([^']*)'|\(([^)]*)\)))?\s*$/,
+  tableDelim: /^\s*\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)*\|?\s*$/
+};
+
+function listMarker(line) {
+  const b = RE.bullet.exec(line);
+  if (b) return { ordered: false, marker: b[2], start: 1, width: b[1].length + 1 + Math.min(b[3].length || 1, 4) };
+  const o = RE.ordered.exec(line);
+  if (o) return { ordered: true, marker: o[3], start: Number(o[2]), width: o[1].length + o[2].length + 1 + Math.min(o[4].length || 1, 4) };
+  return null;
+}
+
+function splitRow(line) {
+  const cells = line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '').split(/(?<!\\)\|/);
+  return cells.map(c => c.trim().replace(/\\\|/g, '|'));
+}
+
+// Starts of blocks that end a paragraph without a blank line
+function interruptsParagraph(line) {
+  if (RE.atx.test(line) || RE.hr.test(line) || RE.fence.test(line) || RE.quote.test(line)) return true;
+  const html = RE.html.exec(line);
+  if (html && (!html[1] || BLOCK_TAGS.has(html[1].toLowerCase()))) return true;
+  const item = listMarker(line);
+  return Boolean(item && (!item.ordered || item.start === 1) && !RE.blank.test(line.slice(item.width)));
+}
+
+class BlockParser {
+  constructor(refs, headings) {
+    this.refs = refs;
+    this.headings = headings;
+  }
+
+  inline(text) { return renderInline(text, this.refs); }
+
+  heading(level, text) {
+    const html = this.inline(text);
+    const base = slugify(html);
+    let id = base;
+    for (let n = 2; this.headings.some(h => h.id === id); n++) id = `${base}-${n}`;
+    this.headings.push({ level, id, text: stripTags(html) });
+    return `<h${level} id="${id}">${html}</h${level}>`;
+  }
+
+  // Collects [label]: url "title" definitions, which may appear anywhere
+  collectRefs(lines) {
+    let inFence = null;
+    return lines.filter(line => {
+      const fence = RE.fence.exec(line);
+      if (fence && (!inFence || fence[2][0] === inFence[0] && fence[2].length >= inFence.length)) inFence = inFence ? null : fence[2];
+      const def = !inFence && RE.refDef.exec(line);
+      if (!def) return true;
+      const key = def[1].trim().toLowerCase().replace(/\s+/g, ' ');
+      if (!this.refs.has(key)) this.refs.set(key, { url: def[2], title: def[3] ?? def[4] ?? def[5] });
+      return false;
+    });
+  }
+
+  parse(lines) {
+    const out = [];
+    let i = 0;
+    while (i < lines.length) {
+      const line = lines[i];
+      if (RE.blank.test(line)) { i++; continue; }
+
+      const fence = RE.fence.exec(line);
+      if (fence) {
+        const [, indent, marker, lang] = fence;
+        const body = [];
+        for (i++; i < lines.length; i++) {
+          const close = new RegExp(`^ {0,3}${marker[0] === '`' ? '`' : '~'}{${marker.length},}[ \\t]*$`);
+          if (close.test(lines[i])) { i++; break; }
+          body.push(lines[i].replace(new RegExp(`^ {0,${indent.length}}`), ''));
+        }
+        const cls = lang ? ` class="language-${escapeHtml(lang)}"` : '';
+        out.push(`<pre><code${cls}>${escapeHtml(body.join('\n'))}${body.length ? '\n' : ''}</code></pre>`);
+        continue;
+      }
+      if (/^(?: {4}|\t)/.test(line)) {
+        const body = [];
+        while (i < lines.length && (/^(?: {4}|\t)/.test(lines[i]) || RE.blank.test(lines[i]))) body.push(lines[i++].replace(/^(?: {4}|\t)/, ''));
+        while (body.length && RE.blank.test(body[body.length - 1])) body.pop();
+        out.push(`<pre><code>${escapeHtml(body.join('\n'))}\n</code></pre>`);
+        continue;
+      }
+      const atx = RE.atx.exec(line);
+      if (atx) { out.push(this.heading(atx[1].length, atx[2] || '')); i++; continue; }
+      if (RE.hr.test(line)) { out.push('<hr />'); i++; continue; }
+
+      if (RE.quote.test(line)) {
+        const body = [];
+        while (i < lines.length && !RE.blank.test(lines[i])) {
+          if (RE.quote.test(lines[i])) body.push(lines[i].replace(RE.quote, ''));
+          else if (body.length && !interruptsParagraph(lines[i])) body.push(lines[i]);
+          else break;
+          i++;
+        }
+        out.push(`<blockquote>\n${this.parse(body)}\n</blockquote>`);
+        continue;
+      }
+
+      const html = RE.html.exec(line);
+      if (html && (!html[1] || BLOCK_TAGS.has(html[1].toLowerCase()))) {
+        const body = [];
+        while (i < lines.length && !RE.blank.test(lines[i])) body.push(lines[i++]);
+        out.push(body.join('\n'));
+        continue;
+      }
+
+      const item = listMarker(line);
+      if (item) { i = this.list(lines, i, item, out); continue; }
+
+      if (line.includes('|') && i + 1 < lines.length && RE.tableDelim.test(lines[i + 1]) && lines[i + 1].includes('-')) {
+        i = this.table(lines, i, out);
+        continue;
+      }
+
+      const para = [line.trim()];
+      for (i++; i < lines.length && !RE.blank.test(lines[i]); i++) {
+        const setext = RE.setext.exec(lines[i]);
+        if (setext) break;
+        if (interruptsParagraph(lines[i])) break;
+        para.push(lines[i].replace(/^\s+/, ''));
+      }
+      const setext = i < lines.length && RE.setext.exec(lines[i]);
+      if (setext) {
+        out.push(this.heading(setext[1][0] === '=' ? 1 : 2, para.join('\n')));
+        i++;
+      } else {
+        out.push(`<p>${this.inline(para.join('\n'))}</p>`);
+      }
+    }
+    return out.join('\n');
+  }
+
+  list(lines, i, first, out) {
+    const items = [];
+    let loose = false;
+    let item = first;
+    while (item) {
+      const body = [lines[i].slice(item.width)];
+      let blankBefore = false;
+      for (i++; i < lines.length; i++) {
+        const line = lines[i];
+        if (RE.blank.test(line)) { body.push(''); blankBefore = true; continue; }
+        const indent = /^\s*/.exec(line)[0].replace(/\t/g, '    ').length;
+        if (indent >= item.width) { body.push(line.replace(/^\s*/, ' '.repeat(indent - item.width))); blankBefore = false; continue; }
+        // Lazy continuation of the item's paragraph
+        if (!blankBefore && !interruptsParagraph(line) && !listMarker(line)) { body.push(line); continue; }
+        break;
+      }
+      while (body.length && RE.blank.test(body[body.length - 1])) body.pop();
+      if (body.slice(1).some((l, k) => RE.blank.test(l) && k + 2 < body.length && !RE.blank.test(body[k + 2]))) loose = true;
+      items.push(body);
+      const next = i < lines.length ? listMarker(lines[i]) : null;
+      const sameList = next && next.ordered === first.ordered && next.marker === first.marker;
+      if (sameList && blankBefore) loose = true;
+      item = sameList ? next : null;
+    }
+    const rendered = items.map(body => {
+      let html = this.parse(body);
+      if (!loose) html = html.replace(/^<p>([\s\S]*?)<\/p>/, '$1').replace(/\n<p>([\s\S]*?)<\/p>$/, '\n$1');
+      return `<li>${html}</li>`;
+    });
+    const tag = first.ordered ? 'ol' : 'ul';
+    const start = first.ordered && first.start !== 1 ? ` start="${first.start}"` : '';
+    out.push(`<${tag}${start}>\n${rendered.join('\n')}\n</${tag}>`);
+    return i;
+  }
+
+  table(lines, i, out) {
+    const header = splitRow(lines[i]);
+    const align = splitRow(lines[i + 1]).map(c => (c.startsWith(':') && c.endsWith(':') ? 'center' : c.endsWith(':') ? 'right' : c.startsWith(':') ? 'left' : null));
+    const cell = (tag, text, k) => `<${tag}${align[k] ? ` style="text-align: ${align[k]}"` : ''}>${this.inline(text || '')}</${tag}>`;
+    const rows = [];
+    for (i += 2; i < lines.length && !RE.blank.test(lines[i]) && lines[i].includes('|'); i++) rows.push(splitRow(lines[i]));
+    out.push([
+      '<table>',
+      `<thead>\n<tr>${header.map((h, k) => cell('th', h, k)).join('')}</tr>\n</thead>`,
+      rows.length ? `<tbody>\n${rows.map(r => `<tr>${header.map((_, k) => cell('td', r[k], k)).join('')}</tr>`).join('\n')}\n</tbody>` : '',
+      '</table>'
+    ].filter(Boolean).join('\n'));
+    return i;
+  }
+}
+
+/**
+ * Renders Markdown to an HTML fragment. Returns { html, meta, title,
+ * headings }: `meta` holds the front matter keys (lower-cased), `title` the
+ * front matter title or first level-1 heading, and `headings` every heading
+ * as { level, id, text } (headings get slug ids).
+ */
+function renderMarkdown(source) {
+  const { meta, body } = splitFrontMatter(String(source).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n'));
+  const headings = [];
+  const parser = new BlockParser(new Map(), headings);
+  const html = parser.parse(parser.collectRefs(body.split('\n')));
+  const h1 = headings.find(h => h.level === 1);
+  return { html, meta, title: meta.title || (h1 && h1.text) || null, headings };
+}
+
+/**
+ * A complete HTML document for `source`. `title` and `lang` apply when the
+ * Markdown names none.
+ */
+function markdownToHtml(source, { title, lang } = {}) {
+  const { html, meta, title: docTitle } = renderMarkdown(source);
+  const language = meta.lang || meta.language || lang;
+  const author = meta.author;
+  return [
+    '<!DOCTYPE html>',
+    `<html${language ? ` lang="${escapeHtml(language)}"` : ''}>`,
+    '<head>',
+    '<meta charset="utf-8" />',
+    `<title>${escapeHtml(docTitle || title || 'Document')}</title>`,
+    ...(author ? [`<meta name="author" content="${escapeHtml(author)}" />`] : []),
+    '</head>',
+    '<body>',
+    html,
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+module.exports = { renderMarkdown, renderInline, markdownToHtml };
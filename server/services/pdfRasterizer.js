@@ -0,0 +1,130 @@
+// server/services/pdfRasterizer.js
+// Renders PDF pages to PNG through a pluggable backend: poppler's pdftoppm or
+// Ghostscript when installed, LibreOffice (registered by documentConverter) last.
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { PDFDocument } = require('pdf-lib');
+const { ConverterError, ValidationError, CancelledError, throwIfAborted } = require('./errors');
+const { parsePageRange } = require('./pdfToolkit');
+
+const execFileAsync = promisify(execFile);
+const RENDER_TIMEOUT_MS = 120000;
+
+async function findExecutable(envVar, names) {
+  if (process.env[envVar]) return fs.existsSync(process.env[envVar]) ? process.env[envVar] : null;
+  const finder = process.platform === 'win32' ? 'where' : 'which';
+  for (const name of names) {
+    try {
+      const { stdout } = await execFileAsync(finder, [name]);
+      const found = stdout.split(/\r?\n/).map(s => s.trim()).find(Boolean);
+      if (found) return found;
+    } catch {}
+  }
+  return null;
+}
+
+async function run(bin, args, signal, tag) {
+  await execFileAsync(bin, args, { timeout: RENDER_TIMEOUT_MS, signal, killSignal: 'SIGKILL' }).catch(err => {
+    if (signal && signal.aborted) throw new CancelledError();
+    console.error(`[pdfRasterizer] ${tag} error:`, err.stderr || err.message);
+    throw new ConverterError(`${tag} failed to render the PDF: ${err.message}`);
+  });
+}
+
+/**
+ * A backend is { name, locate(): Promise<string|null>, renderPage(bin, job) }
+ * where job = { input, page, dpi, output, widthPt, heightPt, signal } and
+ * renderPage must write a PNG of that (1-based) page to `output`.
+ */
+const backends = [
+  {
+    name: 'pdftoppm',
+    locate: () => findExecutable('PDFTOPPM_PATH', ['pdftoppm']),
+    async renderPage(bin, { input, page, dpi, output, signal }) {
+      // -singlefile writes exactly <prefix>.png
+      const prefix = output.replace(/\.png$/i, '');
+      await run(bin, ['-png', '-r', String(dpi), '-f', String(page), '-l', String(page), '-singlefile', input, prefix], signal, 'pdftoppm');
+    }
+  },
+  {
+    name: 'ghostscript',
+    locate: () => findExecutable('GHOSTSCRIPT_PATH', process.platform === 'win32' ? ['gswin64c', 'gswin32c'] : ['gs']),
+    async renderPage(bin, { input, page, dpi, output, signal }) {
+      await run(bin, [
+        '-dSAFER', '-dBATCH', '-dNOPAUSE', '-dQUIET',
+        '-sDEVICE=png16m', `-r${dpi}`, '-dTextAlphaBits=4', '-dGraphicsAlphaBits=4',
+        `-dFirstPage=${page}`, `-dLastPage=${page}`,
+        `-sOutputFile=${output}`, input
+      ], signal, 'Ghostscript');
+    }
+  }
+];
+
+/**
+ * Adds a backend. Backends are tried in registration order unless
+ * `fallback` is false, in which case the new one is preferred.
+ */
+function registerBackend(backend, { fallback = true } = {}) {
+  const i = backends.findIndex(b => b.name === backend.name);
+  if (i !== -1) backends.splice(i, 1);
+  if (fallback) backends.push(backend); else backends.unshift(backend);
+}
+
+// PDF_RASTERIZER=pdftoppm|ghostscript|libreoffice pins a backend.
+async function pickBackend(preferred = process.env.PDF_RASTERIZER) {
+  const candidates = preferred ? backends.filter(b => b.name === preferred) : backends;
+  if (preferred && !candidates.length) throw new ConverterError(`Unknown PDF rasterizer "${preferred}".`);
+  for (const backend of candidates) {
+    const bin = await backend.locate();
+    if (bin) return { backend, bin };
+  }
+  throw new ConverterError(`No PDF rasterizer available. Install poppler-utils (pdftoppm), Ghostscript or LibreOffice${preferred ? ` (requested: ${preferred})` : ''}.`);
+}
+
+/**
+ * Renders the selected pages (parsePageRange syntax, default all) of a PDF
+ * to PNG files in `outDir`, named `<basename>_page-<n>.png`.
+ * Resolves with [{ page, file }] in page order.
+ */
+async function renderPdfPages(inputPdf, { outDir, basename, dpi = 150, pageRange, concurrency = 2, backend: preferred, onProgress, signal } = {}) {
+  const doc = await PDFDocument.load(await fsp.readFile(inputPdf), { ignoreEncryption: true, updateMetadata: false });
+  const total = doc.getPageCount();
+  const pages = pageRange ? parsePageRange(pageRange, total) : Array.from({ length: total }, (_, i) => i + 1);
+  if (!pages.length) throw new ValidationError(`pageRange "${pageRange}" selects no pages (document has ${total}).`);
+
+  const { backend, bin } = await pickBackend(preferred);
+  console.log(`[pdfRasterizer] Rendering ${pages.length} page(s) at ${dpi} DPI with ${backend.name}`);
+  await fsp.mkdir(outDir, { recursive: true });
+  const base = basename || path.basename(inputPdf, path.extname(inputPdf));
+
+  const results = new Array(pages.length);
+  let next = 0;
+  let done = 0;
+  let failed = false;
+  const worker = async () => {
+    while (next < pages.length && !failed) {
+      const idx = next++;
+      throwIfAborted(signal);
+      const page = pages[idx];
+      const { width: widthPt, height: heightPt } = doc.getPage(page - 1).getSize();
+      const output = path.join(outDir, `${base}_page-${page}.png`);
+      await backend.renderPage(bin, { input: inputPdf, page, dpi, output, widthPt, heightPt, signal }).catch(err => {
+        failed = true;
+        throw err;
+      });
+      if (!fs.existsSync(output)) throw new ConverterError(`${backend.name} did not produce page ${page}.`);
+      results[idx] = { page, file: output };
+      done++;
+      if (typeof onProgress === 'function') {
+        try { onProgress(Math.round((done / pages.length) * 100)); } catch {}
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, pages.length)) }, worker));
+  return results;
+}
+
+module.exports = { renderPdfPages, registerBackend, pickBackend };
@@ -0,0 +1,244 @@
+// server/services/pdfText.js
+// Plain-text extraction from PDF content streams with pdf-lib. Handles
+// ToUnicode CMaps and single-byte fonts; glyph-only (Identity-H without a
+// ToUnicode map) text cannot be recovered and is skipped.
+const fsp = require('fs').promises;
+const { PDFDocument, PDFName, PDFDict, PDFArray, PDFStream, PDFRawStream, decodePDFRawStream } = require('pdf-lib');
+
+// TJ adjustments (thousandths of an em) wider than this become a space
+const TJ_SPACE_THRESHOLD = -200;
+const MAX_FORM_DEPTH = 8;
+// WinAnsiEncoding 0x80-0x9F; the rest of the single-byte range matches Latin-1
+const WIN_ANSI_80 = '\u20ac\ufffd\u201a\u0192\u201e\u2026\u2020\u2021\u02c6\u2030\u0160\u2039\u0152\ufffd\u017d\ufffd'
+  + '\ufffd\u2018\u2019\u201c\u201d\u2022\u2013\u2014\u02dc\u2122\u0161\u203a\u0153\ufffd\u017e\u0178';
+
+function winAnsi(bytes) {
+  let out = '';
+  for (const b of bytes) out += b >= 0x80 && b <= 0x9f ? WIN_ANSI_80[b - 0x80] : String.fromCharCode(b);
+  return out;
+}
+
+function streamBytes(stream) {
+  if (stream instanceof PDFRawStream) return decodePDFRawStream(stream).decode();
+  if (stream instanceof PDFStream && typeof stream.getContents === 'function') return stream.getContents();
+  return new Uint8Array();
+}
+
+function hexToBytes(hex) {
+  const clean = hex.replace(/[^0-9a-f]/gi, '');
+  const padded = clean.length % 2 ? clean + '0' : clean;
+  return Buffer.from(padded, 'hex');
+}
+
+function utf16be(bytes) {
+  let out = '';
+  for (let i = 0; i + 1 < bytes.length; i += 2) out += String.fromCharCode((bytes[i] << 8) | bytes[i + 1]);
+  return out;
+}
+
+function codeOf(bytes) {
+  let code = 0;
+  for (const b of bytes) code = code * 256 + b;
+  return code;
+}
+
+// ToUnicode CMap -> { width (bytes per code), map: Map(code -> string) }
+function parseCMap(text) {
+  const map = new Map();
+  let width = 1;
+  const space = /begincodespacerange\s*<([0-9a-f]+)>/i.exec(text);
+  if (space) width = Math.max(1, Math.ceil(space[1].length / 2));
+
+  for (const block of text.matchAll(/beginbfchar([\s\S]*?)endbfchar/gi)) {
+    for (const m of block[1].matchAll(/<([0-9a-f]+)>\s*<([0-9a-f]*)>/gi)) {
+      map.set(codeOf(hexToBytes(m[1])), utf16be(hexToBytes(m[2])));
+    }
+  }
+  for (const block of text.matchAll(/beginbfrange([\s\S]*?)endbfrange/gi)) {
+    for (const m of block[1].matchAll(/<([0-9a-f]+)>\s*<([0-9a-f]+)>\s*(<[0-9a-f]*>|\[[^\]]*\])/gi)) {
+      const lo = codeOf(hexToBytes(m[1]));
+      const hi = codeOf(hexToBytes(m[2]));
+      if (hi - lo > 0xffff) continue;
+      if (m[3].startsWith('[')) {
+        const dsts = [...m[3].matchAll(/<([0-9a-f]*)>/gi)].map(d => utf16be(hexToBytes(d[1])));
+        dsts.forEach((dst, i) => { if (lo + i <= hi) map.set(lo + i, dst); });
+      } else {
+        const start = hexToBytes(m[3].slice(1, -1));
+        for (let code = lo; code <= hi; code++) {
+          const dst = Buffer.from(start);
+          dst[dst.length - 1] += code - lo;
+          map.set(code, utf16be(dst));
+        }
+      }
+    }
+  }
+  return { width, map };
+}
+
+// Decoder for a font dictionary: bytes of a shown string -> text
+function fontDecoder(font) {
+  if (!(font instanceof PDFDict)) return winAnsi;
+  const toUnicode = font.lookup(PDFName.of('ToUnicode'));
+  const composite = font.get(PDFName.of('Subtype')) === PDFName.of('Type0');
+  if (toUnicode instanceof PDFStream) {
+    const { width, map } = parseCMap(Buffer.from(streamBytes(toUnicode)).toString('latin1'));
+    const step = composite ? Math.max(width, 2) : width;
+    return bytes => {
+      let out = '';
+      for (let i = 0; i + step <= bytes.length; i += step) {
+        const code = codeOf(bytes.subarray(i, i + step));
+        out += map.has(code) ? map.get(code) : composite ? '' : String.fromCharCode(code);
+      }
+      return out;
+    };
+  }
+  // Without a map, composite fonts only carry glyph IDs
+  if (composite) return () => '';
+  return winAnsi;
+}
+
+// Tokenizer for content streams: yields operands and operators
+function* tokens(buf) {
+  const n = buf.length;
+  let i = 0;
+  const isWhite = c => c === 0x20 || c === 0x0a || c === 0x0d || c === 0x09 || c === 0x0c || c === 0x00;
+  const isDelim = c => '()<>[]{}/%'.includes(String.fromCharCode(c));
+  while (i < n) {
+    const c = buf[i];
+    if (isWhite(c)) { i++; continue; }
+    if (c === 0x25) { while (i < n && buf[i] !== 0x0a && buf[i] !== 0x0d) i++; continue; }
+    if (c === 0x28) {
+      // Literal string with nesting and escapes
+      const out = [];
+      let depth = 1;
+      i++;
+      while (i < n && depth) {
+        let b = buf[i++];
+        if (b === 0x5c) {
+          const e = buf[i++];
+          const map = { 0x6e: 0x0a, 0x72: 0x0d, 0x74: 0x09, 0x62: 0x08, 0x66: 0x0c };
+          if (map[e] != null) out.push(map[e]);
+          else if (e >= 0x30 && e <= 0x37) {
+            let oct = e - 0x30;
+            for (let k = 0; k < 2 && buf[i] >= 0x30 && buf[i] <= 0x37; k++) oct = oct * 8 + (buf[i++] - 0x30);
+            out.push(oct & 0xff);
+          } else if (e === 0x0d) { if (buf[i] === 0x0a) i++; } else if (e !== 0x0a) out.push(e);
+          continue;
+        }
+        if (b === 0x28) depth++;
+        else if (b === 0x29 && --depth === 0) break;
+        out.push(b);
+      }
+      yield { type: 'string', value: Uint8Array.from(out) };
+      continue;
+    }
+    if (c === 0x3c && buf[i + 1] !== 0x3c) {
+      const end = buf.indexOf(0x3e, i);
+      const stop = end < 0 ? n : end;
+      yield { type: 'string', value: hexToBytes(Buffer.from(buf.subarray(i + 1, stop)).toString('latin1')) };
+      i = stop + 1;
+      continue;
+    }
+    if (c === 0x5b || c === 0x5d) { yield { type: c === 0x5b ? '[' : ']' }; i++; continue; }
+    if ((c === 0x3c || c === 0x3e) && buf[i + 1] === c) { yield { type: c === 0x3c ? '<<' : '>>' }; i += 2; continue; }
+    if (c === 0x2f) {
+      let j = i + 1;
+      while (j < n && !isWhite(buf[j]) && !isDelim(buf[j])) j++;
+      yield { type: 'name', value: Buffer.from(buf.subarray(i + 1, j)).toString('latin1') };
+      i = j;
+      continue;
+    }
+    let j = i;
+    while (j < n && !isWhite(buf[j]) && !isDelim(buf[j])) j++;
+    if (j === i) { i++; continue; }
+    const word = Buffer.from(buf.subarray(i, j)).toString('latin1');
+    i = j;
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) { yield { type: 'number', value: Number(word) }; continue; }
+    if (word === 'ID') {
+      // Inline image data runs until whitespace + "EI"
+      let k = i + 1;
+      while (k < n - 2 && !(isWhite(buf[k - 1]) && buf[k] === 0x45 && buf[k + 1] === 0x49 && (k + 2 >= n || isWhite(buf[k + 2])))) k++;
+      i = k + 2;
+      continue;
+    }
+    yield { type: 'op', value: word };
+  }
+}
+
+function extractFromStream(bytes, resources, out, depth) {
+  const fonts = resources && resources.lookupMaybe(PDFName.of('Font'), PDFDict);
+  const xobjects = resources && resources.lookupMaybe(PDFName.of('XObject'), PDFDict);
+  const decoders = new Map();
+  const decoderFor = name => {
+    if (!decoders.has(name)) decoders.set(name, fontDecoder(fonts && fonts.lookup(PDFName.of(name))));
+    return decoders.get(name);
+  };
+
+  let decode = winAnsi;
+  let operands = [];
+  let array = null;
+  let lastY = null;
+  const newline = () => { if (out.length && !out[out.length - 1].endsWith('\n')) out.push('\n'); };
+  const show = value => out.push(decode(value));
+
+  for (const tok of tokens(Buffer.from(bytes))) {
+    if (tok.type === '[') { array = []; continue; }
+    if (tok.type === ']') { operands.push({ type: 'array', value: array || [] }); array = null; continue; }
+    if (array && tok.type !== 'op') { array.push(tok); continue; }
+    if (tok.type !== 'op') { operands.push(tok); continue; }
+
+    const op = tok.value;
+    const num = k => (operands[k] && operands[k].type === 'number' ? operands[k].value : 0);
+    if (op === 'BT') lastY = null;
+    else if (op === 'ET') newline();
+    else if (op === 'Tf' && operands[0] && operands[0].type === 'name') decode = decoderFor(operands[0].value);
+    else if (op === 'Td' || op === 'TD') { if (num(1) !== 0) newline(); else if (num(0) > 0) out.push(' '); }
+    else if (op === 'Tm') { const y = num(5); if (lastY != null && y !== lastY) newline(); lastY = y; }
+    else if (op === 'T*') newline();
+    else if (op === 'Tj') { if (operands[0] && operands[0].type === 'string') show(operands[0].value); }
+    else if (op === "'" || op === '"') {
+      newline();
+      const s = operands[operands.length - 1];
+      if (s && s.type === 'string') show(s.value);
+    } else if (op === 'TJ') {
+      const items = (operands[0] && operands[0].value) || [];
+      for (const item of items) {
+        if (item.type === 'string') show(item.value);
+        else if (item.type === 'number' && item.value < TJ_SPACE_THRESHOLD) out.push(' ');
+      }
+    } else if (op === 'Do' && xobjects && depth < MAX_FORM_DEPTH && operands[0] && operands[0].type === 'name') {
+      const xobj = xobjects.lookup(PDFName.of(operands[0].value));
+      if (xobj instanceof PDFStream && xobj.dict.get(PDFName.of('Subtype')) === PDFName.of('Form')) {
+        const formResources = xobj.dict.lookupMaybe(PDFName.of('Resources'), PDFDict) || resources;
+        extractFromStream(streamBytes(xobj), formResources, out, depth + 1);
+      }
+    }
+    operands = [];
+  }
+}
+
+/**
+ * Extracts the text of a PDF, one string per page (1-based `pages` selects
+ * a subset). Whitespace is normalised; layout is not preserved.
+ */
+async function extractPdfText(inputPath, { pages } = {}) {
+  const doc = await PDFDocument.load(await fsp.readFile(inputPath), { ignoreEncryption: true, updateMetadata: false });
+  const all = doc.getPages();
+  const selected = pages && pages.length ? pages : all.map((_, i) => i + 1);
+  const texts = [];
+  for (const n of selected) {
+    const page = all[n - 1];
+    if (!page) continue;
+    const contents = page.node.Contents();
+    const streams = contents instanceof PDFArray
+      ? contents.asArray().map(ref => doc.context.lookup(ref))
+      : contents ? [contents] : [];
+    const chunks = streams.map(s => Buffer.from(streamBytes(s)));
+    const out = [];
+    extractFromStream(Buffer.concat(chunks.flatMap(c => [c, Buffer.from('\n')])), page.node.Resources(), out, 0);
+    texts.push(out.join('').replace(/[ \t]+\n/g, '\n').replace(/[ \t]{2,}/g, ' ').replace(/\n{3,}/g, '\n\n').trim());
+  }
+  return texts;
+}
+
+module.exports = { extractPdfText };
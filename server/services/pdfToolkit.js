@@ -0,0 +1,374 @@
+// server/services/pdfToolkit.js
+// Pure-JS (pdf-lib) page operations: rotate, reorder, delete, insert blank
+// pages, stamps, page numbers, headers/footers and document metadata.
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const { PDFDocument, StandardFonts, PageSizes, rgb, degrees } = require('pdf-lib');
+const { ValidationError, NotFoundError } = require('./errors');
+let fontkit;
+try { fontkit = require('fontkit'); } catch { fontkit = null; }
+
+const STANDARD_FONTS = new Set(Object.values(StandardFonts));
+const POSITIONS = new Set([
+  'center', 'north', 'northeast', 'east', 'southeast',
+  'south', 'southwest', 'west', 'northwest'
+]);
+const METADATA_FIELDS = ['title', 'author', 'subject', 'keywords', 'creator', 'producer'];
+
+/**
+ * Parses "1-3,5,8-10" into a sorted, de-duplicated list of 1-based page
+ * numbers. Pages outside 1..totalPages are dropped when totalPages is given.
+ */
+function parsePageRange(rangeStr, totalPages) {
+  const set = new Set();
+  if (!rangeStr || !String(rangeStr).trim()) return [];
+  const chunks = String(rangeStr).split(',').map(s => s.trim()).filter(Boolean);
+  for (const chunk of chunks) {
+    const m = chunk.match(/^(\d+)\s*-\s*(\d+)$/);
+    if (m) {
+      let start = parseInt(m[1], 10);
+      let end = parseInt(m[2], 10);
+      if (start > end) [start, end] = [end, start];
+      for (let p = start; p <= end; p++) {
+        if (p >= 1 && (!totalPages || p <= totalPages)) set.add(p);
+      }
+    } else {
+      const p = parseInt(chunk, 10);
+      if (Number.isFinite(p) && p >= 1 && (!totalPages || p <= totalPages)) set.add(p);
+    }
+  }
+  return Array.from(set).sort((a, b) => a - b);
+}
+
+// Like parsePageRange but keeps the given order ("3,1-2" -> [3, 1, 2]; "3-1" counts down).
+function parsePageOrder(order, totalPages) {
+  const chunks = Array.isArray(order) ? order.map(String) : String(order || '').split(',');
+  const pages = [];
+  for (const chunk of chunks.map(s => s.trim()).filter(Boolean)) {
+    const m = chunk.match(/^(\d+)\s*-\s*(\d+)$/);
+    if (m) {
+      const start = parseInt(m[1], 10);
+      const end = parseInt(m[2], 10);
+      const step = start <= end ? 1 : -1;
+      for (let p = start; p !== end + step; p += step) pages.push(p);
+    } else if (/^\d+$/.test(chunk)) {
+      pages.push(parseInt(chunk, 10));
+    } else {
+      throw new ValidationError(`Invalid page "${chunk}" in reorder.`);
+    }
+  }
+  const bad = pages.find(p => p < 1 || p > totalPages);
+  if (bad != null) throw new ValidationError(`Page ${bad} is out of range (document has ${totalPages} pages).`);
+  return pages;
+}
+
+function isNum(n) { return typeof n === 'number' && Number.isFinite(n); }
+
+function parseColor(value) {
+  const m = /^#?([0-9a-f]{6})$/i.exec(String(value || '#000000'));
+  if (!m) throw new ValidationError(`Invalid color "${value}": expected #rrggbb.`);
+  const n = parseInt(m[1], 16);
+  return rgb(((n >> 16) & 255) / 255, ((n >> 8) & 255) / 255, (n & 255) / 255);
+}
+
+function checkPages(op) {
+  if (op.pages != null && typeof op.pages !== 'string') {
+    throw new ValidationError(`Operation "${op.type}": "pages" must be a range string like "1-3,5".`);
+  }
+}
+
+function checkText(op) {
+  if (op.fontSize != null && (!isNum(op.fontSize) || op.fontSize <= 0)) {
+    throw new ValidationError(`Operation "${op.type}": "fontSize" must be a positive number.`);
+  }
+  if (op.font != null && !STANDARD_FONTS.has(op.font)) {
+    throw new ValidationError(`Operation "${op.type}": "font" must be one of ${[...STANDARD_FONTS].join(', ')}; use "fontFile" for a TTF/OTF.`);
+  }
+  if (op.fontFile != null && !fontkit) throw new ValidationError('Custom fonts require the "fontkit" package.');
+  if (op.color != null) parseColor(op.color);
+  if (op.opacity != null && (!isNum(op.opacity) || op.opacity < 0 || op.opacity > 1)) {
+    throw new ValidationError(`Operation "${op.type}": "opacity" must be between 0 and 1.`);
+  }
+  if (op.margin != null && (!isNum(op.margin) || op.margin < 0)) {
+    throw new ValidationError(`Operation "${op.type}": "margin" must be a non-negative number.`);
+  }
+}
+
+const VALIDATORS = {
+  rotate(op) {
+    checkPages(op);
+    if (!isNum(op.angle) || op.angle % 90 !== 0) throw new ValidationError('Operation "rotate": "angle" must be a multiple of 90.');
+  },
+  reorder(op) {
+    if (op.order == null || (!Array.isArray(op.order) && typeof op.order !== 'string')) {
+      throw new ValidationError('Operation "reorder": "order" must list every page, e.g. "3,1,2" or [3, 1, 2].');
+    }
+  },
+  delete(op) {
+    if (typeof op.pages !== 'string' || !op.pages.trim()) throw new ValidationError('Operation "delete": "pages" is required, e.g. "2,4-5".');
+  },
+  insertBlank(op) {
+    if (op.after != null && (!Number.isInteger(op.after) || op.after < 0)) {
+      throw new ValidationError('Operation "insertBlank": "after" must be a page number (0 inserts at the start).');
+    }
+    if (op.count != null && (!Number.isInteger(op.count) || op.count < 1 || op.count > 1000)) {
+      throw new ValidationError('Operation "insertBlank": "count" must be an integer between 1 and 1000.');
+    }
+    if (op.size != null && !PageSizes[op.size] && !(Array.isArray(op.size) && op.size.length === 2 && op.size.every(n => isNum(n) && n > 0))) {
+      throw new ValidationError('Operation "insertBlank": "size" must be a paper name like "A4" or [width, height] in points.');
+    }
+  },
+  stamp(op) {
+    checkPages(op);
+    if (!op.text === !op.image) throw new ValidationError('Operation "stamp": give exactly one of "text" or "image".');
+    checkText(op);
+    if (op.position != null && !POSITIONS.has(op.position)) {
+      throw new ValidationError(`Operation "stamp": "position" must be one of ${[...POSITIONS].join(', ')}.`);
+    }
+    if (op.rotate != null && !isNum(op.rotate)) throw new ValidationError('Operation "stamp": "rotate" must be a number of degrees.');
+    if (op.scale != null && (!isNum(op.scale) || op.scale <= 0 || op.scale > 1)) {
+      throw new ValidationError('Operation "stamp": "scale" must be a fraction of the page width (0-1].');
+    }
+  },
+  pageNumbers(op) {
+    checkPages(op);
+    checkText(op);
+    if (op.position != null && !POSITIONS.has(op.position)) {
+      throw new ValidationError(`Operation "pageNumbers": "position" must be one of ${[...POSITIONS].join(', ')}.`);
+    }
+    if (op.startAt != null && !Number.isInteger(op.startAt)) throw new ValidationError('Operation "pageNumbers": "startAt" must be an integer.');
+  },
+  headerFooter(op) {
+    checkPages(op);
+    checkText(op);
+    if (!op.header && !op.footer) throw new ValidationError('Operation "headerFooter": give a "header" and/or "footer" template.');
+    if (op.align != null && !['left', 'center', 'right'].includes(op.align)) {
+      throw new ValidationError('Operation "headerFooter": "align" must be left, center or right.');
+    }
+  },
+  metadata(op) {
+    const given = METADATA_FIELDS.filter(k => op[k] != null);
+    if (!given.length) throw new ValidationError(`Operation "metadata": give at least one of ${METADATA_FIELDS.join(', ')}.`);
+    if (op.keywords != null && !Array.isArray(op.keywords) && typeof op.keywords !== 'string') {
+      throw new ValidationError('Operation "metadata": "keywords" must be a string or an array of strings.');
+    }
+  }
+};
+
+/** Checks a PDF `operations` array; throws ValidationError on the first bad entry. */
+function validatePdfOperations(operations) {
+  if (operations == null) return;
+  if (!Array.isArray(operations)) throw new ValidationError('"operations" must be an array.');
+  operations.forEach((op, i) => {
+    if (!op || typeof op !== 'object') throw new ValidationError(`operations[${i}] must be an object.`);
+    const validate = VALIDATORS[op.type];
+    if (!validate) {
+      throw new ValidationError(`operations[${i}]: unknown PDF operation "${op.type}". Supported: ${Object.keys(VALIDATORS).join(', ')}`);
+    }
+    validate(op);
+  });
+}
+
+async function readAsset(file, label) {
+  if (Buffer.isBuffer(file)) return file;
+  const resolved = path.isAbsolute(file) ? file : path.resolve(process.cwd(), file);
+  const st = await fsp.stat(resolved).catch(() => null);
+  if (!st || !st.isFile()) throw new NotFoundError(`${label} not found: ${resolved}`);
+  return fsp.readFile(resolved);
+}
+
+// Fonts are embedded once per document and shared between operations.
+async function loadFont(doc, op, cache) {
+  const key = op.fontFile ? `file:${op.fontFile}` : (op.font || StandardFonts.Helvetica);
+  if (!cache.has(key)) {
+    if (op.fontFile) {
+      // Embedded whole: pdf-lib's subsetter expects the older fontkit 1.x API.
+      doc.registerFontkit(fontkit);
+      cache.set(key, await doc.embedFont(await readAsset(op.fontFile, 'Font file')));
+    } else {
+      cache.set(key, await doc.embedFont(key));
+    }
+  }
+  return cache.get(key);
+}
+
+function selectedIndices(doc, pages) {
+  const total = doc.getPageCount();
+  const list = pages ? parsePageRange(pages, total) : Array.from({ length: total }, (_, i) => i + 1);
+  return list.map(p => p - 1);
+}
+
+// Bottom-left origin of a w x h box placed at `position` on the page.
+function anchor(position, pageW, pageH, w, h, margin) {
+  const p = position || 'center';
+  const x = p.endsWith('west') ? margin : p.endsWith('east') ? pageW - w - margin : (pageW - w) / 2;
+  const y = p.startsWith('north') ? pageH - h - margin : p.startsWith('south') ? margin : (pageH - h) / 2;
+  return { x, y };
+}
+
+function fillTemplate(template, vars) {
+  return String(template).replace(/\{(\w+)\}/g, (m, key) => (vars[key] != null ? String(vars[key]) : m));
+}
+
+function drawLabel(page, text, font, op, position) {
+  const size = op.fontSize || 10;
+  const { width, height } = page.getSize();
+  const w = font.widthOfTextAtSize(text, size);
+  const { x, y } = anchor(position, width, height, w, font.heightAtSize(size), op.margin ?? 24);
+  page.drawText(text, { x, y, size, font, color: parseColor(op.color), opacity: op.opacity ?? 1 });
+}
+
+function encodingError(err, op) {
+  if (/cannot encode/i.test(err.message)) {
+    return new ValidationError(`Operation "${op.type}": the standard fonts only cover Latin text; pass a "fontFile" (TTF/OTF). ${err.message}`);
+  }
+  return err;
+}
+
+const HANDLERS = {
+  rotate(doc, op) {
+    for (const i of selectedIndices(doc, op.pages)) {
+      const page = doc.getPage(i);
+      page.setRotation(degrees((((page.getRotation().angle + op.angle) % 360) + 360) % 360));
+    }
+  },
+  async reorder(doc, op) {
+    const total = doc.getPageCount();
+    const order = parsePageOrder(op.order, total);
+    const sorted = [...order].sort((a, b) => a - b);
+    if (order.length !== total || sorted.some((p, i) => p !== i + 1)) {
+      throw new ValidationError(`Operation "reorder": "order" must list each of the ${total} pages exactly once (use "delete" to drop pages).`);
+    }
+    const copies = await doc.copyPages(doc, order.map(p => p - 1));
+    for (let i = total - 1; i >= 0; i--) doc.removePage(i);
+    copies.forEach(p => doc.addPage(p));
+  },
+  delete(doc, op) {
+    const indices = selectedIndices(doc, op.pages);
+    if (indices.length >= doc.getPageCount()) throw new ValidationError('Operation "delete": cannot delete every page.');
+    for (const i of indices.sort((a, b) => b - a)) doc.removePage(i);
+  },
+  insertBlank(doc, op) {
+    const total = doc.getPageCount();
+    const after = Math.min(op.after ?? total, total);
+    const neighbour = doc.getPage(Math.max(0, after - 1));
+    const size = Array.isArray(op.size) ? op.size : op.size ? PageSizes[op.size] : [neighbour.getWidth(), neighbour.getHeight()];
+    for (let n = 0; n < (op.count || 1); n++) doc.insertPage(after + n, size);
+  },
+  async stamp(doc, op, ctx) {
+    const indices = selectedIndices(doc, op.pages);
+    const margin = op.margin ?? 24;
+    const rotation = op.rotate || 0;
+    let draw;
+    if (op.image) {
+      const bytes = await readAsset(op.image, 'Stamp image');
+      const isPng = bytes.slice(0, 4).toString('hex') === '89504e47';
+      const image = isPng ? await doc.embedPng(bytes) : await doc.embedJpg(bytes);
+      draw = (page, x, y, w, h) => page.drawImage(image, { x, y, width: w, height: h, rotate: degrees(rotation), opacity: op.opacity ?? 1 });
+      draw.measure = (pageW) => {
+        const scaled = image.scale(op.scale ? (pageW * op.scale) / image.width : 1);
+        return { w: scaled.width, h: scaled.height };
+      };
+    } else {
+      const font = await loadFont(doc, op, ctx.fonts);
+      const size = op.fontSize || 48;
+      draw = (page, x, y) => page.drawText(String(op.text), {
+        x, y, size, font, color: parseColor(op.color || '#888888'), opacity: op.opacity ?? 0.4, rotate: degrees(rotation)
+      });
+      draw.measure = () => ({ w: font.widthOfTextAtSize(String(op.text), size), h: font.heightAtSize(size) });
+    }
+    for (const i of indices) {
+      const page = doc.getPage(i);
+      const { width, height } = page.getSize();
+      const { w, h } = draw.measure(width);
+      const box = anchor(op.position, width, height, w, h, margin);
+      // pdf-lib rotates around the origin; shift it so the box keeps its centre.
+      const rad = (rotation * Math.PI) / 180;
+      const cx = box.x + w / 2;
+      const cy = box.y + h / 2;
+      const x = cx - (Math.cos(rad) * w / 2 - Math.sin(rad) * h / 2);
+      const y = cy - (Math.sin(rad) * w / 2 + Math.cos(rad) * h / 2);
+      draw(page, x, y, w, h);
+    }
+  },
+  async pageNumbers(doc, op, ctx) {
+    const font = await loadFont(doc, op, ctx.fonts);
+    const total = doc.getPageCount();
+    const offset = (op.startAt ?? 1) - 1;
+    for (const i of selectedIndices(doc, op.pages)) {
+      const text = fillTemplate(op.template || '{page}', { ...ctx.vars(doc), page: i + 1 + offset, total: total + offset });
+      drawLabel(doc.getPage(i), text, font, op, op.position || 'south');
+    }
+  },
+  async headerFooter(doc, op, ctx) {
+    const font = await loadFont(doc, op, ctx.fonts);
+    const total = doc.getPageCount();
+    const side = { left: 'west', center: '', right: 'east' }[op.align || 'center'];
+    for (const i of selectedIndices(doc, op.pages)) {
+      const vars = { ...ctx.vars(doc), page: i + 1, total };
+      const page = doc.getPage(i);
+      if (op.header) drawLabel(page, fillTemplate(op.header, vars), font, op, `north${side}`);
+      if (op.footer) drawLabel(page, fillTemplate(op.footer, vars), font, op, `south${side}`);
+    }
+  },
+  metadata(doc, op) {
+    if (op.title != null) doc.setTitle(String(op.title));
+    if (op.author != null) doc.setAuthor(String(op.author));
+    if (op.subject != null) doc.setSubject(String(op.subject));
+    if (op.keywords != null) doc.setKeywords(Array.isArray(op.keywords) ? op.keywords.map(String) : String(op.keywords).split(',').map(s => s.trim()).filter(Boolean));
+    if (op.creator != null) doc.setCreator(String(op.creator));
+    if (op.producer != null) doc.setProducer(String(op.producer));
+  }
+};
+
+/**
+ * Applies `operations` in order to a PDF and writes the result to
+ * `outputPath` (defaults to overwriting the input). Page ranges use the
+ * parsePageRange syntax and refer to the pages as they are at that step.
+ *
+ * Template placeholders for pageNumbers/headerFooter: {page} {total} {title} {author} {date} {filename}
+ */
+async function editPdf(inputPath, operations, { outputPath = inputPath } = {}) {
+  validatePdfOperations(operations);
+  const doc = await PDFDocument.load(await fsp.readFile(inputPath), { updateMetadata: false });
+  const filename = path.basename(outputPath);
+  const ctx = {
+    fonts: new Map(),
+    vars: (d) => ({ title: d.getTitle() || '', author: d.getAuthor() || '', date: new Date().toISOString().slice(0, 10), filename })
+  };
+  for (const op of operations || []) {
+    try {
+      await HANDLERS[op.type](doc, op, ctx);
+    } catch (err) {
+      throw encodingError(err, op);
+    }
+  }
+  doc.setModificationDate(new Date());
+  await fsp.mkdir(path.dirname(outputPath), { recursive: true });
+  await fsp.writeFile(outputPath, await doc.save({ useObjectStreams: true }));
+  return outputPath;
+}
+
+async function readPdfMetadata(inputPath) {
+  const doc = await PDFDocument.load(await fsp.readFile(inputPath), { ignoreEncryption: true, updateMetadata: false });
+  const keywords = doc.getKeywords();
+  return {
+    pages: doc.getPageCount(),
+    title: doc.getTitle(),
+    author: doc.getAuthor(),
+    subject: doc.getSubject(),
+    keywords: keywords ? keywords.split(/\s+/).filter(Boolean) : [],
+    creator: doc.getCreator(),
+    producer: doc.getProducer(),
+    creationDate: doc.getCreationDate(),
+    modificationDate: doc.getModificationDate()
+  };
+}
+
+module.exports = {
+  editPdf,
+  readPdfMetadata,
+  validatePdfOperations,
+  parsePageRange
+};
@@ -0,0 +1,146 @@
+// server/services/presetStore.js
+// Named, versioned option bundles per converter, persisted to a JSON file.
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const { ValidationError, NotFoundError, ConflictError } = require('./errors');
+
+const NAME_RE = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+const MAX_HISTORY = 20;
+
+function clone(value) {
+  return value == null ? value : JSON.parse(JSON.stringify(value));
+}
+
+// "name" or "name@version"
+function parseRef(ref) {
+  const m = /^([^@]+)(?:@(\d+))?$/.exec(String(ref || '').trim());
+  if (!m) throw new ValidationError(`Invalid preset reference "${ref}". Use "name" or "name@version".`);
+  return { name: m[1], version: m[2] ? Number(m[2]) : undefined };
+}
+
+class PresetStore {
+  /**
+   * @param {object} opts
+   * @param {string} opts.filePath JSON file backing the store (created on first write)
+   * @param {Function} [opts.validate] (preset) => void, throws for invalid type/format/options
+   */
+  constructor({ filePath, validate } = {}) {
+    this.filePath = filePath;
+    this.validate = validate;
+    this.presets = null;
+    // Serialises read-modify-write cycles so concurrent requests don't lose updates
+    this.queue = Promise.resolve();
+  }
+
+  async _load() {
+    if (this.presets) return this.presets;
+    try {
+      const data = JSON.parse(await fsp.readFile(this.filePath, 'utf8'));
+      this.presets = new Map((data.presets || []).map(p => [p.name, p]));
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.warn(`[presetStore] Could not read ${this.filePath}: ${err.message}`);
+      this.presets = new Map();
+    }
+    return this.presets;
+  }
+
+  async _save() {
+    await fsp.mkdir(path.dirname(this.filePath), { recursive: true });
+    const tmp = `${this.filePath}.${process.pid}.tmp`;
+    await fsp.writeFile(tmp, JSON.stringify({ presets: [...this.presets.values()] }, null, 2));
+    await fsp.rename(tmp, this.filePath);
+  }
+
+  _exclusive(fn) {
+    const run = this.queue.then(fn);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  _check(preset) {
+    if (!NAME_RE.test(String(preset.name || ''))) {
+      throw new ValidationError('Invalid preset name: use 1-64 letters, digits, "-" or "_".');
+    }
+    if (!preset.type) throw new ValidationError('Missing preset "type".');
+    if (!preset.format) throw new ValidationError('Missing preset "format".');
+    if (preset.options != null && (typeof preset.options !== 'object' || Array.isArray(preset.options))) {
+      throw new ValidationError('Invalid preset "options": expected an object.');
+    }
+    if (this.validate) this.validate(preset);
+  }
+
+  _public(preset) {
+    const { history, ...rest } = preset;
+    return { ...clone(rest), versions: [...(history || []).map(h => h.version), preset.version] };
+  }
+
+  async list({ type } = {}) {
+    const presets = await this._load();
+    return [...presets.values()]
+      .filter(p => !type || p.type === type)
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(p => this._public(p));
+  }
+
+  /**
+   * Returns a preset by "name" or "name@version" (older versions are kept in
+   * the history so pinned callers keep working after an update).
+   */
+  async get(ref) {
+    const { name, version } = parseRef(ref);
+    const preset = (await this._load()).get(name);
+    if (!preset) throw new NotFoundError(`Unknown preset "${name}".`);
+    if (version == null || version === preset.version) return this._public(preset);
+    const old = (preset.history || []).find(h => h.version === version);
+    if (!old) throw new NotFoundError(`Preset "${name}" has no version ${version}.`);
+    return { name, type: preset.type, ...clone(old) };
+  }
+
+  create({ name, type, format, options = {}, description } = {}) {
+    return this._exclusive(async () => {
+      const presets = await this._load();
+      const preset = { name, type, format, options: clone(options), description };
+      this._check(preset);
+      if (presets.has(name)) throw new ConflictError(`Preset "${name}" already exists.`);
+      const now = new Date().toISOString();
+      Object.assign(preset, { version: 1, createdAt: now, updatedAt: now, history: [] });
+      presets.set(name, preset);
+      await this._save();
+      return this._public(preset);
+    });
+  }
+
+  /** Replaces format/options/description, bumping the version. The type is fixed. */
+  update(name, { format, options, description } = {}) {
+    return this._exclusive(async () => {
+      const presets = await this._load();
+      const current = presets.get(name);
+      if (!current) throw new NotFoundError(`Unknown preset "${name}".`);
+      const next = {
+        ...current,
+        format: format ?? current.format,
+        options: options !== undefined ? clone(options) : current.options,
+        description: description !== undefined ? description : current.description
+      };
+      this._check(next);
+      const { version, format: f, options: o, description: d, updatedAt } = current;
+      next.history = [...(current.history || []), { version, format: f, options: o, description: d, updatedAt }].slice(-MAX_HISTORY);
+      next.version = current.version + 1;
+      next.updatedAt = new Date().toISOString();
+      presets.set(name, next);
+      await this._save();
+      return this._public(next);
+    });
+  }
+
+  remove(name) {
+    return this._exclusive(async () => {
+      const presets = await this._load();
+      if (!presets.delete(name)) throw new NotFoundError(`Unknown preset "${name}".`);
+      await this._save();
+    });
+  }
+}
+
+module.exports = { PresetStore };
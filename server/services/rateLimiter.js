@@ -0,0 +1,57 @@
+// server/services/rateLimiter.js
+// In-memory request rate (token bucket) and concurrent job limits per key.
+// Counts start over when the server restarts.
+const { TooManyRequestsError } = require('./errors');
+
+class KeyLimiter {
+  constructor() {
+    this.buckets = new Map();
+    this.active = new Map();
+  }
+
+  /**
+   * Takes one request from the key's bucket, which holds `perMinute` requests
+   * and refills continuously. Returns { limit, remaining } or throws 429 with
+   * the seconds until the next request is allowed.
+   */
+  take(id, perMinute) {
+    const now = Date.now();
+    const rate = perMinute / 60000;
+    let bucket = this.buckets.get(id);
+    if (!bucket || bucket.capacity !== perMinute) {
+      bucket = { capacity: perMinute, tokens: perMinute, at: now };
+      this.buckets.set(id, bucket);
+    }
+    bucket.tokens = Math.min(perMinute, bucket.tokens + (now - bucket.at) * rate);
+    bucket.at = now;
+    if (bucket.tokens < 1) {
+      const retryAfter = Math.ceil((1 - bucket.tokens) / rate / 1000);
+      throw new TooManyRequestsError(`Rate limit of ${perMinute} requests per minute exceeded.`, retryAfter);
+    }
+    bucket.tokens -= 1;
+    return { limit: perMinute, remaining: Math.floor(bucket.tokens) };
+  }
+
+  /** Claims one of the key's `max` job slots; call the returned function to give it back. */
+  acquire(id, max) {
+    const count = this.active.get(id) || 0;
+    if (count >= max) {
+      throw new TooManyRequestsError(`This key already has ${count} conversion${count === 1 ? '' : 's'} running or queued (limit ${max}).`);
+    }
+    this.active.set(id, count + 1);
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      const left = (this.active.get(id) || 1) - 1;
+      if (left > 0) this.active.set(id, left);
+      else this.active.delete(id);
+    };
+  }
+
+  running(id) {
+    return this.active.get(id) || 0;
+  }
+}
+
+module.exports = { KeyLimiter };
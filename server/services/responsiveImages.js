@@ -0,0 +1,197 @@
+// server/services/responsiveImages.js
+// Responsive image sets: every width x format variant of one source (never
+// upscaled), a tiny blurred placeholder (base64 LQIP and BlurHash), the
+// dominant colour and a manifest with a ready-made <picture> snippet.
+const fsp = require('fs').promises;
+const path = require('path');
+const { convertOne, SUPPORTED_INPUTS, SUPPORTED_OUTPUTS } = require('./imageConverter');
+const { validateOperations, applyOperations } = require('./imageOperations');
+const { runBatch, unwrapBatch } = require('./batchRunner');
+const { encodeBlurhash } = require('./blurhash');
+const { resolveInputFormat } = require('./formatDetector');
+const { ValidationError, NotFoundError, throwIfAborted } = require('./errors');
+
+const DEFAULT_WIDTHS = [320, 640, 1280, 1920];
+const DEFAULT_FORMATS = ['avif', 'webp', 'jpg'];
+// Formats a browser can pick from a srcset, most efficient first
+const WEB_FORMATS = ['avif', 'webp', 'jpg', 'png', 'gif'];
+const MIME = { avif: 'image/avif', webp: 'image/webp', jpg: 'image/jpeg', png: 'image/png', gif: 'image/gif' };
+const PLACEHOLDER_FORMATS = new Set(['webp', 'jpg', 'png']);
+const MAX_WIDTH = 10000;
+
+function normalizeFormat(fmt) {
+  const f = String(fmt || '').trim().toLowerCase();
+  return f === 'jpeg' ? 'jpg' : f;
+}
+
+function escapeAttr(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Checks a responsive set request; returns { widths, formats, placeholder }
+ * with widths ascending and formats in the order browsers should try them.
+ */
+function resolveSetOptions({ widths = DEFAULT_WIDTHS, formats = DEFAULT_FORMATS, placeholder = {}, operations } = {}) {
+  if (!Array.isArray(widths) || !widths.length) throw new ValidationError('Invalid widths: expected a non-empty array of pixel widths.');
+  for (const w of widths) {
+    if (!Number.isInteger(w) || w < 1 || w > MAX_WIDTH) throw new ValidationError(`Invalid width ${w}: expected an integer from 1 to ${MAX_WIDTH}.`);
+  }
+  if (!Array.isArray(formats) || !formats.length) throw new ValidationError('Invalid formats: expected a non-empty array.');
+  const fmts = [...new Set(formats.map(normalizeFormat))];
+  for (const f of fmts) {
+    if (!WEB_FORMATS.includes(f) || !SUPPORTED_OUTPUTS.has(f)) throw new ValidationError(`Unsupported responsive format "${f}". Supported: ${WEB_FORMATS.join(', ')}`);
+  }
+  validateOperations(operations);
+
+  const ph = placeholder === false ? null : (placeholder === true || placeholder == null ? {} : placeholder);
+  if (ph !== null && (typeof ph !== 'object' || Array.isArray(ph))) throw new ValidationError('Invalid placeholder: expected true, false or an object.');
+  let resolvedPh = null;
+  if (ph) {
+    const size = ph.size ?? 20;
+    const format = normalizeFormat(ph.format ?? 'webp');
+    const components = ph.components ?? [4, 3];
+    if (!Number.isInteger(size) || size < 4 || size > 64) throw new ValidationError(`Invalid placeholder.size ${size}: expected 4 to 64 pixels.`);
+    if (!PLACEHOLDER_FORMATS.has(format)) throw new ValidationError(`Invalid placeholder.format "${format}". Supported: ${[...PLACEHOLDER_FORMATS].join(', ')}`);
+    if (!Array.isArray(components) || components.length !== 2 || components.some(c => !Number.isInteger(c) || c < 1 || c > 9)) {
+      throw new ValidationError('Invalid placeholder.components: expected [x, y] with values from 1 to 9.');
+    }
+    resolvedPh = { size, format, lqip: ph.lqip !== false, blurhash: ph.blurhash !== false, components };
+  }
+  return {
+    widths: [...new Set(widths)].sort((a, b) => a - b),
+    formats: WEB_FORMATS.filter(f => fmts.includes(f)),
+    placeholder: resolvedPh
+  };
+}
+
+async function placeholderOf(image, { size, format, lqip, blurhash, components }) {
+  const out = {};
+  const small = image.clone().resize({ width: size, height: size, fit: 'inside' });
+  if (lqip) {
+    const encoded = format === 'jpg' ? small.clone().jpeg({ quality: 40 }) : format === 'png' ? small.clone().png() : small.clone().webp({ quality: 40 });
+    const { data, info } = await encoded.toBuffer({ resolveWithObject: true });
+    out.lqip = `data:${MIME[format]};base64,${data.toString('base64')}`;
+    out.width = info.width;
+    out.height = info.height;
+  }
+  if (blurhash) {
+    const { data, info } = await image.clone().resize({ width: 32, height: 32, fit: 'inside' }).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+    out.blurhash = encodeBlurhash(data, info.width, info.height, { componentsX: components[0], componentsY: components[1], channels: 4 });
+  }
+  return out;
+}
+
+function toHex({ r, g, b }) {
+  return `#${[r, g, b].map(v => v.toString(16).padStart(2, '0')).join('')}`;
+}
+
+function pictureHtml(variants, { urlPrefix, sizes, alt, dominantColor, lqip }) {
+  const url = v => `${urlPrefix}${encodeURIComponent(path.basename(v.outputPath))}`;
+  const byFormat = new Map();
+  for (const v of variants) byFormat.set(v.format, [...(byFormat.get(v.format) || []), v]);
+  const srcset = list => list.map(v => `${url(v)} ${v.width}w`).join(', ');
+  // The <img> fallback uses the most widely supported format produced
+  const fallbackFormat = ['jpg', 'png', 'gif', 'webp', 'avif'].find(f => byFormat.has(f));
+  const fallback = byFormat.get(fallbackFormat);
+  const largest = fallback[fallback.length - 1];
+  const lines = ['<picture>'];
+  for (const [format, list] of byFormat) {
+    if (format === fallbackFormat) continue;
+    lines.push(`  <source type="${MIME[format]}" srcset="${escapeAttr(srcset(list))}" sizes="${escapeAttr(sizes)}">`);
+  }
+  const style = [`background-color:${dominantColor}`];
+  if (lqip) style.push(`background-image:url(${lqip})`, 'background-size:cover');
+  lines.push(
+    `  <img src="${escapeAttr(url(largest))}" srcset="${escapeAttr(srcset(fallback))}" sizes="${escapeAttr(sizes)}"` +
+    ` width="${largest.width}" height="${largest.height}" alt="${escapeAttr(alt)}" loading="lazy" decoding="async"` +
+    ` style="${escapeAttr(style.join(';'))}">`
+  );
+  lines.push('</picture>');
+  return lines.join('\n');
+}
+
+/**
+ * Builds a responsive set from one image. Options:
+ *   widths, formats       variants to produce (wider than the source are skipped)
+ *   placeholder           { size, format, lqip, blurhash, components } | false
+ *   sizes, alt            attributes for the HTML snippet (default "100vw", "")
+ *   urlPrefix             prepended to file names in the snippet
+ *   concurrency           encodes running at once (default 4)
+ * plus convertImage's encoder options (quality, webp, avif, jpeg, png,
+ * background, operations, preserveMetadata). Writes the variants and
+ * <base>.responsive.json to outputDir; resolves with { outputDir, files, manifest }.
+ */
+async function createResponsiveSet(inputPath, options = {}) {
+  const {
+    sizes = '100vw',
+    alt = '',
+    urlPrefix = '',
+    concurrency = 4,
+    operations,
+    preserveMetadata,
+    outputDir = path.resolve(process.cwd(), 'server', 'converted'),
+    outputBasename,
+    onProgress,
+    signal
+  } = options;
+  const { widths, formats, placeholder } = resolveSetOptions(options);
+
+  const resolvedInput = path.isAbsolute(inputPath) ? inputPath : path.resolve(process.cwd(), inputPath);
+  const st = await fsp.stat(resolvedInput).catch(() => null);
+  if (!st || !st.isFile()) throw new NotFoundError(`Input file not found: ${resolvedInput}`);
+  const { ext } = await resolveInputFormat(resolvedInput, SUPPORTED_INPUTS);
+  if (!SUPPORTED_INPUTS.has(ext)) throw new ValidationError(`Unsupported input format ".${ext}". Supported: ${[...SUPPORTED_INPUTS].join(', ')}`);
+  throwIfAborted(signal);
+
+  // Dimensions after the operations, which decide which widths fit
+  const image = await applyOperations(resolvedInput, operations, { preserveMetadata });
+  const meta = await image.metadata();
+  if (!meta.width || !meta.height) throw new ValidationError('Cannot read the image dimensions.');
+  const fitting = widths.filter(w => w <= meta.width);
+  const targets = fitting.length ? fitting : [meta.width];
+  if (fitting.length < widths.length) {
+    console.log(`[responsiveImages] Skipping widths above the ${meta.width}px source: ${widths.filter(w => w > meta.width).join(', ')}`);
+  }
+
+  const base = outputBasename || path.basename(resolvedInput, path.extname(resolvedInput));
+  const jobs = formats.flatMap(format => targets.map(width => ({ format, width })));
+  // Encoder settings come from convertOne; only the size and name vary per variant
+  const results = unwrapBatch(await runBatch(jobs, ({ format, width }) => convertOne(resolvedInput, format, {
+    ...options,
+    outputDir,
+    cleanup: false,
+    resize: { width, withoutEnlargement: true },
+    outputBasename: `${base}-${width}w`
+  }), { concurrency, failFast: true, signal, onProgress }));
+
+  const variants = results.map((r, i) => ({
+    format: jobs[i].format,
+    width: r.width,
+    height: r.height,
+    sizeBytes: r.sizeBytes,
+    outputPath: r.outputPath
+  }));
+  const stats = await image.clone().stats();
+  const dominantColor = toHex(stats.dominant);
+  const ph = placeholder ? await placeholderOf(image, placeholder) : null;
+
+  const manifest = {
+    source: { name: path.basename(resolvedInput), format: ext, width: meta.width, height: meta.height, sizeBytes: st.size },
+    variants: variants.map(({ outputPath, ...v }) => ({ ...v, file: path.basename(outputPath) })),
+    dominantColor,
+    placeholder: ph,
+    html: pictureHtml(variants, { urlPrefix, sizes, alt, dominantColor, lqip: ph && ph.lqip })
+  };
+  const manifestPath = path.join(outputDir, `${base}.responsive.json`);
+  await fsp.writeFile(manifestPath, JSON.stringify(manifest, null, 2));
+
+  return {
+    outputDir,
+    files: [...variants.map(v => path.basename(v.outputPath)), path.basename(manifestPath)],
+    manifestPath,
+    manifest
+  };
+}
+
+module.exports = { createResponsiveSet, resolveSetOptions };
@@ -0,0 +1,315 @@
+// server/services/resultCache.js
+// Content-addressed cache of conversion results. The key is the SHA-256 of the
+// input bytes plus the canonicalised format and options (and the file names,
+// for converters that write them into the output); entries are whole output
+// folders, evicted least-recently-used once the size budget is hit.
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const crypto = require('crypto');
+const { CancelledError, throwIfAborted } = require('./errors');
+
+// Per-call plumbing that never changes the output
+const RUNTIME_OPTIONS = new Set(['outputDir', 'outputBasename', 'cleanup', 'onProgress', 'signal', 'cache']);
+// Stamp templates that render the input name or the current date
+const VOLATILE_RE = /\{(filename|date)\}/;
+// Prefix for result paths inside the output folder while they are cached
+const OUT_MARKER = '\u0000out';
+// Stands for the n-th input path of whichever call the result is handed to
+const IN_MARKER = '\u0000in';
+// Entries written before input paths were replaced by IN_MARKER are dropped
+const ENTRY_VERSION = 2;
+
+function hashFile(file) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(file)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * Sorted-key form of the options. Absolute paths to files (cover art,
+ * watermark images, fonts) are replaced by their content hash so the same
+ * asset uploaded twice still hits.
+ */
+async function canonicalise(value) {
+  if (Array.isArray(value)) return Promise.all(value.map(canonicalise));
+  if (value && typeof value === 'object') {
+    const out = {};
+    for (const key of Object.keys(value).sort()) {
+      if (value[key] === undefined || typeof value[key] === 'function') continue;
+      out[key] = await canonicalise(value[key]);
+    }
+    return out;
+  }
+  if (typeof value === 'string' && path.isAbsolute(value)) {
+    const stat = await fsp.stat(value).catch(() => null);
+    if (stat && stat.isFile()) return `sha256:${await hashFile(value)}`;
+  }
+  return value;
+}
+
+// Replaces every string in `value` (results are plain JSON) through `fn`
+function mapStrings(value, fn) {
+  if (typeof value === 'string') return fn(value);
+  if (Array.isArray(value)) return value.map(v => mapStrings(v, fn));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, mapStrings(v, fn)]));
+  }
+  return value;
+}
+
+function stemOf(input) {
+  return path.basename(input, path.extname(input));
+}
+
+// Resolves once `promise` settles, or rejects with CancelledError when `signal` aborts first
+function waitFor(promise, signal) {
+  if (!signal) return promise;
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(new CancelledError());
+    if (signal.aborted) return onAbort();
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, resolve).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+class ResultCache {
+  /**
+   * @param {object} opts
+   * @param {string} opts.dir Directory holding the cached outputs
+   * @param {number} [opts.maxBytes] Size budget; 0 disables the cache
+   */
+  constructor({ dir, maxBytes = 2 * 1024 * 1024 * 1024 } = {}) {
+    this.dir = dir;
+    this.maxBytes = maxBytes;
+    // key -> { key, type, size, base, result }, in least- to most-recently-used order
+    this.entries = null;
+    // key -> promise settled once the conversion storing that key has ended
+    this.pending = new Map();
+    // key -> number of hits copying out of that entry; eviction skips them
+    this.pinned = new Map();
+    this.size = 0;
+    this.stats = { hits: 0, misses: 0, bypassed: 0, stored: 0, evicted: 0 };
+  }
+
+  get enabled() {
+    return this.maxBytes > 0;
+  }
+
+  async _load() {
+    if (this.entries) return this.entries;
+    const loaded = [];
+    for (const name of await fsp.readdir(this.dir).catch(() => [])) {
+      // .work-* folders belong to conversions in progress
+      if (name.startsWith('.')) continue;
+      const manifest = path.join(this.dir, name, 'entry.json');
+      try {
+        const entry = JSON.parse(await fsp.readFile(manifest, 'utf8'));
+        if (entry.version !== ENTRY_VERSION) throw new Error('outdated entry');
+        loaded.push({ entry, usedAt: (await fsp.stat(manifest)).mtimeMs });
+      } catch {
+        // Interrupted store, outdated entry or foreign folder
+        await fsp.rm(path.join(this.dir, name), { recursive: true, force: true }).catch(() => {});
+      }
+    }
+    loaded.sort((a, b) => a.usedAt - b.usedAt);
+    this.entries = new Map(loaded.map(({ entry }) => [entry.key, entry]));
+    this.size = loaded.reduce((sum, { entry }) => sum + entry.size, 0);
+    return this.entries;
+  }
+
+  /**
+   * `names` (the output base name and the input file names) are part of the
+   * key for converters that write them into the output, e.g. as a title.
+   */
+  async keyFor(type, inputs, format, options, names = null) {
+    const hashes = [];
+    for (const input of inputs) hashes.push(await hashFile(input));
+    const rest = Object.fromEntries(Object.entries(options).filter(([k]) => !RUNTIME_OPTIONS.has(k)));
+    const canonical = JSON.stringify({ type, format: String(format).toLowerCase(), inputs: hashes, options: await canonicalise(rest), names });
+    return crypto.createHash('sha256').update(canonical).digest('hex');
+  }
+
+  _pin(key, delta) {
+    const count = (this.pinned.get(key) || 0) + delta;
+    if (count > 0) this.pinned.set(key, count);
+    else this.pinned.delete(key);
+  }
+
+  async _evict() {
+    for (const [key, entry] of this.entries) {
+      if (this.size <= this.maxBytes) break;
+      // Being copied out by a hit; it goes once a later store needs the room
+      if (this.pinned.has(key)) continue;
+      this.entries.delete(key);
+      this.size -= entry.size;
+      this.stats.evicted++;
+      await fsp.rm(path.join(this.dir, key), { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  // Describes a finished conversion in workDir with its paths made relative.
+  // The call's input paths (staging folders, uploads) become IN_MARKER
+  // placeholders, so no other request is handed them.
+  async _snapshot(workDir, base, result, inputs) {
+    const files = [];
+    let size = 0;
+    const walk = async (dir) => {
+      for (const entry of await fsp.readdir(dir, { withFileTypes: true })) {
+        const p = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(p);
+        } else {
+          files.push(path.relative(workDir, p));
+          size += (await fsp.stat(p)).size;
+        }
+      }
+    };
+    await walk(workDir).catch(() => {});
+    const relative = mapStrings(result, s => {
+      if (s === workDir || s.startsWith(workDir + path.sep)) return OUT_MARKER + s.slice(workDir.length);
+      const idx = inputs.indexOf(s);
+      return idx >= 0 ? IN_MARKER + idx : s;
+    });
+    return { base, files, size, result: relative };
+  }
+
+  // Copies a snapshot's files from srcDir into outputDir, renaming them from
+  // the snapshot's base to `base`; input placeholders become `inputs`
+  async _copyOut(srcDir, snap, outputDir, base, inputs) {
+    const rename = rel => {
+      const name = path.basename(rel);
+      return base && snap.base && name.startsWith(snap.base) ? path.join(path.dirname(rel), base + name.slice(snap.base.length)) : rel;
+    };
+    const renamed = new Map(snap.files.map(rel => [rel, rename(rel)]));
+    await fsp.mkdir(outputDir, { recursive: true });
+    for (const [rel, to] of renamed) {
+      await fsp.mkdir(path.dirname(path.join(outputDir, to)), { recursive: true });
+      await fsp.copyFile(path.join(srcDir, rel), path.join(outputDir, to));
+    }
+    return mapStrings(snap.result, s => {
+      if (s.startsWith(OUT_MARKER)) return path.join(outputDir, rename(s.slice(OUT_MARKER.length).replace(/^[\\/]/, '')));
+      if (s.startsWith(IN_MARKER)) return inputs[Number(s.slice(IN_MARKER.length))] ?? null;
+      return renamed.has(s) ? renamed.get(s) : s;
+    });
+  }
+
+  async _store(key, type, workDir, snap) {
+    if (this.entries.has(key) || snap.size > this.maxBytes) return;
+    const dest = path.join(this.dir, key);
+    await fsp.cp(workDir, path.join(dest, 'output'), { recursive: true });
+    const entry = { version: ENTRY_VERSION, key, type, ...snap, createdAt: new Date().toISOString() };
+    await fsp.writeFile(path.join(dest, 'entry.json'), JSON.stringify(entry));
+    this.entries.set(key, entry);
+    this.size += snap.size;
+    this.stats.stored++;
+    await this._evict();
+  }
+
+  /**
+   * Wraps a converter `(input, format, options)` so identical requests are
+   * answered from the cache. `cache: false` in the options skips it.
+   * Identical requests arriving while the first is still converting wait
+   * for it and are then answered from its entry (or convert themselves if
+   * it could not be stored). `cleanupByDefault` mirrors the converter's own
+   * `cleanup` default, which a hit has to honour because the converter does
+   * not run. `namedOutput` says the converter writes the output base name or
+   * the input file names into its output, so those are part of the key.
+   */
+  wrap(type, convert, { cleanupByDefault = false, namedOutput = false } = {}) {
+    return async (input, format, options = {}) => {
+      const { cache, ...rest } = options;
+      const inputs = Array.isArray(input) ? input : [input];
+      const cacheable = this.enabled && cache !== false && inputs.length > 0
+        && inputs.every(i => typeof i === 'string') && !VOLATILE_RE.test(JSON.stringify(rest));
+      if (!cacheable) {
+        if (this.enabled) this.stats.bypassed++;
+        return convert(input, format, rest);
+      }
+
+      const outputDir = rest.outputDir || path.resolve(process.cwd(), 'server', 'converted');
+      const base = rest.outputBasename || stemOf(inputs[0]);
+      const names = namedOutput ? { base, inputs: inputs.map(i => path.basename(i)) } : null;
+      const key = await this.keyFor(type, inputs, format, rest, names);
+      const entries = await this._load();
+      let hit = entries.get(key);
+      while (!hit && this.pending.has(key)) {
+        await waitFor(this.pending.get(key), rest.signal);
+        hit = entries.get(key);
+      }
+      if (hit) {
+        throwIfAborted(rest.signal);
+        entries.delete(key);
+        entries.set(key, hit);
+        const now = new Date();
+        fsp.utimes(path.join(this.dir, key, 'entry.json'), now, now).catch(() => {});
+        this._pin(key, 1);
+        let result = null;
+        try {
+          result = await this._copyOut(path.join(this.dir, key, 'output'), hit, outputDir, base, inputs);
+        } catch (err) {
+          // Cleared while copying: convert as if it had never been there
+          if (err.code !== 'ENOENT') throw err;
+          console.warn(`[resultCache] Entry for ${type} -> ${format} went away while copying, converting instead`);
+        } finally {
+          this._pin(key, -1);
+        }
+        if (result) {
+          this.stats.hits++;
+          console.log(`[resultCache] Hit for ${type} -> ${format}`);
+          if (rest.cleanup ?? cleanupByDefault) for (const i of inputs) await fsp.unlink(i).catch(() => {});
+          if (typeof rest.onProgress === 'function') {
+            try { rest.onProgress(100); } catch {}
+          }
+          return result;
+        }
+      }
+
+      this.stats.misses++;
+      let settle;
+      this.pending.set(key, new Promise(resolve => { settle = resolve; }));
+      // Convert into a private folder so exactly this call's output gets cached
+      const workDir = path.join(this.dir, `.work-${crypto.randomUUID()}`);
+      try {
+        const result = await convert(input, format, { ...rest, outputDir: workDir });
+        const snap = await this._snapshot(workDir, base, result, inputs);
+        await this._store(key, type, workDir, snap).catch(err => {
+          console.warn('[resultCache] Could not store result:', err.message);
+        });
+        return await this._copyOut(workDir, snap, outputDir, base, inputs);
+      } finally {
+        this.pending.delete(key);
+        settle();
+        await fsp.rm(workDir, { recursive: true, force: true }).catch(() => {});
+      }
+    };
+  }
+
+  async clear() {
+    await this._load();
+    for (const key of this.entries.keys()) {
+      await fsp.rm(path.join(this.dir, key), { recursive: true, force: true }).catch(() => {});
+    }
+    this.entries.clear();
+    this.size = 0;
+  }
+
+  async getStats() {
+    await this._load();
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      enabled: this.enabled,
+      ...this.stats,
+      hitRate: lookups ? Number((this.stats.hits / lookups).toFixed(4)) : 0,
+      entries: this.entries.size,
+      sizeBytes: this.size,
+      maxBytes: this.maxBytes
+    };
+  }
+}
+
+module.exports = { ResultCache };
@@ -0,0 +1,327 @@
+// server/services/resumableUploadStore.js
+// Resumable uploads in the style of the tus protocol: an upload is created
+// with its total size, filled by appending chunks at the current offset and
+// handed to `onComplete` once the last byte is in and the declared checksum
+// matches. Partial data (<dir>/<id>.part plus an <id>.json sidecar) survives
+// restarts until the upload has been idle for ttlMs.
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { isUploadId } = require('./uploadStore');
+const {
+  ConverterError, ValidationError, NotFoundError, ConflictError, QuotaExceededError, TooManyRequestsError, ChecksumMismatchError
+} = require('./errors');
+
+const CHECKSUM_ALGORITHMS = ['md5', 'sha1', 'sha256', 'sha512'];
+// Errors of a request stream whose client went away mid-chunk
+const DISCONNECT_CODES = new Set(['ECONNRESET', 'ERR_STREAM_PREMATURE_CLOSE']);
+
+/**
+ * Parses "<algorithm> <digest>" with a hex or base64 digest (tus clients
+ * send base64). Returns { algorithm, hex }.
+ */
+function parseChecksum(value, label = 'checksum') {
+  const m = /^\s*([a-z0-9-]+)\s+(\S+)\s*$/i.exec(String(value || ''));
+  if (!m) throw new ValidationError(`Invalid ${label} "${value}": expected "<algorithm> <digest>", e.g. "sha256 <hex>".`);
+  const algorithm = m[1].toLowerCase();
+  if (!CHECKSUM_ALGORITHMS.includes(algorithm)) {
+    throw new ValidationError(`Unsupported ${label} algorithm "${m[1]}". Supported: ${CHECKSUM_ALGORITHMS.join(', ')}`);
+  }
+  const length = crypto.createHash(algorithm).digest().length;
+  const hex = /^[0-9a-f]+$/i.test(m[2]) && m[2].length === length * 2
+    ? m[2].toLowerCase()
+    : Buffer.from(m[2], 'base64').toString('hex');
+  if (hex.length !== length * 2) throw new ValidationError(`Invalid ${label}: not a ${algorithm} digest.`);
+  return { algorithm, hex };
+}
+
+async function hashFile(file, algorithm) {
+  const hash = crypto.createHash(algorithm);
+  await pipeline(fs.createReadStream(file), hash);
+  return hash.digest('hex');
+}
+
+class ResumableUploadStore {
+  /**
+   * @param {object} opts
+   * @param {string} opts.dir Directory holding partial uploads
+   * @param {number} [opts.maxSize] Largest upload that can be created
+   * @param {number} [opts.ttlMs] Idle time after which an upload is deleted (0 = keep)
+   * @param {number} [opts.maxOpenPerOwner] Uploads in progress one owner may have
+   * @param {Function} [opts.onCreate] async (upload) called before an upload is created,
+   *   e.g. to check its size against storage and quotas; throwing refuses it
+   * @param {Function} [opts.onComplete] async (upload, filePath) => fields stored on the
+   *   finished upload. It gets the full record, convert options included, and must
+   *   move filePath away (calling release once it has); if it throws, the upload
+   *   is deleted.
+   */
+  constructor({ dir, maxSize = Infinity, ttlMs = 24 * 60 * 60 * 1000, maxOpenPerOwner = Infinity, onCreate, onComplete } = {}) {
+    this.dir = dir;
+    this.maxSize = maxSize;
+    this.ttlMs = ttlMs;
+    this.maxOpenPerOwner = maxOpenPerOwner;
+    this.onCreate = onCreate;
+    this.onComplete = onComplete;
+    this.locks = new Set();
+    // Uploads in progress (id -> { size, owner }), read from disk on first use
+    this.open = null;
+    this.queue = Promise.resolve();
+    this.timer = null;
+  }
+
+  _metaPath(id) {
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  _partPath(id) {
+    return path.join(this.dir, `${id}.part`);
+  }
+
+  // The conversion options may hold server paths, so only type and format are shown
+  _public(meta) {
+    const { convert, owner, ...rest } = meta;
+    return { ...rest, convert: convert ? { type: convert.type, format: convert.format } : null };
+  }
+
+  // `owner` undefined reads any upload (admin); otherwise other owners' uploads are not found
+  async _read(id, owner) {
+    let meta = null;
+    if (isUploadId(id)) {
+      meta = await fsp.readFile(this._metaPath(id), 'utf8').then(JSON.parse).catch(() => null);
+    }
+    if (!meta || (owner !== undefined && meta.owner !== owner)) throw new NotFoundError(`Unknown upload "${id}".`);
+    return meta;
+  }
+
+  async _open() {
+    if (!this.open) {
+      const open = new Map();
+      for (const name of await fsp.readdir(this.dir).catch(() => [])) {
+        if (!name.endsWith('.json')) continue;
+        const meta = await this._read(name.slice(0, -5)).catch(() => null);
+        if (meta && meta.status === 'uploading') open.set(meta.id, { size: meta.size, owner: meta.owner });
+      }
+      if (!this.open) this.open = open;
+    }
+    return this.open;
+  }
+
+  _exclusive(fn) {
+    const run = this.queue.then(fn);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Declared size of the uploads in progress, all of them or those of
+   * `owner`: space they will take once complete.
+   */
+  async openBytes(owner) {
+    let sum = 0;
+    for (const upload of (await this._open()).values()) {
+      if (owner === undefined || upload.owner === owner) sum += upload.size;
+    }
+    return sum;
+  }
+
+  /**
+   * Stops counting upload `id` in openBytes, for onComplete once the data is
+   * stored elsewhere and counted there.
+   */
+  release(id) {
+    if (this.open) this.open.delete(id);
+  }
+
+  async _write(meta) {
+    const now = Date.now();
+    meta.updatedAt = new Date(now).toISOString();
+    meta.expiresAt = this.ttlMs > 0 ? new Date(now + this.ttlMs).toISOString() : null;
+    await fsp.writeFile(this._metaPath(meta.id), JSON.stringify(meta, null, 2));
+  }
+
+  async _delete(id) {
+    await fsp.rm(this._partPath(id), { force: true });
+    await fsp.rm(this._metaPath(id), { force: true });
+    this.release(id);
+  }
+
+  /**
+   * Starts an upload of `size` bytes. `checksum` ("sha256 <digest>") is
+   * verified once the upload is complete; `convert` ({ type, format, options })
+   * is kept for onComplete. `owner` (an API key ID) is the only caller that
+   * can see or continue the upload afterwards. Creations run one at a time,
+   * so onCreate sees every earlier upload in openBytes.
+   */
+  create({ size, name, checksum, convert = null, owner = null }) {
+    return this._exclusive(async () => {
+      if (!Number.isSafeInteger(size) || size < 1) throw new ValidationError('The upload length must be a positive integer.');
+      if (size > this.maxSize) {
+        throw new QuotaExceededError(`Upload too large: at most ${Math.floor(this.maxSize / (1024 * 1024))} MB per file.`);
+      }
+      const digest = checksum ? parseChecksum(checksum) : null;
+      const open = await this._open();
+      const mine = [...open.values()].filter(u => u.owner === owner).length;
+      if (mine >= this.maxOpenPerOwner) {
+        throw new TooManyRequestsError(`At most ${this.maxOpenPerOwner} uploads may be in progress at once. Finish or delete one first.`);
+      }
+      const meta = {
+        id: crypto.randomUUID(),
+        name: String(name || 'file').slice(0, 255),
+        size,
+        offset: 0,
+        checksum: digest ? `${digest.algorithm} ${digest.hex}` : null,
+        convert,
+        owner,
+        status: 'uploading',
+        createdAt: new Date().toISOString()
+      };
+      if (this.onCreate) await this.onCreate({ ...meta });
+      await fsp.mkdir(this.dir, { recursive: true });
+      await fsp.writeFile(this._partPath(meta.id), '');
+      await this._write(meta);
+      open.set(meta.id, { size, owner });
+      return this._public(meta);
+    });
+  }
+
+  /** Current state; the offset is what is on disk, even after a crash. */
+  async status(id, { owner } = {}) {
+    const meta = await this._read(id, owner);
+    if (meta.status === 'uploading') {
+      const st = await fsp.stat(this._partPath(id)).catch(() => null);
+      meta.offset = st ? st.size : 0;
+    }
+    return this._public(meta);
+  }
+
+  /**
+   * Appends `stream` at `offset`, which must equal the current offset. With
+   * a chunk `checksum` the chunk is discarded unless it matches. A client
+   * that disconnects mid-chunk keeps what arrived, so it can resume from
+   * there. Resolves with { upload, complete }.
+   */
+  async append(id, offset, stream, { checksum, owner } = {}) {
+    const meta = await this._read(id, owner);
+    if (meta.status !== 'uploading') throw new ConflictError('This upload is already complete.');
+    if (this.locks.has(id)) throw new ConflictError('Another request is writing to this upload.');
+    const chunkDigest = checksum ? parseChecksum(checksum, 'Upload-Checksum') : null;
+    this.locks.add(id);
+    try {
+      const part = this._partPath(id);
+      const start = (await fsp.stat(part)).size;
+      if (offset !== start) throw new ConflictError(`Upload-Offset ${offset} does not match the current offset ${start}.`);
+
+      const hash = chunkDigest && crypto.createHash(chunkDigest.algorithm);
+      let written = 0;
+      const guard = new Transform({
+        transform(chunk, _enc, cb) {
+          if (start + written + chunk.length > meta.size) {
+            return cb(new QuotaExceededError(`The chunk goes past the upload length of ${meta.size} bytes.`));
+          }
+          written += chunk.length;
+          if (hash) hash.update(chunk);
+          cb(null, chunk);
+        }
+      });
+      try {
+        await pipeline(stream, guard, fs.createWriteStream(part, { flags: 'a' }));
+      } catch (err) {
+        const disconnected = DISCONNECT_CODES.has(err.code) || err.message === 'aborted';
+        if (!disconnected || chunkDigest) await fsp.truncate(part, start).catch(() => {});
+        else await this._write(Object.assign(meta, { offset: (await fsp.stat(part)).size }));
+        if (disconnected) throw new ConverterError('The upload was interrupted; resume from the current offset.', 400);
+        throw err;
+      }
+      if (chunkDigest && hash.digest('hex') !== chunkDigest.hex) {
+        await fsp.truncate(part, start);
+        throw new ChecksumMismatchError('Upload-Checksum does not match the chunk; it was discarded.');
+      }
+
+      meta.offset = start + written;
+      if (meta.offset < meta.size) {
+        await this._write(meta);
+        return { upload: this._public(meta), complete: false };
+      }
+      return { upload: await this._complete(meta), complete: true };
+    } finally {
+      this.locks.delete(id);
+    }
+  }
+
+  async _complete(meta) {
+    const part = this._partPath(meta.id);
+    if (meta.checksum) {
+      const { algorithm, hex } = parseChecksum(meta.checksum);
+      if (await hashFile(part, algorithm) !== hex) {
+        await this._delete(meta.id);
+        throw new ChecksumMismatchError(`The uploaded file does not match its ${algorithm} checksum; the upload was discarded.`);
+      }
+    }
+    let fields = {};
+    if (this.onComplete) {
+      try {
+        fields = (await this.onComplete({ ...meta }, part)) || {};
+      } catch (err) {
+        await this._delete(meta.id);
+        throw err;
+      }
+    }
+    await fsp.rm(part, { force: true });
+    Object.assign(meta, fields, { status: 'complete', completedAt: new Date().toISOString() });
+    await this._write(meta);
+    this.release(meta.id);
+    console.log(`[resumableUploadStore] Upload ${meta.id} complete (${meta.size} bytes)`);
+    return this._public(meta);
+  }
+
+  /** Terminates an upload; finished uploads only lose their status record. */
+  async remove(id, { owner } = {}) {
+    await this._read(id, owner);
+    await this._delete(id);
+  }
+
+  /** Deletes uploads idle for longer than the TTL and orphaned part files. */
+  async sweep(now = Date.now()) {
+    if (!(this.ttlMs > 0)) return 0;
+    let removed = 0;
+    const names = await fsp.readdir(this.dir).catch(() => []);
+    for (const name of names) {
+      const id = name.replace(/\.(json|part)$/, '');
+      if (!isUploadId(id) || this.locks.has(id)) continue;
+      if (name.endsWith('.json')) {
+        const meta = await this._read(id).catch(() => null);
+        if (meta && meta.expiresAt && Date.parse(meta.expiresAt) <= now) {
+          await this._delete(id).catch(() => {});
+          removed++;
+        }
+      } else if (!names.includes(`${id}.json`)) {
+        const st = await fsp.stat(path.join(this.dir, name)).catch(() => null);
+        if (st && now - st.mtimeMs >= this.ttlMs) {
+          await fsp.rm(path.join(this.dir, name), { force: true }).catch(() => {});
+          removed++;
+        }
+      }
+    }
+    if (removed) console.log(`[resumableUploadStore] Swept ${removed} expired upload(s)`);
+    return removed;
+  }
+
+  startSweeper(intervalMs = 10 * 60 * 1000) {
+    this.stopSweeper();
+    if (!(this.ttlMs > 0)) return;
+    this.timer = setInterval(() => {
+      this.sweep().catch(err => console.warn('[resumableUploadStore] Sweep failed:', err.message));
+    }, intervalMs);
+    this.timer.unref();
+  }
+
+  stopSweeper() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = { ResumableUploadStore, parseChecksum, CHECKSUM_ALGORITHMS };
@@ -0,0 +1,471 @@
+// server/services/sfntUtils.js
+// Minimal sfnt (TrueType/OpenType) container codec: reads TTF, OTF, WOFF and
+// WOFF2 into a flavor plus raw tables, and writes them back out. WOFF2 is
+// written with null glyf/loca transforms; transformed input is rebuilt.
+const zlib = require('zlib');
+const { ValidationError } = require('./errors');
+
+const FLAVOR_TRUETYPE = 0x00010000;
+const FLAVOR_CFF = 0x4f54544f; // 'OTTO'
+const FLAVOR_APPLE = 0x74727565; // 'true'
+
+// WOFF2 known table tags, by directory index
+const WOFF2_TAGS = [
+  'cmap', 'head', 'hhea', 'hmtx', 'maxp', 'name', 'OS/2', 'post', 'cvt ',
+  'fpgm', 'glyf', 'loca', 'prep', 'CFF ', 'VORG', 'EBDT', 'EBLC', 'gasp',
+  'hdmx', 'kern', 'LTSH', 'PCLT', 'VDMX', 'vhea', 'vmtx', 'BASE', 'GDEF',
+  'GPOS', 'GSUB', 'EBSC', 'JSTF', 'MATH', 'CBDT', 'CBLC', 'COLR', 'CPAL',
+  'SVG ', 'sbix', 'acnt', 'avar', 'bdat', 'bloc', 'bsln', 'cvar', 'fdsc',
+  'feat', 'fmtx', 'fvar', 'gvar', 'hsty', 'just', 'lcar', 'mort', 'morx',
+  'opbd', 'prop', 'trak', 'Zapf', 'Silf', 'Glat', 'Gloc', 'Feat', 'Sill'
+];
+
+function pad4(n) { return (n + 3) & ~3; }
+
+function corrupt(what) {
+  return new ValidationError(`Corrupt font file: ${what}.`);
+}
+
+/** 'ttf' | 'otf' | 'woff' | 'woff2' | 'ttc' | null from the first bytes. */
+function sniffFont(buf) {
+  if (!buf || buf.length < 4) return null;
+  const sig = buf.toString('latin1', 0, 4);
+  if (sig === 'wOFF') return 'woff';
+  if (sig === 'wOF2') return 'woff2';
+  if (sig === 'ttcf') return 'ttc';
+  if (sig === 'OTTO') return 'otf';
+  const v = buf.readUInt32BE(0);
+  return v === FLAVOR_TRUETYPE || v === FLAVOR_APPLE ? 'ttf' : null;
+}
+
+function checksum(buf) {
+  let sum = 0;
+  const whole = buf.length & ~3;
+  for (let i = 0; i < whole; i += 4) sum = (sum + buf.readUInt32BE(i)) >>> 0;
+  if (whole < buf.length) {
+    const tail = Buffer.alloc(4);
+    buf.copy(tail, 0, whole);
+    sum = (sum + tail.readUInt32BE(0)) >>> 0;
+  }
+  return sum;
+}
+
+// ---- readers ---------------------------------------------------------------
+
+function readSfntTables(buf) {
+  const numTables = buf.readUInt16BE(4);
+  const tables = new Map();
+  for (let i = 0; i < numTables; i++) {
+    const at = 12 + i * 16;
+    const tag = buf.toString('latin1', at, at + 4);
+    const offset = buf.readUInt32BE(at + 8);
+    const length = buf.readUInt32BE(at + 12);
+    if (offset + length > buf.length) throw corrupt(`table "${tag}" runs past the end of the file`);
+    tables.set(tag, buf.subarray(offset, offset + length));
+  }
+  return { flavor: buf.readUInt32BE(0), tables };
+}
+
+function readWoff(buf) {
+  const numTables = buf.readUInt16BE(12);
+  const tables = new Map();
+  for (let i = 0; i < numTables; i++) {
+    const at = 44 + i * 20;
+    const tag = buf.toString('latin1', at, at + 4);
+    const offset = buf.readUInt32BE(at + 4);
+    const compLength = buf.readUInt32BE(at + 8);
+    const origLength = buf.readUInt32BE(at + 12);
+    const data = buf.subarray(offset, offset + compLength);
+    tables.set(tag, compLength < origLength ? zlib.inflateSync(data) : data);
+  }
+  return { flavor: buf.readUInt32BE(4), tables };
+}
+
+class Reader {
+  constructor(buf) { this.buf = buf; this.pos = 0; }
+  u8() { return this.buf[this.pos++]; }
+  u16() { const v = this.buf.readUInt16BE(this.pos); this.pos += 2; return v; }
+  i16() { const v = this.buf.readInt16BE(this.pos); this.pos += 2; return v; }
+  u32() { const v = this.buf.readUInt32BE(this.pos); this.pos += 4; return v; }
+  bytes(n) { const v = this.buf.subarray(this.pos, this.pos + n); this.pos += n; return v; }
+  base128() {
+    let value = 0;
+    for (let i = 0; i < 5; i++) {
+      const b = this.u8();
+      if (i === 0 && b === 0x80) throw corrupt('bad UIntBase128');
+      if (value & 0xfe000000) throw corrupt('UIntBase128 overflow');
+      value = (value << 7) | (b & 0x7f);
+      if (!(b & 0x80)) return value >>> 0;
+    }
+    throw corrupt('UIntBase128 too long');
+  }
+  u255() {
+    const code = this.u8();
+    if (code === 253) return this.u16();
+    if (code === 255) return this.u8() + 253;
+    if (code === 254) return this.u8() + 506;
+    return code;
+  }
+}
+
+// WOFF2 point triplet: flag byte plus 1-4 data bytes -> [dx, dy, onCurve]
+function readTriplet(flag, glyphs) {
+  const f = flag & 0x7f;
+  const sign = (bit, v) => (f >> bit) & 1 ? v : -v;
+  let dx; let dy;
+  if (f < 10) {
+    dx = 0; dy = sign(0, ((f & 14) << 7) + glyphs.u8());
+  } else if (f < 20) {
+    dx = sign(0, (((f - 10) & 14) << 7) + glyphs.u8()); dy = 0;
+  } else if (f < 84) {
+    const b0 = f - 20; const b1 = glyphs.u8();
+    dx = sign(0, 1 + (b0 & 0x30) + (b1 >> 4));
+    dy = sign(1, 1 + ((b0 & 0x0c) << 2) + (b1 & 0x0f));
+  } else if (f < 120) {
+    const b0 = f - 84;
+    dx = sign(0, 1 + (Math.floor(b0 / 12) << 8) + glyphs.u8());
+    dy = sign(1, 1 + (((b0 % 12) >> 2) << 8) + glyphs.u8());
+  } else if (f < 124) {
+    const b1 = glyphs.u8(); const b2 = glyphs.u8(); const b3 = glyphs.u8();
+    dx = sign(0, (b1 << 4) + (b2 >> 4));
+    dy = sign(1, ((b2 & 0x0f) << 8) + b3);
+  } else {
+    const b1 = glyphs.u8(); const b2 = glyphs.u8(); const b3 = glyphs.u8(); const b4 = glyphs.u8();
+    dx = sign(0, (b1 << 8) + b2);
+    dy = sign(1, (b3 << 8) + b4);
+  }
+  return [dx, dy, !(flag & 0x80)];
+}
+
+// Standard TrueType encoding of a simple glyph from absolute points
+function encodeSimpleGlyph(endPts, points, instructions, bbox, overlap) {
+  const flags = []; const xs = []; const ys = [];
+  let px = 0; let py = 0;
+  points.forEach(([x, y, onCurve], i) => {
+    let flag = onCurve ? 0x01 : 0;
+    if (overlap && i === 0) flag |= 0x40;
+    const dx = x - px; const dy = y - py;
+    if (dx === 0) flag |= 0x10;
+    else if (Math.abs(dx) < 256) { flag |= 0x02 | (dx > 0 ? 0x10 : 0); xs.push([1, Math.abs(dx)]); } else xs.push([2, dx]);
+    if (dy === 0) flag |= 0x20;
+    else if (Math.abs(dy) < 256) { flag |= 0x04 | (dy > 0 ? 0x20 : 0); ys.push([1, Math.abs(dy)]); } else ys.push([2, dy]);
+    flags.push(flag);
+    px = x; py = y;
+  });
+  // Runs of equal flags use the repeat bit
+  const packed = [];
+  for (let i = 0; i < flags.length;) {
+    let run = 1;
+    while (i + run < flags.length && flags[i + run] === flags[i] && run < 256) run++;
+    if (run > 1) { packed.push(flags[i] | 0x08, run - 1); } else packed.push(flags[i]);
+    i += run;
+  }
+  const coordBytes = [...xs, ...ys].reduce((n, [size]) => n + size, 0);
+  const out = Buffer.alloc(10 + endPts.length * 2 + 2 + instructions.length + packed.length + coordBytes);
+  let o = out.writeInt16BE(endPts.length, 0);
+  for (const v of bbox) o = out.writeInt16BE(v, o);
+  for (const e of endPts) o = out.writeUInt16BE(e, o);
+  o = out.writeUInt16BE(instructions.length, o);
+  o += instructions.copy(out, o);
+  for (const f of packed) o = out.writeUInt8(f, o);
+  for (const [size, v] of [...xs, ...ys]) o = size === 1 ? out.writeUInt8(v, o) : out.writeInt16BE(v, o);
+  return out;
+}
+
+/**
+ * Rebuilds glyf and loca from the WOFF2 transformed glyf table. Also returns
+ * every glyph's xMin, which a transformed hmtx needs.
+ */
+function reconstructGlyf(data) {
+  const r = new Reader(data);
+  r.u16(); // reserved
+  const optionFlags = r.u16();
+  const numGlyphs = r.u16();
+  const indexFormat = r.u16();
+  const sizes = Array.from({ length: 7 }, () => r.u32());
+  const streams = sizes.map(size => new Reader(r.bytes(size)));
+  const [nContourStream, nPointsStream, flagStream, glyphStream, compositeStream, bboxStream, instructionStream] = streams;
+  const overlap = optionFlags & 1 ? r.bytes((numGlyphs + 7) >> 3) : null;
+  const bboxBitmap = bboxStream.bytes(((numGlyphs + 31) >> 5) << 2);
+  const hasBit = (bitmap, i) => bitmap && (bitmap[i >> 3] & (0x80 >> (i & 7)));
+
+  const glyphs = [];
+  const xMins = [];
+  for (let i = 0; i < numGlyphs; i++) {
+    const nContours = nContourStream.i16();
+    if (nContours === 0) {
+      if (hasBit(bboxBitmap, i)) throw corrupt('empty glyph with a bounding box');
+      glyphs.push(Buffer.alloc(0));
+      xMins.push(0);
+      continue;
+    }
+    if (nContours > 0) {
+      const endPts = [];
+      let total = 0;
+      for (let c = 0; c < nContours; c++) { total += nPointsStream.u255(); endPts.push(total - 1); }
+      const points = [];
+      let x = 0; let y = 0;
+      for (let p = 0; p < total; p++) {
+        const [dx, dy, onCurve] = readTriplet(flagStream.u8(), glyphStream);
+        x += dx; y += dy;
+        points.push([x, y, onCurve]);
+      }
+      const instructions = instructionStream.bytes(glyphStream.u255());
+      let bbox;
+      if (hasBit(bboxBitmap, i)) bbox = [bboxStream.i16(), bboxStream.i16(), bboxStream.i16(), bboxStream.i16()];
+      else {
+        const xsAll = points.map(p => p[0]); const ysAll = points.map(p => p[1]);
+        bbox = [Math.min(...xsAll), Math.min(...ysAll), Math.max(...xsAll), Math.max(...ysAll)];
+      }
+      glyphs.push(encodeSimpleGlyph(endPts, points, instructions, bbox, hasBit(overlap, i)));
+      xMins.push(bbox[0]);
+      continue;
+    }
+    // Composite: component records are stored as they are in glyf
+    if (!hasBit(bboxBitmap, i)) throw corrupt('composite glyph without a bounding box');
+    const bbox = [bboxStream.i16(), bboxStream.i16(), bboxStream.i16(), bboxStream.i16()];
+    const start = compositeStream.pos;
+    let flags; let haveInstructions = false;
+    do {
+      flags = compositeStream.u16();
+      compositeStream.u16(); // glyph index
+      let size = flags & 0x0001 ? 4 : 2;
+      if (flags & 0x0008) size += 2; else if (flags & 0x0040) size += 4; else if (flags & 0x0080) size += 8;
+      compositeStream.bytes(size);
+      if (flags & 0x0100) haveInstructions = true;
+    } while (flags & 0x0020);
+    const components = compositeStream.buf.subarray(start, compositeStream.pos);
+    const instructions = haveInstructions ? instructionStream.bytes(glyphStream.u255()) : null;
+    const head = Buffer.alloc(10);
+    head.writeInt16BE(nContours, 0);
+    bbox.forEach((v, k) => head.writeInt16BE(v, 2 + k * 2));
+    const parts = [head, components];
+    if (instructions) { const len = Buffer.alloc(2); len.writeUInt16BE(instructions.length, 0); parts.push(len, instructions); }
+    glyphs.push(Buffer.concat(parts));
+    xMins.push(bbox[0]);
+  }
+  const { glyf, loca } = buildGlyfLoca(glyphs, indexFormat);
+  return { glyf, loca, xMins };
+}
+
+function reconstructHmtx(data, numGlyphs, numHMetrics, xMins) {
+  const r = new Reader(data);
+  const flags = r.u8();
+  const advances = Array.from({ length: numHMetrics }, () => r.u16());
+  const lsb = Array.from({ length: numHMetrics }, (_, i) => flags & 1 ? xMins[i] : r.i16());
+  for (let i = numHMetrics; i < numGlyphs; i++) lsb.push(flags & 2 ? xMins[i] : r.i16());
+  const out = Buffer.alloc(numHMetrics * 4 + (numGlyphs - numHMetrics) * 2);
+  let o = 0;
+  for (let i = 0; i < numHMetrics; i++) { o = out.writeUInt16BE(advances[i], o); o = out.writeInt16BE(lsb[i], o); }
+  for (let i = numHMetrics; i < numGlyphs; i++) o = out.writeInt16BE(lsb[i], o);
+  return out;
+}
+
+function readWoff2(buf) {
+  const r = new Reader(buf);
+  r.u32(); // signature
+  const flavor = r.u32();
+  if (flavor === 0x74746366) throw new ValidationError('WOFF2 font collections are not supported.');
+  r.u32(); // length
+  const numTables = r.u16();
+  r.u16(); // reserved
+  r.u32(); // totalSfntSize
+  const totalCompressedSize = r.u32();
+  r.pos = 48;
+  const entries = [];
+  for (let i = 0; i < numTables; i++) {
+    const flags = r.u8();
+    const tag = (flags & 0x3f) === 0x3f ? r.bytes(4).toString('latin1') : WOFF2_TAGS[flags & 0x3f];
+    const version = flags >> 6;
+    const origLength = r.base128();
+    const transformed = tag === 'glyf' || tag === 'loca' ? version === 0 : version !== 0;
+    const length = transformed ? r.base128() : origLength;
+    entries.push({ tag, transformed, length });
+  }
+  let data;
+  try {
+    data = zlib.brotliDecompressSync(buf.subarray(r.pos, r.pos + totalCompressedSize));
+  } catch (err) {
+    throw corrupt(`WOFF2 data does not decompress (${err.message})`);
+  }
+
+  const tables = new Map();
+  const transformed = new Map();
+  let offset = 0;
+  for (const e of entries) {
+    const slice = data.subarray(offset, offset + e.length);
+    offset += e.length;
+    (e.transformed ? transformed : tables).set(e.tag, slice);
+  }
+  let xMins = null;
+  if (transformed.has('glyf')) {
+    const rebuilt = reconstructGlyf(transformed.get('glyf'));
+    tables.set('glyf', rebuilt.glyf);
+    tables.set('loca', rebuilt.loca);
+    xMins = rebuilt.xMins;
+  }
+  if (transformed.has('hmtx')) {
+    if (!xMins || !tables.has('hhea') || !tables.has('maxp')) throw corrupt('transformed hmtx without glyf');
+    const numGlyphs = tables.get('maxp').readUInt16BE(4);
+    const numHMetrics = tables.get('hhea').readUInt16BE(34);
+    tables.set('hmtx', reconstructHmtx(transformed.get('hmtx'), numGlyphs, numHMetrics, xMins));
+  }
+  return { flavor, tables };
+}
+
+/**
+ * Reads a TTF, OTF, WOFF or WOFF2 file into { flavor, tables: Map(tag ->
+ * Buffer) }. Throws ValidationError for anything else, collections included.
+ */
+function readFont(buf) {
+  const kind = sniffFont(buf);
+  if (kind === 'ttc') throw new ValidationError('Font collections (.ttc) are not supported.');
+  if (!kind) throw new ValidationError('Not a TTF, OTF, WOFF or WOFF2 font.');
+  try {
+    if (kind === 'woff') return readWoff(buf);
+    if (kind === 'woff2') return readWoff2(buf);
+    return readSfntTables(buf);
+  } catch (err) {
+    if (err instanceof ValidationError) throw err;
+    throw corrupt(err.message);
+  }
+}
+
+// ---- writers ---------------------------------------------------------------
+
+/** Lays glyphs out 4-byte aligned; indexFormat 0 (short) or 1 (long) loca. */
+function buildGlyfLoca(glyphs, indexFormat) {
+  const offsets = [0];
+  for (const g of glyphs) offsets.push(offsets[offsets.length - 1] + pad4(g.length));
+  const glyf = Buffer.alloc(offsets[offsets.length - 1]);
+  glyphs.forEach((g, i) => g.copy(glyf, offsets[i]));
+  const loca = Buffer.alloc(offsets.length * (indexFormat ? 4 : 2));
+  offsets.forEach((off, i) => (indexFormat ? loca.writeUInt32BE(off, i * 4) : loca.writeUInt16BE(off / 2, i * 2)));
+  return { glyf, loca };
+}
+
+// Tag order: sorted, except that loca follows glyf (WOFF2 requires it)
+function tableOrder(tables) {
+  const tags = [...tables.keys()].sort();
+  if (tags.includes('glyf') && tags.includes('loca')) {
+    tags.splice(tags.indexOf('loca'), 1);
+    tags.splice(tags.indexOf('glyf') + 1, 0, 'loca');
+  }
+  return tags;
+}
+
+/** Writes an uncompressed sfnt (TTF/OTF) with fresh checksums. */
+function writeSfnt(flavor, tables) {
+  const tags = [...tables.keys()].sort();
+  const n = tags.length;
+  const entrySelector = Math.floor(Math.log2(n));
+  const searchRange = 16 * 2 ** entrySelector;
+  let offset = 12 + 16 * n;
+  const layout = tags.map(tag => {
+    let data = tables.get(tag);
+    if (tag === 'head') { data = Buffer.from(data); data.writeUInt32BE(0, 8); }
+    const entry = { tag, data, offset };
+    offset += pad4(data.length);
+    return entry;
+  });
+  const out = Buffer.alloc(offset);
+  out.writeUInt32BE(flavor, 0);
+  out.writeUInt16BE(n, 4);
+  out.writeUInt16BE(searchRange, 6);
+  out.writeUInt16BE(entrySelector, 8);
+  out.writeUInt16BE(n * 16 - searchRange, 10);
+  layout.forEach(({ tag, data, offset: at }, i) => {
+    const dir = 12 + i * 16;
+    out.write(tag, dir, 4, 'latin1');
+    out.writeUInt32BE(checksum(data), dir + 4);
+    out.writeUInt32BE(at, dir + 8);
+    out.writeUInt32BE(data.length, dir + 12);
+    data.copy(out, at);
+  });
+  const head = layout.find(e => e.tag === 'head');
+  if (head) out.writeUInt32BE((0xb1b0afba - checksum(out)) >>> 0, head.offset + 8);
+  return out;
+}
+
+/** Writes WOFF 1.0: each table zlib-compressed when that makes it smaller. */
+function writeWoff(flavor, tables) {
+  const sfnt = writeSfnt(flavor, tables);
+  const final = readSfntTables(sfnt).tables;
+  const tags = [...final.keys()].sort();
+  let offset = 44 + 20 * tags.length;
+  const entries = tags.map(tag => {
+    const orig = final.get(tag);
+    const deflated = zlib.deflateSync(orig, { level: 9 });
+    const data = deflated.length < orig.length ? deflated : orig;
+    const entry = { tag, data, orig, offset };
+    offset += pad4(data.length);
+    return entry;
+  });
+  const out = Buffer.alloc(offset);
+  out.write('wOFF', 0, 'latin1');
+  out.writeUInt32BE(flavor, 4);
+  out.writeUInt32BE(out.length, 8);
+  out.writeUInt16BE(tags.length, 12);
+  out.writeUInt32BE(sfnt.length, 16);
+  out.writeUInt16BE(1, 20); // font major version
+  entries.forEach(({ tag, data, orig, offset: at }, i) => {
+    const dir = 44 + i * 20;
+    out.write(tag, dir, 4, 'latin1');
+    out.writeUInt32BE(at, dir + 4);
+    out.writeUInt32BE(data.length, dir + 8);
+    out.writeUInt32BE(orig.length, dir + 12);
+    out.writeUInt32BE(checksum(orig), dir + 16);
+    data.copy(out, at);
+  });
+  return out;
+}
+
+function base128(value) {
+  const bytes = [value & 0x7f];
+  for (let v = value >>> 7; v > 0; v >>>= 7) bytes.unshift((v & 0x7f) | 0x80);
+  return Buffer.from(bytes);
+}
+
+/** Writes WOFF2 with every table untransformed, Brotli-compressed as one stream. */
+function writeWoff2(flavor, tables) {
+  const sfnt = writeSfnt(flavor, tables);
+  const final = readSfntTables(sfnt).tables;
+  const tags = tableOrder(final);
+  const directory = Buffer.concat(tags.map(tag => {
+    const known = WOFF2_TAGS.indexOf(tag);
+    // Transform version 3 is the null transform for glyf/loca, 0 for the rest
+    const version = tag === 'glyf' || tag === 'loca' ? 3 << 6 : 0;
+    const flags = Buffer.from([(known >= 0 ? known : 0x3f) | version]);
+    return Buffer.concat([flags, known >= 0 ? Buffer.alloc(0) : Buffer.from(tag, 'latin1'), base128(final.get(tag).length)]);
+  }));
+  const payload = Buffer.concat(tags.map(tag => final.get(tag)));
+  const compressed = zlib.brotliCompressSync(payload, {
+    params: {
+      [zlib.constants.BROTLI_PARAM_MODE]: zlib.constants.BROTLI_MODE_FONT,
+      [zlib.constants.BROTLI_PARAM_QUALITY]: 11,
+      [zlib.constants.BROTLI_PARAM_SIZE_HINT]: payload.length
+    }
+  });
+  const out = Buffer.alloc(pad4(48 + directory.length + compressed.length));
+  out.write('wOF2', 0, 'latin1');
+  out.writeUInt32BE(flavor, 4);
+  out.writeUInt32BE(out.length, 8);
+  out.writeUInt16BE(tags.length, 12);
+  out.writeUInt32BE(sfnt.length, 16);
+  out.writeUInt32BE(compressed.length, 20);
+  out.writeUInt16BE(1, 24); // font major version
+  directory.copy(out, 48);
+  compressed.copy(out, 48 + directory.length);
+  return out;
+}
+
+module.exports = {
+  FLAVOR_TRUETYPE,
+  FLAVOR_CFF,
+  sniffFont,
+  readFont,
+  writeSfnt,
+  writeWoff,
+  writeWoff2,
+  buildGlyfLoca
+};
@@ -0,0 +1,162 @@
+// server/services/textDocument.js
+// Writes generated Markdown-style text (headings, lists, paragraphs, **bold**)
+// as a .txt, .html or minimal .docx document.
+const fsp = require('fs').promises;
+const path = require('path');
+const { createZip } = require('./zipUtils');
+const { ValidationError } = require('./errors');
+
+const TEXT_FORMATS = new Set(['txt', 'html', 'docx']);
+
+/**
+ * Splits Markdown-style text into blocks:
+ * { type: 'heading', level, text } | { type: 'item', level, ordered, text } | { type: 'paragraph', text }
+ */
+function parseBlocks(markdown) {
+  const blocks = [];
+  let para = [];
+  const flush = () => {
+    if (para.length) blocks.push({ type: 'paragraph', text: para.join(' ') });
+    para = [];
+  };
+  for (const raw of String(markdown).replace(/\r\n?/g, '\n').split('\n')) {
+    const line = raw.replace(/\s+$/, '');
+    const heading = /^(#{1,6})\s+(.*)$/.exec(line);
+    const item = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/.exec(line);
+    if (!line.trim()) {
+      flush();
+    } else if (heading) {
+      flush();
+      blocks.push({ type: 'heading', level: heading[1].length, text: heading[2].replace(/\s*#+$/, '') });
+    } else if (item) {
+      flush();
+      const indent = item[1].replace(/\t/g, '  ').length;
+      blocks.push({ type: 'item', level: Math.min(8, Math.floor(indent / 2)), ordered: /\d/.test(item[2]), text: item[3] });
+    } else {
+      para.push(line.trim());
+    }
+  }
+  flush();
+  return blocks;
+}
+
+// Inline **bold** / *italic* runs: [{ text, bold, italic }]
+function parseRuns(text) {
+  const runs = [];
+  const re = /\*\*(.+?)\*\*|\*(.+?)\*/g;
+  let last = 0;
+  let m;
+  while ((m = re.exec(text))) {
+    if (m.index > last) runs.push({ text: text.slice(last, m.index) });
+    runs.push(m[1] != null ? { text: m[1], bold: true } : { text: m[2], italic: true });
+    last = re.lastIndex;
+  }
+  if (last < text.length) runs.push({ text: text.slice(last) });
+  return runs;
+}
+
+function escapeXml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function toHtml(blocks, { title = 'Document', lang } = {}) {
+  const inline = text => parseRuns(text).map(r => {
+    const t = escapeXml(r.text);
+    return r.bold ? `<strong>${t}</strong>` : r.italic ? `<em>${t}</em>` : t;
+  }).join('');
+  const out = [];
+  const open = []; // stack of 'ul' / 'ol'
+  const closeTo = level => {
+    while (open.length > level) out.push(`</li></${open.pop()}>`);
+  };
+  for (const block of blocks) {
+    if (block.type !== 'item') {
+      closeTo(0);
+      if (block.type === 'heading') out.push(`<h${block.level}>${inline(block.text)}</h${block.level}>`);
+      else out.push(`<p>${inline(block.text)}</p>`);
+      continue;
+    }
+    const depth = block.level + 1;
+    const tag = block.ordered ? 'ol' : 'ul';
+    if (open.length > depth) closeTo(depth);
+    if (open.length === depth && open[depth - 1] !== tag) closeTo(depth - 1);
+    if (open.length === depth) out.push('</li>');
+    while (open.length < depth) {
+      open.push(tag);
+      out.push(`<${tag}>`);
+    }
+    out.push(`<li>${inline(block.text)}`);
+  }
+  closeTo(0);
+  return [
+    '<!DOCTYPE html>',
+    `<html${lang ? ` lang="${escapeXml(lang)}"` : ''}>`,
+    `<head><meta charset="utf-8"><title>${escapeXml(title)}</title></head>`,
+    '<body>',
+    ...out,
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+const W_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+
+function docxParagraph(block) {
+  const runs = parseRuns(block.text).map(r => {
+    const props = `${r.bold ? '<w:b/>' : ''}${r.italic ? '<w:i/>' : ''}`;
+    return `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}<w:t xml:space="preserve">${escapeXml(r.text)}</w:t></w:r>`;
+  }).join('');
+  let pPr = '';
+  if (block.type === 'heading') pPr = `<w:pStyle w:val="Heading${block.level}"/>`;
+  if (block.type === 'item') pPr = `<w:pStyle w:val="ListParagraph"/><w:numPr><w:ilvl w:val="${block.level}"/><w:numId w:val="${block.ordered ? 2 : 1}"/></w:numPr>`;
+  return `<w:p>${pPr ? `<w:pPr>${pPr}</w:pPr>` : ''}${runs}</w:p>`;
+}
+
+function docxStyles() {
+  const heading = (level, size) => `<w:style w:type="paragraph" w:styleId="Heading${level}"><w:name w:val="heading ${level}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:spacing w:before="240" w:after="120"/><w:outlineLvl w:val="${level - 1}"/></w:pPr><w:rPr><w:b/><w:sz w:val="${size}"/></w:rPr></w:style>`;
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="${W_NS}"><w:docDefaults><w:rPrDefault><w:rPr><w:sz w:val="22"/></w:rPr></w:rPrDefault><w:pPrDefault><w:pPr><w:spacing w:after="120"/></w:pPr></w:pPrDefault></w:docDefaults><w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>${[36, 30, 26, 24, 22, 22].map((size, i) => heading(i + 1, size)).join('')}<w:style w:type="paragraph" w:styleId="ListParagraph"><w:name w:val="List Paragraph"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:after="60"/></w:pPr></w:style></w:styles>`;
+}
+
+function docxNumbering() {
+  const levels = ordered => Array.from({ length: 9 }, (_, i) => `<w:lvl w:ilvl="${i}"><w:start w:val="1"/><w:numFmt w:val="${ordered ? 'decimal' : 'bullet'}"/><w:lvlText w:val="${ordered ? `%${i + 1}.` : ['•', '◦', '▪'][i % 3]}"/><w:lvlJc w:val="left"/><w:pPr><w:ind w:left="${720 * (i + 1)}" w:hanging="360"/></w:pPr></w:lvl>`).join('');
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:numbering xmlns:w="${W_NS}"><w:abstractNum w:abstractNumId="0">${levels(false)}</w:abstractNum><w:abstractNum w:abstractNumId="1">${levels(true)}</w:abstractNum><w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num><w:num w:numId="2"><w:abstractNumId w:val="1"/></w:num></w:numbering>`;
+}
+
+function toDocx(blocks, { title = 'Document' } = {}) {
+  const REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+  const body = blocks.map(docxParagraph).join('');
+  return createZip([
+    { name: '[Content_Types].xml', data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/><Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/><Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/><Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/></Types>` },
+    { name: '_rels/.rels', data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="${REL}/officeDocument" Target="word/document.xml"/><Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/></Relationships>` },
+    { name: 'docProps/core.xml', data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/"><dc:title>${escapeXml(title)}</dc:title></cp:coreProperties>` },
+    { name: 'word/_rels/document.xml.rels', data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="${REL}/styles" Target="styles.xml"/><Relationship Id="rId2" Type="${REL}/numbering" Target="numbering.xml"/></Relationships>` },
+    { name: 'word/styles.xml', data: docxStyles() },
+    { name: 'word/numbering.xml', data: docxNumbering() },
+    { name: 'word/document.xml', data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="${W_NS}"><w:body>${body}<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="708" w:footer="708" w:gutter="0"/></w:sectPr></w:body></w:document>` }
+  ]);
+}
+
+/**
+ * Writes `markdown` to `outPath` as txt (unchanged), html or docx.
+ * `meta`: { title, lang }.
+ */
+async function writeTextDocument(markdown, format, outPath, meta = {}) {
+  if (!TEXT_FORMATS.has(format)) {
+    throw new ValidationError(`Unsupported text output "${format}". Supported: ${[...TEXT_FORMATS].join(', ')}`);
+  }
+  await fsp.mkdir(path.dirname(outPath), { recursive: true });
+  if (format === 'txt') await fsp.writeFile(outPath, String(markdown).trim() + '\n', 'utf8');
+  else if (format === 'html') await fsp.writeFile(outPath, toHtml(parseBlocks(markdown), meta), 'utf8');
+  else await fsp.writeFile(outPath, toDocx(parseBlocks(markdown), meta));
+  return outPath;
+}
+
+module.exports = { writeTextDocument, parseBlocks, TEXT_FORMATS };
@@ -0,0 +1,111 @@
+// server/services/textExtractor.js
+// Plain text of a document for the AI text pipeline: PDF via pdfText, DOCX via
+// mammoth, ODT/EPUB from their XML, HTML and Markdown by stripping markup.
+const fsp = require('fs').promises;
+const path = require('path');
+const mammoth = require('mammoth');
+const { extractPdfText } = require('./pdfText');
+const { readZip } = require('./zipUtils');
+const { renderMarkdown } = require('./markdown');
+const { ValidationError } = require('./errors');
+
+const ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0', shy: '\u00ad',
+  ndash: '\u2013', mdash: '\u2014', hellip: '\u2026', lsquo: '\u2018', rsquo: '\u2019', sbquo: '\u201a',
+  ldquo: '\u201c', rdquo: '\u201d', bdquo: '\u201e', laquo: '\u00ab', raquo: '\u00bb', bull: '\u2022',
+  middot: '\u00b7', copy: '\u00a9', reg: '\u00ae', trade: '\u2122', deg: '\u00b0', times: '\u00d7',
+  euro: '\u20ac', pound: '\u00a3', sect: '\u00a7', para: '\u00b6', thinsp: '\u2009', ensp: '\u2002', emsp: '\u2003'
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, e) => {
+    if (e[0] === '#') {
+      const code = e[1] === 'x' || e[1] === 'X' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : m;
+    }
+    return ENTITIES[e.toLowerCase()] ?? m;
+  });
+}
+
+function tidy(text) {
+  return text.replace(/[ \t\u00a0]+/g, ' ').replace(/ *\n */g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+function htmlToText(html) {
+  const body = String(html)
+    .replace(/<(script|style|head)[\s\S]*?<\/\1>/gi, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li[\s>]/gi, '\n- $&')
+    .replace(/<\/(p|div|h[1-6]|li|tr|table|section|article|blockquote|pre)>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '');
+  return tidy(decodeEntities(body));
+}
+
+function odtToText(xml) {
+  const body = xml
+    .replace(/<text:tab\/>/g, '\t')
+    .replace(/<text:line-break\/>/g, '\n')
+    .replace(/<text:s(?: text:c="(\d+)")?\/>/g, (_, n) => ' '.repeat(Number(n) || 1))
+    .replace(/<\/text:(p|h)>/g, '\n\n')
+    .replace(/<[^>]+>/g, '');
+  return tidy(decodeEntities(body));
+}
+
+// Chapters of an EPUB in spine order
+function epubToText(files) {
+  const container = (files.get('META-INF/container.xml') || '').toString('utf8');
+  const opfPath = (/full-path="([^"]+)"/.exec(container) || [])[1];
+  if (!opfPath || !files.has(opfPath)) throw new ValidationError('EPUB has no readable package document.');
+  const opf = files.get(opfPath).toString('utf8');
+  const dir = path.posix.dirname(opfPath);
+  const manifest = new Map();
+  for (const m of opf.matchAll(/<item\b[^>]*>/g)) {
+    const id = (/\bid="([^"]+)"/.exec(m[0]) || [])[1];
+    const href = (/\bhref="([^"]+)"/.exec(m[0]) || [])[1];
+    if (id && href) manifest.set(id, path.posix.join(dir === '.' ? '' : dir, decodeURIComponent(href)));
+  }
+  const chapters = [];
+  for (const m of opf.matchAll(/<itemref\b[^>]*\bidref="([^"]+)"/g)) {
+    const file = files.get(manifest.get(m[1]));
+    if (file) chapters.push(htmlToText(file.toString('utf8')));
+  }
+  return chapters.filter(Boolean).join('\n\n');
+}
+
+/**
+ * Resolves with the text of `filePath`, whose detected format is `ext`.
+ * `fallback(filePath, ext)` handles formats without a built-in reader
+ * (RTF, DOC), e.g. through LibreOffice.
+ */
+async function extractText(filePath, ext, { fallback } = {}) {
+  switch (ext) {
+    case 'pdf':
+      return (await extractPdfText(filePath)).join('\n\n');
+    case 'docx': {
+      const { value } = await mammoth.extractRawText({ path: filePath }).catch(err => {
+        throw new ValidationError(`Could not read the DOCX file: ${err.message}`);
+      });
+      return tidy(value);
+    }
+    case 'odt': {
+      const content = readZip(await fsp.readFile(filePath)).get('content.xml');
+      if (!content) throw new ValidationError('ODT file has no content.xml.');
+      return odtToText(content.toString('utf8'));
+    }
+    case 'epub':
+      return epubToText(readZip(await fsp.readFile(filePath)));
+    case 'html':
+    case 'htm':
+      return htmlToText(await fsp.readFile(filePath, 'utf8'));
+    case 'md':
+      return htmlToText(renderMarkdown(await fsp.readFile(filePath, 'utf8')).html);
+    case 'txt':
+      return tidy(await fsp.readFile(filePath, 'utf8'));
+    default:
+      if (fallback) return tidy(await fallback(filePath, ext));
+      throw new ValidationError(`Cannot extract text from .${ext} files.`);
+  }
+}
+
+module.exports = { extractText, htmlToText, decodeEntities };
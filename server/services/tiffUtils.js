@@ -0,0 +1,86 @@
+// server/services/tiffUtils.js
+// Minimal TIFF container helpers (classic TIFF, not BigTIFF).
+
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8, 13: 4 };
+// Tags whose values are file offsets (StripOffsets, TileOffsets)
+const OFFSET_TAGS = new Set([273, 324]);
+// Tags pointing at nested IFDs (SubIFDs, Exif, GPS, Interop), which are not relocated
+const NESTED_IFD_TAGS = new Set([330, 34665, 34853, 40965]);
+
+function reader(buf) {
+  const order = buf.toString('latin1', 0, 2);
+  if (order !== 'II' && order !== 'MM') throw new Error('Not a TIFF file');
+  const le = order === 'II';
+  return {
+    le,
+    u16: (o) => (le ? buf.readUInt16LE(o) : buf.readUInt16BE(o)),
+    u32: (o) => (le ? buf.readUInt32LE(o) : buf.readUInt32BE(o)),
+    w16: (o, v) => (le ? buf.writeUInt16LE(v, o) : buf.writeUInt16BE(v, o)),
+    w32: (o, v) => (le ? buf.writeUInt32LE(v, o) : buf.writeUInt32BE(v, o))
+  };
+}
+
+// Offsets of every top-level IFD in the file
+function ifdOffsets(r) {
+  if (r.u16(2) !== 42) throw new Error('Unsupported TIFF variant (BigTIFF?)');
+  const out = [];
+  for (let off = r.u32(4); off && out.length < 10000; off = r.u32(off + 2 + r.u16(off) * 12)) out.push(off);
+  return out;
+}
+
+// Shifts every offset in `buf` (a whole TIFF file) by `base` so it can be appended at that position.
+function relocate(buf, base) {
+  const r = reader(buf);
+  const ifds = ifdOffsets(r);
+  for (const ifd of ifds) {
+    const count = r.u16(ifd);
+    for (let i = 0; i < count; i++) {
+      const e = ifd + 2 + i * 12;
+      const tag = r.u16(e);
+      const type = r.u16(e + 2);
+      const n = r.u32(e + 4);
+      const size = (TYPE_SIZES[type] || 1) * n;
+      if (NESTED_IFD_TAGS.has(tag)) throw new Error('Cannot join TIFF pages that carry EXIF or sub-IFDs');
+      const dataOff = size > 4 ? r.u32(e + 8) : e + 8;
+      if (OFFSET_TAGS.has(tag)) {
+        for (let k = 0; k < n; k++) {
+          if (type === 3) r.w16(dataOff + k * 2, r.u16(dataOff + k * 2) + base);
+          else r.w32(dataOff + k * 4, r.u32(dataOff + k * 4) + base);
+        }
+      }
+      if (size > 4) r.w32(e + 8, dataOff + base);
+    }
+    const nextPos = ifd + 2 + count * 12;
+    const next = r.u32(nextPos);
+    if (next) r.w32(nextPos, next + base);
+  }
+  return { r, ifds };
+}
+
+/**
+ * Concatenates TIFF buffers (same byte order, no EXIF) into one multi-page
+ * TIFF by chaining their IFDs. Pixel data is copied untouched.
+ */
+function joinTiffPages(buffers) {
+  if (!buffers.length) throw new Error('No TIFF pages to join');
+  const parts = [];
+  let length = 0;
+  let prev = null;
+  for (const original of buffers) {
+    if (length % 2) { parts.push(Buffer.alloc(1)); length++; }
+    const base = length;
+    const buf = Buffer.from(original);
+    const { r, ifds } = relocate(buf, base);
+    if (prev) {
+      if (prev.r.le !== r.le) throw new Error('Cannot join TIFF files with different byte orders');
+      prev.r.w32(prev.nextPos, ifds[0] + base);
+    }
+    const last = ifds[ifds.length - 1];
+    prev = { r, nextPos: last + 2 + r.u16(last) * 12 };
+    parts.push(buf);
+    length += buf.length;
+  }
+  return Buffer.concat(parts);
+}
+
+module.exports = { joinTiffPages };
@@ -0,0 +1,297 @@
+// server/services/uploadStore.js
+// Uploaded files kept under generated IDs (<dir>/<id>/<name> plus an
+// <id>.json metadata sidecar), with upload quotas, a content-type allow-list
+// and a TTL sweeper that also clears old conversion output.
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const crypto = require('crypto');
+const { detectFormat } = require('./formatDetector');
+const { NotFoundError, QuotaExceededError, UnsupportedMediaTypeError } = require('./errors');
+
+const ID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+const MAX_NAME_LENGTH = 200;
+
+function isUploadId(id) {
+  return ID_RE.test(String(id));
+}
+
+function formatBytes(n) {
+  if (n >= 1024 ** 3) return `${(n / 1024 ** 3).toFixed(1)} GB`;
+  if (n >= 1024 ** 2) return `${(n / 1024 ** 2).toFixed(1)} MB`;
+  return `${Math.ceil(n / 1024)} KB`;
+}
+
+// The client name is only kept as metadata; on disk it is reduced to a plain file name.
+function safeName(name) {
+  const base = String(name || '').split(/[\\/]/).pop().replace(/[\u0000-\u001f\u007f]/g, '').trim();
+  if (!base || base === '.' || base === '..') return 'file';
+  if (base.length <= MAX_NAME_LENGTH) return base;
+  const ext = path.extname(base).slice(0, 16);
+  return base.slice(0, MAX_NAME_LENGTH - ext.length) + ext;
+}
+
+async function moveFile(from, to) {
+  try {
+    await fsp.rename(from, to);
+  } catch (err) {
+    if (err.code !== 'EXDEV') throw err;
+    await fsp.copyFile(from, to);
+    await fsp.unlink(from);
+  }
+}
+
+function isAllowed(detected, allowedTypes) {
+  if (!allowedTypes || allowedTypes.includes('*')) return true;
+  if (!detected) return false;
+  const [group] = detected.mime.split('/');
+  return allowedTypes.some(t => t === detected.kind || t === detected.ext || t === detected.mime || t === `${group}/*`);
+}
+
+class UploadStore {
+  /**
+   * @param {object} opts
+   * @param {string} opts.dir Directory holding the uploads
+   * @param {number} [opts.ttlMs] Age after which uploads and sweepDirs entries are deleted (0 = keep)
+   * @param {number} [opts.maxRequestBytes] Combined size of the files in one request
+   * @param {number} [opts.maxRequestFiles] Number of files in one request
+   * @param {number} [opts.maxTotalBytes] Disk space all stored uploads may use
+   * @param {string[]} [opts.allowedTypes] Kinds ("image"), MIME types ("application/pdf",
+   *   "audio/*") or extensions ("pdf"); "*" also accepts unrecognised content.
+   *   By default any format formatDetector recognises is accepted.
+   * @param {string[]} [opts.sweepDirs] Other directories whose entries expire after ttlMs
+   */
+  constructor({ dir, ttlMs = 24 * 60 * 60 * 1000, maxRequestBytes = Infinity, maxRequestFiles = Infinity, maxTotalBytes = Infinity, allowedTypes, sweepDirs = [] } = {}) {
+    this.dir = dir;
+    this.ttlMs = ttlMs;
+    this.maxRequestBytes = maxRequestBytes;
+    this.maxRequestFiles = maxRequestFiles;
+    this.maxTotalBytes = maxTotalBytes;
+    this.allowedTypes = allowedTypes && allowedTypes.length ? allowedTypes.map(t => String(t).toLowerCase()) : null;
+    this.sweepDirs = sweepDirs;
+    this.usedBytes = null;
+    this.reservations = [];
+    this.timer = null;
+  }
+
+  _metaPath(id) {
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  _public(meta) {
+    const { storedName, owner, ...rest } = meta;
+    return rest;
+  }
+
+  // `owner` undefined means unscoped (admin); otherwise only that owner's files exist
+  _visible(meta, owner) {
+    return !!meta && (owner === undefined || meta.owner === owner);
+  }
+
+  async _readMeta(id) {
+    if (!isUploadId(id)) return null;
+    try {
+      return JSON.parse(await fsp.readFile(this._metaPath(id), 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  async _listMeta() {
+    const names = await fsp.readdir(this.dir).catch(() => []);
+    const metas = [];
+    for (const name of names) {
+      if (!name.endsWith('.json')) continue;
+      const meta = await this._readMeta(name.slice(0, -5));
+      if (meta) metas.push(meta);
+    }
+    return metas;
+  }
+
+  async _usage() {
+    if (this.usedBytes == null) {
+      this.usedBytes = (await this._listMeta()).reduce((sum, m) => sum + (m.size || 0), 0);
+    }
+    return this.usedBytes;
+  }
+
+  /**
+   * Counts space promised to files still on their way (e.g. resumable
+   * uploads in progress) against maxTotalBytes. `source` resolves with the
+   * bytes currently set aside; it is asked on every space check.
+   */
+  addReservation(source) {
+    this.reservations.push(source);
+  }
+
+  /**
+   * Throws 413 unless `bytes` more fit within maxTotalBytes next to the
+   * stored files and the reservations. `reserved` is the part of `bytes` a
+   * reservation already counts (a resumable upload being stored). Resolves
+   * with the bytes of the stored files.
+   */
+  async checkSpace(bytes, { reserved = 0 } = {}) {
+    let held = 0;
+    for (const source of this.reservations) held += await source();
+    const used = await this._usage();
+    if (used + held + bytes - reserved > this.maxTotalBytes) {
+      throw new QuotaExceededError('Upload storage is full. Delete files you no longer need or try again later.');
+    }
+    return used;
+  }
+
+  /**
+   * Enforces the per-request limits and the type allow-list on incoming
+   * files ({ path, name }). Resolves with their sizes and detected formats.
+   */
+  async check(files) {
+    if (files.length > this.maxRequestFiles) {
+      throw new QuotaExceededError(`Too many files: at most ${this.maxRequestFiles} per request.`);
+    }
+    const checked = [];
+    let total = 0;
+    for (const file of files) {
+      const { size } = await fsp.stat(file.path);
+      total += size;
+      if (total > this.maxRequestBytes) {
+        throw new QuotaExceededError(`Upload too large: at most ${formatBytes(this.maxRequestBytes)} per request.`);
+      }
+      const detected = await detectFormat(file.path).catch(() => null);
+      if (!isAllowed(detected, this.allowedTypes)) {
+        const what = detected ? `${detected.mime} files are` : 'Unrecognised file types are';
+        throw new UnsupportedMediaTypeError(`"${safeName(file.name)}": ${what} not accepted.`);
+      }
+      checked.push({ ...file, size, detected });
+    }
+    return { files: checked, size: total };
+  }
+
+  /**
+   * Moves incoming files ({ path, name }) into the store. Either every file
+   * is stored or none is. `owner` (an API key ID) limits who can use them
+   * later; `reserved` is passed on to checkSpace. Resolves with their public
+   * metadata.
+   */
+  async add(files, { owner = null, reserved = 0 } = {}) {
+    const { files: checked, size } = await this.check(files);
+    const used = await this.checkSpace(size, { reserved });
+    this.usedBytes = used + size;
+
+    const stored = [];
+    try {
+      await fsp.mkdir(this.dir, { recursive: true });
+      for (const file of checked) {
+        const id = crypto.randomUUID();
+        const storedName = safeName(file.name);
+        const now = Date.now();
+        const meta = {
+          id,
+          name: String(file.name || storedName).slice(0, 255),
+          storedName,
+          size: file.size,
+          mime: file.detected ? file.detected.mime : 'application/octet-stream',
+          ext: file.detected ? file.detected.ext : null,
+          kind: file.detected ? file.detected.kind : null,
+          owner,
+          createdAt: new Date(now).toISOString(),
+          expiresAt: this.ttlMs > 0 ? new Date(now + this.ttlMs).toISOString() : null
+        };
+        await fsp.mkdir(path.join(this.dir, id));
+        stored.push(id);
+        await moveFile(file.path, path.join(this.dir, id, storedName));
+        await fsp.writeFile(this._metaPath(id), JSON.stringify(meta, null, 2));
+        file.meta = meta;
+      }
+    } catch (err) {
+      for (const id of stored) await this._delete(id);
+      if (this.usedBytes != null) this.usedBytes -= size;
+      throw err;
+    }
+    console.log(`[uploadStore] Stored ${checked.length} file(s), ${formatBytes(size)}`);
+    return checked.map(f => this._public(f.meta));
+  }
+
+  async get(id, { owner } = {}) {
+    const meta = await this._readMeta(id);
+    if (!this._visible(meta, owner)) throw new NotFoundError(`Unknown file ID "${id}".`);
+    return this._public(meta);
+  }
+
+  /** Absolute path of a stored file, or null for unknown IDs and other owners' files. */
+  pathOf(id, { owner } = {}) {
+    if (!isUploadId(id)) return null;
+    try {
+      const meta = JSON.parse(fs.readFileSync(this._metaPath(id), 'utf8'));
+      if (!this._visible(meta, owner)) return null;
+      const file = path.join(this.dir, id, meta.storedName);
+      return fs.existsSync(file) ? file : null;
+    } catch {
+      return null;
+    }
+  }
+
+  async _delete(id) {
+    await fsp.rm(path.join(this.dir, id), { recursive: true, force: true });
+    await fsp.rm(this._metaPath(id), { force: true });
+  }
+
+  async remove(id, { owner } = {}) {
+    const meta = await this._readMeta(id);
+    if (!this._visible(meta, owner)) throw new NotFoundError(`Unknown file ID "${id}".`);
+    await this._delete(id);
+    if (this.usedBytes != null) this.usedBytes = Math.max(0, this.usedBytes - (meta.size || 0));
+  }
+
+  /**
+   * Deletes expired uploads, anything else in the upload directory (temp
+   * files, staging folders) older than the TTL, and likewise old entries of
+   * the sweepDirs. Resolves with the number of entries removed.
+   */
+  async sweep(now = Date.now()) {
+    if (!(this.ttlMs > 0)) return 0;
+    let removed = 0;
+    const metas = await this._listMeta();
+    const known = new Set();
+    for (const meta of metas) {
+      known.add(meta.id);
+      known.add(`${meta.id}.json`);
+      if (meta.expiresAt && Date.parse(meta.expiresAt) <= now) {
+        await this._delete(meta.id).catch(() => {});
+        removed++;
+      }
+    }
+    const removeStale = async (dir, skip) => {
+      const names = await fsp.readdir(dir).catch(() => []);
+      for (const name of names) {
+        if (skip && skip.has(name)) continue;
+        const entry = path.join(dir, name);
+        const stat = await fsp.stat(entry).catch(() => null);
+        if (!stat || now - stat.mtimeMs < this.ttlMs) continue;
+        await fsp.rm(entry, { recursive: true, force: true }).catch(() => {});
+        removed++;
+      }
+    };
+    await removeStale(this.dir, known);
+    for (const dir of this.sweepDirs) await removeStale(dir);
+    // Recount on the next upload rather than tracking partial deletions
+    this.usedBytes = null;
+    if (removed) console.log(`[uploadStore] Swept ${removed} expired item(s)`);
+    return removed;
+  }
+
+  startSweeper(intervalMs = 10 * 60 * 1000) {
+    this.stopSweeper();
+    if (!(this.ttlMs > 0)) return;
+    this.timer = setInterval(() => {
+      this.sweep().catch(err => console.warn('[uploadStore] Sweep failed:', err.message));
+    }, intervalMs);
+    this.timer.unref();
+  }
+
+  stopSweeper() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = { UploadStore, isUploadId, safeName };
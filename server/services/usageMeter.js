@@ -0,0 +1,135 @@
+// server/services/usageMeter.js
+// Monthly usage per API key and converter type, persisted to a JSON file:
+// conversions, failures, input/output bytes and CPU-seconds. Also checks the
+// monthly quotas of a key against it.
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const { ValidationError, TooManyRequestsError } = require('./errors');
+
+const MONTH_RE = /^\d{4}-(0[1-9]|1[0-2])$/;
+// Months older than this are dropped from the file
+const MAX_MONTHS = 24;
+
+// "YYYY-MM" in UTC; quotas reset on the first of the month
+function monthOf(date = new Date()) {
+  return date.toISOString().slice(0, 7);
+}
+
+function secondsUntilNextMonth(now = new Date()) {
+  const next = Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1);
+  return Math.ceil((next - now.getTime()) / 1000);
+}
+
+function emptyCounters() {
+  return { conversions: 0, failures: 0, inputBytes: 0, outputBytes: 0, cpuSeconds: 0 };
+}
+
+function addCounters(into, from) {
+  for (const key of Object.keys(into)) into[key] += Number(from[key]) || 0;
+  into.cpuSeconds = Math.round(into.cpuSeconds * 1000) / 1000;
+  return into;
+}
+
+class UsageMeter {
+  /**
+   * @param {object} opts
+   * @param {string} opts.filePath JSON file backing the ledger (created on first write)
+   */
+  constructor({ filePath } = {}) {
+    this.filePath = filePath;
+    // { "YYYY-MM": { <keyId>: { <type>: counters } } }
+    this.months = null;
+    this.queue = Promise.resolve();
+  }
+
+  async _load() {
+    if (this.months) return this.months;
+    try {
+      const data = JSON.parse(await fsp.readFile(this.filePath, 'utf8'));
+      this.months = data.months || {};
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.warn(`[usageMeter] Could not read ${this.filePath}: ${err.message}`);
+      this.months = {};
+    }
+    return this.months;
+  }
+
+  async _save() {
+    for (const month of Object.keys(this.months).sort().slice(0, -MAX_MONTHS)) delete this.months[month];
+    await fsp.mkdir(path.dirname(this.filePath), { recursive: true });
+    const tmp = `${this.filePath}.${process.pid}.tmp`;
+    await fsp.writeFile(tmp, JSON.stringify({ months: this.months }, null, 2));
+    await fsp.rename(tmp, this.filePath);
+  }
+
+  _exclusive(fn) {
+    const run = this.queue.then(fn);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /** Adds { conversions, failures, inputBytes, outputBytes, cpuSeconds } to this month's counters of a key and type. */
+  record(keyId, type, usage) {
+    return this._exclusive(async () => {
+      const months = await this._load();
+      const month = monthOf();
+      if (!months[month]) months[month] = {};
+      if (!months[month][keyId]) months[month][keyId] = {};
+      const byType = months[month][keyId];
+      if (!byType[type]) byType[type] = emptyCounters();
+      addCounters(byType[type], usage);
+      await this._save();
+    });
+  }
+
+  /** { total, types: { <type>: counters } } of a key for a month (the current one by default). */
+  async totals(keyId, month = monthOf()) {
+    const byType = (await this._load())[month]?.[keyId] || {};
+    const total = emptyCounters();
+    const types = {};
+    for (const [type, counters] of Object.entries(byType)) {
+      types[type] = addCounters(emptyCounters(), counters);
+      addCounters(total, counters);
+    }
+    return { total, types };
+  }
+
+  /** IDs of the keys with usage in a month */
+  async keyIds(month = monthOf()) {
+    return Object.keys((await this._load())[month] || {}).sort();
+  }
+
+  /** Per-key usage of a month, for the given key IDs or every key with usage. */
+  async report({ month = monthOf(), keyIds } = {}) {
+    if (!MONTH_RE.test(month)) throw new ValidationError(`Invalid month "${month}": use YYYY-MM.`);
+    const ids = keyIds || await this.keyIds(month);
+    const keys = [];
+    for (const keyId of ids) keys.push({ keyId, ...(await this.totals(keyId, month)) });
+    return { month, keys };
+  }
+
+  /**
+   * Throws 429 when `type` conversions of the key would go over a monthly
+   * quota: `quotas[type]` caps that converter, `quotas["*"]` all of them.
+   * Input bytes count against "bytes" up front (`incomingBytes`);
+   * CPU-seconds only once spent, so a quota can be overrun by the last job.
+   */
+  async checkQuota(keyId, type, quotas = {}, { incomingBytes = 0 } = {}) {
+    const checks = [[type, quotas[type]], ['*', quotas['*']]].filter(([, quota]) => quota);
+    if (!checks.length) return;
+    const { total, types } = await this.totals(keyId);
+    for (const [scope, quota] of checks) {
+      const used = scope === '*' ? total : types[scope] || emptyCounters();
+      const label = scope === '*' ? 'monthly' : `monthly ${scope}`;
+      if (quota.bytes != null && used.inputBytes + incomingBytes > quota.bytes) {
+        throw new TooManyRequestsError(`The ${label} quota of ${quota.bytes} bytes would be exceeded (${used.inputBytes} used).`, secondsUntilNextMonth());
+      }
+      if (quota.cpuSeconds != null && used.cpuSeconds >= quota.cpuSeconds) {
+        throw new TooManyRequestsError(`The ${label} quota of ${quota.cpuSeconds} CPU-seconds is used up.`, secondsUntilNextMonth());
+      }
+    }
+  }
+}
+
+module.exports = { UsageMeter, monthOf };
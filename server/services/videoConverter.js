@@ -0,0 +1,325 @@
+// server/services/videoConverter.js
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const { ffmpeg, parseTimestamp, resolveTrim, effectiveDuration, probe, runCommand } = require('./ffmpegUtils');
+const audioConverter = require('./audioConverter');
+const { ValidationError, NotFoundError, throwIfAborted } = require('./errors');
+const { resolveInputFormat } = require('./formatDetector');
+
+const SUPPORTED_INPUTS = new Set([
+  'mp4', 'webm', 'mkv', 'mov', 'avi'
+]);
+
+const SUPPORTED_OUTPUTS = new Set([
+  'mp4', 'webm', 'mkv', 'gif'
+]);
+
+const THUMBNAIL_FORMATS = new Set(['jpg', 'png', 'webp']);
+
+// Direct conversions declared to the conversion planner (audio outputs are extracted tracks)
+const CONVERSION_EDGES = [
+  { from: [...SUPPORTED_INPUTS], to: [...SUPPORTED_OUTPUTS, ...audioConverter.SUPPORTED_OUTPUTS], requires: ['ffmpeg'] }
+];
+
+// Codec defaults per container. CRF ranges differ: x264 0-51, VP9 0-63.
+const VIDEO_PROFILES = {
+  mp4: { video: 'libx264', audio: 'aac', crf: 23, maxCrf: 51 },
+  mkv: { video: 'libx264', audio: 'aac', crf: 23, maxCrf: 51 },
+  webm: { video: 'libvpx-vp9', audio: 'libopus', crf: 32, maxCrf: 63 }
+};
+
+function normalizeFormat(fmt) { return String(fmt || '').trim().toLowerCase(); }
+
+function pickNumber(n, min, max) {
+  const v = typeof n === 'string' && n.trim() !== '' ? Number(n) : n;
+  if (typeof v !== 'number' || !Number.isFinite(v)) return undefined;
+  if (min != null && v < min) return min;
+  if (max != null && v > max) return max;
+  return v;
+}
+
+function scaleFilter(resolution) {
+  if (!resolution) return null;
+  const width = pickNumber(resolution.width, 2);
+  const height = pickNumber(resolution.height, 2);
+  if (!width && !height) return null;
+  // -2 keeps the aspect ratio while staying divisible by 2 (required by x264)
+  const w = width ? Math.round(width / 2) * 2 : -2;
+  const h = height ? Math.round(height / 2) * 2 : -2;
+  return `scale=${w}:${h}`;
+}
+
+async function resolveVideoInput(inputPath) {
+  if (!inputPath || typeof inputPath !== 'string') {
+    throw new ValidationError('Invalid inputPath: expected a file path string');
+  }
+  const resolvedInput = path.isAbsolute(inputPath) ? inputPath : path.resolve(process.cwd(), inputPath);
+  const stat = await fsp.stat(resolvedInput).catch(() => null);
+  if (!stat || !stat.isFile()) throw new NotFoundError(`Input file not found: ${resolvedInput}`);
+
+  const { ext: inExt } = await resolveInputFormat(resolvedInput, SUPPORTED_INPUTS);
+  if (!SUPPORTED_INPUTS.has(inExt)) {
+    throw new ValidationError(`Unsupported input format .${inExt}. Supported: ${[...SUPPORTED_INPUTS].join(', ')}`);
+  }
+  return resolvedInput;
+}
+
+/**
+ * Grabs a single frame at `at` (seconds or HH:MM:SS, default 1s or the clip
+ * midpoint for very short clips) and writes it as an image.
+ */
+async function extractThumbnail(inputPath, options = {}) {
+  const {
+    at,
+    width,
+    format = 'jpg',
+    signal,
+    outputDir = path.resolve(process.cwd(), 'server', 'converted'),
+    outputBasename
+  } = options;
+
+  const resolvedInput = await resolveVideoInput(inputPath);
+  const fmt = normalizeFormat(format) === 'jpeg' ? 'jpg' : normalizeFormat(format);
+  if (!THUMBNAIL_FORMATS.has(fmt)) {
+    throw new ValidationError(`Unsupported thumbnail format ${format}. Supported: ${[...THUMBNAIL_FORMATS].join(', ')}`);
+  }
+
+  const metadata = await probe(resolvedInput);
+  const duration = metadata?.format?.duration;
+  let seek = parseTimestamp(at);
+  if (Number.isNaN(seek)) throw new ValidationError(`Invalid thumbnail time "${at}". Use seconds or HH:MM:SS.`);
+  if (seek == null) seek = duration && duration < 2 ? duration / 2 : 1;
+  if (duration && seek >= duration) seek = Math.max(0, duration - 0.1);
+
+  await fsp.mkdir(outputDir, { recursive: true });
+  const base = outputBasename || `${path.basename(resolvedInput, path.extname(resolvedInput))}_poster`;
+  const outputPath = path.join(outputDir, `${base}.${fmt}`);
+  await fsp.unlink(outputPath).catch(() => {});
+
+  const cmd = ffmpeg(resolvedInput).seekInput(seek).frames(1);
+  const scale = scaleFilter({ width });
+  if (scale) cmd.videoFilters(scale);
+
+  await runCommand(cmd, outputPath, { tag: 'videoConverter', signal });
+  const outStat = await fsp.stat(outputPath).catch(() => null);
+  return { outputPath, format: fmt, at: seek, sizeBytes: outStat?.size };
+}
+
+/**
+ * Extracts the audio track into one of audioConverter's output formats,
+ * reusing its codec mapping.
+ */
+async function extractAudio(inputPath, audioFormat, options = {}) {
+  const {
+    bitrate,
+    sampleRate,
+    start,
+    end,
+    onProgress,
+    signal,
+    outputDir = path.resolve(process.cwd(), 'server', 'converted'),
+    outputBasename
+  } = options;
+
+  const resolvedInput = await resolveVideoInput(inputPath);
+  const fmt = normalizeFormat(audioFormat);
+  if (!audioConverter.SUPPORTED_OUTPUTS.has(fmt)) {
+    throw new ValidationError(`Unsupported audio format ${audioFormat}. Supported: ${[...audioConverter.SUPPORTED_OUTPUTS].join(', ')}`);
+  }
+  const encoder = audioConverter.validateAudioOptions(fmt, { bitrate, sampleRate });
+
+  const metadata = await probe(resolvedInput);
+  if (!(metadata.streams || []).some(s => s.codec_type === 'audio')) {
+    throw new ValidationError('Input video has no audio track.');
+  }
+  const trim = resolveTrim(start, end, metadata?.format?.duration);
+  const duration = effectiveDuration(metadata?.format?.duration, trim);
+  throwIfAborted(signal);
+
+  await fsp.mkdir(outputDir, { recursive: true });
+  const base = outputBasename || path.basename(resolvedInput, path.extname(resolvedInput));
+  const outputPath = path.join(outputDir, `${base}.${fmt}`);
+  await fsp.unlink(outputPath).catch(() => {});
+
+  const cmd = ffmpeg(resolvedInput)
+    .noVideo()
+    .audioCodec(audioConverter.getCodecForFormat(fmt))
+    .format(audioConverter.getMuxerForFormat(fmt));
+  if (trim.start) cmd.seekInput(trim.start);
+  if (trim.length) cmd.duration(trim.length);
+  if (encoder.bitrate) cmd.audioBitrate(encoder.bitrate);
+  if (encoder.sampleRate) cmd.audioFrequency(encoder.sampleRate);
+
+  await runCommand(cmd, outputPath, { tag: 'videoConverter', duration, onProgress, signal });
+  const outStat = await fsp.stat(outputPath).catch(() => null);
+  return { outputPath, format: fmt, duration, sizeBytes: outStat?.size };
+}
+
+function resolveEncoderOptions(fmt, { crf, fps, videoBitrate, audioBitrate }) {
+  const profile = VIDEO_PROFILES[fmt];
+  const crfValue = crf != null ? pickNumber(crf, 0, profile ? profile.maxCrf : 51) : undefined;
+  if (crf != null && crfValue === undefined) throw new ValidationError(`Invalid crf ${crf}: expected a number.`);
+  const fpsValue = fps != null ? pickNumber(fps, 1, 120) : undefined;
+  if (fps != null && fpsValue === undefined) throw new ValidationError(`Invalid fps ${fps}: expected a number.`);
+  if (videoBitrate && !/^\d+(\.\d+)?[kM]?$/.test(String(videoBitrate))) {
+    throw new ValidationError(`Invalid videoBitrate ${videoBitrate}. Use e.g. 2500k or 5M.`);
+  }
+  if (audioBitrate && !/^\d+k$/.test(String(audioBitrate))) {
+    throw new ValidationError(`Invalid audioBitrate ${audioBitrate}. Use e.g. 128k.`);
+  }
+  return { crfValue, fpsValue };
+}
+
+/**
+ * Checks the input-independent options of a video conversion (used when a
+ * preset is saved); throws ValidationError on the first problem.
+ */
+function validateOptions(outputFormat, options = {}) {
+  const fmt = normalizeFormat(outputFormat);
+  resolveTrim(options.start, options.end);
+  if (audioConverter.SUPPORTED_OUTPUTS.has(fmt)) {
+    audioConverter.validateAudioOptions(fmt, { bitrate: options.bitrate, sampleRate: options.sampleRate });
+    return;
+  }
+  if (!SUPPORTED_OUTPUTS.has(fmt)) {
+    throw new ValidationError(`Unsupported output format ${outputFormat}. Supported: ${[...SUPPORTED_OUTPUTS, ...audioConverter.SUPPORTED_OUTPUTS].join(', ')}`);
+  }
+  resolveEncoderOptions(fmt, options);
+  const thumb = options.thumbnail;
+  if (thumb && typeof thumb === 'object') {
+    const thumbFmt = normalizeFormat(thumb.format || 'jpg') === 'jpeg' ? 'jpg' : normalizeFormat(thumb.format || 'jpg');
+    if (!THUMBNAIL_FORMATS.has(thumbFmt)) {
+      throw new ValidationError(`Unsupported thumbnail format ${thumb.format}. Supported: ${[...THUMBNAIL_FORMATS].join(', ')}`);
+    }
+    if (Number.isNaN(parseTimestamp(thumb.at))) throw new ValidationError(`Invalid thumbnail time "${thumb.at}". Use seconds or HH:MM:SS.`);
+  }
+}
+
+async function convertVideo(inputPath, outputFormat, options = {}) {
+  const {
+    resolution,
+    crf,
+    videoBitrate,
+    audioBitrate,
+    fps,
+    start,
+    end,
+    stripAudio = false,
+    thumbnail,
+    onProgress,
+    signal,
+    cleanup = false,
+    outputDir = path.resolve(process.cwd(), 'server', 'converted'),
+    outputBasename
+  } = options;
+
+  const fmt = normalizeFormat(outputFormat);
+  if (audioConverter.SUPPORTED_OUTPUTS.has(fmt)) {
+    const extracted = await extractAudio(inputPath, fmt, options);
+    if (cleanup) {
+      try { await fsp.unlink(path.resolve(process.cwd(), inputPath)); } catch (e) { console.warn('[videoConverter] cleanup warning:', e.message); }
+    }
+    return extracted;
+  }
+
+  const resolvedInput = await resolveVideoInput(inputPath);
+  if (!SUPPORTED_OUTPUTS.has(fmt)) {
+    throw new ValidationError(`Unsupported output format ${outputFormat}. Supported: ${[...SUPPORTED_OUTPUTS, ...audioConverter.SUPPORTED_OUTPUTS].join(', ')}`);
+  }
+
+  const profile = VIDEO_PROFILES[fmt];
+  const { crfValue, fpsValue } = resolveEncoderOptions(fmt, { crf, fps, videoBitrate, audioBitrate });
+
+  const metadata = await probe(resolvedInput);
+  const sourceDuration = metadata?.format?.duration;
+  const videoStream = (metadata.streams || []).find(s => s.codec_type === 'video');
+  if (!videoStream) throw new ValidationError('Input has no video stream.');
+  const hasAudio = (metadata.streams || []).some(s => s.codec_type === 'audio');
+  const trim = resolveTrim(start, end, sourceDuration);
+  const duration = effectiveDuration(sourceDuration, trim);
+  throwIfAborted(signal);
+
+  await fsp.mkdir(outputDir, { recursive: true });
+  const base = outputBasename || path.basename(resolvedInput, path.extname(resolvedInput));
+  const outputPath = path.join(outputDir, `${base}.${fmt}`);
+  await fsp.unlink(outputPath).catch(() => {});
+
+  const cmd = ffmpeg(resolvedInput);
+  if (trim.start) cmd.seekInput(trim.start);
+  if (trim.length) cmd.duration(trim.length);
+
+  const scale = scaleFilter(resolution);
+  if (fmt === 'gif') {
+    // Two-stage palette keeps GIF colours close to the source
+    const filters = [`fps=${fpsValue || 10}`];
+    if (scale) filters.push(`${scale}:flags=lanczos`);
+    cmd.complexFilter(`[0:v]${filters.join(',')},split[a][b];[a]palettegen[p];[b][p]paletteuse`)
+      .noAudio()
+      .outputOptions(['-loop 0'])
+      .format('gif');
+  } else {
+    cmd.videoCodec(profile.video).format(fmt === 'mkv' ? 'matroska' : fmt);
+    if (scale) cmd.videoFilters(scale);
+    if (fpsValue) cmd.fps(fpsValue);
+    if (videoBitrate) {
+      cmd.videoBitrate(String(videoBitrate));
+    } else {
+      cmd.outputOptions([`-crf ${crfValue ?? profile.crf}`]);
+      // VP9 only runs in constant-quality mode when the bitrate cap is 0
+      if (fmt === 'webm') cmd.outputOptions(['-b:v 0']);
+    }
+    if (fmt === 'webm') cmd.outputOptions(['-row-mt 1', '-deadline good', '-cpu-used 2']);
+    else cmd.outputOptions(['-preset medium', '-pix_fmt yuv420p']);
+    if (fmt === 'mp4') cmd.outputOptions(['-movflags +faststart']);
+
+    if (stripAudio || !hasAudio) {
+      cmd.noAudio();
+    } else {
+      cmd.audioCodec(profile.audio);
+      if (audioBitrate) cmd.audioBitrate(String(audioBitrate));
+    }
+  }
+
+  await runCommand(cmd, outputPath, { tag: 'videoConverter', duration, onProgress, signal });
+
+  const outMeta = await probe(outputPath).catch(() => null);
+  const outVideo = outMeta && (outMeta.streams || []).find(s => s.codec_type === 'video');
+  const outStat = await fsp.stat(outputPath).catch(() => null);
+  const result = {
+    outputPath,
+    format: fmt,
+    duration: outMeta?.format?.duration ?? duration,
+    width: outVideo?.width,
+    height: outVideo?.height,
+    sizeBytes: outStat?.size
+  };
+
+  if (thumbnail) {
+    const thumbOpts = typeof thumbnail === 'object' ? thumbnail : {};
+    const poster = await extractThumbnail(resolvedInput, {
+      ...thumbOpts,
+      at: thumbOpts.at ?? trim.start,
+      signal,
+      outputDir,
+      outputBasename: `${base}_poster`
+    });
+    result.thumbnailPath = poster.outputPath;
+  }
+
+  if (cleanup) {
+    try { await fsp.unlink(resolvedInput); } catch (e) { console.warn('[videoConverter] cleanup warning:', e.message); }
+  }
+
+  return result;
+}
+
+module.exports = {
+  convertVideo,
+  validateOptions,
+  extractAudio,
+  extractThumbnail,
+  SUPPORTED_INPUTS,
+  SUPPORTED_OUTPUTS,
+  CONVERSION_EDGES
+};
@@ -0,0 +1,320 @@
+// server/services/webhookDispatcher.js
+// Signed webhook deliveries with retries and a persistent delivery log
+// (<dir>/<id>.json per delivery). Pending deliveries resume after a restart.
+//
+// Every POST carries
+//   X-Webhook-Id         delivery ID (stable across retries)
+//   X-Webhook-Event      e.g. "conversion.succeeded"
+//   X-Webhook-Signature  "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${body}`>"
+// so receivers can check authenticity and reject stale timestamps.
+const fsp = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const { ConverterError, ValidationError, NotFoundError } = require('./errors');
+
+const ID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+// Response bodies kept in the log, to see why a receiver refused a delivery
+const MAX_LOGGED_BODY = 500;
+
+// Loopback, private, link-local (cloud metadata endpoints), CGNAT, multicast
+// and IPv4-mapped addresses: callbacks only go there to allow-listed hosts
+const PRIVATE_RANGES = new net.BlockList();
+for (const [prefix, bits] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) PRIVATE_RANGES.addSubnet(prefix, bits, 'ipv4');
+for (const [prefix, bits] of [['::', 127], ['::ffff:0:0', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  PRIVATE_RANGES.addSubnet(prefix, bits, 'ipv6');
+}
+
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && PRIVATE_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// URL hostnames keep the brackets of IPv6 literals
+function bareHost(hostname) {
+  return hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+}
+
+// dns.lookup for the request agent that refuses private addresses, so the
+// check holds for the address actually connected to (no DNS rebinding)
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    const blocked = addresses.find(a => isPrivateAddress(a.address));
+    if (blocked) return callback(new Error(`${hostname} resolves to ${blocked.address}, a private or loopback address.`));
+    callback(null, address, family);
+  });
+}
+
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Seconds or an HTTP date, in ms; null when absent or unparsable
+function retryAfterMs(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const at = Date.parse(header);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+class WebhookDispatcher {
+  /**
+   * @param {object} opts
+   * @param {string} opts.dir Directory of the delivery log
+   * @param {string} [opts.secret] HMAC key; without one, sending is refused
+   * @param {number} [opts.maxAttempts] Attempts before a delivery is marked failed
+   * @param {number} [opts.baseDelayMs] First retry delay, doubled for every further attempt
+   * @param {number} [opts.maxDelayMs] Upper bound of a single retry delay
+   * @param {number} [opts.timeoutMs] Per-attempt request timeout
+   * @param {number} [opts.retainMs] Age after which finished deliveries leave the log (0 = keep)
+   * @param {string[]} [opts.allowedHosts] If set, callback URLs must point at one of these hosts, which
+   *   may then be private addresses; otherwise any public host is allowed
+   */
+  constructor({
+    dir, secret, maxAttempts = 8, baseDelayMs = 5000, maxDelayMs = 60 * 60 * 1000,
+    timeoutMs = 10000, retainMs = 7 * 24 * 60 * 60 * 1000, allowedHosts
+  } = {}) {
+    this.dir = dir;
+    this.secret = secret || null;
+    this.maxAttempts = Math.max(1, maxAttempts);
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.timeoutMs = timeoutMs;
+    this.retainMs = retainMs;
+    this.allowedHosts = allowedHosts && allowedHosts.length ? allowedHosts.map(h => h.toLowerCase()) : null;
+    this.deliveries = new Map();
+    this.timers = new Map();
+    this.loaded = null;
+    this.sweepTimer = null;
+  }
+
+  get enabled() {
+    return !!this.secret;
+  }
+
+  /** Normalises a callback URL or throws ValidationError; 503 when webhooks are off. */
+  checkUrl(value) {
+    if (!this.enabled) throw new ConverterError('Webhooks are not configured on this server (WEBHOOK_SECRET is not set).', 503);
+    let url;
+    try {
+      url = new URL(String(value));
+    } catch {
+      throw new ValidationError(`Invalid callbackUrl "${value}".`);
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new ValidationError('callbackUrl must be an http(s) URL.');
+    if (url.username || url.password) throw new ValidationError('callbackUrl must not contain credentials.');
+    if (this.allowedHosts && !this._allowListed(url.hostname)) {
+      throw new ValidationError(`callbackUrl host "${url.hostname}" is not allowed.`);
+    }
+    if (!this._allowListed(url.hostname) && isPrivateAddress(bareHost(url.hostname))) {
+      throw new ValidationError(`callbackUrl must not point at a private or loopback address (${url.hostname}).`);
+    }
+    return url.toString();
+  }
+
+  _allowListed(hostname) {
+    return !!this.allowedHosts && (this.allowedHosts.includes(hostname.toLowerCase()) || this.allowedHosts.includes(bareHost(hostname)));
+  }
+
+  /**
+   * POSTs `body` and resolves with { status, headers, text } (the first
+   * MAX_LOGGED_BODY characters). Redirects are not followed. Hosts that are
+   * not allow-listed are resolved at connect time and refused when they
+   * point at a private address.
+   */
+  _post(url, headers, body) {
+    const target = new URL(url);
+    const guarded = !this._allowListed(target.hostname);
+    if (guarded && isPrivateAddress(bareHost(target.hostname))) {
+      return Promise.reject(new Error(`${target.hostname} is a private or loopback address.`));
+    }
+    const signal = AbortSignal.timeout(this.timeoutMs);
+    return new Promise((resolve, reject) => {
+      const client = target.protocol === 'https:' ? https : http;
+      const req = client.request(target, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup: guarded ? publicLookup : undefined,
+        signal
+      }, res => {
+        let text = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => {
+          if (text.length < MAX_LOGGED_BODY) text += chunk;
+        });
+        res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, text: text.slice(0, MAX_LOGGED_BODY) }));
+        res.on('error', reject);
+      });
+      req.on('error', err => reject(signal.aborted ? Object.assign(new Error('timeout'), { name: 'TimeoutError' }) : err));
+      req.end(body);
+    });
+  }
+
+  _file(id) {
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  async _save(delivery) {
+    await fsp.mkdir(this.dir, { recursive: true });
+    await fsp.writeFile(this._file(delivery.id), JSON.stringify(delivery, null, 2));
+  }
+
+  /** Loads the log and reschedules unfinished deliveries (once). */
+  load() {
+    if (!this.loaded) {
+      this.loaded = (async () => {
+        const names = await fsp.readdir(this.dir).catch(() => []);
+        for (const name of names) {
+          if (!name.endsWith('.json')) continue;
+          const delivery = await fsp.readFile(path.join(this.dir, name), 'utf8').then(JSON.parse).catch(() => null);
+          if (!delivery || !ID_RE.test(delivery.id)) continue;
+          this.deliveries.set(delivery.id, delivery);
+          if (delivery.status === 'pending') this._schedule(delivery, Date.parse(delivery.nextAttemptAt) - Date.now());
+        }
+      })();
+    }
+    return this.loaded;
+  }
+
+  /**
+   * Queues a POST of `payload` to `url`. `meta` (e.g. { conversionId, jobId })
+   * is stored with the delivery for filtering. Resolves with the delivery.
+   */
+  async send(url, event, payload, meta = {}, { replayOf = null } = {}) {
+    await this.load();
+    const now = new Date().toISOString();
+    const delivery = {
+      id: crypto.randomUUID(),
+      url: this.checkUrl(url),
+      event,
+      meta,
+      status: 'pending',
+      attempts: [],
+      createdAt: now,
+      nextAttemptAt: now,
+      deliveredAt: null,
+      replayOf,
+      payload
+    };
+    this.deliveries.set(delivery.id, delivery);
+    await this._save(delivery);
+    this._schedule(delivery, 0);
+    return delivery;
+  }
+
+  /** Sends a logged delivery again as a new delivery. */
+  async replay(id) {
+    const { url, event, payload, meta } = await this.get(id);
+    return this.send(url, event, payload, meta, { replayOf: id });
+  }
+
+  async get(id) {
+    await this.load();
+    const delivery = this.deliveries.get(id);
+    if (!delivery) throw new NotFoundError(`Unknown webhook delivery "${id}".`);
+    return delivery;
+  }
+
+  /** Newest first; `filter` matches on status, event, url or a meta field. */
+  async list(filter = {}, { limit = 100 } = {}) {
+    await this.load();
+    const entries = Object.entries(filter).filter(([, v]) => v != null && v !== '');
+    const field = (d, k) => (['status', 'event', 'url'].includes(k) ? d[k] : d.meta && d.meta[k]);
+    return [...this.deliveries.values()]
+      .filter(d => entries.every(([k, v]) => String(field(d, k)) === String(v)))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, limit);
+  }
+
+  _schedule(delivery, delayMs) {
+    clearTimeout(this.timers.get(delivery.id));
+    const timer = setTimeout(() => {
+      this.timers.delete(delivery.id);
+      this._attempt(delivery).catch(err => console.error('[webhookDispatcher] Attempt failed:', err.message));
+    }, Math.max(0, delayMs || 0));
+    timer.unref();
+    this.timers.set(delivery.id, timer);
+  }
+
+  async _attempt(delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const started = Date.now();
+    const attempt = { at: new Date(started).toISOString(), statusCode: null, error: null, durationMs: 0 };
+    let retryAfter = null;
+    try {
+      const res = await this._post(delivery.url, {
+        'Content-Type': 'application/json',
+        'User-Agent': 'megaconvert-webhooks',
+        'X-Webhook-Id': delivery.id,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Signature': `t=${timestamp},v1=${sign(this.secret, timestamp, body)}`
+      }, body);
+      attempt.statusCode = res.status;
+      if (res.status < 200 || res.status > 299) {
+        attempt.error = `HTTP ${res.status}`;
+        attempt.response = res.text;
+        retryAfter = retryAfterMs(res.headers['retry-after']);
+      }
+    } catch (err) {
+      attempt.error = err.name === 'TimeoutError' ? `Timed out after ${this.timeoutMs} ms` : err.message;
+    }
+    attempt.durationMs = Date.now() - started;
+    delivery.attempts.push(attempt);
+
+    if (!attempt.error) {
+      delivery.status = 'delivered';
+      delivery.deliveredAt = new Date().toISOString();
+      delivery.nextAttemptAt = null;
+    } else if (delivery.attempts.length >= this.maxAttempts) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = null;
+      console.warn(`[webhookDispatcher] Giving up on ${delivery.id} to ${delivery.url} after ${delivery.attempts.length} attempt(s): ${attempt.error}`);
+    } else {
+      // Exponential backoff with +-20% jitter so failed receivers are not hit in lockstep
+      const backoff = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** (delivery.attempts.length - 1));
+      const delay = Math.max(retryAfter ?? 0, Math.round(backoff * (0.8 + Math.random() * 0.4)));
+      delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      this._schedule(delivery, delay);
+    }
+    await this._save(delivery);
+  }
+
+  /** Drops finished deliveries older than retainMs from the log. */
+  async sweep(now = Date.now()) {
+    if (!(this.retainMs > 0)) return 0;
+    await this.load();
+    let removed = 0;
+    for (const delivery of this.deliveries.values()) {
+      if (delivery.status === 'pending' || now - Date.parse(delivery.createdAt) < this.retainMs) continue;
+      this.deliveries.delete(delivery.id);
+      await fsp.rm(this._file(delivery.id), { force: true }).catch(() => {});
+      removed++;
+    }
+    return removed;
+  }
+
+  startSweeper(intervalMs = 60 * 60 * 1000) {
+    this.stopSweeper();
+    this.sweepTimer = setInterval(() => {
+      this.sweep().catch(err => console.warn('[webhookDispatcher] Sweep failed:', err.message));
+    }, intervalMs);
+    this.sweepTimer.unref();
+  }
+
+  stopSweeper() {
+    if (this.sweepTimer) clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+  }
+}
+
+module.exports = { WebhookDispatcher, sign };
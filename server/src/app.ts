@@ -0,0 +1,106 @@
+import express, { Request, Response, NextFunction } from 'express';
+import cors from 'cors';
+import fileUpload from 'express-fileupload';
+import { UPLOAD_DIR } from './paths';
+import { uploadStore, incomingFiles, discardUploads, MAX_FILE_BYTES } from './uploads';
+import convertRouter from './routes/convert';
+import downloadRouter from './routes/download';
+import jobsRouter from './routes/jobs';
+import archiveRouter from './routes/archive';
+import inspectRouter from './routes/inspect';
+import presetsRouter from './routes/presets';
+import filesRouter from './routes/files';
+import cacheRouter from './routes/cache';
+import formatsRouter from './routes/formats';
+import resumableRouter from './routes/resumable';
+import webhooksRouter from './routes/webhooks';
+import analyzeRouter from './routes/analyze';
+import batchRouter from './routes/batch';
+import imagesRouter from './routes/images';
+import keysRouter from './routes/keys';
+import usageRouter from './routes/usage';
+import { authenticate, corsOrigin } from './auth';
+import { callerOf } from './usage';
+
+// The API without a listening socket; index.ts serves it and starts the sweepers
+const app = express();
+
+// Allowed origins come from CORS_ORIGINS and the API keys (see auth.ts)
+app.use(cors({
+  origin: corsOrigin,
+  credentials: true,
+  // Resumable upload clients read these from cross-origin responses, API clients the rate limit headers
+  exposedHeaders: [
+    'Location', 'Upload-Offset', 'Upload-Length', 'Upload-Expires', 'Tus-Resumable', 'Tus-Version', 'Tus-Extension', 'Tus-Max-Size', 'Tus-Checksum-Algorithm',
+    'Retry-After', 'X-RateLimit-Limit', 'X-RateLimit-Remaining'
+  ]
+}));
+// API keys are checked before any body is parsed or uploaded file written
+app.use(authenticate);
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+
+// File uploads
+app.use(fileUpload({
+  useTempFiles: true,
+  tempFileDir: UPLOAD_DIR,
+  createParentPath: true,
+  limits: { fileSize: MAX_FILE_BYTES }
+}));
+
+// Health check
+app.get('/api/health', (_req: Request, res: Response) => {
+  res.json({ status: 'ok' });
+});
+
+// Upload endpoint: files are stored under generated IDs (see uploads.ts)
+app.post('/api/upload', async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const uploaded = incomingFiles(req);
+    if (!uploaded.length) {
+      return res.status(400).json({ error: 'No file uploaded. Expect field name "file".' });
+    }
+
+    let files;
+    try {
+      files = await uploadStore.add(uploaded.map(f => ({ path: f.tempFilePath, name: f.name })), { owner: callerOf(req).id });
+    } catch (err) {
+      discardUploads(uploaded);
+      throw err;
+    }
+
+    // IDs can be passed as "fileId" to the /api/convert routes, by the same API key
+    res.json({ ids: files.map((f: { id: string }) => f.id), files });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Conversions
+app.use('/api/convert', convertRouter);
+app.use('/api/download', downloadRouter);
+app.use('/api/jobs', jobsRouter);
+app.use('/api/archive', archiveRouter);
+app.use('/api/inspect', inspectRouter);
+app.use('/api/presets', presetsRouter);
+app.use('/api/files', filesRouter);
+app.use('/api/cache', cacheRouter);
+app.use('/api/formats', formatsRouter);
+app.use('/api/uploads', resumableRouter);
+app.use('/api/webhooks', webhooksRouter);
+app.use('/api/analyze', analyzeRouter);
+app.use('/api/batch', batchRouter);
+app.use('/api/images', imagesRouter);
+app.use('/api/keys', keysRouter);
+app.use('/api/usage', usageRouter);
+
+// Error handler
+app.use((err: any, _req: Request, res: Response, _next: NextFunction) => {
+  const status = Number(err?.statusCode) >= 400 && Number(err?.statusCode) < 600 ? Number(err.statusCode) : 500;
+  if (status >= 500) console.error('[server] Error:', err?.message || err);
+  if (status === 401) res.set('WWW-Authenticate', 'Bearer');
+  if (err?.retryAfter != null) res.set('Retry-After', String(err.retryAfter));
+  res.status(status).json({ error: err?.message || 'Internal Server Error' });
+});
+
+export default app;
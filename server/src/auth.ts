@@ -0,0 +1,156 @@
+import path from 'path';
+import crypto from 'crypto';
+import { Request, Response, NextFunction } from 'express';
+import { DATA_DIR } from './paths';
+import { CONVERTERS } from './converters';
+import { envNumber } from './uploads';
+
+const { ApiKeyStore, normaliseOrigin } = require('../services/apiKeyStore');
+const { KeyLimiter } = require('../services/rateLimiter');
+const { UnauthorizedError, ForbiddenError } = require('../services/errors');
+
+export interface ApiKeyLimits {
+  requestsPerMinute: number | null;
+  concurrentJobs: number | null;
+  quotas: Record<string, { bytes: number | null; cpuSeconds: number | null }>;
+}
+
+export interface ApiKey {
+  id: string;
+  name: string;
+  limits: ApiKeyLimits;
+  allowedOrigins: string[];
+  createdAt: string;
+  revokedAt: string | null;
+}
+
+declare global {
+  namespace Express {
+    interface Request {
+      apiKey?: ApiKey | null;
+      isAdmin?: boolean;
+    }
+  }
+}
+
+// ADMIN_TOKEN unlocks /api/keys and the full usage report. API keys are
+// required once it is set, unless AUTH_REQUIRED says otherwise.
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+export const AUTH_REQUIRED = process.env.AUTH_REQUIRED ? process.env.AUTH_REQUIRED === 'true' : !!ADMIN_TOKEN;
+
+// Used when a key does not set its own limits
+export const DEFAULT_REQUESTS_PER_MINUTE = envNumber('API_KEY_REQUESTS_PER_MINUTE', 120);
+export const DEFAULT_CONCURRENT_JOBS = envNumber('API_KEY_CONCURRENT_JOBS', 2);
+
+// Keys are stored hashed; quotas may name any converter type or "*"
+export const apiKeys = new ApiKeyStore({
+  filePath: process.env.API_KEYS_FILE || path.join(DATA_DIR, 'api-keys.json'),
+  quotaTypes: Object.keys(CONVERTERS)
+});
+
+export const keyLimiter = new KeyLimiter();
+
+// Routes anyone may call: status, the format list and download links
+// (their random IDs are handed out only to whoever ran the conversion)
+const PUBLIC_PATHS = [/^\/api\/health$/, /^\/api\/formats(\/|$)/, /^\/api\/download\//];
+
+function sha256(value: string): Buffer {
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+function isAdminToken(token: string): boolean {
+  return !!ADMIN_TOKEN && crypto.timingSafeEqual(sha256(token), sha256(ADMIN_TOKEN));
+}
+
+// "Authorization: Bearer <key>" or "X-API-Key: <key>"
+function credentials(req: Request): string | null {
+  const header = req.get('Authorization');
+  const m = header ? /^Bearer\s+(\S+)$/i.exec(header.trim()) : null;
+  if (m) return m[1];
+  return req.get('X-API-Key')?.trim() || null;
+}
+
+function originOf(value: string): string | null {
+  try {
+    return normaliseOrigin(value);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Identifies the caller (admin token or API key), rejects unknown and revoked
+ * keys and, for keys, enforces their allowed origins and request rate.
+ * Without credentials a request only passes while AUTH_REQUIRED is off.
+ */
+export async function authenticate(req: Request, res: Response, next: NextFunction) {
+  try {
+    if (req.method === 'OPTIONS') return next();
+
+    const token = credentials(req);
+    if (token && isAdminToken(token)) {
+      req.isAdmin = true;
+      return next();
+    }
+    // Public routes still recognise the admin, e.g. for /api/formats?refresh=1
+    if (PUBLIC_PATHS.some(re => re.test(req.path))) return next();
+    if (!token) {
+      if (AUTH_REQUIRED) throw new UnauthorizedError('API key required. Send it as "Authorization: Bearer <key>" or "X-API-Key".');
+      return next();
+    }
+
+    const key: ApiKey | null = await apiKeys.authenticate(token);
+    if (!key) throw new UnauthorizedError('Invalid or revoked API key.');
+
+    const origin = req.get('Origin');
+    if (origin && key.allowedOrigins.length && !key.allowedOrigins.includes(originOf(origin) || '')) {
+      throw new ForbiddenError(`This API key may not be used from ${origin}.`);
+    }
+
+    const { limit, remaining } = keyLimiter.take(key.id, key.limits.requestsPerMinute ?? DEFAULT_REQUESTS_PER_MINUTE);
+    res.set({ 'X-RateLimit-Limit': String(limit), 'X-RateLimit-Remaining': String(remaining) });
+    req.apiKey = key;
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+export function requireAdmin(req: Request, _res: Response, next: NextFunction) {
+  if (req.isAdmin) return next();
+  next(ADMIN_TOKEN
+    ? new ForbiddenError('This route needs the admin token.')
+    : new ForbiddenError('Key management is disabled. Set ADMIN_TOKEN to enable it.'));
+}
+
+/**
+ * For what every caller shares, such as presets: once there are tenants to
+ * protect (ADMIN_TOKEN set, or the caller holds a key), only the admin may
+ * change it. A server without ADMIN_TOKEN serving keyless callers stays open.
+ */
+export function requireAdminForShared(req: Request, res: Response, next: NextFunction) {
+  if (!ADMIN_TOKEN && !req.apiKey) return next();
+  requireAdmin(req, res, next);
+}
+
+// CORS_ORIGINS: comma-separated origins allowed on top of the keys' own
+// allowedOrigins; unset (or "*") allows any origin, as before.
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(s => s.trim()).filter(Boolean);
+const ANY_ORIGIN = !CORS_ORIGINS.length || CORS_ORIGINS.includes('*');
+const ENV_ORIGINS = new Set(ANY_ORIGIN ? [] : CORS_ORIGINS.map(o => normaliseOrigin(o)));
+
+/**
+ * Origin callback for the cors middleware. Preflights carry no key, so an
+ * origin passes when the env list or any active key allows it; the key sent
+ * with the actual request is then checked by `authenticate`.
+ */
+export function corsOrigin(origin: string | undefined, callback: (err: Error | null, allow?: boolean) => void) {
+  if (!origin || ANY_ORIGIN) return callback(null, true);
+  const normalised = originOf(origin);
+  if (!normalised) return callback(null, false);
+  if (ENV_ORIGINS.has(normalised)) return callback(null, true);
+  apiKeys.origins().then(
+    (origins: Set<string>) => callback(null, origins.has(normalised)),
+    (err: Error) => callback(err)
+  );
+}
@@ -0,0 +1,124 @@
+import path from 'path';
+import fs from 'fs';
+import { ConversionRequest, outputPaths, downloadUrl, downloadUrls } from './conversion';
+import { CONVERTERS } from './converters';
+import { envNumber } from './uploads';
+
+const { convertBatch, MAX_CONCURRENCY } = require('../services/batchRunner');
+const { createZip } = require('../services/zipUtils');
+const { ValidationError } = require('../services/errors');
+
+// The ZIP is built in memory, so bundles above this size are refused
+const ZIP_MAX_BYTES = envNumber('BATCH_ZIP_MAX_BYTES', 512 * 1024 * 1024);
+// Already compressed outputs are stored rather than deflated again
+const STORED_EXTS = new Set(['jpg', 'jpeg', 'png', 'webp', 'gif', 'avif', 'heic', 'mp3', 'm4a', 'aac', 'ogg', 'opus', 'flac', 'mp4', 'webm', 'mov', 'mkv', 'zip', '7z', 'gz', 'docx', 'epub', 'pdf']);
+
+export interface BatchOptions {
+  failFast: boolean;
+  concurrency: number;
+  zip: boolean;
+}
+
+export interface BatchItem {
+  input: string;
+  ok: boolean;
+  result?: any;
+  error?: string;
+  statusCode?: number;
+  skipped?: boolean;
+  downloads: string[];
+}
+
+export interface BatchReport {
+  id: string;
+  type: string;
+  format: string;
+  summary: { total: number; succeeded: number; failed: number; skipped: number };
+  items: BatchItem[];
+  zip: { outputPath: string; downloadUrl: string | null; sizeBytes: number } | { error: string } | null;
+}
+
+export function flag(value: unknown): boolean {
+  return value === true || value === 'true' || value === '1';
+}
+
+// failFast / concurrency / zip from a batch request body
+export function parseBatchOptions(body: any): BatchOptions {
+  const concurrency = body?.concurrency == null || body.concurrency === '' ? 2 : Number(body.concurrency);
+  if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_CONCURRENCY) {
+    throw new ValidationError(`Invalid "concurrency" ${body.concurrency}: expected 1 to ${MAX_CONCURRENCY}.`);
+  }
+  return { failFast: flag(body?.failFast), concurrency, zip: flag(body?.zip) };
+}
+
+/**
+ * Bundles the outputs of the successful items into one ZIP next to them,
+ * with a manifest.json listing every item (failures included).
+ */
+async function bundle(conv: ConversionRequest, report: BatchReport): Promise<BatchReport['zip']> {
+  const entries: { name: string; data: Buffer; store: boolean }[] = [];
+  const used = new Set<string>(['manifest.json']);
+  const manifest = report.items.map(item => ({ input: item.input, ok: item.ok, error: item.error, files: [] as string[] }));
+  let total = 0;
+  for (const [i, item] of report.items.entries()) {
+    if (!item.ok) continue;
+    for (const file of outputPaths(item.result)) {
+      const size = (await fs.promises.stat(file)).size;
+      total += size;
+      if (total > ZIP_MAX_BYTES) {
+        return { error: `The outputs exceed the ${Math.floor(ZIP_MAX_BYTES / (1024 * 1024))} MB ZIP limit; download them one by one.` };
+      }
+      let base = path.relative(conv.outputDir, file).split(path.sep).join('/');
+      if (!base || base.startsWith('..')) base = path.basename(file);
+      let name = base;
+      for (let n = 2; used.has(name); n++) name = base.replace(/(\.[^./]*)?$/, `_${n}$1`);
+      used.add(name);
+      manifest[i].files.push(name);
+      const ext = path.extname(name).slice(1).toLowerCase();
+      entries.push({ name, data: await fs.promises.readFile(file), store: STORED_EXTS.has(ext) });
+    }
+  }
+  const data = {
+    id: report.id,
+    type: report.type,
+    format: report.format,
+    createdAt: new Date().toISOString(),
+    summary: report.summary,
+    items: manifest
+  };
+  const outputPath = path.join(conv.outputDir, `batch-${conv.format}.zip`);
+  await fs.promises.mkdir(conv.outputDir, { recursive: true });
+  await fs.promises.writeFile(outputPath, createZip([{ name: 'manifest.json', data: JSON.stringify(data, null, 2), store: false }, ...entries]));
+  return { outputPath, downloadUrl: downloadUrl(outputPath), sizeBytes: (await fs.promises.stat(outputPath)).size };
+}
+
+/**
+ * Converts each input of `conv` on its own and reports every item, whether
+ * it worked or not. `extra.signal` stops the items not yet started.
+ */
+export async function runBatchConversion(conv: ConversionRequest, batch: BatchOptions, extra: Record<string, any> = {}): Promise<BatchReport> {
+  const items = await convertBatch(CONVERTERS[conv.type].convert, conv.inputs, conv.format, {
+    ...conv.options,
+    ...extra,
+    outputDir: conv.outputDir,
+    cleanup: false,
+    failFast: batch.failFast,
+    concurrency: batch.concurrency
+  });
+  const report: BatchReport = {
+    id: conv.id,
+    type: conv.type,
+    format: conv.format,
+    summary: {
+      total: items.length,
+      succeeded: items.filter((i: any) => i.ok).length,
+      failed: items.filter((i: any) => !i.ok && !i.skipped).length,
+      skipped: items.filter((i: any) => i.skipped).length
+    },
+    // Inputs are staged or stored files; clients know them by name
+    items: items.map((i: any) => ({ ...i, input: path.basename(i.input), downloads: i.ok ? downloadUrls(i.result) : [] })),
+    zip: null
+  };
+  if (batch.zip && report.summary.succeeded) report.zip = await bundle(conv, report);
+  return report;
+}
@@ -0,0 +1,12 @@
+import path from 'path';
+import { DATA_DIR } from './paths';
+
+const { ResultCache } = require('../services/resultCache');
+
+// RESULT_CACHE_MAX_BYTES=0 turns the cache off.
+export const resultCache = new ResultCache({
+  dir: process.env.RESULT_CACHE_DIR || path.join(DATA_DIR, 'cache'),
+  maxBytes: process.env.RESULT_CACHE_MAX_BYTES != null && process.env.RESULT_CACHE_MAX_BYTES !== ''
+    ? Number(process.env.RESULT_CACHE_MAX_BYTES)
+    : 2 * 1024 * 1024 * 1024
+});
@@ -0,0 +1,226 @@
+import { Request } from 'express';
+import { UploadedFile } from 'express-fileupload';
+import path from 'path';
+import fs from 'fs';
+import crypto from 'crypto';
+import { UPLOAD_DIR, CONVERTED_DIR } from './paths';
+import { CONVERTERS } from './converters';
+import { resolvePreset } from './presets';
+import { uploadStore, incomingFiles, discardUploads } from './uploads';
+import { webhooks } from './webhooks';
+import { Caller, callerOf, ownerScope } from './usage';
+
+const { ValidationError, NotFoundError } = require('../services/errors');
+const { safeName } = require('../services/uploadStore');
+
+// Options the server controls itself; never taken from the client.
+const RESERVED_OPTIONS = ['outputDir', 'cleanup', 'onProgress', 'signal', 'maxEntries', 'maxTotalBytes'];
+
+export interface ConversionRequest {
+  id: string;
+  type: string;
+  format: string;
+  options: Record<string, any>;
+  inputs: string[];
+  outputDir: string;
+  stagingDir: string;
+  // Receives a signed POST when the conversion finishes (see webhooks.ts)
+  callbackUrl: string | null;
+  // API key (or admin / anonymous caller) the usage is billed to, see usage.ts
+  caller: Caller | null;
+}
+
+function toList<T>(val: T | T[] | undefined | null): T[] {
+  if (val == null) return [];
+  return Array.isArray(val) ? val : [val];
+}
+
+export function parseOptions(raw: unknown): Record<string, any> {
+  let opts: any = raw;
+  if (typeof raw === 'string') {
+    if (!raw.trim()) return {};
+    try {
+      opts = JSON.parse(raw);
+    } catch {
+      throw new ValidationError('Invalid "options": expected a JSON object.');
+    }
+  }
+  if (opts == null) return {};
+  if (typeof opts !== 'object' || Array.isArray(opts)) {
+    throw new ValidationError('Invalid "options": expected a JSON object.');
+  }
+  const clean: Record<string, any> = { ...opts };
+  for (const key of RESERVED_OPTIONS) delete clean[key];
+  if (clean.outputBasename != null) clean.outputBasename = path.basename(String(clean.outputBasename));
+  return clean;
+}
+
+// `owner` limits the lookup to that caller's uploads (undefined: any upload)
+export function resolveFileId(id: string, owner?: string): string {
+  const abs = uploadStore.pathOf(String(id).trim(), { owner });
+  if (!abs) throw new NotFoundError(`Unknown file ID "${id}".`);
+  return abs;
+}
+
+// Operation fields that name a file (watermark/stamp images, TTF fonts)
+const OPERATION_FILE_FIELDS = ['image', 'fontFile'];
+
+/**
+ * Options that point at files (audio cover art, watermark images, fonts, the
+ * document a font is subset to, EPUB covers) must name an uploaded file ID
+ * over HTTP; they are swapped for the stored path here so a client can never
+ * make the converters read arbitrary server paths. The options of archive
+ * "convert" targets (convert.<type>.options) are resolved the same way.
+ */
+export function resolveFileOptions(options: Record<string, any>, owner?: string): Record<string, any> {
+  if (options.coverArt != null) options.coverArt = resolveFileId(options.coverArt, owner);
+  if (options.textFile != null) options.textFile = resolveFileId(options.textFile, owner);
+  if (options.cover != null) options.cover = resolveFileId(options.cover, owner);
+  if (Array.isArray(options.operations)) {
+    options.operations = options.operations.map((op: any) => {
+      if (!op || typeof op !== 'object') return op;
+      const out = { ...op };
+      for (const field of OPERATION_FILE_FIELDS) {
+        if (out[field] != null) out[field] = resolveFileId(out[field], owner);
+      }
+      return out;
+    });
+  }
+  if (options.convert && typeof options.convert === 'object' && !Array.isArray(options.convert)) {
+    const targets: Record<string, any> = {};
+    for (const [type, target] of Object.entries<any>(options.convert)) {
+      const nested = target && typeof target === 'object' && target.options && typeof target.options === 'object' && !Array.isArray(target.options);
+      targets[type] = nested ? { ...target, options: resolveFileOptions({ ...target.options }, owner) } : target;
+    }
+    options.convert = targets;
+  }
+  return options;
+}
+
+/**
+ * Collects the inputs of a convert request: files uploaded inline under the
+ * "file" field (checked against the upload limits, then moved next to their
+ * original name so the converters can see the extension) followed by
+ * previously uploaded files of the same caller referenced by "fileId".
+ */
+export async function collectInputs(req: Request, stagingDir: string): Promise<string[]> {
+  const inputs: string[] = [];
+
+  const uploaded = incomingFiles(req);
+  if (uploaded.length) {
+    try {
+      await uploadStore.check(uploaded.map((f: UploadedFile) => ({ path: f.tempFilePath, name: f.name })));
+    } catch (err) {
+      discardUploads(uploaded);
+      throw err;
+    }
+    await fs.promises.mkdir(stagingDir, { recursive: true });
+    for (const f of uploaded) {
+      const dest = path.join(stagingDir, safeName(f.name));
+      await f.mv(dest);
+      inputs.push(dest);
+    }
+  }
+
+  const ids = [...toList<string>(req.body?.fileId), ...toList<string>(req.body?.fileIds)];
+  for (const id of ids) inputs.push(resolveFileId(id, ownerScope(req)));
+
+  return inputs;
+}
+
+// Empty means no callback; anything else must be a URL webhooks accept
+export function resolveCallbackUrl(value: unknown): string | null {
+  if (value == null || String(value).trim() === '') return null;
+  return webhooks.checkUrl(String(value).trim());
+}
+
+/**
+ * Format and options of a conversion described by `body` ({ format, options,
+ * preset }): the preset is applied and file options are resolved among the
+ * uploads of `owner` (see resolveFileId).
+ */
+export async function resolveConversionSpec(type: string, body: any, owner?: string): Promise<{ format: string; options: Record<string, any> }> {
+  const requested = parseOptions(body?.options);
+  const presetRef = body?.preset ?? requested.preset;
+  delete requested.preset;
+  const { format, options } = await resolvePreset(type, String(body?.format || '').trim(), requested, presetRef);
+  if (!format) throw new ValidationError('Missing "format" for the requested output.');
+  return { format, options: resolveFileOptions(options, owner) };
+}
+
+// A conversion of files that are already in place, e.g. stored uploads
+export function fileConversion(type: string, format: string, options: Record<string, any>, inputs: string[]): ConversionRequest {
+  const id = crypto.randomUUID();
+  return {
+    id, type, format, options, inputs,
+    outputDir: path.join(CONVERTED_DIR, id),
+    stagingDir: path.join(UPLOAD_DIR, `.convert-${id}`),
+    callbackUrl: null,
+    caller: null
+  };
+}
+
+/**
+ * Validates a convert request for the given converter type and stages its
+ * inputs. Returns null when the type is not a known converter.
+ */
+export async function prepareConversion(req: Request, type: string): Promise<ConversionRequest | null> {
+  const entry = CONVERTERS[type];
+  if (!entry) return null;
+
+  const { format, options } = await resolveConversionSpec(type, req.body, ownerScope(req));
+  const conv = fileConversion(type, format, options, []);
+  conv.callbackUrl = resolveCallbackUrl(req.body?.callbackUrl);
+  conv.caller = callerOf(req);
+  conv.inputs = await collectInputs(req, conv.stagingDir);
+  if (!conv.inputs.length) {
+    await removeStaging(conv.stagingDir);
+    throw new ValidationError('No input. Upload a file under "file" or pass a "fileId".');
+  }
+  if (conv.inputs.length > 1 && !entry.multiple) {
+    await removeStaging(conv.stagingDir);
+    throw new ValidationError(`The ${type} converter accepts a single input.`);
+  }
+  return conv;
+}
+
+export function runConversion(conv: ConversionRequest, extra: Record<string, any> = {}): Promise<any> {
+  const { inputs, format, options, outputDir } = conv;
+  return CONVERTERS[conv.type].convert(inputs.length === 1 ? inputs[0] : inputs, format, {
+    ...options,
+    ...extra,
+    outputDir,
+    cleanup: false
+  });
+}
+
+export function removeStaging(stagingDir: string): Promise<void> {
+  return fs.promises.rm(stagingDir, { recursive: true, force: true }).catch(() => {});
+}
+
+// Normalises the different converter return shapes into a flat list of paths.
+// Batch reports ({ items }) yield the outputs of the items that succeeded.
+export function outputPaths(result: any): string[] {
+  if (!result) return [];
+  if (typeof result === 'string') return [result];
+  if (Array.isArray(result)) return result.flatMap(outputPaths);
+  if (Array.isArray(result.items)) return result.items.filter((i: any) => i.ok).flatMap((i: any) => outputPaths(i.result));
+  if (typeof result.outputPath === 'string') {
+    // Videos converted with "thumbnail" come with a poster frame
+    return typeof result.thumbnailPath === 'string' ? [result.outputPath, result.thumbnailPath] : [result.outputPath];
+  }
+  if (typeof result.outputDir === 'string' && Array.isArray(result.files)) {
+    return result.files.map((f: string) => path.join(result.outputDir, f));
+  }
+  return [];
+}
+
+export function downloadUrl(file: string): string | null {
+  const rel = path.relative(CONVERTED_DIR, file);
+  if (!rel || rel.startsWith('..') || path.isAbsolute(rel)) return null;
+  return '/api/download/' + rel.split(path.sep).map(encodeURIComponent).join('/');
+}
+
+export function downloadUrls(result: any): string[] {
+  return outputPaths(result).map(downloadUrl).filter((u): u is string => !!u);
+}
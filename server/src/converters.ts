@@ -0,0 +1,44 @@
+import { resultCache } from './cache';
+
+const imageConverter = require('../services/imageConverter');
+const audioConverter = require('../services/audioConverter');
+const documentConverter = require('../services/documentConverter');
+const archiveConverter = require('../services/archiveConverter');
+const videoConverter = require('../services/videoConverter');
+const fontConverter = require('../services/fontConverter');
+const { ConversionPlanner } = require('../services/conversionPlanner');
+const { probeTools } = require('../services/hostTools');
+
+type ConvertFn = (input: string | string[], format: string, options: Record<string, any>) => Promise<any>;
+type ValidateFn = (format: string, options: Record<string, any>) => void;
+
+export interface ConverterEntry {
+  convert: ConvertFn;
+  // Checks format/options without an input; throws ValidationError
+  validate: ValidateFn;
+  // Whether the converter accepts an array of inputs (batch / merge)
+  multiple: boolean;
+}
+
+export const planner = new ConversionPlanner({ probeTools });
+
+// Image, audio, document and font results are served from the result cache when the
+// same input bytes are converted with the same format and options again.
+planner.register('image', resultCache.wrap('image', imageConverter.convertImage), imageConverter.CONVERSION_EDGES);
+planner.register('audio', resultCache.wrap('audio', audioConverter.convertAudio, { cleanupByDefault: true }), audioConverter.CONVERSION_EDGES);
+planner.register('video', videoConverter.convertVideo, videoConverter.CONVERSION_EDGES);
+planner.register('document', resultCache.wrap('document', documentConverter.convertDocument, { namedOutput: true }), documentConverter.CONVERSION_EDGES);
+planner.register('archive', archiveConverter.convertArchive, archiveConverter.CONVERSION_EDGES);
+planner.register('font', resultCache.wrap('font', fontConverter.convertFont), fontConverter.CONVERSION_EDGES);
+
+// Each type falls back to a chain of converters (e.g. DOCX -> PDF -> PNG) for
+// inputs it has no direct edge for; "auto" picks the converters from the input.
+export const CONVERTERS: Record<string, ConverterEntry> = {
+  image: { convert: planner.converter('image'), validate: imageConverter.validateOptions, multiple: true },
+  audio: { convert: planner.converter('audio'), validate: audioConverter.validateOptions, multiple: true },
+  video: { convert: planner.converter('video'), validate: videoConverter.validateOptions, multiple: false },
+  document: { convert: planner.converter('document'), validate: documentConverter.validateOptions, multiple: true },
+  archive: { convert: planner.converter('archive'), validate: archiveConverter.validateOptions, multiple: false },
+  font: { convert: planner.converter('font'), validate: fontConverter.validateOptions, multiple: false },
+  auto: { convert: planner.converter(), validate: (format: string) => planner.validateFormat(format), multiple: false }
+};
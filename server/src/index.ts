@@ -1,63 +1,18 @@
-import express, { Request, Response, NextFunction } from 'express';
-import cors from 'cors';
-import fileUpload from 'express-fileupload';
-import path from 'path';
-import fs from 'fs';
-import dotenv from 'dotenv';
-
-dotenv.config();
-
-const app = express();
-
-app.use(cors({ origin: true, credentials: true }));
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-
-// File uploads
-app.use(fileUpload({
-  useTempFiles: true,
-  tempFileDir: path.resolve(process.cwd(), 'server', 'uploads'),
-  createParentPath: true,
-  limits: { fileSize: 1024 * 1024 * 1024 } // 1GB
-}));
-
-// Health check
-app.get('/api/health', (_req: Request, res: Response) => {
-  res.json({ status: 'ok' });
-});
-
-// Upload endpoint (stores in /server/uploads via express-fileupload)
-app.post('/api/upload', async (req: Request, res: Response, next: NextFunction) => {
-  try {
-    const files = (req as any).files;
-    if (!files || !files.file) {
-      return res.status(400).json({ error: 'No file uploaded. Expect field name "file".' });
-    }
-
-    const uploaded = Array.isArray(files.file) ? files.file : [files.file];
-    const targets: string[] = [];
-
-    for (const f of uploaded) {
-      const uploadDir = path.resolve(process.cwd(), 'server', 'uploads');
-      fs.mkdirSync(uploadDir, { recursive: true });
-      const dest = path.join(uploadDir, f.name);
-      await f.mv(dest);
-      targets.push(dest);
-    }
-
-    res.json({ uploaded: targets });
-  } catch (err) {
-    next(err);
-  }
-});
-
-// Error handler
-app.use((err: any, _req: Request, res: Response, _next: NextFunction) => {
-  console.error('[server] Error:', err?.message || err);
-  res.status(500).json({ error: err?.message || 'Internal Server Error' });
-});
+// First, so .env is loaded before the modules below read their settings
+import 'dotenv/config';
+import app from './app';
+import { uploadStore, SWEEP_INTERVAL_MS } from './uploads';
+import { AUTH_REQUIRED } from './auth';
+import { resumableUploads } from './resumable';
+import { webhooks } from './webhooks';
 
 const PORT = Number(process.env.PORT || 5001);
 app.listen(PORT, () => {
   console.log(`[server] listening on port ${PORT}`);
+  if (!AUTH_REQUIRED) console.warn('[server] API keys are not required; set ADMIN_TOKEN (or AUTH_REQUIRED=true) to require them.');
+  uploadStore.startSweeper(SWEEP_INTERVAL_MS);
+  resumableUploads.startSweeper(SWEEP_INTERVAL_MS);
+  // Resume callbacks that were still being retried when the server stopped
+  webhooks.load().catch((err: Error) => console.warn('[webhooks] Could not load the delivery log:', err.message));
+  webhooks.startSweeper();
 });
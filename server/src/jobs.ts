@@ -0,0 +1,48 @@
+import { ConversionRequest, runConversion, removeStaging } from './conversion';
+import { notifyConversion } from './webhooks';
+import { claimJobSlot, checkQuota, metered, ANONYMOUS_CALLER } from './usage';
+
+const { JobQueue } = require('../services/jobQueue');
+
+// Shared queue for asynchronous conversions. JOB_CONCURRENCY caps how many
+// ffmpeg / LibreOffice / sharp jobs run at the same time.
+export const jobQueue = new JobQueue({
+  concurrency: Number(process.env.JOB_CONCURRENCY || 2),
+  retainMs: Number(process.env.JOB_RETAIN_MS || 60 * 60 * 1000)
+});
+
+type RunFn = (conv: ConversionRequest, extra: { signal: AbortSignal; onProgress: (p: number) => void }) => Promise<any>;
+
+// Queues a prepared conversion (run by `run`, runConversion by default); its
+// staging folder is removed when it ends and its callbackUrl is notified,
+// also when the job is cancelled before it starts (its run never does). The caller's quotas are
+// checked up front and the job holds one of their concurrent job slots from
+// submission until it ends. Jobs belong to that caller (meta.owner).
+export async function submitConversion(conv: ConversionRequest, run: RunFn = runConversion) {
+  let release: () => void;
+  try {
+    await checkQuota(conv.caller, conv.type, conv.inputs);
+    release = claimJobSlot(conv.caller);
+  } catch (err) {
+    await removeStaging(conv.stagingDir);
+    throw err;
+  }
+  const job = jobQueue.submit(conv.type, async ({ signal, onProgress }: { signal: AbortSignal; onProgress: (p: number) => void }) => {
+    try {
+      return await metered(conv.caller, conv.type, conv, () => run(conv, { signal, onProgress }));
+    } finally {
+      await removeStaging(conv.stagingDir);
+    }
+  }, { format: conv.format, owner: conv.caller?.id ?? ANONYMOUS_CALLER });
+  const onStatus = (j: any) => {
+    if (j.id !== job.id || !jobQueue.isTerminal(j.status)) return;
+    jobQueue.off('status', onStatus);
+    release();
+    if (j.status === 'cancelled' && !j.startedAt) removeStaging(conv.stagingDir);
+    if (conv.callbackUrl) {
+      notifyConversion(conv, { result: j.result, error: j.error, jobId: j.id, cancelled: j.status === 'cancelled' });
+    }
+  };
+  jobQueue.on('status', onStatus);
+  return job;
+}
@@ -0,0 +1,8 @@
+import path from 'path';
+
+// Working directories shared by the routes. They mirror the defaults the
+// converters in /server/services fall back to.
+export const UPLOAD_DIR = path.resolve(process.cwd(), 'server', 'uploads');
+export const CONVERTED_DIR = path.resolve(process.cwd(), 'server', 'converted');
+// Server-side state (presets, ...) that should survive restarts.
+export const DATA_DIR = path.resolve(process.cwd(), 'server', 'data');
@@ -0,0 +1,50 @@
+import path from 'path';
+import { DATA_DIR } from './paths';
+import { CONVERTERS } from './converters';
+
+const { PresetStore } = require('../services/presetStore');
+const { ValidationError } = require('../services/errors');
+
+// Presets are validated against their converter when saved, not when used.
+export const presetStore = new PresetStore({
+  filePath: process.env.PRESETS_FILE || path.join(DATA_DIR, 'presets.json'),
+  validate(preset: { type: string; format: string; options?: Record<string, any> }) {
+    const entry = CONVERTERS[preset.type];
+    if (!entry) {
+      throw new ValidationError(`Unknown preset type "${preset.type}". Supported: ${Object.keys(CONVERTERS).join(', ')}`);
+    }
+    entry.validate(preset.format, preset.options || {});
+  }
+});
+
+function isPlainObject(val: unknown): val is Record<string, any> {
+  return val != null && typeof val === 'object' && !Array.isArray(val);
+}
+
+// Request options win; nested objects are merged, arrays and scalars replaced.
+export function mergeOptions(base: Record<string, any>, overrides: Record<string, any>): Record<string, any> {
+  const out: Record<string, any> = { ...base };
+  for (const [key, value] of Object.entries(overrides)) {
+    out[key] = isPlainObject(value) && isPlainObject(out[key]) ? mergeOptions(out[key], value) : value;
+  }
+  return out;
+}
+
+/**
+ * Applies a named preset ("name" or "name@version") to a request: the preset
+ * supplies the format and base options, the request's own format/options
+ * override them. Without a preset the request is returned unchanged.
+ */
+export async function resolvePreset(
+  type: string,
+  format: string,
+  options: Record<string, any>,
+  ref?: unknown
+): Promise<{ format: string; options: Record<string, any> }> {
+  if (ref == null || ref === '') return { format, options };
+  const preset = await presetStore.get(String(ref));
+  if (preset.type !== type) {
+    throw new ValidationError(`Preset "${preset.name}" is for ${preset.type} conversions, not ${type}.`);
+  }
+  return { format: format || preset.format, options: mergeOptions(preset.options || {}, options) };
+}
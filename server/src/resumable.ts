@@ -0,0 +1,84 @@
+import path from 'path';
+import { DATA_DIR } from './paths';
+import { CONVERTERS } from './converters';
+import { resolveConversionSpec, resolveCallbackUrl, fileConversion } from './conversion';
+import { uploadStore, envNumber, MAX_FILE_BYTES } from './uploads';
+import { submitConversion } from './jobs';
+import { callerById, checkQuota, addQuotaReservation, ANONYMOUS_CALLER } from './usage';
+
+const { ResumableUploadStore } = require('../services/resumableUploadStore');
+const { ValidationError } = require('../services/errors');
+
+export interface UploadConversion {
+  type: string;
+  format: string;
+  options: Record<string, any>;
+  callbackUrl?: string | null;
+}
+
+interface ResumableUpload {
+  id: string;
+  name: string;
+  size: number;
+  convert: UploadConversion | null;
+  owner: string | null;
+}
+
+// Finished uploads move into the upload store and, when the upload was created
+// with "convert", start that conversion as a job. Both belong to (and are
+// billed to) the caller that created the upload. The declared length of an
+// upload counts against UPLOAD_MAX_TOTAL_BYTES and the caller's byte quotas
+// from the moment it is created until the file is stored;
+// RESUMABLE_MAX_OPEN_PER_KEY caps how many uploads one caller may have in
+// progress. A conversion that cannot be started (quota, job slots, a revoked
+// key) does not lose the stored file: the upload reports its fileId along
+// with the error in "jobError".
+export const resumableUploads = new ResumableUploadStore({
+  dir: process.env.RESUMABLE_UPLOAD_DIR || path.join(DATA_DIR, 'resumable'),
+  maxSize: MAX_FILE_BYTES,
+  ttlMs: envNumber('RESUMABLE_UPLOAD_TTL_MS', 24 * 60 * 60 * 1000),
+  maxOpenPerOwner: envNumber('RESUMABLE_MAX_OPEN_PER_KEY', 10),
+  async onCreate(upload: ResumableUpload) {
+    await uploadStore.checkSpace(upload.size);
+    const caller = await callerById(upload.owner || ANONYMOUS_CALLER);
+    await checkQuota(caller, upload.convert?.type || '*', [], upload.size);
+  },
+  async onComplete(upload: ResumableUpload, filePath: string) {
+    const owner = upload.owner || ANONYMOUS_CALLER;
+    const [file] = await uploadStore.add([{ path: filePath, name: upload.name }], { owner, reserved: upload.size });
+    // From here the stored file counts, not the reservation
+    resumableUploads.release(upload.id);
+    const { convert } = upload;
+    if (!convert) return { fileId: file.id, jobId: null };
+    try {
+      const conv = fileConversion(convert.type, convert.format, convert.options, [uploadStore.pathOf(file.id)]);
+      conv.callbackUrl = convert.callbackUrl || null;
+      conv.caller = await callerById(owner);
+      const job = await submitConversion(conv);
+      return { fileId: file.id, jobId: job.id };
+    } catch (err: any) {
+      return { fileId: file.id, jobId: null, jobError: { status: err.statusCode || 500, error: err.message } };
+    }
+  }
+});
+
+uploadStore.addReservation(() => resumableUploads.openBytes());
+addQuotaReservation(callerId => resumableUploads.openBytes(callerId));
+
+/**
+ * Checks the "convert" spec of a new upload ({ type, format, options, preset,
+ * callbackUrl }; type defaults to "auto") so mistakes surface before any data
+ * is sent. File options are resolved among the uploads of `owner`.
+ */
+export async function resolveUploadConversion(spec: any, owner?: string): Promise<UploadConversion | null> {
+  if (spec == null) return null;
+  if (typeof spec !== 'object' || Array.isArray(spec)) {
+    throw new ValidationError('Invalid "convert": expected { type, format, options, preset, callbackUrl }.');
+  }
+  const type = String(spec.type || 'auto');
+  const entry = CONVERTERS[type];
+  if (!entry) throw new ValidationError(`Unknown converter type "${type}". Supported: ${Object.keys(CONVERTERS).join(', ')}`);
+  const { format, options } = await resolveConversionSpec(type, spec, owner);
+  entry.validate(format, options);
+  return { type, format, options, callbackUrl: resolveCallbackUrl(spec.callbackUrl) };
+}
@@ -0,0 +1,45 @@
+import { Router, Request, Response, NextFunction } from 'express';
+import path from 'path';
+import crypto from 'crypto';
+import { UPLOAD_DIR, CONVERTED_DIR } from '../paths';
+import { collectInputs, removeStaging, parseOptions, downloadUrl } from '../conversion';
+import { callerOf, claimJobSlot, metered } from '../usage';
+
+const { analyzeAudio, resolveAnalysisOptions } = require('../../services/audioAnalyzer');
+const { ValidationError } = require('../../services/errors');
+
+const router = Router();
+
+/**
+ * Analyses one audio file ("file" or "fileId"). "options" selects the
+ * report: { loudness, silence, waveform, spectrogram, peaks } (see
+ * audioAnalyzer). Rendered images and peak JSON come back with download URLs.
+ */
+router.post('/audio', async (req: Request, res: Response, next: NextFunction) => {
+  const id = crypto.randomUUID();
+  const stagingDir = path.join(UPLOAD_DIR, `.analyze-${id}`);
+  try {
+    const options = parseOptions(req.body?.options);
+    resolveAnalysisOptions(options);
+    const inputs = await collectInputs(req, stagingDir);
+    if (inputs.length !== 1) throw new ValidationError('Send exactly one audio file as "file" or "fileId".');
+
+    const outputDir = path.join(CONVERTED_DIR, id);
+    const caller = callerOf(req);
+    const release = claimJobSlot(caller);
+    const report = await metered<any>(caller, 'audio', { inputs, outputDir }, () =>
+      analyzeAudio(inputs[0], { ...options, outputDir })
+    ).finally(release);
+    for (const key of ['waveform', 'spectrogram', 'peaks']) {
+      if (report[key]) report[key].downloadUrl = downloadUrl(report[key].outputPath);
+    }
+    if (req.query.probe === '0' || req.query.probe === 'false') delete report.probe;
+    res.json({ id, ...report });
+  } catch (err) {
+    next(err);
+  } finally {
+    removeStaging(stagingDir);
+  }
+});
+
+export default router;
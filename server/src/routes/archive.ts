@@ -0,0 +1,28 @@
+import { Router, Request, Response, NextFunction } from 'express';
+import path from 'path';
+import crypto from 'crypto';
+import { UPLOAD_DIR } from '../paths';
+import { collectInputs, removeStaging } from '../conversion';
+
+const { listArchive } = require('../../services/archiveConverter');
+
+const router = Router();
+
+// Lists the entries of an uploaded archive without extracting it
+router.post('/list', async (req: Request, res: Response, next: NextFunction) => {
+  const stagingDir = path.join(UPLOAD_DIR, `.archive-${crypto.randomUUID()}`);
+  try {
+    const inputs = await collectInputs(req, stagingDir);
+    if (inputs.length !== 1) {
+      return res.status(400).json({ error: 'Expect exactly one archive under "file" or "fileId".' });
+    }
+    const entries = await listArchive(inputs[0], { password: req.body?.password });
+    res.json({ entries });
+  } catch (err) {
+    next(err);
+  } finally {
+    removeStaging(stagingDir);
+  }
+});
+
+export default router;
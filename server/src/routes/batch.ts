@@ -0,0 +1,69 @@
+import { Router, Request, Response, NextFunction } from 'express';
+import { CONVERTERS } from '../converters';
+import { resolveConversionSpec, resolveCallbackUrl, fileConversion, collectInputs, removeStaging } from '../conversion';
+import { parseBatchOptions, runBatchConversion, flag } from '../batch';
+import { submitConversion } from '../jobs';
+import { notifyConversion } from '../webhooks';
+import { callerOf, ownerScope, claimJobSlot, metered } from '../usage';
+
+const { ValidationError } = require('../../services/errors');
+
+const router = Router();
+
+/**
+ * Converts every input ("file" uploads and "fileId"/"fileIds") on its own
+ * and reports each item: { input, ok, result | error, downloads }. Failures
+ * don't stop the rest unless failFast=true. zip=true bundles the outputs
+ * with a manifest.json; download=true then streams that ZIP. async=true
+ * queues the batch as a job (cancel with DELETE /api/jobs/:id). A client
+ * that disconnects from a synchronous batch stops the items not yet started.
+ */
+router.post('/:type', async (req: Request, res: Response, next: NextFunction) => {
+  let stagingDir: string | undefined;
+  let queued = false;
+  try {
+    const type = req.params.type;
+    if (!CONVERTERS[type]) return next();
+    const batch = parseBatchOptions(req.body);
+    const { format, options } = await resolveConversionSpec(type, req.body, ownerScope(req));
+    const conv = fileConversion(type, format, options, []);
+    conv.callbackUrl = resolveCallbackUrl(req.body?.callbackUrl);
+    conv.caller = callerOf(req);
+    stagingDir = conv.stagingDir;
+    conv.inputs = await collectInputs(req, conv.stagingDir);
+    if (!conv.inputs.length) throw new ValidationError('No input. Upload files under "file" or pass "fileIds".');
+
+    if (flag(req.query.async ?? req.body?.async)) {
+      const job = await submitConversion(conv, (c, extra) => runBatchConversion(c, batch, extra));
+      queued = true;
+      return res.status(202).location(`/api/jobs/${job.id}`).json(job);
+    }
+
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) controller.abort();
+    });
+    let report;
+    const release = claimJobSlot(conv.caller);
+    try {
+      report = await metered(conv.caller, type, conv, () => runBatchConversion(conv, batch, { signal: controller.signal }));
+    } catch (err) {
+      notifyConversion(conv, { error: err });
+      throw err;
+    } finally {
+      release();
+    }
+    notifyConversion(conv, { result: report });
+
+    const zip: any = report.zip;
+    if (flag(req.query.download ?? req.body?.download) && zip?.outputPath) return res.download(zip.outputPath);
+    res.json(report);
+  } catch (err) {
+    next(err);
+  } finally {
+    // Queued batches remove their staging folder when the job ends
+    if (stagingDir && !queued) removeStaging(stagingDir);
+  }
+});
+
+export default router;
@@ -0,0 +1,26 @@
+import { Router, Request, Response, NextFunction } from 'express';
+import { resultCache } from '../cache';
+import { requireAdmin } from '../auth';
+
+const router = Router();
+
+// Hit/miss counters since start-up plus the current size of the result cache
+router.get('/stats', async (_req: Request, res: Response, next: NextFunction) => {
+  try {
+    res.json(await resultCache.getStats());
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Emptying the shared cache affects every key, so only the admin may
+router.delete('/', requireAdmin, async (_req: Request, res: Response, next: NextFunction) => {
+  try {
+    await resultCache.clear();
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -0,0 +1,45 @@
+import { Router, Request, Response, NextFunction } from 'express';
+import { prepareConversion, runConversion, removeStaging, outputPaths, downloadUrls } from '../conversion';
+import { notifyConversion } from '../webhooks';
+import { claimJobSlot, metered } from '../usage';
+
+function wantsStream(req: Request): boolean {
+  const flag = req.query.download ?? req.body?.download;
+  return flag === true || flag === 'true' || flag === '1';
+}
+
+const router = Router();
+
+router.post('/:type', async (req: Request, res: Response, next: NextFunction) => {
+  let stagingDir: string | undefined;
+  try {
+    const conv = await prepareConversion(req, req.params.type);
+    if (!conv) return next();
+    stagingDir = conv.stagingDir;
+
+    let result;
+    const release = claimJobSlot(conv.caller);
+    try {
+      result = await metered(conv.caller, conv.type, conv, () => runConversion(conv));
+    } catch (err) {
+      notifyConversion(conv, { error: err });
+      throw err;
+    } finally {
+      release();
+    }
+    notifyConversion(conv, { result });
+
+    const files = outputPaths(result);
+    if (wantsStream(req) && files.length === 1) {
+      return res.download(files[0]);
+    }
+
+    res.json({ id: conv.id, result, downloads: downloadUrls(result) });
+  } catch (err) {
+    next(err);
+  } finally {
+    if (stagingDir) removeStaging(stagingDir);
+  }
+});
+
+export default router;
@@ -0,0 +1,19 @@
+import { Router, Request, Response } from 'express';
+import path from 'path';
+import fs from 'fs';
+import { CONVERTED_DIR } from '../paths';
+
+const router = Router();
+
+// Serves converter output from /server/converted/<conversionId>/<path>; the
+// files next to the conversion folders (their owners) are not served.
+router.get('/*', (req: Request, res: Response) => {
+  const rel = String((req.params as Record<string, string>)[0] || '');
+  const file = path.resolve(CONVERTED_DIR, rel);
+  if (!file.startsWith(CONVERTED_DIR + path.sep) || path.dirname(file) === CONVERTED_DIR || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+    return res.status(404).json({ error: 'File not found.' });
+  }
+  res.download(file);
+});
+
+export default router;
@@ -0,0 +1,44 @@
+import { Router, Request, Response, NextFunction } from 'express';
+import path from 'path';
+import fs from 'fs';
+import { CONVERTED_DIR } from '../paths';
+import { uploadStore } from '../uploads';
+import { ownerScope, canAccess, outputOwner } from '../usage';
+
+const { isUploadId } = require('../../services/uploadStore');
+const { NotFoundError } = require('../../services/errors');
+
+const router = Router();
+
+// Downloads an upload under its original name
+router.get('/:id', async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const owner = ownerScope(req);
+    const meta = await uploadStore.get(req.params.id, { owner });
+    const file = uploadStore.pathOf(meta.id, { owner });
+    if (!file) return res.status(404).json({ error: 'File not found.' });
+    res.download(file, meta.name);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Deletes an upload, or the output folder of a conversion (its "id"), of the caller
+router.delete('/:id', async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const { id } = req.params;
+    const outputDir = path.join(CONVERTED_DIR, id);
+    if (isUploadId(id) && !uploadStore.pathOf(id) && fs.existsSync(outputDir)) {
+      if (!canAccess(req, await outputOwner(outputDir))) throw new NotFoundError(`Unknown file ID "${id}".`);
+      await fs.promises.rm(outputDir, { recursive: true, force: true });
+      await fs.promises.rm(`${outputDir}.owner`, { force: true });
+    } else {
+      await uploadStore.remove(id, { owner: ownerScope(req) });
+    }
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -0,0 +1,34 @@
+import { Router, Request, Response, NextFunction } from 'express';
+import { planner } from '../converters';
+
+const { canonical } = require('../../services/conversionPlanner');
+const { ForbiddenError } = require('../../services/errors');
+
+const router = Router();
+
+// Reachable input/output pairs, the converters and tools each one uses, and
+// which tools this host has. ?from= / ?to= filter. Only the admin may
+// re-probe the tools (?refresh=1) and see their details (binary paths and
+// versions); everyone else gets whether each tool is available.
+router.get('/', async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const refresh = req.query.refresh === '1' || req.query.refresh === 'true';
+    if (refresh && !req.isAdmin) throw new ForbiddenError('Re-probing the tools needs the admin token.');
+    const caps = await planner.capabilities({ refresh });
+    const from = req.query.from ? canonical(req.query.from) : null;
+    const to = req.query.to ? canonical(req.query.to) : null;
+    if (from || to) {
+      caps.conversions = caps.conversions.filter((c: { from: string; to: string }) => (!from || c.from === from) && (!to || c.to === to));
+    }
+    if (!req.isAdmin) {
+      caps.tools = Object.fromEntries(
+        Object.entries<{ available: boolean }>(caps.tools).map(([name, tool]) => [name, { available: tool.available }])
+      );
+    }
+    res.json(caps);
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -0,0 +1,84 @@
+import { Router, Request, Response, NextFunction } from 'express';
+import path from 'path';
+import crypto from 'crypto';
+import { UPLOAD_DIR, CONVERTED_DIR } from '../paths';
+import { collectInputs, removeStaging, parseOptions, downloadUrl } from '../conversion';
+import { callerOf, claimJobSlot, metered } from '../usage';
+
+const { createResponsiveSet, resolveSetOptions } = require('../../services/responsiveImages');
+const { extractFrames, createSpriteSheet } = require('../../services/animatedImage');
+const { ValidationError } = require('../../services/errors');
+
+const router = Router();
+
+/**
+ * Builds a responsive set from one image ("file" or "fileId"). "options"
+ * takes widths, formats, placeholder, sizes, alt and the usual image
+ * encoder options (see responsiveImages). The manifest's <picture> snippet
+ * points at the download URLs of the variants.
+ */
+router.post('/responsive', async (req: Request, res: Response, next: NextFunction) => {
+  const id = crypto.randomUUID();
+  const stagingDir = path.join(UPLOAD_DIR, `.responsive-${id}`);
+  try {
+    const options = parseOptions(req.body?.options);
+    resolveSetOptions(options);
+    const inputs = await collectInputs(req, stagingDir);
+    if (inputs.length !== 1) throw new ValidationError('Send exactly one image as "file" or "fileId".');
+
+    const outputDir = path.join(CONVERTED_DIR, id);
+    const caller = callerOf(req);
+    const release = claimJobSlot(caller);
+    const result = await metered<any>(caller, 'image', { inputs, outputDir }, () =>
+      createResponsiveSet(inputs[0], { ...options, outputDir, urlPrefix: `/api/download/${id}/` })
+    ).finally(release);
+    res.json({
+      id,
+      manifestUrl: downloadUrl(result.manifestPath),
+      ...result.manifest,
+      variants: result.manifest.variants.map((v: any) => ({ ...v, downloadUrl: downloadUrl(path.join(outputDir, v.file)) }))
+    });
+  } catch (err) {
+    next(err);
+  } finally {
+    removeStaging(stagingDir);
+  }
+});
+
+// Runs `build(input, options)` on the single image of the request and answers with its report
+function singleImage(name: string, build: (input: string, options: Record<string, any>) => Promise<any>) {
+  return async (req: Request, res: Response, next: NextFunction) => {
+    const id = crypto.randomUUID();
+    const stagingDir = path.join(UPLOAD_DIR, `.${name}-${id}`);
+    try {
+      const options = parseOptions(req.body?.options);
+      const inputs = await collectInputs(req, stagingDir);
+      if (inputs.length !== 1) throw new ValidationError('Send exactly one image as "file" or "fileId".');
+      const outputDir = path.join(CONVERTED_DIR, id);
+      const caller = callerOf(req);
+      const release = claimJobSlot(caller);
+      const { files, frames, manifest } = await metered(caller, 'image', { inputs, outputDir }, () =>
+        build(inputs[0], { ...options, outputDir })
+      ).finally(release);
+      res.json({ id, frames, manifest, downloads: files.map((f: string) => downloadUrl(path.join(outputDir, f))) });
+    } catch (err) {
+      next(err);
+    } finally {
+      removeStaging(stagingDir);
+    }
+  };
+}
+
+/**
+ * Writes selected frames of an animated GIF/WebP as stills. "options":
+ * { frames: "all" | [indexes] | "0,5,10-20", format: png|jpg|webp, quality, resize }.
+ */
+router.post('/frames', singleImage('frames', extractFrames));
+
+/**
+ * Lays the frames of an animated GIF/WebP out on one sprite sheet with a
+ * JSON frame map. "options": { frames, columns, format, quality, resize }.
+ */
+router.post('/sprite', singleImage('sprite', createSpriteSheet));
+
+export default router;
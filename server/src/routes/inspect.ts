@@ -0,0 +1,29 @@
+import { Router, Request, Response, NextFunction } from 'express';
+import path from 'path';
+import crypto from 'crypto';
+import { UPLOAD_DIR } from '../paths';
+import { collectInputs, removeStaging } from '../conversion';
+
+const { inspectFile } = require('../../services/fileInspector');
+
+const router = Router();
+
+// Reports the sniffed type and metadata of one or more uploaded files
+router.post('/', async (req: Request, res: Response, next: NextFunction) => {
+  const stagingDir = path.join(UPLOAD_DIR, `.inspect-${crypto.randomUUID()}`);
+  try {
+    const inputs = await collectInputs(req, stagingDir);
+    if (!inputs.length) {
+      return res.status(400).json({ error: 'No input provided. Send "file" or "fileId"/"fileIds".' });
+    }
+    const files = [];
+    for (const input of inputs) files.push(await inspectFile(input));
+    res.json(inputs.length === 1 ? files[0] : { files });
+  } catch (err) {
+    next(err);
+  } finally {
+    removeStaging(stagingDir);
+  }
+});
+
+export default router;
@@ -0,0 +1,89 @@
+import { Router, Request, Response, NextFunction } from 'express';
+import { prepareConversion, downloadUrls } from '../conversion';
+import { jobQueue, submitConversion } from '../jobs';
+import { canAccess } from '../usage';
+
+function present(job: any) {
+  if (!job) return job;
+  return job.status === 'done' ? { ...job, downloads: downloadUrls(job.result) } : job;
+}
+
+// Jobs of other API keys are reported as not found
+function ownJob(req: Request, id: string) {
+  const job = jobQueue.get(id);
+  return job && canAccess(req, job.meta?.owner) ? job : null;
+}
+
+const router = Router();
+
+// Submit a conversion; mirrors POST /api/convert/:type but returns immediately
+router.post('/:type', async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const conv = await prepareConversion(req, req.params.type);
+    if (!conv) return next();
+
+    const job = await submitConversion(conv);
+
+    res.status(202).location(`/api/jobs/${job.id}`).json(job);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get('/:id', (req: Request, res: Response) => {
+  const job = ownJob(req, req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job not found.' });
+  res.json(present(job));
+});
+
+// Server-Sent Events: "status" on every state change, "progress" while running.
+// The stream closes once the job reaches a terminal state.
+router.get('/:id/events', (req: Request, res: Response) => {
+  const id = req.params.id;
+  const job = ownJob(req, id);
+  if (!job) return res.status(404).json({ error: 'Job not found.' });
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+
+  const send = (event: string, data: any) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  let closed = false;
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    jobQueue.off('status', onStatus);
+    jobQueue.off('progress', onProgress);
+    res.end();
+  };
+  const onProgress = (j: any) => {
+    if (j.id === id) send('progress', { id, progress: j.progress });
+  };
+  const onStatus = (j: any) => {
+    if (j.id !== id) return;
+    send('status', present(j));
+    if (jobQueue.isTerminal(j.status)) close();
+  };
+
+  jobQueue.on('status', onStatus);
+  jobQueue.on('progress', onProgress);
+  req.on('close', close);
+
+  send('status', present(job));
+  if (jobQueue.isTerminal(job.status)) close();
+});
+
+router.delete('/:id', (req: Request, res: Response) => {
+  const job = ownJob(req, req.params.id) && jobQueue.cancel(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job not found.' });
+  res.json(job);
+});
+
+export default router;
@@ -0,0 +1,49 @@
+import { Router, Request, Response, NextFunction } from 'express';
+import { apiKeys, requireAdmin } from '../auth';
+
+const router = Router();
+
+// Key management is for the ADMIN_TOKEN holder only
+router.use(requireAdmin);
+
+router.get('/', async (_req: Request, res: Response, next: NextFunction) => {
+  try {
+    res.json({ keys: await apiKeys.list() });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get('/:id', async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    res.json(await apiKeys.get(req.params.id));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * Issues a key: { name, limits: { requestsPerMinute, concurrentJobs, quotas:
+ * { <type>|"*": { bytes, cpuSeconds } } }, allowedOrigins }. The answer holds
+ * the key itself under "key"; only its hash is kept, so it cannot be shown again.
+ */
+router.post('/', async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const { name, limits, allowedOrigins } = req.body || {};
+    const key = await apiKeys.issue({ name, limits, allowedOrigins });
+    res.status(201).location(`/api/keys/${key.id}`).set('Cache-Control', 'no-store').json(key);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Revoked keys stop working at once but stay listed for the usage report
+router.delete('/:id', async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    res.json(await apiKeys.revoke(req.params.id));
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
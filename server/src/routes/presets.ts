@@ -0,0 +1,58 @@
+import { Router, Request, Response, NextFunction } from 'express';
+import { parseOptions } from '../conversion';
+import { presetStore } from '../presets';
+import { requireAdminForShared } from '../auth';
+
+const router = Router();
+
+// Optional ?type=image|audio|... filter
+router.get('/', async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const type = typeof req.query.type === 'string' ? req.query.type : undefined;
+    res.json({ presets: await presetStore.list({ type }) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Accepts "name" or "name@version"
+router.get('/:ref', async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    res.json(await presetStore.get(req.params.ref));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Presets are one namespace for all keys (and the CLI), so only the admin edits them
+router.post('/', requireAdminForShared, async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const { name, type, format, description } = req.body || {};
+    const preset = await presetStore.create({ name, type, format, description, options: parseOptions(req.body?.options) });
+    res.status(201).location(`/api/presets/${encodeURIComponent(preset.name)}`).json(preset);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Saves a new version; fields left out keep their current value
+router.put('/:name', requireAdminForShared, async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const { format, description } = req.body || {};
+    const options = req.body?.options !== undefined ? parseOptions(req.body.options) : undefined;
+    res.json(await presetStore.update(req.params.name, { format, description, options }));
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.delete('/:name', requireAdminForShared, async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    await presetStore.remove(req.params.name);
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -0,0 +1,136 @@
+import { Router, Request, Response, NextFunction } from 'express';
+import { resumableUploads, resolveUploadConversion } from '../resumable';
+import { uploadStore, MAX_FILE_BYTES } from '../uploads';
+import { jobQueue } from '../jobs';
+import { callerOf, ownerScope } from '../usage';
+
+const { CHECKSUM_ALGORITHMS } = require('../../services/resumableUploadStore');
+const { ValidationError, UnsupportedMediaTypeError } = require('../../services/errors');
+
+// tus 1.0.0 core plus the creation, checksum, termination and expiration extensions
+const TUS_VERSION = '1.0.0';
+const TUS_EXTENSIONS = 'creation,checksum,termination,expiration';
+
+// "Upload-Metadata": comma-separated "key base64(value)" pairs
+function parseTusMetadata(header: string | undefined): Record<string, string> {
+  const out: Record<string, string> = {};
+  for (const pair of String(header || '').split(',')) {
+    const [key, value] = pair.trim().split(/\s+/);
+    if (key) out[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+  }
+  return out;
+}
+
+function setUploadHeaders(res: Response, upload: { offset: number; size: number; expiresAt: string | null }) {
+  res.set({ 'Upload-Offset': String(upload.offset), 'Upload-Length': String(upload.size), 'Cache-Control': 'no-store' });
+  if (upload.expiresAt) res.set('Upload-Expires', new Date(upload.expiresAt).toUTCString());
+}
+
+const router = Router();
+
+router.use((req: Request, res: Response, next: NextFunction) => {
+  res.set('Tus-Resumable', TUS_VERSION);
+  const version = req.get('Tus-Resumable');
+  if (version && version !== TUS_VERSION) {
+    return res.status(412).set('Tus-Version', TUS_VERSION).json({ error: `Unsupported tus version ${version}.` });
+  }
+  next();
+});
+
+// What a tus OPTIONS request would report (CORS answers OPTIONS itself)
+router.get('/', (_req: Request, res: Response) => {
+  res.set({
+    'Tus-Version': TUS_VERSION,
+    'Tus-Extension': TUS_EXTENSIONS,
+    'Tus-Max-Size': String(MAX_FILE_BYTES),
+    'Tus-Checksum-Algorithm': CHECKSUM_ALGORITHMS.join(',')
+  });
+  res.json({ version: TUS_VERSION, extensions: TUS_EXTENSIONS.split(','), maxSize: MAX_FILE_BYTES, checksumAlgorithms: CHECKSUM_ALGORITHMS });
+});
+
+/**
+ * Creates an upload from tus headers (Upload-Length, Upload-Metadata with
+ * "filename", "checksum" and "convert" as JSON) or a JSON body
+ * { name, size, checksum, convert }.
+ */
+router.post('/', async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    if (req.get('Upload-Defer-Length')) throw new ValidationError('Upload-Defer-Length is not supported; send Upload-Length.');
+    const meta = parseTusMetadata(req.get('Upload-Metadata'));
+    const body = req.body || {};
+    const length = req.get('Upload-Length');
+    let convert = body.convert;
+    if (meta.convert) {
+      try {
+        convert = JSON.parse(meta.convert);
+      } catch {
+        throw new ValidationError('Invalid "convert" metadata: expected JSON.');
+      }
+    }
+    const upload = await resumableUploads.create({
+      size: Number(length ?? body.size),
+      name: meta.filename ?? meta.name ?? body.name,
+      checksum: meta.checksum ?? body.checksum,
+      convert: await resolveUploadConversion(convert, ownerScope(req)),
+      owner: callerOf(req).id
+    });
+    setUploadHeaders(res, upload);
+    res.status(201).location(`${req.baseUrl}/${upload.id}`).json(upload);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.head('/:id', async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    setUploadHeaders(res, await resumableUploads.status(req.params.id, { owner: ownerScope(req) }));
+    res.status(200).end();
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get('/:id', async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const upload = await resumableUploads.status(req.params.id, { owner: ownerScope(req) });
+    setUploadHeaders(res, upload);
+    res.json(upload);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Appends a chunk. The last one answers 200 with the stored file and the job
+// it started, or the reason the job could not start in "jobError".
+router.patch('/:id', async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    if (!req.is('application/offset+octet-stream')) {
+      throw new UnsupportedMediaTypeError('Chunks must be sent as application/offset+octet-stream.');
+    }
+    const offset = Number(req.get('Upload-Offset'));
+    if (req.get('Upload-Offset') == null || !Number.isSafeInteger(offset) || offset < 0) {
+      throw new ValidationError('Missing or invalid Upload-Offset header.');
+    }
+    const { upload, complete } = await resumableUploads.append(req.params.id, offset, req, { checksum: req.get('Upload-Checksum'), owner: ownerScope(req) });
+    setUploadHeaders(res, upload);
+    if (!complete) return res.status(204).end();
+    res.json({
+      ...upload,
+      file: await uploadStore.get(upload.fileId, { owner: ownerScope(req) }),
+      job: upload.jobId ? jobQueue.get(upload.jobId) : null
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.delete('/:id', async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    await resumableUploads.remove(req.params.id, { owner: ownerScope(req) });
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -0,0 +1,36 @@
+import { Router, Request, Response, NextFunction } from 'express';
+import { apiKeys, ApiKey } from '../auth';
+import { usageMeter } from '../usage';
+
+const router = Router();
+
+/**
+ * Conversions, failures, input/output bytes and CPU-seconds per key and
+ * converter type for ?month=YYYY-MM (the current month by default). A key
+ * sees its own usage; the admin (or anyone while AUTH_REQUIRED is off) sees
+ * every key, or one with ?key=<id>.
+ */
+router.get('/', async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const month = typeof req.query.month === 'string' ? req.query.month : undefined;
+    const keys: ApiKey[] = await apiKeys.list();
+    let keyIds: string[];
+    if (req.apiKey) keyIds = [req.apiKey.id];
+    else if (typeof req.query.key === 'string') keyIds = [req.query.key];
+    else keyIds = [...new Set([...keys.map(k => k.id), ...(await usageMeter.keyIds(month))])];
+
+    const byId = new Map(keys.map(k => [k.id, k]));
+    const report = await usageMeter.report({ month, keyIds });
+    res.json({
+      month: report.month,
+      keys: report.keys.map((entry: { keyId: string }) => {
+        const key = byId.get(entry.keyId);
+        return key ? { ...entry, name: key.name, revokedAt: key.revokedAt, limits: key.limits } : entry;
+      })
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -0,0 +1,51 @@
+import { Router, Request, Response, NextFunction } from 'express';
+import { webhooks } from '../webhooks';
+import { ownerScope, canAccess } from '../usage';
+
+const { NotFoundError } = require('../../services/errors');
+
+const router = Router();
+
+// Receivers' response bodies are only shown to the admin: whatever a
+// callback URL answers must not become readable through this API
+function forCaller(req: Request, delivery: any) {
+  if (req.isAdmin) return delivery;
+  return { ...delivery, attempts: delivery.attempts.map(({ response, ...attempt }: any) => attempt) };
+}
+
+// Delivery log of the caller's conversions, newest first; filter by ?status=, ?event=, ?conversionId=, ?jobId=
+router.get('/deliveries', async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const { status, event, conversionId, jobId } = req.query;
+    const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 1000);
+    const deliveries = await webhooks.list({ status, event, conversionId, jobId, owner: ownerScope(req) }, { limit });
+    res.json({ enabled: webhooks.enabled, deliveries: deliveries.map((d: any) => forCaller(req, d)) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get('/deliveries/:id', async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const delivery = await webhooks.get(req.params.id);
+    if (!canAccess(req, delivery.meta?.owner)) throw new NotFoundError(`Unknown webhook delivery "${req.params.id}".`);
+    res.json(forCaller(req, delivery));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Sends the same payload again as a new delivery (with fresh retries), for
+// the key that owns the delivery or the admin. The URL is checked again.
+router.post('/deliveries/:id/replay', async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const original = await webhooks.get(req.params.id);
+    if (!canAccess(req, original.meta?.owner)) throw new NotFoundError(`Unknown webhook delivery "${req.params.id}".`);
+    const delivery = await webhooks.replay(req.params.id);
+    res.status(202).location(`/api/webhooks/deliveries/${delivery.id}`).json(forCaller(req, delivery));
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
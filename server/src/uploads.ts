@@ -0,0 +1,54 @@
+import { Request } from 'express';
+import { UploadedFile } from 'express-fileupload';
+import fs from 'fs';
+import { UPLOAD_DIR, CONVERTED_DIR } from './paths';
+
+const { UploadStore } = require('../services/uploadStore');
+const { QuotaExceededError } = require('../services/errors');
+
+export function envNumber(name: string, fallback: number): number {
+  const value = Number(process.env[name]);
+  return process.env[name] && Number.isFinite(value) ? value : fallback;
+}
+
+const GB = 1024 * 1024 * 1024;
+
+// Per-file limit enforced by express-fileupload while the body is streamed.
+export const MAX_FILE_BYTES = envNumber('UPLOAD_MAX_FILE_BYTES', GB);
+
+// Uploads and conversion outputs are deleted FILE_TTL_MS after they were
+// written (0 keeps them). UPLOAD_ALLOWED_TYPES is a comma-separated list of
+// kinds, MIME types or extensions, e.g. "image,audio/*,pdf".
+export const uploadStore = new UploadStore({
+  dir: UPLOAD_DIR,
+  ttlMs: envNumber('FILE_TTL_MS', 24 * 60 * 60 * 1000),
+  maxRequestBytes: envNumber('UPLOAD_MAX_REQUEST_BYTES', 2 * GB),
+  maxRequestFiles: envNumber('UPLOAD_MAX_FILES', 20),
+  maxTotalBytes: envNumber('UPLOAD_MAX_TOTAL_BYTES', 20 * GB),
+  allowedTypes: (process.env.UPLOAD_ALLOWED_TYPES || '').split(',').map(s => s.trim()).filter(Boolean),
+  sweepDirs: [CONVERTED_DIR]
+});
+
+export const SWEEP_INTERVAL_MS = envNumber('FILE_SWEEP_INTERVAL_MS', 10 * 60 * 1000);
+
+/**
+ * Files sent under the "file" field. express-fileupload cuts files off at
+ * MAX_FILE_BYTES and flags them as truncated; those are rejected here.
+ */
+export function incomingFiles(req: Request): UploadedFile[] {
+  const raw = req.files?.file;
+  const files = raw == null ? [] : Array.isArray(raw) ? raw : [raw];
+  const truncated = files.find(f => f.truncated);
+  if (truncated) {
+    discardUploads(files);
+    throw new QuotaExceededError(`"${truncated.name}" is larger than the ${Math.floor(MAX_FILE_BYTES / (1024 * 1024))} MB per-file limit.`);
+  }
+  return files;
+}
+
+// Removes the temp files of uploads that were not moved anywhere.
+export function discardUploads(files: UploadedFile[]): void {
+  for (const f of files) {
+    if (f.tempFilePath) fs.promises.rm(f.tempFilePath, { force: true }).catch(() => {});
+  }
+}
@@ -0,0 +1,143 @@
+import path from 'path';
+import fs from 'fs';
+import { Request } from 'express';
+import { DATA_DIR } from './paths';
+import { ApiKey, ApiKeyLimits, apiKeys, keyLimiter, DEFAULT_CONCURRENT_JOBS } from './auth';
+
+const { UsageMeter } = require('../services/usageMeter');
+const { UnauthorizedError } = require('../services/errors');
+
+export const usageMeter = new UsageMeter({
+  filePath: process.env.USAGE_FILE || path.join(DATA_DIR, 'usage.json')
+});
+
+// Whoever a conversion is billed to. Admin and keyless (AUTH_REQUIRED off)
+// callers are metered too, under fixed IDs, but have no limits.
+export interface Caller {
+  id: string;
+  limits: ApiKeyLimits | null;
+}
+
+export const ADMIN_CALLER = 'admin';
+export const ANONYMOUS_CALLER = 'anonymous';
+
+export function callerOf(req: Request): Caller {
+  if (req.apiKey) return { id: req.apiKey.id, limits: req.apiKey.limits };
+  return { id: req.isAdmin ? ADMIN_CALLER : ANONYMOUS_CALLER, limits: null };
+}
+
+/**
+ * The owner a request's lookups of jobs, uploads, outputs and webhook
+ * deliveries are limited to: its caller ID, or undefined for the admin, who
+ * sees everything. What a request creates is recorded under callerOf(req).id.
+ */
+export function ownerScope(req: Request): string | undefined {
+  return req.isAdmin ? undefined : callerOf(req).id;
+}
+
+export function canAccess(req: Request, owner: string | null | undefined): boolean {
+  const scope = ownerScope(req);
+  return scope === undefined || owner === scope;
+}
+
+// Conversion output folders (<CONVERTED_DIR>/<id>) carry their owner in a "<id>.owner" file next to them
+function ownerFile(outputDir: string): string {
+  return `${outputDir}.owner`;
+}
+
+export async function outputOwner(outputDir: string): Promise<string | null> {
+  return fs.promises.readFile(ownerFile(outputDir), 'utf8').catch(() => null);
+}
+
+// For conversions started later on behalf of a request, e.g. by a finished resumable upload
+export async function callerById(id: string): Promise<Caller> {
+  if (id === ADMIN_CALLER || id === ANONYMOUS_CALLER) return { id, limits: null };
+  const key: ApiKey = await apiKeys.get(id).catch(() => null);
+  if (!key || key.revokedAt) throw new UnauthorizedError('The API key that started this conversion was revoked.');
+  return { id: key.id, limits: key.limits };
+}
+
+/**
+ * Takes one of the caller's concurrent job slots (429 when none is free).
+ * The returned function frees it; queued jobs hold theirs until they end.
+ */
+export function claimJobSlot(caller: Caller | null): () => void {
+  if (!caller?.limits) return () => {};
+  return keyLimiter.acquire(caller.id, caller.limits.concurrentJobs ?? DEFAULT_CONCURRENT_JOBS);
+}
+
+async function totalSize(target: string): Promise<number> {
+  const st = await fs.promises.stat(target).catch(() => null);
+  if (!st) return 0;
+  if (!st.isDirectory()) return st.size;
+  const entries = await fs.promises.readdir(target);
+  let sum = 0;
+  for (const entry of entries) sum += await totalSize(path.join(target, entry));
+  return sum;
+}
+
+async function inputSize(inputs: string[]): Promise<number> {
+  let sum = 0;
+  for (const input of inputs) sum += await totalSize(input);
+  return sum;
+}
+
+// Bytes a caller was promised but has not been billed for yet, e.g. resumable uploads in progress
+const reservations: Array<(callerId: string) => Promise<number>> = [];
+
+/** Registers `source`, whose bytes for a caller count against that caller's byte quotas. */
+export function addQuotaReservation(source: (callerId: string) => Promise<number>): void {
+  reservations.push(source);
+}
+
+/**
+ * Throws 429 when `inputs`, on top of the caller's reservations, would take
+ * them over a monthly quota for `type`.
+ */
+export async function checkQuota(caller: Caller | null, type: string, inputs: string[], incomingBytes?: number): Promise<void> {
+  if (!caller?.limits) return;
+  incomingBytes = incomingBytes ?? await inputSize(inputs);
+  for (const source of reservations) incomingBytes += await source(caller.id);
+  await usageMeter.checkQuota(caller.id, type, caller.limits.quotas, { incomingBytes });
+}
+
+/**
+ * Runs a conversion after checking the caller's quotas and adds it to their
+ * usage: input bytes, the bytes written to `outputDir`, and CPU-seconds.
+ * CPU-seconds are the wall-clock seconds the conversion ran; ffmpeg and
+ * LibreOffice work in child processes whose CPU time Node cannot attribute
+ * to a single job. Batch reports count each item as a conversion. The
+ * output folder is recorded as the caller's (see outputOwner).
+ */
+export async function metered<T>(
+  caller: Caller | null,
+  type: string,
+  { inputs, outputDir }: { inputs: string[]; outputDir: string },
+  run: () => Promise<T>
+): Promise<T> {
+  const who = caller || { id: ANONYMOUS_CALLER, limits: null };
+  const inputBytes = await inputSize(inputs);
+  await checkQuota(who, type, inputs, inputBytes);
+
+  await fs.promises.mkdir(path.dirname(outputDir), { recursive: true });
+  await fs.promises.writeFile(ownerFile(outputDir), who.id);
+
+  const started = process.hrtime.bigint();
+  let result: any;
+  let ok = false;
+  try {
+    result = await run();
+    ok = true;
+    return result;
+  } finally {
+    const cpuSeconds = Number(process.hrtime.bigint() - started) / 1e9;
+    const items = ok && Array.isArray(result?.items) ? result.items : null;
+    usageMeter.record(who.id, type, {
+      conversions: items ? items.length : 1,
+      failures: items ? items.filter((i: any) => !i.ok).length : ok ? 0 : 1,
+      inputBytes,
+      outputBytes: await totalSize(outputDir),
+      cpuSeconds
+    }).catch((err: Error) => console.warn('[usage] Could not record usage:', err.message));
+  }
+}
@@ -0,0 +1,88 @@
+import path from 'path';
+import fs from 'fs';
+import { DATA_DIR } from './paths';
+import { envNumber } from './uploads';
+import { ConversionRequest, downloadUrl } from './conversion';
+import { ANONYMOUS_CALLER } from './usage';
+
+const { WebhookDispatcher } = require('../services/webhookDispatcher');
+
+// Callbacks are signed with WEBHOOK_SECRET; without it "callbackUrl" is refused.
+// WEBHOOK_ALLOWED_HOSTS (comma-separated) limits where callbacks may go; without
+// it any host goes except private, loopback and link-local addresses.
+export const webhooks = new WebhookDispatcher({
+  dir: process.env.WEBHOOK_LOG_DIR || path.join(DATA_DIR, 'webhooks'),
+  secret: process.env.WEBHOOK_SECRET,
+  maxAttempts: envNumber('WEBHOOK_MAX_ATTEMPTS', 8),
+  baseDelayMs: envNumber('WEBHOOK_RETRY_BASE_MS', 5000),
+  timeoutMs: envNumber('WEBHOOK_TIMEOUT_MS', 10000),
+  retainMs: envNumber('WEBHOOK_RETAIN_MS', 7 * 24 * 60 * 60 * 1000),
+  allowedHosts: (process.env.WEBHOOK_ALLOWED_HOSTS || '').split(',').map(s => s.trim()).filter(Boolean)
+});
+
+export interface OutputDescriptor {
+  outputPath: string;
+  format: string;
+  sizeBytes: number | null;
+  width?: number;
+  height?: number;
+  duration?: number;
+  downloadUrl: string | null;
+}
+
+async function describeFile(file: string, known: Record<string, any> = {}): Promise<OutputDescriptor> {
+  const st = await fs.promises.stat(file).catch(() => null);
+  const out: OutputDescriptor = {
+    outputPath: file,
+    format: known.format || path.extname(file).slice(1).toLowerCase(),
+    sizeBytes: known.sizeBytes ?? (st ? st.size : null),
+    downloadUrl: downloadUrl(file)
+  };
+  for (const key of ['width', 'height', 'duration'] as const) {
+    if (typeof known[key] === 'number') out[key] = known[key];
+  }
+  return out;
+}
+
+// One descriptor per output file, whatever shape the converter returned
+export async function describeOutputs(result: any): Promise<OutputDescriptor[]> {
+  if (!result) return [];
+  if (typeof result === 'string') return [await describeFile(result)];
+  if (Array.isArray(result)) return (await Promise.all(result.map(describeOutputs))).flat();
+  if (Array.isArray(result.items)) return describeOutputs(result.items.filter((i: any) => i.ok).map((i: any) => i.result));
+  if (typeof result.outputPath === 'string') return [await describeFile(result.outputPath, result)];
+  if (typeof result.outputDir === 'string' && Array.isArray(result.files)) {
+    return Promise.all(result.files.map((f: string) => describeFile(path.join(result.outputDir, f))));
+  }
+  return [];
+}
+
+/**
+ * Posts the outcome of a conversion to its callbackUrl, if it has one:
+ * "conversion.succeeded" with the outputs, or "conversion.failed" /
+ * "conversion.cancelled" with the error. Never throws.
+ */
+export async function notifyConversion(
+  conv: ConversionRequest,
+  { result, error, jobId = null, cancelled = false }: { result?: any; error?: any; jobId?: string | null; cancelled?: boolean }
+): Promise<void> {
+  if (!conv.callbackUrl) return;
+  try {
+    const failed = error != null || cancelled;
+    const event = cancelled ? 'conversion.cancelled' : failed ? 'conversion.failed' : 'conversion.succeeded';
+    const payload = {
+      event,
+      conversionId: conv.id,
+      jobId,
+      type: conv.type,
+      format: conv.format,
+      status: cancelled ? 'cancelled' : failed ? 'failed' : 'succeeded',
+      outputs: failed ? [] : await describeOutputs(result),
+      error: failed ? String(error?.message ?? error ?? 'Conversion cancelled') : null,
+      finishedAt: new Date().toISOString()
+    };
+    await webhooks.send(conv.callbackUrl, event, payload, { conversionId: conv.id, jobId, owner: conv.caller?.id ?? ANONYMOUS_CALLER });
+  } catch (err: any) {
+    console.error(`[webhooks] Could not queue the callback for ${conv.id}:`, err?.message || err);
+  }
+}
@@ -0,0 +1,122 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { startServer } = require('./helpers');
+
+let api;
+let endpoint;
+// Chat completion requests the endpoint received
+const received = [];
+
+// A local OpenAI-compatible endpoint: answers with the step number, or fails
+// with a 400 for texts that contain "REFUSE"
+function startEndpoint() {
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const body = JSON.parse(raw);
+      received.push(body);
+      res.setHeader('Content-Type', 'application/json');
+      if (body.messages[1].content.includes('REFUSE')) {
+        res.statusCode = 400;
+        return res.end(JSON.stringify({ error: { message: 'content refused', type: 'invalid_request_error' } }));
+      }
+      res.end(JSON.stringify({
+        id: `cmpl-${received.length}`,
+        object: 'chat.completion',
+        created: 0,
+        model: body.model,
+        choices: [{ index: 0, message: { role: 'assistant', content: `answer ${received.length}` }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 10, completion_tokens: 2, total_tokens: 12 }
+      }));
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+before(async () => {
+  endpoint = await startEndpoint();
+  // Chunks of about 10 tokens (40 characters)
+  api = await startServer({
+    AUTH_REQUIRED: 'false',
+    AI_BASE_URL: `http://127.0.0.1:${endpoint.address().port}/v1`,
+    AI_MODEL: 'local-model',
+    AI_CHUNK_TOKENS: '10'
+  });
+});
+
+after(async () => {
+  await api.close();
+  await new Promise(resolve => endpoint.close(resolve));
+});
+
+function paragraphs(...texts) {
+  return Buffer.from(texts.join('\n\n'));
+}
+
+function runTask(name, data, format, ai) {
+  return api.request('POST', '/api/convert/document', { body: { format, options: { ai } }, files: [{ name, data }] });
+}
+
+test('long documents are summarised chunk by chunk, then combined', async () => {
+  received.length = 0;
+  const res = await runTask('report.txt', paragraphs('The first part covers sales figures.', 'The second part covers the hiring plan.', 'The third part lists open risks.'), 'txt', { task: 'summary' });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  assert.equal(res.body.result.chunks, 3);
+  assert.equal(res.body.result.model, 'local-model');
+  assert.deepEqual(res.body.result.usage, { promptTokens: 40, completionTokens: 8 });
+  assert.equal(received.length, 4);
+  assert.match(received[0].messages[1].content, /Summarise part 1 of 3/);
+  assert.match(received[3].messages[1].content, /Combine these summaries/);
+  const output = await api.request('GET', res.body.downloads[0]);
+  assert.equal(output.body.trim(), 'answer 4');
+});
+
+test('translations go to the requested model and name the target language', async () => {
+  received.length = 0;
+  const res = await runTask('letter.txt', paragraphs('Dear customer, thank you.', 'Kind regards.'), 'html', { task: 'translate', targetLanguage: 'de', model: 'translator' });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  assert.equal(received.length, 1);
+  assert.equal(received[0].model, 'translator');
+  assert.equal(received[0].temperature, 0);
+  assert.match(received[0].messages[0].content, /into de\./);
+  const output = await api.request('GET', res.body.downloads[0]);
+  assert.match(output.body, /<html lang="de"/);
+});
+
+test('documents over the token cap are refused unless truncated', async () => {
+  const data = paragraphs('This document is a little too long for the cap.', 'It goes on for a second paragraph.');
+  const refused = await runTask('long.txt', data, 'txt', { task: 'outline', maxInputTokens: 5 });
+  assert.equal(refused.status, 413);
+  assert.match(refused.body.error, /the limit is 5\. Pass ai\.truncate/);
+  const truncated = await runTask('long.txt', data, 'txt', { task: 'outline', maxInputTokens: 5, truncate: true });
+  assert.equal(truncated.status, 200, JSON.stringify(truncated.body));
+  assert.equal(truncated.body.result.truncated, true);
+  assert.equal(truncated.body.result.chunks, 1);
+});
+
+test('task options and output formats are checked before any request', async () => {
+  received.length = 0;
+  const cases = [
+    ['txt', { task: 'poem' }, /Invalid ai\.task "poem"/],
+    ['txt', { task: 'translate' }, /requires "targetLanguage"/],
+    ['txt', { task: 'summary', maxInputTokens: -1 }, /Invalid ai\.maxInputTokens -1/],
+    ['pdf', { task: 'summary' }, /AI text tasks produce txt, html, docx, not pdf/]
+  ];
+  for (const [format, ai, message] of cases) {
+    const res = await runTask('notes.txt', paragraphs('Some notes.'), format, ai);
+    assert.equal(res.status, 400, JSON.stringify(ai));
+    assert.match(res.body.error, message);
+  }
+  assert.equal(received.length, 0);
+});
+
+test('endpoint errors and empty documents are reported', async () => {
+  const failed = await runTask('refused.txt', paragraphs('REFUSE this one.'), 'txt', { task: 'summary' });
+  assert.equal(failed.status, 502);
+  assert.match(failed.body.error, /AI request failed: 400/);
+  const empty = await runTask('empty.txt', Buffer.from(' \n\n '), 'txt', { task: 'summary' });
+  assert.equal(empty.status, 400);
+  assert.match(empty.body.error, /contains no extractable text/);
+});
@@ -0,0 +1,90 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { startServer, toneWav, HAS_FFMPEG } = require('./helpers');
+
+const needsFfmpeg = { skip: !HAS_FFMPEG && 'ffmpeg is not installed' };
+let api;
+
+before(async () => {
+  api = await startServer({ AUTH_REQUIRED: 'false' });
+});
+
+after(() => api.close());
+
+function analyze(options, files = [{ name: 'tone.wav', data: toneWav() }]) {
+  return api.request('POST', '/api/analyze/audio', { body: { options }, files });
+}
+
+async function download(url) {
+  return Buffer.from(await (await fetch(api.base + url)).arrayBuffer());
+}
+
+test('image sizes, colours, scales and peak counts are checked before decoding', async () => {
+  const cases = [
+    [{ waveform: { width: 8 } }, /Invalid waveform\.width 8: expected an integer from 16 to 8192/],
+    [{ waveform: { color: 'rgb(1,2,3)' } }, /Invalid waveform\.color "rgb\(1,2,3\)"/],
+    [{ spectrogram: { color: 'sepia' } }, /Invalid spectrogram\.color "sepia"/],
+    [{ spectrogram: { scale: 'cubic' } }, /Invalid spectrogram\.scale "cubic"/],
+    [{ peaks: { count: 5 } }, /Invalid peaks\.count 5/],
+    [{ silence: { threshold: 3 } }, /Invalid silence threshold 3/],
+    [{ waveform: 'big' }, /Invalid waveform: expected true or an object/]
+  ];
+  for (const [options, message] of cases) {
+    const res = await analyze(options);
+    assert.equal(res.status, 400, JSON.stringify(options));
+    assert.match(res.body.error, message);
+  }
+});
+
+test('exactly one file is analysed', async () => {
+  const res = await analyze({}, [{ name: 'a.wav', data: toneWav() }, { name: 'b.wav', data: toneWav() }]);
+  assert.equal(res.status, 400);
+  assert.match(res.body.error, /Send exactly one audio file/);
+});
+
+test('metadata, loudness and silent segments are reported', needsFfmpeg, async () => {
+  const res = await analyze({ silence: { threshold: -50, minDuration: 0.3 } }, [
+    { name: 'gap.wav', data: toneWav({ seconds: 3, silence: [[1, 2]] }) }
+  ]);
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  assert.equal(res.body.metadata.codec, 'pcm_s16le');
+  assert.equal(res.body.metadata.sampleRate, 44100);
+  assert.equal(res.body.metadata.channels, 1);
+  assert.ok(Math.abs(res.body.metadata.duration - 3) < 0.01);
+  assert.ok(res.body.loudness.integratedLufs < -3 && res.body.loudness.integratedLufs > -20, `${res.body.loudness.integratedLufs} LUFS`);
+  assert.equal(res.body.silence.segments.length, 1);
+  const [gap] = res.body.silence.segments;
+  assert.ok(Math.abs(gap.start - 1) < 0.05 && Math.abs(gap.end - 2) < 0.05, JSON.stringify(gap));
+  assert.ok(res.body.probe.streams.length);
+
+  const bare = await api.request('POST', '/api/analyze/audio?probe=0', {
+    body: { options: { loudness: false, silence: false } },
+    files: [{ name: 'tone.wav', data: toneWav() }]
+  });
+  assert.equal(bare.status, 200);
+  assert.equal(bare.body.probe, undefined);
+  assert.equal(bare.body.loudness, null);
+});
+
+test('waveform and spectrogram images and peak data are rendered at the requested size', needsFfmpeg, async () => {
+  const res = await analyze({
+    loudness: false,
+    silence: false,
+    waveform: { width: 320, height: 60, background: 'white' },
+    spectrogram: { width: 256, height: 128 },
+    peaks: { count: 100 }
+  });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  for (const [key, width, height] of [['waveform', 320, 60], ['spectrogram', 256, 128]]) {
+    const meta = await sharp(await download(res.body[key].downloadUrl)).metadata();
+    assert.deepEqual([meta.format, meta.width, meta.height], ['png', width, height], key);
+  }
+  const peaks = JSON.parse(await download(res.body.peaks.downloadUrl));
+  assert.equal(peaks.version, 2);
+  assert.equal(peaks.sample_rate, 44100);
+  assert.ok(peaks.length >= 99 && peaks.length <= 101, `${peaks.length} peaks`);
+  assert.equal(peaks.data.length, peaks.length * 2);
+  // A sine at half amplitude peaks around +-64 in 8-bit
+  assert.ok(Math.max(...peaks.data) > 50 && Math.min(...peaks.data) < -50);
+});
@@ -0,0 +1,99 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const sharp = require('sharp');
+const { startServer, tinyPng, HAS_FFMPEG } = require('./helpers');
+
+const { joinTiffPages } = require(path.join(__dirname, '..', 'services', 'tiffUtils'));
+
+const needsFfmpeg = { skip: !HAS_FFMPEG && 'ffmpeg is not installed' };
+const COLORS = ['#ff0000', '#00ff00', '#0000ff', '#ffffff'];
+let api;
+let gif;
+
+before(async () => {
+  api = await startServer({ AUTH_REQUIRED: 'false' });
+  // sharp cannot assemble frames itself, but keeps the pages of a multi-page TIFF
+  const pages = await Promise.all(COLORS.map(background => sharp({ create: { width: 20, height: 10, channels: 3, background } }).tiff().toBuffer()));
+  gif = await sharp(joinTiffPages(pages), { animated: true }).gif({ loop: 3, delay: [100, 200, 300, 400] }).toBuffer();
+});
+
+after(() => api.close());
+
+function post(url, options, data = gif) {
+  return api.request('POST', url, { body: { options }, files: [{ name: 'blink.gif', data }] });
+}
+
+async function download(url) {
+  return Buffer.from(await (await fetch(api.base + url)).arrayBuffer());
+}
+
+test('an animated GIF stays animated as WebP, with its loop count and frame delays', async () => {
+  const res = await api.request('POST', '/api/convert/image', { body: { format: 'webp' }, files: [{ name: 'blink.gif', data: gif }] });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  const meta = await sharp(await download(res.body.downloads[0]), { animated: true }).metadata();
+  assert.deepEqual([meta.format, meta.pages, meta.loop, meta.delay], ['webp', 4, 3, [100, 200, 300, 400]]);
+  assert.deepEqual([meta.width, meta.pageHeight], [20, 10]);
+
+  const still = await api.request('POST', '/api/convert/image', { body: { format: 'webp', options: { animated: false } }, files: [{ name: 'blink.gif', data: gif }] });
+  assert.equal(still.status, 200);
+  assert.equal((await sharp(await download(still.body.downloads[0])).metadata()).pages, undefined);
+});
+
+test('selected frames are written as stills with their delays', async () => {
+  const res = await post('/api/images/frames', { frames: '0,2-3', format: 'jpg' });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  assert.deepEqual(res.body.frames.map(f => [f.index, f.file, f.delay]), [
+    [0, 'blink-frame-0.jpg', 100], [2, 'blink-frame-2.jpg', 300], [3, 'blink-frame-3.jpg', 400]
+  ]);
+  const { data } = await sharp(await download(res.body.downloads[1])).raw().toBuffer({ resolveWithObject: true });
+  // Frame 2 is the blue one
+  assert.ok(data[2] > 200 && data[0] < 50, `${data[0]},${data[1]},${data[2]}`);
+
+  const last = await post('/api/images/frames', { frames: [-1] });
+  assert.deepEqual(last.body.frames.map(f => f.index), [3]);
+});
+
+test('a sprite sheet lays the frames out in a grid with a JSON frame map', async () => {
+  const res = await post('/api/images/sprite', { columns: 3 });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  const { manifest } = res.body;
+  assert.deepEqual([manifest.width, manifest.height, manifest.columns, manifest.rows], [60, 20, 3, 2]);
+  assert.deepEqual([manifest.loop, manifest.durationMs], [3, 1000]);
+  assert.deepEqual(manifest.frames.map(f => [f.index, f.x, f.y]), [[0, 0, 0], [1, 20, 0], [2, 40, 0], [3, 0, 10]]);
+
+  const sheet = await download(res.body.downloads[0]);
+  assert.deepEqual(await sharp(sheet).metadata().then(m => [m.format, m.width, m.height]), ['png', 60, 20]);
+  assert.deepEqual(JSON.parse(await download(res.body.downloads[1])), manifest);
+});
+
+test('frame selections, formats and sheet sizes are checked', async () => {
+  const cases = [
+    ['/api/images/frames', { frames: '4' }, /Invalid frame 4: the animation has 4 frames \(0-3\)/],
+    ['/api/images/frames', { frames: '3-1' }, /Invalid frame range "3-1"/],
+    ['/api/images/frames', { frames: ',' }, /Invalid frames: expected "all"/],
+    ['/api/images/frames', { format: 'gif' }, /Unsupported frame format "gif"/],
+    ['/api/images/sprite', { columns: 0 }, /Invalid columns 0/],
+    ['/api/images/sprite', { columns: 4, resize: { width: 4100, height: 10 } }, /The sprite sheet would be 16400x10/]
+  ];
+  for (const [url, options, message] of cases) {
+    const res = await post(url, options);
+    assert.equal(res.status, 400, JSON.stringify(options));
+    assert.match(res.body.error, message);
+  }
+  const text = await post('/api/images/frames', {}, Buffer.from('not an image'));
+  assert.equal(text.status, 400);
+  assert.match(text.body.error, /as an image/);
+});
+
+test('an animated GIF becomes an MP4 of the same length; stills do not', needsFfmpeg, async () => {
+  const res = await api.request('POST', '/api/convert/image', { body: { format: 'mp4' }, files: [{ name: 'blink.gif', data: gif }] });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  assert.deepEqual([res.body.result.frames, res.body.result.duration], [4, 1]);
+  assert.deepEqual([res.body.result.width, res.body.result.height], [20, 10]);
+  assert.match(res.body.downloads[0], /blink\.mp4$/);
+
+  const still = await api.request('POST', '/api/convert/image', { body: { format: 'mp4' }, files: [{ name: 'still.png', data: await tinyPng() }] });
+  assert.equal(still.status, 400);
+  assert.match(still.body.error, /Converting to mp4 needs an animated GIF or WebP input/);
+});
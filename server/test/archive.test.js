@@ -0,0 +1,64 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { startServer } = require('./helpers');
+const { createZip } = require('../services/zipUtils');
+
+let api;
+
+before(async () => {
+  api = await startServer({ AUTH_REQUIRED: 'false', ARCHIVE_MAX_ENTRIES: '3', ARCHIVE_MAX_BYTES: '100000' });
+});
+
+after(() => api.close());
+
+// A ustar archive holding one file
+function tarOf(name, data) {
+  const header = Buffer.alloc(512);
+  header.write(name, 0);
+  header.write('0000644\0', 100);
+  header.write('0000000\0', 108);
+  header.write('0000000\0', 116);
+  header.write(`${data.length.toString(8).padStart(11, '0')}\0`, 124);
+  header.write('00000000000\0', 136);
+  header.write('        ', 148);
+  header.write('0', 156);
+  header.write('ustar\0', 257);
+  header.write('00', 263);
+  let sum = 0;
+  for (const byte of header) sum += byte;
+  header.write(`${sum.toString(8).padStart(6, '0')}\0 `, 148);
+  return Buffer.concat([header, data, Buffer.alloc((512 - (data.length % 512)) % 512), Buffer.alloc(1024)]);
+}
+
+function zipOf(count) {
+  return createZip(Array.from({ length: count }, (_, i) => ({ name: `file-${i}.txt`, data: `entry ${i}\n` })));
+}
+
+test('archives within the server limits are repacked', async () => {
+  const res = await api.request('POST', '/api/convert/archive', { body: { format: '7z' }, files: [{ name: 'small.zip', data: zipOf(2) }] });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+});
+
+test('the entry limit comes from the server, not the request options', async () => {
+  const res = await api.request('POST', '/api/convert/archive', {
+    body: { format: '7z', options: { maxEntries: 1000000, maxTotalBytes: 1e12 } },
+    files: [{ name: 'many.zip', data: zipOf(5) }]
+  });
+  assert.equal(res.status, 400);
+  assert.match(res.body.error, /5 entries; the limit is 3/);
+});
+
+test('a gzip layer that expands past the byte limit is cut off while unpacking', async () => {
+  // 8 kB of noise and 1 MB of zeros compress to about 9 kB; the size trailer claims 1 kB
+  const data = Buffer.concat([crypto.randomBytes(8 * 1024), Buffer.alloc(1024 * 1024)]);
+  const bomb = zlib.gzipSync(tarOf('zeros.bin', data));
+  bomb.writeUInt32LE(1024, bomb.length - 4);
+  const res = await api.request('POST', '/api/convert/archive', {
+    body: { format: 'zip', options: { maxTotalBytes: 1e12 } },
+    files: [{ name: 'zeros.tar.gz', data: bomb }]
+  });
+  assert.equal(res.status, 400);
+  assert.match(res.body.error, /more than 100000 bytes/);
+});
@@ -0,0 +1,65 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, toneWav, HAS_FFMPEG } = require('./helpers');
+
+const needsFfmpeg = { skip: !HAS_FFMPEG && 'ffmpeg is not installed' };
+let api;
+
+before(async () => {
+  api = await startServer({ AUTH_REQUIRED: 'false' });
+});
+
+after(() => api.close());
+
+function convert(body, files = [{ name: 'tone.wav', data: toneWav() }]) {
+  return api.request('POST', '/api/convert/audio', { body, files });
+}
+
+test('bitrates and sample rates the encoder does not take are refused', async () => {
+  const cases = [
+    [{ format: 'mp3', options: { bitrate: '100k' } }, /Unsupported bitrate 100k for mp3/],
+    [{ format: 'mp3', options: { bitrate: '320k', sampleRate: 22050 } }, /Unsupported bitrate 320k for mp3 \(22050 Hz\)\. Supported: 8-160k/],
+    [{ format: 'ogg', options: { bitrate: '96k', sampleRate: 22050, channels: 'mono' } }, /Unsupported bitrate 96k for ogg \(22050 Hz, mono\)/],
+    [{ format: 'opus', options: { sampleRate: 44100 } }, /Unsupported sampleRate 44100 for opus/],
+    [{ format: 'flac', options: { bitrate: '192k' } }, /flac is lossless and does not take a bitrate/],
+    [{ format: 'mp3', options: { channels: 'surround' } }, /Unsupported channels surround/]
+  ];
+  for (const [body, message] of cases) {
+    const res = await convert(body);
+    assert.equal(res.status, 400, JSON.stringify(body));
+    assert.match(res.body.error, message);
+  }
+});
+
+test('loudness targets, tags and fades are checked before converting', async () => {
+  const cases = [
+    [{ normalize: { target: -2 } }, /Invalid loudness target -2/],
+    [{ normalize: { truePeak: 3 } }, /Invalid true peak 3/],
+    [{ trimSilence: { threshold: 10 } }, /Invalid silence threshold 10/],
+    [{ tags: { 'bad tag': 'x' } }, /Invalid tag name "bad tag"/],
+    [{ fadeIn: 'soon' }, /Invalid fadeIn soon/]
+  ];
+  for (const [options, message] of cases) {
+    const res = await convert({ format: 'mp3', options });
+    assert.equal(res.status, 400, JSON.stringify(options));
+    assert.match(res.body.error, message);
+  }
+});
+
+test('quiet input is normalized to the loudness target', needsFfmpeg, async () => {
+  const res = await convert({ format: 'mp3', options: { normalize: { target: -16 } } }, [{ name: 'quiet.wav', data: toneWav({ seconds: 3, amplitude: 0.02 }) }]);
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  assert.equal(res.body.result.loudness.targetLufs, -16);
+  assert.ok(res.body.result.loudness.inputLufs < -30, `input ${res.body.result.loudness.inputLufs} LUFS`);
+});
+
+test('several inputs are joined, then trimmed and faded', needsFfmpeg, async () => {
+  const files = [{ name: 'a.wav', data: toneWav({ seconds: 1 }) }, { name: 'b.wav', data: toneWav({ seconds: 1, hz: 660 }) }];
+  const joined = await convert({ format: 'wav' }, files);
+  assert.equal(joined.status, 200, JSON.stringify(joined.body));
+  assert.ok(Math.abs(joined.body.result.duration - 2) < 0.1, `duration ${joined.body.result.duration}`);
+
+  const trimmed = await convert({ format: 'ogg', options: { start: 0.5, end: 1.5, fadeIn: 0.2, fadeOut: 0.2 } }, files);
+  assert.equal(trimmed.status, 200, JSON.stringify(trimmed.body));
+  assert.ok(Math.abs(trimmed.body.result.duration - 1) < 0.1, `duration ${trimmed.body.result.duration}`);
+});
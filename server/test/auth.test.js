@@ -0,0 +1,87 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, tinyPng } = require('./helpers');
+
+const ADMIN = 'test-admin-token';
+let api;
+
+before(async () => {
+  api = await startServer({ ADMIN_TOKEN: ADMIN, WEBHOOK_SECRET: '' });
+});
+
+after(() => api.close());
+
+async function issueKey(limits) {
+  const res = await api.request('POST', '/api/keys', { token: ADMIN, body: { name: 'test', limits } });
+  assert.equal(res.status, 201);
+  return res.body;
+}
+
+test('requests without a key are refused once ADMIN_TOKEN is set', async () => {
+  const res = await api.request('GET', '/api/jobs/anything');
+  assert.equal(res.status, 401);
+  assert.equal(res.headers.get('www-authenticate'), 'Bearer');
+});
+
+test('health and the format list stay public', async () => {
+  assert.equal((await api.request('GET', '/api/health')).status, 200);
+  assert.equal((await api.request('GET', '/api/formats')).status, 200);
+});
+
+test('unknown and malformed keys are refused', async () => {
+  assert.equal((await api.request('GET', '/api/usage', { token: 'mk_000000000000_' + 'x'.repeat(32) })).status, 401);
+  assert.equal((await api.request('GET', '/api/usage', { token: 'nope' })).status, 401);
+});
+
+test('key management and cache clearing need the admin token', async () => {
+  const { key } = await issueKey();
+  assert.equal((await api.request('GET', '/api/keys', { token: key })).status, 403);
+  assert.equal((await api.request('POST', '/api/keys', { token: key, body: {} })).status, 403);
+  assert.equal((await api.request('DELETE', '/api/cache', { token: key })).status, 403);
+  assert.equal((await api.request('GET', '/api/keys', { token: ADMIN })).status, 200);
+  assert.equal((await api.request('DELETE', '/api/cache', { token: ADMIN })).status, 204);
+});
+
+test('revoked keys stop working at once', async () => {
+  const { id, key } = await issueKey();
+  assert.equal((await api.request('GET', '/api/usage', { token: key })).status, 200);
+  assert.equal((await api.request('DELETE', `/api/keys/${id}`, { token: ADMIN })).status, 200);
+  assert.equal((await api.request('GET', '/api/usage', { token: key })).status, 401);
+});
+
+test('the request rate of a key is limited', async () => {
+  const { key } = await issueKey({ requestsPerMinute: 2 });
+  const first = await api.request('GET', '/api/usage', { token: key });
+  assert.equal(first.headers.get('x-ratelimit-limit'), '2');
+  assert.equal((await api.request('GET', '/api/usage', { token: key })).status, 200);
+  const third = await api.request('GET', '/api/usage', { token: key });
+  assert.equal(third.status, 429);
+  assert.ok(Number(third.headers.get('retry-after')) > 0);
+});
+
+test('a conversion over the monthly byte quota is refused before it runs', async () => {
+  const { key } = await issueKey({ quotas: { '*': { bytes: 10 } } });
+  const res = await api.request('POST', '/api/convert/image', {
+    token: key,
+    body: { format: 'jpg' },
+    files: [{ name: 'red.png', data: await tinyPng() }]
+  });
+  assert.equal(res.status, 429);
+  assert.match(res.body.error, /quota of 10 bytes/);
+  assert.ok(res.headers.get('retry-after'));
+});
+
+test('conversions count towards the usage report of their key', async () => {
+  const { id, key } = await issueKey({ quotas: { image: { bytes: 1024 * 1024 } } });
+  const res = await api.request('POST', '/api/convert/image', {
+    token: key,
+    body: { format: 'jpg' },
+    files: [{ name: 'red.png', data: await tinyPng() }]
+  });
+  assert.equal(res.status, 200);
+  const usage = await api.request('GET', '/api/usage', { token: key });
+  assert.equal(usage.status, 200);
+  const mine = usage.body.keys.find(k => k.keyId === id);
+  assert.equal(mine.types.image.conversions, 1);
+  assert.ok(mine.types.image.inputBytes > 0);
+});
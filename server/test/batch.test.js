@@ -0,0 +1,100 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const sharp = require('sharp');
+const { startServer, tinyPng } = require('./helpers');
+
+const { convertBatch } = require(path.join(__dirname, '..', 'services', 'batchRunner'));
+const { readZip } = require(path.join(__dirname, '..', 'services', 'zipUtils'));
+
+let api;
+let good;
+let broken;
+
+before(async () => {
+  api = await startServer({ AUTH_REQUIRED: 'false' });
+  good = await tinyPng();
+  broken = good.subarray(0, 40);
+});
+
+after(() => api.close());
+
+function batch(body, files) {
+  return api.request('POST', '/api/batch/image', { body: { format: 'webp', ...body }, files });
+}
+
+test('one bad file does not cost the results of the others', async () => {
+  const res = await batch({}, [{ name: 'a.png', data: good }, { name: 'bad.png', data: broken }, { name: 'c.png', data: good }]);
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  assert.deepEqual(res.body.summary, { total: 3, succeeded: 2, failed: 1, skipped: 0 });
+  assert.deepEqual(res.body.items.map(i => [i.input, i.ok]), [['a.png', true], ['bad.png', false], ['c.png', true]]);
+  assert.match(res.body.items[1].error, /corrupt header/);
+  assert.deepEqual(res.body.items[1].downloads, []);
+  assert.match(res.body.items[2].downloads[0], /c\.webp$/);
+});
+
+test('failFast skips the items after the first failure', async () => {
+  const res = await batch({ failFast: true, concurrency: 1 }, [{ name: 'bad.png', data: broken }, { name: 'a.png', data: good }, { name: 'b.png', data: good }]);
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.summary, { total: 3, succeeded: 0, failed: 1, skipped: 2 });
+  assert.equal(res.body.items[1].skipped, true);
+  assert.equal(res.body.items[1].statusCode, 424);
+  assert.match(res.body.items[1].error, /Skipped after bad\.png failed/);
+});
+
+test('outputs are bundled into a ZIP with a manifest, and names never collide', async () => {
+  const files = [{ name: 'scan.png', data: good }, { name: 'scan.png', data: good }, { name: 'bad.png', data: broken }];
+  const res = await batch({ zip: true }, files);
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  const zip = readZip(Buffer.from(await (await fetch(api.base + res.body.zip.downloadUrl)).arrayBuffer()));
+  assert.deepEqual([...zip.keys()].sort(), ['manifest.json', 'scan_1.webp', 'scan_2.webp']);
+  const manifest = JSON.parse(zip.get('manifest.json'));
+  assert.deepEqual(manifest.summary, { total: 3, succeeded: 2, failed: 1, skipped: 0 });
+  assert.deepEqual(manifest.items.map(i => i.files), [['scan_1.webp'], ['scan_2.webp'], []]);
+
+  const streamed = await api.request('POST', '/api/batch/image?download=true', { body: { format: 'webp', zip: true }, files: files.slice(0, 1) });
+  assert.equal(streamed.status, 200);
+  assert.equal(streamed.headers.get('content-type'), 'application/zip');
+});
+
+test('malformed batch options and empty batches are refused', async () => {
+  const concurrency = await batch({ concurrency: 20 }, [{ name: 'a.png', data: good }]);
+  assert.equal(concurrency.status, 400);
+  assert.match(concurrency.body.error, /Invalid "concurrency" 20: expected 1 to 8/);
+  const empty = await api.request('POST', '/api/batch/image', { body: { format: 'webp' } });
+  assert.equal(empty.status, 400);
+  assert.match(empty.body.error, /No input/);
+});
+
+test('cancelling an async batch keeps the finished items and skips the rest', async () => {
+  // Noise is slow to encode as AVIF, so the first item is still running when the cancel arrives
+  const noise = await sharp({ create: { width: 500, height: 500, channels: 3, noise: { type: 'gaussian', mean: 128, sigma: 40 } } }).png().toBuffer();
+  const files = ['n1', 'n2', 'n3', 'n4'].map(name => ({ name: `${name}.png`, data: noise }));
+  const submitted = await api.request('POST', '/api/batch/image?async=true', { body: { format: 'avif', concurrency: 1 }, files });
+  assert.equal(submitted.status, 202);
+  assert.equal((await api.request('DELETE', `/api/jobs/${submitted.body.id}`)).status, 200);
+
+  let job;
+  for (let i = 0; i < 300 && !['done', 'failed', 'cancelled'].includes(job?.status); i++) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+    job = (await api.request('GET', `/api/jobs/${submitted.body.id}`)).body;
+  }
+  // The batch itself completes: its report says which items were stopped
+  assert.equal(job.status, 'done');
+  assert.ok(job.result.summary.skipped >= 3, JSON.stringify(job.result.summary));
+  assert.deepEqual(job.result.items.slice(1).map(i => [i.skipped, i.statusCode, i.error]), Array(3).fill([true, 499, 'Conversion cancelled']));
+});
+
+test('aborting the signal stops the items not yet started', async () => {
+  const controller = new AbortController();
+  const started = [];
+  const convert = async (input) => {
+    started.push(input);
+    if (input === 'second') controller.abort();
+    return { outputPath: `${input}.out` };
+  };
+  const items = await convertBatch(convert, ['first', 'second', 'third', 'fourth'], 'out', { concurrency: 1, signal: controller.signal });
+  assert.deepEqual(started, ['first', 'second']);
+  assert.deepEqual(items.map(i => i.ok), [true, true, false, false]);
+  assert.deepEqual(items.slice(2).map(i => [i.skipped, i.statusCode]), [[true, 499], [true, 499]]);
+});
@@ -0,0 +1,28 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+let api;
+
+before(async () => {
+  api = await startServer({ AUTH_REQUIRED: 'false' });
+});
+
+after(() => api.close());
+
+async function toHtml(name, data) {
+  const res = await api.request('POST', '/api/convert/document', { body: { format: 'html' }, files: [{ name, data }] });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  return (await api.request('GET', res.body.downloads[0])).body;
+}
+
+test('documents titled after their file name are cached per name', async () => {
+  const text = Buffer.from('Some text without a heading.\n');
+  const before = (await api.request('GET', '/api/cache/stats')).body;
+  assert.match(await toHtml('alpha.md', text), /<title>alpha<\/title>/);
+  assert.match(await toHtml('beta.md', text), /<title>beta<\/title>/);
+  assert.match(await toHtml('alpha.md', text), /<title>alpha<\/title>/);
+  const stats = (await api.request('GET', '/api/cache/stats')).body;
+  assert.equal(stats.misses - before.misses, 2);
+  assert.equal(stats.hits - before.hits, 1);
+});
@@ -0,0 +1,141 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const sharp = require('sharp');
+const { tinyPng } = require('./helpers');
+
+const BIN = path.join(__dirname, '..', 'bin', 'megaconvert.js');
+const { parseArgs, globToRegExp, EXIT } = require(BIN);
+
+let cwd;
+
+before(async () => {
+  cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'megaconvert-cli-'));
+  const png = await tinyPng();
+  const files = {
+    'src/a.png': png,
+    'src/sub/b.png': png,
+    'src/sub/deeper/c.png': png,
+    'mixed/good.png': png,
+    'mixed/broken.png': png.subarray(0, 40),
+    'mixed/data.xyz': Buffer.from([0x00, 0x13, 0x37, 0x00, 0xfe, 0xed]),
+    'presets.json': JSON.stringify({ presets: [{ name: 'thumbs', type: 'image', format: 'jpg', options: { quality: 50, resize: { width: 4 } } }] })
+  };
+  for (const [rel, data] of Object.entries(files)) {
+    fs.mkdirSync(path.join(cwd, path.dirname(rel)), { recursive: true });
+    fs.writeFileSync(path.join(cwd, rel), data);
+  }
+});
+
+after(() => fs.rmSync(cwd, { recursive: true, force: true }));
+
+// Runs the CLI in the scratch folder; resolves with { code, stdout, stderr }.
+// `onOutput(out, child)` sees the output collected so far as it arrives.
+function run(args, { onOutput } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [BIN, ...args], { cwd, stdio: ['ignore', 'pipe', 'pipe'] });
+    const out = { stdout: '', stderr: '' };
+    for (const stream of ['stdout', 'stderr']) {
+      child[stream].on('data', (chunk) => {
+        out[stream] += chunk;
+        if (onOutput) onOutput(out, child);
+      });
+    }
+    const timer = setTimeout(() => child.kill('SIGKILL'), 60000);
+    child.on('error', reject);
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      resolve({ code, ...out });
+    });
+  });
+}
+
+test('flags, converter options and globs are parsed', () => {
+  const { flags, options, inputs } = parseArgs(['-f', 'webp', '--quality', '80', '--resize.width=640', '--no-strip', '--json', 'a.png', '--', '--odd.png']);
+  assert.deepEqual(flags, { format: 'webp', json: true });
+  assert.deepEqual(options, { quality: 80, resize: { width: 640 }, strip: false });
+  assert.deepEqual(inputs, ['a.png', '--odd.png']);
+  assert.ok(globToRegExp('**/*.{png,jpg}').test('x/y/z.jpg'));
+  assert.ok(!globToRegExp('*.png').test('x/z.png'));
+});
+
+test('usage errors exit with 2', async () => {
+  const cases = [
+    [['src'], /Missing output format/],
+    [['-f', 'webp'], /No inputs given/],
+    [['-f', 'webp', '-t', 'video', 'src'], /Unknown type "video"/],
+    [['-f', 'webp', '-c', '0', 'src'], /--concurrency must be a positive integer/],
+    [['-f', 'webp', '-t', 'image', '--quality', '500', 'src'], /Invalid quality 500/],
+    [['-f', 'webp', 'missing'], /No such file or directory: missing/],
+    [['--preset', 'none.json', 'src'], /Cannot read preset file none\.json/]
+  ];
+  for (const [args, message] of cases) {
+    const res = await run(args);
+    assert.equal(res.code, EXIT.USAGE, args.join(' '));
+    assert.match(res.stderr, message);
+  }
+});
+
+test('directories and globs are converted into a mirrored tree', async () => {
+  const dir = await run(['-f', 'webp', '-r', '-o', 'out', 'src']);
+  assert.equal(dir.code, EXIT.OK, dir.stderr);
+  assert.match(dir.stderr, /3 converted, 0 failed, 0 skipped/);
+  for (const rel of ['a.webp', 'sub/b.webp', 'sub/deeper/c.webp']) assert.ok(fs.existsSync(path.join(cwd, 'out', rel)), rel);
+
+  // Without -r only the top level of a directory; a glob reaches as deep as it says
+  const flat = await run(['-f', 'png', '-o', 'flat', 'src']);
+  assert.equal(flat.code, EXIT.OK, flat.stderr);
+  assert.deepEqual(fs.readdirSync(path.join(cwd, 'flat')), ['a.png']);
+  const glob = await run(['-f', 'jpg', '-o', 'globbed', '--json', 'src/*/*.png']);
+  assert.equal(glob.code, EXIT.OK, glob.stderr);
+  const report = JSON.parse(glob.stdout);
+  assert.deepEqual(report.files.map(f => path.relative(cwd, f.outputs[0])), [path.join('globbed', 'sub', 'b.jpg')]);
+});
+
+test('exit codes and the JSON report tell failed, skipped and converted files apart', async () => {
+  const partial = await run(['-f', 'webp', '-o', 'mixed-out', '--json', 'mixed/*']);
+  assert.equal(partial.code, EXIT.PARTIAL);
+  const report = JSON.parse(partial.stdout);
+  assert.deepEqual(report.summary, { total: 3, converted: 1, failed: 1, skipped: 1 });
+  const byName = Object.fromEntries(report.files.map(f => [path.basename(f.input), f]));
+  assert.equal(byName['good.png'].status, 'converted');
+  assert.equal(byName['good.png'].type, 'image');
+  assert.match(byName['broken.png'].error, /corrupt header/);
+  assert.match(byName['data.xyz'].error, /No converter reads/);
+
+  const failed = await run(['-f', 'webp', '-o', 'mixed-out', 'mixed/broken.png']);
+  assert.equal(failed.code, EXIT.FAILED);
+  assert.match(failed.stderr, /0 converted, 1 failed, 0 skipped/);
+});
+
+test('presets supply the type, format and options; flags override them', async () => {
+  const res = await run(['--preset', 'presets.json', '--preset-name', 'thumbs', '--resize.width=2', '-o', 'thumbs', '--json', 'src/a.png']);
+  assert.equal(res.code, EXIT.OK, res.stderr);
+  const [file] = JSON.parse(res.stdout).files;
+  assert.equal(path.basename(file.outputs[0]), 'a.jpg');
+  const { width, format } = await sharp(file.outputs[0]).metadata();
+  assert.deepEqual([width, format], [2, 'jpeg']);
+
+  const missing = await run(['--preset', 'presets.json', 'src/a.png']);
+  assert.equal(missing.code, EXIT.USAGE);
+  assert.match(missing.stderr, /pick one with --preset-name/);
+});
+
+test('watch mode converts files dropped into the folder until stopped', async () => {
+  fs.mkdirSync(path.join(cwd, 'inbox'));
+  const png = await tinyPng();
+  const res = await run(['-f', 'webp', '-o', 'outbox', '--watch', 'inbox'], {
+    onOutput(out, child) {
+      if (/Watching inbox/.test(out.stderr) && !fs.existsSync(path.join(cwd, 'inbox', 'drop.png'))) {
+        fs.writeFileSync(path.join(cwd, 'inbox', 'drop.png'), png);
+      }
+      if (/^ok /m.test(out.stdout) && !child.killed) child.kill('SIGTERM');
+    }
+  });
+  assert.equal(res.code, EXIT.OK, res.stderr);
+  assert.match(res.stdout, /inbox\/drop\.png -> outbox\/drop\.webp/);
+  assert.ok(fs.existsSync(path.join(cwd, 'outbox', 'drop.webp')));
+});
@@ -0,0 +1,170 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { startServer, tinyPng } = require('./helpers');
+
+const { buildEpub, writeMarkdownPage } = require(path.join(__dirname, '..', 'services', 'epubBuilder'));
+const { locateLibreOffice } = require(path.join(__dirname, '..', 'services', 'documentConverter'));
+const { readZip } = require(path.join(__dirname, '..', 'services', 'zipUtils'));
+
+const CHAPTERS_MD = `---
+title: Field Notes
+author: Ada Byron
+lang: en-GB
+---
+
+# Field Notes
+
+## Spring
+
+Buds on the *oak*. See [the summer list](summer.html#list).
+
+## Autumn
+
+![Leaf](data:image/png;base64,LEAF)
+`;
+const SUMMER_HTML = '<html><head><title>Summer</title><script>alert(1)</script></head><body><h1>Summer</h1><ul id="list"><li onclick="x()">Swifts</li></ul></body></html>';
+
+let api;
+let png;
+let scratch;
+
+before(async () => {
+  api = await startServer({ AUTH_REQUIRED: 'false' });
+  png = await tinyPng();
+  scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'megaconvert-epub-'));
+});
+
+after(async () => {
+  await api.close();
+  fs.rmSync(scratch, { recursive: true, force: true });
+});
+
+function notes() {
+  return Buffer.from(CHAPTERS_MD.replace('LEAF', png.toString('base64')));
+}
+
+function convert(format, options, files) {
+  return api.request('POST', '/api/convert/document', { body: { format, options }, files });
+}
+
+async function download(url) {
+  return Buffer.from(await (await fetch(api.base + url)).arrayBuffer());
+}
+
+test('Markdown and HTML sources make one EPUB, split on headings, with nav, cover and metadata', async () => {
+  // Identical images are stored once, so the cover differs from the one in the text
+  const coverPng = await sharp({ create: { width: 60, height: 90, channels: 3, background: '#2a6' } }).png().toBuffer();
+  const cover = await api.request('POST', '/api/upload', { files: [{ name: 'cover.png', data: coverPng }] });
+  const res = await convert('epub', { cover: cover.body.ids[0], metadata: { publisher: 'Leaf Press' } }, [
+    { name: 'notes.md', data: notes() },
+    { name: 'summer.html', data: Buffer.from(SUMMER_HTML) }
+  ]);
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  assert.deepEqual([res.body.result.title, res.body.result.chapters, res.body.result.images], ['Field Notes', 4, 2]);
+
+  const epub = await download(res.body.downloads[0]);
+  // The mimetype comes first and uncompressed, so readers can sniff it
+  assert.equal(epub.toString('latin1', 30, 38), 'mimetype');
+  assert.equal(epub.readUInt16LE(8), 0);
+  const zip = readZip(epub);
+  assert.equal(zip.get('mimetype').toString(), 'application/epub+zip');
+
+  const opf = zip.get('OEBPS/content.opf').toString();
+  for (const re of [/<dc:title>Field Notes<\/dc:title>/, /<dc:creator id="creator-1">Ada Byron<\/dc:creator>/, /<dc:language>en-GB<\/dc:language>/, /<dc:publisher>Leaf Press<\/dc:publisher>/, /properties="cover-image"/]) {
+    assert.match(opf, re);
+  }
+  const spine = [...opf.matchAll(/<itemref idref="([^"]+)"/g)].map(m => m[1]);
+  assert.deepEqual(spine, ['cover-page', 'chapter-001', 'chapter-002', 'chapter-003', 'chapter-004']);
+
+  const nav = zip.get('OEBPS/nav.xhtml').toString();
+  const labels = [...nav.matchAll(/<a href="text\/[^"]+">([^<]+)<\/a>/g)].map(m => m[1]);
+  assert.deepEqual(labels, ['Field Notes', 'Spring', 'Autumn', 'Summer']);
+
+  // The link into the second source points at its chapter; scripts and handlers are gone
+  const spring = zip.get('OEBPS/text/chapter-002.xhtml').toString();
+  assert.match(spring, /<a href="chapter-004\.xhtml#list">the summer list<\/a>/);
+  const summer = zip.get('OEBPS/text/chapter-004.xhtml').toString();
+  assert.doesNotMatch(summer, /script|onclick/);
+  assert.match(zip.get('OEBPS/text/chapter-003.xhtml').toString(), /<img alt="Leaf" src="\.\.\/images\/img-001\.png" \/>/);
+});
+
+test('images outside the source folder, remote or missing, are left out of the book', async () => {
+  const dir = path.join(scratch, 'book');
+  fs.mkdirSync(path.join(dir, 'pics'), { recursive: true });
+  fs.writeFileSync(path.join(dir, 'pics', 'here.png'), png);
+  fs.writeFileSync(path.join(scratch, 'secret.png'), png);
+  fs.writeFileSync(path.join(dir, 'book.md'), '# Book\n\n![here](pics/here.png) ![out](../secret.png) ![abs](/etc/hostname) ![web](https://example.com/a.png) ![gone](pics/none.png)\n');
+
+  const outPath = path.join(scratch, 'out', 'book.epub');
+  const result = await buildEpub([{ path: path.join(dir, 'book.md'), ext: 'md' }], outPath);
+  assert.equal(result.images, 1);
+  const zip = readZip(fs.readFileSync(outPath));
+  const chapter = zip.get('OEBPS/text/chapter-001.xhtml').toString();
+  assert.match(chapter, /<img alt="here" src="\.\.\/images\/img-001\.png" \/>/);
+  assert.match(chapter, /\[out\] \[abs\] \[web\] \[gone\]/);
+  assert.deepEqual([...zip.keys()].filter(k => k.startsWith('OEBPS/images/')), ['OEBPS/images/img-001.png']);
+});
+
+test('the page LibreOffice renders from Markdown holds only cleaned markup and local images', async () => {
+  const dir = path.join(scratch, 'page');
+  fs.mkdirSync(dir);
+  fs.writeFileSync(path.join(dir, 'pic.png'), png);
+  fs.writeFileSync(path.join(dir, 'doc.md'), '# Report\n\n<div style="background:url(http://example.com/x)">Hi</div>\n\n<script>alert(1)</script>\n\n![pic](pic.png) ![up](../secret.png) ![web](http://example.com/y.png)\n');
+
+  const pagePath = path.join(scratch, 'render', 'doc.html');
+  fs.mkdirSync(path.dirname(pagePath));
+  await writeMarkdownPage(path.join(dir, 'doc.md'), pagePath, { lang: 'fr' });
+  const page = fs.readFileSync(pagePath, 'utf8');
+  assert.match(page, /<html lang="fr">/);
+  assert.match(page, /<title>Report<\/title>/);
+  assert.doesNotMatch(page, /script|url\(|example\.com|secret/);
+  assert.match(page, /<img alt="pic" src="images\/img-001\.png" \/>/);
+  assert.match(page, /\[up\] \[web\]/);
+  assert.deepEqual(fs.readdirSync(path.join(scratch, 'render', 'images')), ['img-001.png']);
+});
+
+test('Markdown converts to a standalone HTML page', async () => {
+  const source = '---\ntitle: Notes\nlang: de\n---\n\n## Plan & Goals\n\n| a | b |\n|---|---|\n| 1 | ~~2~~ |\n\n```js\nif (a < b) run();\n```\n\n[bad](javascript:alert(1))\n';
+  const res = await convert('html', {}, [{ name: 'notes.md', data: Buffer.from(source) }]);
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  const html = (await download(res.body.downloads[0])).toString();
+  assert.match(html, /<html lang="de">/);
+  assert.match(html, /<title>Notes<\/title>/);
+  assert.match(html, /<h2 id="plan-goals">Plan &amp; Goals<\/h2>/);
+  assert.match(html, /<td>1<\/td>\s*<td><del>2<\/del><\/td>/);
+  assert.match(html, /if \(a &lt; b\) run\(\);/);
+  assert.match(html, /<a href="#">bad<\/a>/);
+});
+
+test('Markdown to PDF goes through LibreOffice', async (t) => {
+  const res = await convert('pdf', {}, [{ name: 'notes.md', data: notes() }]);
+  if (!(await locateLibreOffice())) {
+    assert.equal(res.status, 500);
+    assert.match(res.body.error, /LibreOffice not found\. Markdown -> pdf requires LibreOffice/);
+    return t.skip('LibreOffice is not installed');
+  }
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  assert.equal((await download(res.body.downloads[0])).toString('latin1', 0, 5), '%PDF-');
+});
+
+test('EPUB options and empty books are refused', async () => {
+  const cases = [
+    [{ chapterLevel: 9 }, /Invalid chapterLevel 9/],
+    [{ tocDepth: 0 }, /Invalid tocDepth 0/],
+    [{ metadata: { language: 'english please' } }, /Invalid metadata\.language "english please"/],
+    [{ metadata: { author: [1] } }, /Invalid metadata\.author/],
+    [{ metadata: 'Field Notes' }, /Invalid metadata: expected an object/]
+  ];
+  for (const [options, message] of cases) {
+    const res = await convert('epub', options, [{ name: 'notes.md', data: notes() }]);
+    assert.equal(res.status, 400, JSON.stringify(options));
+    assert.match(res.body.error, message);
+  }
+  const empty = await convert('epub', {}, [{ name: 'blank.md', data: Buffer.from('   \n') }]);
+  assert.equal(empty.status, 400);
+  assert.match(empty.body.error, /no content to put in an EPUB/);
+});
@@ -0,0 +1,221 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const fontkit = require('fontkit');
+const sharp = require('sharp');
+const { startServer, tinyPng } = require('./helpers');
+
+const { writeSfnt, buildGlyfLoca } = require(path.join(__dirname, '..', 'services', 'sfntUtils'));
+
+// .notdef, space, A, B, C and Cyrillic Zhe, each a box of its own size
+const GLYPHS = [
+  { cp: null, box: [50, 0, 450, 700] },
+  { cp: 0x20, box: null },
+  { cp: 0x41, box: [50, 0, 550, 700] },
+  { cp: 0x42, box: [60, 0, 540, 600] },
+  { cp: 0x43, box: [70, 0, 530, 500] },
+  { cp: 0x416, box: [80, 0, 520, 400] }
+];
+let api;
+let font;
+
+// One closed square contour, on-curve points only
+function boxGlyph([x0, y0, x1, y1]) {
+  const buf = Buffer.alloc(34);
+  [1, x0, y0, x1, y1].forEach((v, i) => buf.writeInt16BE(v, i * 2));
+  buf.writeUInt16BE(3, 10);
+  buf.fill(0x01, 14, 18);
+  [x0, x1 - x0, 0, x0 - x1, y0, 0, y1 - y0, 0].forEach((v, i) => buf.writeInt16BE(v, 18 + i * 2));
+  return buf;
+}
+
+function nameTable(names) {
+  const records = Object.entries(names).map(([id, s]) => [Number(id), Buffer.from(s, 'utf16le').swap16()]);
+  const header = Buffer.alloc(6 + records.length * 12);
+  header.writeUInt16BE(records.length, 2);
+  header.writeUInt16BE(header.length, 4);
+  let offset = 0;
+  records.forEach(([id, data], i) => {
+    [3, 1, 0x409, id, data.length, offset].forEach((v, k) => header.writeUInt16BE(v, 6 + i * 12 + k * 2));
+    offset += data.length;
+  });
+  return Buffer.concat([header, ...records.map(r => r[1])]);
+}
+
+// Format 4 with one segment per character
+function cmapTable(mapping) {
+  const segments = [...mapping, [0xffff, 0]];
+  const n = segments.length;
+  const sub = Buffer.alloc(16 + n * 8);
+  sub.writeUInt16BE(4, 0);
+  sub.writeUInt16BE(sub.length, 2);
+  sub.writeUInt16BE(n * 2, 6);
+  const searchRange = 2 * 2 ** Math.floor(Math.log2(n));
+  sub.writeUInt16BE(searchRange, 8);
+  sub.writeUInt16BE(Math.log2(searchRange / 2), 10);
+  sub.writeUInt16BE(n * 2 - searchRange, 12);
+  segments.forEach(([cp, gid], i) => {
+    sub.writeUInt16BE(cp, 14 + i * 2);
+    sub.writeUInt16BE(cp, 16 + n * 2 + i * 2);
+    sub.writeUInt16BE(cp === 0xffff ? 1 : (gid - cp) & 0xffff, 16 + n * 4 + i * 2);
+  });
+  const header = Buffer.alloc(12);
+  header.writeUInt16BE(1, 2);
+  header.writeUInt16BE(3, 4);
+  header.writeUInt16BE(1, 6);
+  header.writeUInt32BE(12, 8);
+  return Buffer.concat([header, sub]);
+}
+
+// A small TrueType font: 1000 units per em, every glyph 600 units wide
+function buildFont({ family = 'Test Sans', weight = 700 } = {}) {
+  const numGlyphs = GLYPHS.length;
+  const { glyf, loca } = buildGlyfLoca(GLYPHS.map(g => (g.box ? boxGlyph(g.box) : Buffer.alloc(0))), 0);
+  const head = Buffer.alloc(54);
+  head.writeUInt32BE(0x00010000, 0);
+  head.writeUInt32BE(0x00010000, 4);
+  head.writeUInt32BE(0x5f0f3cf5, 12);
+  head.writeUInt16BE(1000, 18);
+  [0, 0, 600, 700].forEach((v, i) => head.writeInt16BE(v, 36 + i * 2));
+  head.writeInt16BE(2, 48);
+  const hhea = Buffer.alloc(36);
+  hhea.writeUInt32BE(0x00010000, 0);
+  [800, -200, 0, 600].forEach((v, i) => hhea.writeInt16BE(v, 4 + i * 2));
+  hhea.writeInt16BE(1, 18);
+  hhea.writeUInt16BE(numGlyphs, 34);
+  const maxp = Buffer.alloc(32);
+  maxp.writeUInt32BE(0x00010000, 0);
+  maxp.writeUInt16BE(numGlyphs, 4);
+  maxp.writeUInt16BE(2, 14);
+  const hmtx = Buffer.alloc(numGlyphs * 4);
+  GLYPHS.forEach((g, i) => {
+    hmtx.writeUInt16BE(600, i * 4);
+    hmtx.writeInt16BE(g.box ? g.box[0] : 0, i * 4 + 2);
+  });
+  const os2 = Buffer.alloc(96);
+  [4, 600, weight, 5].forEach((v, i) => os2.writeUInt16BE(v, i * 2));
+  os2.write('TEST', 58, 'latin1');
+  os2.writeUInt16BE(0x40, 62);
+  os2.writeUInt16BE(0x20, 64);
+  os2.writeUInt16BE(0x416, 66);
+  [800, -200, 0, 800, 200].forEach((v, i) => os2.writeInt16BE(v, 68 + i * 2));
+  const post = Buffer.alloc(32);
+  post.writeUInt32BE(0x00030000, 0);
+  const tables = new Map([
+    ['head', head], ['hhea', hhea], ['maxp', maxp], ['OS/2', os2], ['hmtx', hmtx],
+    ['cmap', cmapTable(GLYPHS.map((g, gid) => [g.cp, gid]).filter(([cp]) => cp != null))],
+    ['glyf', glyf], ['loca', loca], ['post', post],
+    ['name', nameTable({ 1: family, 2: 'Bold', 4: `${family} Bold`, 6: 'TestSans-Bold' })]
+  ]);
+  return writeSfnt(0x00010000, tables);
+}
+
+before(async () => {
+  api = await startServer({ AUTH_REQUIRED: 'false' });
+  font = buildFont();
+});
+
+after(() => api.close());
+
+function convert(format, options = {}, files = [{ name: 'test-sans.ttf', data: font }]) {
+  return api.request('POST', '/api/convert/font', { body: { format, options }, files });
+}
+
+async function download(url) {
+  return Buffer.from(await (await fetch(api.base + url)).arrayBuffer());
+}
+
+// Code points with a glyph (fontkit also lists the U+FFFF that ends the cmap)
+function characters(f) {
+  return f.characterSet.filter(cp => f.hasGlyphForCodePoint(cp));
+}
+
+function outlines(f) {
+  return characters(f).map(cp => [cp, f.glyphForCodePoint(cp).path.toSVG()]);
+}
+
+test('fonts convert between TTF, WOFF and WOFF2 without changing a glyph', async () => {
+  const woff2 = await convert('woff2');
+  assert.equal(woff2.status, 200, JSON.stringify(woff2.body));
+  const woff2Data = await download(woff2.body.downloads[0]);
+  assert.equal(woff2Data.toString('latin1', 0, 4), 'wOF2');
+
+  const woff = await convert('woff', {}, [{ name: 'test-sans.woff2', data: woff2Data }]);
+  assert.equal(woff.status, 200, JSON.stringify(woff.body));
+  const woffData = await download(woff.body.downloads[0]);
+  assert.equal(woffData.toString('latin1', 0, 4), 'wOFF');
+
+  const ttf = await convert('ttf', {}, [{ name: 'test-sans.woff', data: woffData }]);
+  assert.equal(ttf.status, 200, JSON.stringify(ttf.body));
+  const roundTrip = fontkit.create(await download(ttf.body.downloads[0]));
+  assert.deepEqual(outlines(roundTrip), outlines(fontkit.create(font)));
+  assert.equal(roundTrip.familyName, 'Test Sans');
+});
+
+test('subsets keep the requested characters and drop the other outlines', async () => {
+  const res = await convert('woff', { text: 'BA', unicodes: 'U+0400-04FF' });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  assert.deepEqual([res.body.result.subset, res.body.result.characters, res.body.result.glyphs], [true, 3, 4]);
+  const subset = fontkit.create(await download(res.body.downloads[0]));
+  assert.deepEqual(characters(subset), [0x41, 0x42, 0x416]);
+  // Glyph IDs stay put; the dropped C is emptied
+  assert.equal(subset.numGlyphs, GLYPHS.length);
+  assert.equal(subset.getGlyph(4).path.toSVG(), '');
+  assert.ok(res.body.result.sizeBytes < res.body.result.originalSizeBytes);
+});
+
+test('a font is subset to the characters an uploaded document uses', async () => {
+  const upload = await api.request('POST', '/api/upload', { files: [{ name: 'page.html', data: Buffer.from('<p>CAB <b>CAB</b></p>') }] });
+  const res = await convert('ttf', { textFile: upload.body.ids[0] });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  const subset = fontkit.create(await download(res.body.downloads[0]));
+  assert.deepEqual(characters(subset), [0x20, 0x41, 0x42, 0x43]);
+
+  const image = await api.request('POST', '/api/upload', { files: [{ name: 'chars.png', data: await tinyPng() }] });
+  const refused = await convert('ttf', { textFile: image.body.ids[0] });
+  assert.equal(refused.status, 400);
+  assert.match(refused.body.error, /Cannot use a \.png file for "textFile"\. Supported: html, txt/);
+});
+
+test('the inspector reports family, weight, glyphs and scripts', async () => {
+  const res = await api.request('POST', '/api/inspect', { files: [{ name: 'test-sans.ttf', data: font }] });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  const meta = res.body.metadata;
+  assert.deepEqual([meta.familyName, meta.fullName, meta.weight, meta.style], ['Test Sans', 'Test Sans Bold', 700, 'normal']);
+  assert.deepEqual([meta.outlines, meta.glyphCount, meta.characterCount], ['TrueType', 6, 5]);
+  assert.deepEqual(meta.scripts, [{ script: 'Latin', characters: 3 }, { script: 'Cyrillic', characters: 1 }]);
+  assert.deepEqual(meta.variationAxes, []);
+});
+
+test('previews render the sample text at the requested size', async () => {
+  const res = await convert('png', { sampleText: 'ABC', fontSize: 50, color: '#ff0000' });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  // Three 30px advances between 25px of padding; one 50px line between 25px of padding
+  assert.deepEqual([res.body.result.width, res.body.result.height], [140, 100]);
+  const png = await download(res.body.downloads[0]);
+  const { dominant } = await sharp(png).stats();
+  assert.deepEqual(dominant, { r: 248, g: 248, b: 248 });
+  const { data } = await sharp(png).extract({ left: 30, top: 30, width: 1, height: 1 }).raw().toBuffer({ resolveWithObject: true });
+  assert.deepEqual([...data.subarray(0, 3)], [255, 0, 0]);
+});
+
+test('subset characters, preview options and inputs are checked', async () => {
+  const cases = [
+    [{ unicodes: 'U+ZZ' }, /Invalid unicode range "U\+ZZ"/],
+    [{ unicodes: 'U+0050-0040' }, /Invalid unicode range "U\+0050-0040"/],
+    [{ text: 42 }, /Invalid "text"/],
+    [{ text: 'xyz' }, /None of the requested characters are in the font/],
+    [{ fontSize: 2 }, /Invalid fontSize 2/],
+    [{ color: 'red' }, /Invalid "color" red/],
+    [{ sampleText: ' ' }, /Invalid "sampleText"/],
+    [{ variation: { wght: 'bold' } }, /Invalid "variation"/]
+  ];
+  for (const [options, message] of cases) {
+    const res = await convert('png', options);
+    assert.equal(res.status, 400, JSON.stringify(options));
+    assert.match(res.body.error, message);
+  }
+  const corrupt = await convert('woff', {}, [{ name: 'broken.ttf', data: font.subarray(0, 40) }]);
+  assert.equal(corrupt.status, 400);
+  assert.match(corrupt.body.error, /Corrupt font file/);
+});
@@ -0,0 +1,108 @@
+// server/test/helpers.js
+// Runs the API (src/app.ts) in a scratch working directory for request-level
+// tests. The modules read their settings when first loaded, so each test file,
+// which `node --test` runs in a process of its own, starts one server with
+// the environment it needs.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const SERVER_DIR = path.resolve(__dirname, '..');
+
+/**
+ * Starts the app on a free port with `env` applied. Resolves with
+ * { base, cwd, request, close }; `request(method, url, opts)` resolves with
+ * { status, headers, body } (JSON bodies parsed).
+ */
+async function startServer(env = {}) {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'megaconvert-test-'));
+  Object.assign(process.env, env);
+  process.chdir(cwd);
+  require('ts-node').register({ project: path.join(SERVER_DIR, 'tsconfig.json'), transpileOnly: true });
+  const app = require(path.join(SERVER_DIR, 'src', 'app')).default;
+  const server = await new Promise(resolve => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  /**
+   * `token` is sent as a Bearer token; `files` ([{ name, data }]) make a
+   * multipart request with `body` as its fields; a Buffer `body` is sent as
+   * is, anything else as JSON.
+   */
+  async function request(method, url, { token, body, files, headers = {} } = {}) {
+    const init = { method, headers: { ...headers } };
+    if (token) init.headers.Authorization = `Bearer ${token}`;
+    if (files) {
+      const form = new FormData();
+      for (const [key, value] of Object.entries(body || {})) {
+        form.append(key, typeof value === 'string' ? value : JSON.stringify(value));
+      }
+      for (const file of files) form.append('file', new Blob([file.data]), file.name);
+      init.body = form;
+    } else if (Buffer.isBuffer(body)) {
+      init.body = body;
+    } else if (body !== undefined) {
+      init.headers['Content-Type'] = 'application/json';
+      init.body = JSON.stringify(body);
+    }
+    const res = await fetch(base + url, init);
+    const text = await res.text();
+    let parsed = text;
+    try {
+      parsed = JSON.parse(text);
+    } catch {}
+    return { status: res.status, headers: res.headers, body: parsed };
+  }
+
+  async function close() {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    // Usage is recorded after the response went out; let it land before the folder goes
+    await require(path.join(SERVER_DIR, 'src', 'usage')).usageMeter.queue;
+    process.chdir(SERVER_DIR);
+    fs.rmSync(cwd, { recursive: true, force: true });
+  }
+
+  return { base, cwd, request, close };
+}
+
+// A small PNG built with sharp, the image converter's own library
+function tinyPng() {
+  return require('sharp')({ create: { width: 8, height: 8, channels: 3, background: '#c00' } }).png().toBuffer();
+}
+
+/**
+ * A 16-bit PCM WAV of a sine tone: `seconds` long at `hz`, `amplitude`
+ * (0-1) loud, silent where `silence` ([from, to] in seconds) says.
+ */
+function toneWav({ seconds = 1, hz = 440, amplitude = 0.5, sampleRate = 44100, silence = [] } = {}) {
+  const samples = Math.round(seconds * sampleRate);
+  const wav = Buffer.alloc(44 + samples * 2);
+  wav.write('RIFF', 0);
+  wav.writeUInt32LE(36 + samples * 2, 4);
+  wav.write('WAVEfmt ', 8);
+  wav.writeUInt32LE(16, 16);
+  wav.writeUInt16LE(1, 20);
+  wav.writeUInt16LE(1, 22);
+  wav.writeUInt32LE(sampleRate, 24);
+  wav.writeUInt32LE(sampleRate * 2, 28);
+  wav.writeUInt16LE(2, 32);
+  wav.writeUInt16LE(16, 34);
+  wav.write('data', 36);
+  wav.writeUInt32LE(samples * 2, 40);
+  for (let i = 0; i < samples; i++) {
+    const t = i / sampleRate;
+    const quiet = silence.some(([from, to]) => t >= from && t < to);
+    wav.writeInt16LE(quiet ? 0 : Math.round(Math.sin(2 * Math.PI * hz * t) * amplitude * 32767), 44 + i * 2);
+  }
+  return wav;
+}
+
+// Whether ffmpeg and ffprobe run here (FFMPEG_PATH / FFPROBE_PATH or PATH);
+// tests that convert audio or video are skipped without them
+const HAS_FFMPEG = [process.env.FFMPEG_PATH || 'ffmpeg', process.env.FFPROBE_PATH || 'ffprobe']
+  .every(bin => spawnSync(bin, ['-version'], { stdio: 'ignore' }).status === 0);
+
+module.exports = { startServer, tinyPng, toneWav, HAS_FFMPEG };
@@ -0,0 +1,76 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const sharp = require('sharp');
+const { PDFDocument, PageSizes } = require('pdf-lib');
+const { startServer } = require('./helpers');
+
+const { joinTiffPages } = require(path.join(__dirname, '..', 'services', 'tiffUtils'));
+
+let api;
+let scans;
+
+function blank(width, height, format) {
+  return sharp({ create: { width, height, channels: 3, background: '#369' } }).toFormat(format).toBuffer();
+}
+
+before(async () => {
+  api = await startServer({ AUTH_REQUIRED: 'false' });
+  scans = [
+    { name: 'wide.jpg', data: await blank(200, 100, 'jpeg') },
+    { name: 'tall.png', data: await blank(100, 200, 'png') },
+    { name: 'pages.tiff', data: joinTiffPages([await blank(50, 50, 'tiff'), await blank(60, 60, 'tiff')]) }
+  ];
+});
+
+after(() => api.close());
+
+async function assemble(options, files = scans) {
+  const res = await api.request('POST', '/api/convert/image', { body: { format: 'pdf', options }, files });
+  if (res.status !== 200) return { status: res.status, error: res.body.error };
+  const file = await fetch(api.base + res.body.downloads[0]);
+  return { status: 200, result: res.body.result, doc: await PDFDocument.load(await file.arrayBuffer()) };
+}
+
+function sizes(doc) {
+  return doc.getPages().map(p => [Math.round(p.getWidth()), Math.round(p.getHeight())]);
+}
+
+test('images become one PDF with a page per image and per TIFF page', async () => {
+  const { status, result, doc } = await assemble({ pdf: { pageSize: 'A4' } });
+  assert.equal(status, 200);
+  assert.equal(result.pages, 4);
+  const [a4w, a4h] = PageSizes.A4.map(Math.round);
+  // Orientation follows each image
+  assert.deepEqual(sizes(doc), [[a4h, a4w], [a4w, a4h], [a4w, a4h], [a4w, a4h]]);
+});
+
+test('"auto" pages take the image size at the given DPI plus the margins', async () => {
+  const { status, doc } = await assemble({ pdf: { pageSize: 'auto', dpi: 144, margin: { top: 10, right: 0, bottom: 0, left: 20 } } }, scans.slice(0, 1));
+  assert.equal(status, 200);
+  assert.deepEqual(sizes(doc), [[120, 60]]);
+});
+
+test('a lower quality makes a smaller PDF', async () => {
+  const noise = await sharp({ create: { width: 300, height: 300, channels: 3, noise: { type: 'gaussian', mean: 128, sigma: 40 } } }).png().toBuffer();
+  const files = [{ name: 'noise.png', data: noise }];
+  const high = await assemble({ quality: 95 }, files);
+  const low = await assemble({ quality: 20 }, files);
+  assert.ok(low.result.sizeBytes < high.result.sizeBytes, `${low.result.sizeBytes} >= ${high.result.sizeBytes}`);
+});
+
+test('unknown page sizes, fits and margins are refused', async () => {
+  const cases = [
+    [{ pageSize: 'B99' }, /Invalid pdf\.pageSize "B99"/],
+    [{ orientation: 'diagonal' }, /Invalid pdf\.orientation "diagonal"/],
+    [{ fit: 'stretch' }, /Invalid pdf\.fit "stretch"/],
+    [{ margin: -5 }, /Invalid pdf\.margin/],
+    [{ dpi: 0 }, /Invalid pdf\.dpi 0/],
+    [{ pageSize: [100, 100], margin: 60 }, /leaves no room for the image/]
+  ];
+  for (const [pdf, message] of cases) {
+    const res = await assemble({ pdf }, scans.slice(0, 1));
+    assert.equal(res.status, 400, JSON.stringify(pdf));
+    assert.match(res.error, message);
+  }
+});
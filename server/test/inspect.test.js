@@ -0,0 +1,75 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { PDFDocument } = require('pdf-lib');
+const { startServer, tinyPng, toneWav, HAS_FFMPEG } = require('./helpers');
+
+const { createZip } = require(path.join(__dirname, '..', 'services', 'zipUtils'));
+
+const needsFfmpeg = { skip: !HAS_FFMPEG && 'ffmpeg is not installed' };
+let api;
+
+before(async () => {
+  api = await startServer({ AUTH_REQUIRED: 'false' });
+});
+
+after(() => api.close());
+
+function inspect(files) {
+  return api.request('POST', '/api/inspect', { files });
+}
+
+test('a renamed image is reported by its content, with its dimensions', async () => {
+  const res = await inspect([{ name: 'photo.jpg', data: await tinyPng() }]);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.ext, 'png');
+  assert.equal(res.body.mime, 'image/png');
+  assert.equal(res.body.extension, 'jpg');
+  assert.equal(res.body.extensionMatches, false);
+  assert.deepEqual([res.body.metadata.width, res.body.metadata.height], [8, 8]);
+});
+
+test('zip containers are told apart by what they hold', async () => {
+  const res = await inspect([
+    { name: 'a.zip', data: createZip([{ name: '[Content_Types].xml', data: '<Types/>' }, { name: 'word/document.xml', data: '<w:document/>' }]) },
+    { name: 'b.zip', data: createZip([{ name: 'mimetype', data: 'application/vnd.oasis.opendocument.text', store: true }, { name: 'content.xml', data: '<office/>' }]) },
+    { name: 'c.zip', data: createZip([{ name: 'mimetype', data: 'application/epub+zip', store: true }, { name: 'META-INF/container.xml', data: '<container/>' }]) },
+    { name: 'd.zip', data: createZip([{ name: 'notes.txt', data: 'hello' }]) }
+  ]);
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.files.map(f => f.ext), ['docx', 'odt', 'epub', 'zip']);
+});
+
+test('PDFs without an extension are recognised and their pages counted', async () => {
+  const doc = await PDFDocument.create();
+  for (let i = 0; i < 3; i++) doc.addPage();
+  doc.setTitle('Quarterly');
+  const res = await inspect([{ name: 'scan', data: Buffer.from(await doc.save()) }]);
+  assert.equal(res.body.ext, 'pdf');
+  assert.equal(res.body.extension, null);
+  assert.equal(res.body.metadata.pages, 3);
+  assert.equal(res.body.metadata.title, 'Quarterly');
+});
+
+test('unrecognised content is reported as unknown', async () => {
+  const res = await inspect([{ name: 'blob.png', data: Buffer.from([0x00, 0x13, 0x37, 0x00, 0xfe, 0xed, 0x01, 0x02, 0x03]) }]);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.detected, false);
+  assert.equal(res.body.kind, 'unknown');
+  assert.equal(res.body.mime, 'application/octet-stream');
+  assert.equal(res.body.metadata, null);
+});
+
+test('converters go by the content, not the name', async () => {
+  const res = await api.request('POST', '/api/convert/image', { body: { format: 'webp' }, files: [{ name: 'photo.jpg', data: await tinyPng() }] });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  assert.match(res.body.downloads[0], /photo\.webp$/);
+});
+
+test('audio without an extension is probed and converted', needsFfmpeg, async () => {
+  const info = await inspect([{ name: 'recording', data: toneWav({ seconds: 2 }) }]);
+  assert.equal(info.body.ext, 'wav');
+  assert.ok(Math.abs(info.body.metadata.duration - 2) < 0.05, `duration ${info.body.metadata.duration}`);
+  const res = await api.request('POST', '/api/convert/audio', { body: { format: 'mp3' }, files: [{ name: 'recording', data: toneWav() }] });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+});
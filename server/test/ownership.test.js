@@ -0,0 +1,73 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, tinyPng } = require('./helpers');
+const { createZip } = require('../services/zipUtils');
+
+const ADMIN = 'test-admin-token';
+let api;
+let alice;
+let bob;
+let aliceFile;
+
+before(async () => {
+  api = await startServer({ ADMIN_TOKEN: ADMIN, WEBHOOK_SECRET: '' });
+  const issue = async name => (await api.request('POST', '/api/keys', { token: ADMIN, body: { name } })).body.key;
+  alice = await issue('alice');
+  bob = await issue('bob');
+  const upload = await api.request('POST', '/api/upload', { token: alice, files: [{ name: 'red.png', data: await tinyPng() }] });
+  assert.equal(upload.status, 200);
+  aliceFile = upload.body.ids[0];
+});
+
+after(() => api.close());
+
+test('uploads are only visible to their key and the admin', async () => {
+  assert.equal((await api.request('GET', `/api/files/${aliceFile}`, { token: alice })).status, 200);
+  assert.equal((await api.request('GET', `/api/files/${aliceFile}`, { token: bob })).status, 404);
+  assert.equal((await api.request('DELETE', `/api/files/${aliceFile}`, { token: bob })).status, 404);
+  assert.equal((await api.request('GET', `/api/files/${aliceFile}`, { token: ADMIN })).status, 200);
+});
+
+test('another key cannot convert an upload by its file ID', async () => {
+  const denied = await api.request('POST', '/api/convert/image', { token: bob, body: { fileId: aliceFile, format: 'jpg' } });
+  assert.equal(denied.status, 404);
+  const allowed = await api.request('POST', '/api/convert/image', { token: alice, body: { fileId: aliceFile, format: 'jpg' } });
+  assert.equal(allowed.status, 200);
+});
+
+test('file options only accept the caller\'s own file IDs, never server paths', async () => {
+  const watermark = image => ({ operations: [{ type: 'watermark', image }] });
+  const input = [{ name: 'red.png', data: await tinyPng() }];
+  for (const image of [aliceFile, '/etc/passwd']) {
+    const res = await api.request('POST', '/api/convert/image', { token: bob, body: { format: 'png', options: watermark(image) }, files: input });
+    assert.equal(res.status, 404, `watermark image ${image}`);
+    assert.match(res.body.error, /Unknown file ID/);
+  }
+});
+
+test('jobs are only visible to their key', async () => {
+  const submitted = await api.request('POST', '/api/jobs/image', { token: alice, body: { fileId: aliceFile, format: 'webp' } });
+  assert.equal(submitted.status, 202);
+  const id = submitted.body.id;
+  assert.equal((await api.request('GET', `/api/jobs/${id}`, { token: alice })).status, 200);
+  assert.equal((await api.request('GET', `/api/jobs/${id}`, { token: bob })).status, 404);
+  assert.equal((await api.request('DELETE', `/api/jobs/${id}`, { token: bob })).status, 404);
+  assert.equal((await api.request('GET', `/api/jobs/${id}`, { token: ADMIN })).status, 200);
+});
+
+test('conversion outputs can only be deleted by their key', async () => {
+  const res = await api.request('POST', '/api/convert/image', { token: alice, body: { fileId: aliceFile, format: 'png' } });
+  assert.equal(res.status, 200);
+  assert.equal((await api.request('DELETE', `/api/files/${res.body.id}`, { token: bob })).status, 404);
+  assert.equal((await api.request('DELETE', `/api/files/${res.body.id}`, { token: alice })).status, 204);
+});
+
+test('file IDs in the convert targets of an archive conversion are checked too', async () => {
+  const zip = createZip([{ name: 'red.png', data: await tinyPng() }]);
+  for (const image of [aliceFile, '/etc/passwd']) {
+    const options = { convert: { image: { format: 'png', options: { operations: [{ type: 'watermark', image }] } } } };
+    const res = await api.request('POST', '/api/convert/archive', { token: bob, body: { format: 'zip', options }, files: [{ name: 'in.zip', data: zip }] });
+    assert.equal(res.status, 404, `watermark image ${image}`);
+    assert.match(res.body.error, /Unknown file ID/);
+  }
+});
@@ -0,0 +1,106 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFDocument } = require('pdf-lib');
+const { startServer, tinyPng } = require('./helpers');
+
+let api;
+let source;
+let stampId;
+
+before(async () => {
+  api = await startServer({ AUTH_REQUIRED: 'false' });
+  // Four pages told apart by their widths: 100, 200, 300 and 400 points
+  const doc = await PDFDocument.create();
+  for (let i = 1; i <= 4; i++) doc.addPage([i * 100, 500]);
+  source = Buffer.from(await doc.save());
+  const upload = await api.request('POST', '/api/upload', { files: [{ name: 'stamp.png', data: await tinyPng() }] });
+  stampId = upload.body.ids[0];
+});
+
+after(() => api.close());
+
+async function edit(operations) {
+  const res = await api.request('POST', '/api/convert/document', {
+    body: { format: 'pdf', options: { operations } },
+    files: [{ name: 'pages.pdf', data: source }]
+  });
+  if (res.status !== 200) return { status: res.status, error: res.body.error };
+  const file = await fetch(api.base + res.body.downloads[0]);
+  return { status: 200, doc: await PDFDocument.load(await file.arrayBuffer()) };
+}
+
+function widths(doc) {
+  return doc.getPages().map(p => p.getWidth());
+}
+
+test('pages are reordered, deleted, rotated and inserted in the order given', async () => {
+  const { status, doc } = await edit([
+    { type: 'reorder', order: '4,1-3' },
+    { type: 'delete', pages: '2' },
+    { type: 'rotate', pages: '1', angle: 90 },
+    { type: 'insertBlank', after: 1, size: [50, 50] }
+  ]);
+  assert.equal(status, 200);
+  assert.deepEqual(widths(doc), [400, 50, 200, 300]);
+  assert.deepEqual(doc.getPages().map(p => p.getRotation().angle), [90, 0, 0, 0]);
+});
+
+test('metadata is written and labels are stamped without changing the pages', async () => {
+  const { status, doc } = await edit([
+    { type: 'metadata', title: 'Ledger', author: 'Back office', keywords: 'q3, audit' },
+    { type: 'pageNumbers', template: '{page} / {total}', pages: '2-4' },
+    { type: 'headerFooter', header: '{title}', footer: '{date}', align: 'right' },
+    { type: 'stamp', text: 'DRAFT', pages: '1', rotate: 45 },
+    { type: 'stamp', image: stampId, pages: '3-4', position: 'southeast', scale: 0.1 }
+  ]);
+  assert.equal(status, 200);
+  assert.deepEqual(widths(doc), [100, 200, 300, 400]);
+  assert.equal(doc.getTitle(), 'Ledger');
+  assert.equal(doc.getAuthor(), 'Back office');
+  assert.equal(doc.getKeywords(), 'q3 audit');
+});
+
+test('malformed operations are refused before the PDF is touched', async () => {
+  const cases = [
+    [{ type: 'rotate', angle: 45 }, /"angle" must be a multiple of 90/],
+    [{ type: 'delete' }, /"pages" is required/],
+    [{ type: 'stamp', text: 'A', image: stampId }, /exactly one of "text" or "image"/],
+    [{ type: 'stamp', text: 'A', color: 'red' }, /Invalid color "red"/],
+    [{ type: 'metadata' }, /give at least one of/],
+    [{ type: 'shuffle' }, /unknown PDF operation "shuffle"/]
+  ];
+  for (const [op, message] of cases) {
+    const res = await edit([op]);
+    assert.equal(res.status, 400, JSON.stringify(op));
+    assert.match(res.error, message);
+  }
+});
+
+test('page selections are checked against the document', async () => {
+  const cases = [
+    [{ type: 'reorder', order: '5,1-3' }, /Page 5 is out of range \(document has 4 pages\)/],
+    [{ type: 'reorder', order: '2,1' }, /must list each of the 4 pages exactly once/],
+    [{ type: 'delete', pages: '1-4' }, /cannot delete every page/],
+    [{ type: 'stamp', text: 'Привет' }, /pass a "fontFile"/]
+  ];
+  for (const [op, message] of cases) {
+    const res = await edit([op]);
+    assert.equal(res.status, 400, JSON.stringify(op));
+    assert.match(res.error, message);
+  }
+});
+
+test('stamp images are uploaded files, not server paths', async () => {
+  const res = await edit([{ type: 'stamp', image: '/etc/hostname' }]);
+  assert.equal(res.status, 404);
+  assert.match(res.error, /Unknown file ID/);
+});
+
+test('PDF operations need a PDF output', async () => {
+  const res = await api.request('POST', '/api/convert/document', {
+    body: { format: 'txt', options: { operations: [{ type: 'rotate', angle: 90 }] } },
+    files: [{ name: 'pages.pdf', data: source }]
+  });
+  assert.equal(res.status, 400);
+  assert.match(res.body.error, /PDF operations require "pdf"/);
+});
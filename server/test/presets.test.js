@@ -0,0 +1,35 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+const ADMIN = 'test-admin-token';
+let api;
+let key;
+
+before(async () => {
+  api = await startServer({ ADMIN_TOKEN: ADMIN });
+  key = (await api.request('POST', '/api/keys', { token: ADMIN, body: { name: 'tenant' } })).body.key;
+});
+
+after(() => api.close());
+
+const thumb = { name: 'thumb', type: 'image', format: 'webp', options: { width: 200 } };
+
+test('only the admin can create, change or delete presets', async () => {
+  assert.equal((await api.request('POST', '/api/presets', { token: key, body: thumb })).status, 403);
+  assert.equal((await api.request('POST', '/api/presets', { token: ADMIN, body: thumb })).status, 201);
+  assert.equal((await api.request('PUT', '/api/presets/thumb', { token: key, body: { format: 'png' } })).status, 403);
+  assert.equal((await api.request('DELETE', '/api/presets/thumb', { token: key })).status, 403);
+
+  const preset = await api.request('GET', '/api/presets/thumb', { token: key });
+  assert.equal(preset.status, 200);
+  assert.equal(preset.body.format, 'webp');
+  assert.equal((await api.request('PUT', '/api/presets/thumb', { token: ADMIN, body: { format: 'png' } })).status, 200);
+  assert.equal((await api.request('DELETE', '/api/presets/thumb', { token: ADMIN })).status, 204);
+});
+
+test('presets are checked against their converter when saved', async () => {
+  const res = await api.request('POST', '/api/presets', { token: ADMIN, body: { ...thumb, name: 'bad', format: 'nope' } });
+  assert.equal(res.status, 400);
+  assert.equal((await api.request('GET', '/api/presets/bad', { token: ADMIN })).status, 404);
+});
@@ -0,0 +1,71 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const sharp = require('sharp');
+const { PDFDocument } = require('pdf-lib');
+const { startServer } = require('./helpers');
+
+const { pickBackend } = require(path.join(__dirname, '..', 'services', 'pdfRasterizer'));
+
+let api;
+let source;
+let rasterizer;
+
+before(async () => {
+  api = await startServer({ AUTH_REQUIRED: 'false' });
+  // Two 200 x 300 point pages: 200 x 300 pixels at 72 DPI
+  const doc = await PDFDocument.create();
+  doc.addPage([200, 300]);
+  doc.addPage([200, 300]);
+  source = Buffer.from(await doc.save());
+  rasterizer = await pickBackend().then(({ backend }) => backend.name, () => null);
+});
+
+after(() => api.close());
+
+function render(format, options) {
+  return api.request('POST', '/api/convert/document', { body: { format, options }, files: [{ name: 'pages.pdf', data: source }] });
+}
+
+test('resolution, page and layout options are checked', async () => {
+  const cases = [
+    ['png', { dpi: 10 }, /Invalid dpi 10: expected 36-1200/],
+    ['png', { pageRange: '9' }, /pageRange "9" selects no pages \(document has 2\)/],
+    ['jpg', { multipage: true }, /multipage output requires "tiff"/],
+    ['tiff', { multipage: true, contactSheet: true }, /either multipage or contactSheet/],
+    ['png', { contactSheet: { columns: 0 } }, /Invalid contactSheet\.columns 0/],
+    ['png', { operations: [{ type: 'spin' }] }, /unknown type "spin"/]
+  ];
+  for (const [format, options, message] of cases) {
+    const res = await render(format, options);
+    assert.equal(res.status, 400, JSON.stringify(options));
+    assert.match(res.body.error, message);
+  }
+});
+
+test('without a rasterizer the missing tools are named', async (t) => {
+  if (rasterizer) return t.skip(`${rasterizer} is installed`);
+  const res = await render('png', {});
+  assert.equal(res.status, 500);
+  assert.match(res.body.error, /Install poppler-utils \(pdftoppm\), Ghostscript or LibreOffice/);
+});
+
+test('selected pages are rendered at the requested DPI', async (t) => {
+  if (!rasterizer) return t.skip('no PDF rasterizer is installed');
+  const res = await render('png', { dpi: 72, pageRange: '2' });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  assert.equal(res.body.downloads.length, 1);
+  const page = Buffer.from(await (await fetch(api.base + res.body.downloads[0])).arrayBuffer());
+  const { width, height } = await sharp(page).metadata();
+  assert.ok(Math.abs(width - 200) <= 1 && Math.abs(height - 300) <= 1, `${width}x${height}`);
+});
+
+test('pages are joined into a multipage TIFF or laid out on a contact sheet', async (t) => {
+  if (!rasterizer) return t.skip('no PDF rasterizer is installed');
+  const tiff = await render('tiff', { dpi: 36, multipage: true });
+  assert.equal(tiff.status, 200, JSON.stringify(tiff.body));
+  assert.equal(tiff.body.result.pages, 2);
+  const sheet = await render('jpg', { dpi: 36, contactSheet: { columns: 2 } });
+  assert.equal(sheet.status, 200, JSON.stringify(sheet.body));
+  assert.match(sheet.body.downloads[0], /pages_sheet\.jpg$/);
+});
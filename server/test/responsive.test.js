@@ -0,0 +1,79 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { startServer } = require('./helpers');
+
+let api;
+let photo;
+
+before(async () => {
+  api = await startServer({ AUTH_REQUIRED: 'false' });
+  // 800 x 400, mostly blue with a red stripe
+  photo = await sharp({ create: { width: 800, height: 400, channels: 3, background: '#1e40af' } })
+    .composite([{ input: { create: { width: 800, height: 60, channels: 3, background: '#dc2626' } }, top: 0, left: 0 }])
+    .png()
+    .toBuffer();
+});
+
+after(() => api.close());
+
+function responsive(options, data = photo) {
+  return api.request('POST', '/api/images/responsive', { body: { options }, files: [{ name: 'hero.png', data }] });
+}
+
+test('every width and format is produced, without upscaling', async () => {
+  const res = await responsive({ widths: [1280, 320, 640], formats: ['jpg', 'webp'] });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  // Widths above the 800px source are skipped; browsers try webp before jpg
+  assert.deepEqual(res.body.variants.map(v => [v.format, v.width, v.height]), [
+    ['webp', 320, 160], ['webp', 640, 320], ['jpg', 320, 160], ['jpg', 640, 320]
+  ]);
+  assert.deepEqual(res.body.source, { name: 'hero.png', format: 'png', width: 800, height: 400, sizeBytes: photo.length });
+
+  const jpg = await fetch(api.base + res.body.variants[3].downloadUrl);
+  const meta = await sharp(Buffer.from(await jpg.arrayBuffer())).metadata();
+  assert.deepEqual([meta.format, meta.width], ['jpeg', 640]);
+  assert.equal(res.body.variants[3].sizeBytes, meta.size);
+
+  const manifest = await api.request('GET', res.body.manifestUrl);
+  assert.deepEqual(manifest.body.variants, res.body.variants.map(({ downloadUrl, ...v }) => v));
+});
+
+test('the manifest carries a placeholder, the dominant colour and a <picture> snippet', async () => {
+  const res = await responsive({ widths: [400], formats: ['webp', 'jpg'], sizes: '50vw', alt: 'Hero "banner"', placeholder: { size: 16, format: 'png' } });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  // The blue of the background, not the red stripe
+  const [r, , b] = res.body.dominantColor.match(/^#(..)(..)(..)$/).slice(1).map(h => parseInt(h, 16));
+  assert.ok(b > 128 && r < 64, res.body.dominantColor);
+  assert.match(res.body.placeholder.lqip, /^data:image\/png;base64,/);
+  assert.deepEqual([res.body.placeholder.width, res.body.placeholder.height], [16, 8]);
+  assert.equal(typeof res.body.placeholder.blurhash, 'string');
+  const { html } = res.body;
+  assert.match(html, new RegExp(`<source type="image/webp" srcset="/api/download/${res.body.id}/hero-400w\\.webp 400w" sizes="50vw">`));
+  assert.match(html, /<img src="[^"]+hero-400w\.jpg"[^>]* width="400" height="200" alt="Hero &quot;banner&quot;"/);
+  assert.match(html, /background-image:url\(data:image\/png;base64,/);
+});
+
+test('a source narrower than every width yields one variant at its own size', async () => {
+  const small = await sharp(photo).resize(200).png().toBuffer();
+  const res = await responsive({ widths: [320, 640], formats: ['webp'], placeholder: false }, small);
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  assert.deepEqual(res.body.variants.map(v => v.width), [200]);
+  assert.equal(res.body.placeholder, null);
+});
+
+test('widths, formats and placeholder options are checked', async () => {
+  const cases = [
+    [{ widths: [] }, /Invalid widths/],
+    [{ widths: [0] }, /Invalid width 0/],
+    [{ formats: ['bmp'] }, /Unsupported responsive format "bmp"/],
+    [{ placeholder: { size: 100 } }, /Invalid placeholder\.size 100/],
+    [{ placeholder: { format: 'gif' } }, /Invalid placeholder\.format "gif"/],
+    [{ placeholder: { components: [0, 3] } }, /Invalid placeholder\.components/]
+  ];
+  for (const [options, message] of cases) {
+    const res = await responsive(options);
+    assert.equal(res.status, 400, JSON.stringify(options));
+    assert.match(res.body.error, message);
+  }
+});
@@ -0,0 +1,108 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { startServer, tinyPng } = require('./helpers');
+
+const ADMIN = 'test-admin-token';
+let api;
+
+before(async () => {
+  api = await startServer({ ADMIN_TOKEN: ADMIN, UPLOAD_MAX_TOTAL_BYTES: '1000', RESUMABLE_MAX_OPEN_PER_KEY: '2' });
+});
+
+after(() => api.close());
+
+const { usageMeter } = require(path.join(__dirname, '..', 'src', 'usage'));
+
+async function issueKey(limits) {
+  return (await api.request('POST', '/api/keys', { token: ADMIN, body: { name: 'test', limits } })).body.key;
+}
+
+function create(token, length) {
+  return api.request('POST', '/api/uploads', { token, headers: { 'Tus-Resumable': '1.0.0', 'Upload-Length': String(length) } });
+}
+
+async function remove(token, id) {
+  assert.equal((await api.request('DELETE', `/api/uploads/${id}`, { token })).status, 204);
+}
+
+test('the declared length counts against the monthly byte quota at creation', async () => {
+  const key = await issueKey({ quotas: { '*': { bytes: 500 } } });
+  const first = await create(key, 300);
+  assert.equal(first.status, 201);
+  const second = await create(key, 300);
+  assert.equal(second.status, 429);
+  assert.match(second.body.error, /quota of 500 bytes/);
+  await remove(key, first.body.id);
+});
+
+test('a key may only have so many uploads in progress', async () => {
+  const key = await issueKey();
+  const ids = [];
+  for (let i = 0; i < 2; i++) {
+    const res = await create(key, 10);
+    assert.equal(res.status, 201);
+    ids.push(res.body.id);
+  }
+  const third = await create(key, 10);
+  assert.equal(third.status, 429);
+  assert.match(third.body.error, /At most 2 uploads/);
+  await remove(key, ids.pop());
+  assert.equal((await create(key, 10)).status, 201);
+});
+
+test('uploads in progress reserve their length in the upload storage', async () => {
+  const first = await create(ADMIN, 600);
+  assert.equal(first.status, 201);
+  const second = await create(ADMIN, 600);
+  assert.equal(second.status, 413);
+  await remove(ADMIN, first.body.id);
+  const third = await create(ADMIN, 600);
+  assert.equal(third.status, 201);
+  await remove(ADMIN, third.body.id);
+});
+
+test('uploads are only visible to the key that created them', async () => {
+  const [alice, bob] = [await issueKey(), await issueKey()];
+  const { body } = await create(alice, 5);
+  assert.equal((await api.request('GET', `/api/uploads/${body.id}`, { token: bob })).status, 404);
+  assert.equal((await api.request('DELETE', `/api/uploads/${body.id}`, { token: bob })).status, 404);
+  assert.equal((await api.request('GET', `/api/uploads/${body.id}`, { token: alice })).status, 200);
+});
+
+test('uploads in progress count against the byte quota of other conversions', async () => {
+  const key = await issueKey({ quotas: { '*': { bytes: 500 } } });
+  const upload = await create(key, 450);
+  assert.equal(upload.status, 201);
+  const data = await tinyPng();
+  const res = await api.request('POST', '/api/convert/image', { token: key, body: { format: 'jpg' }, files: [{ name: 'red.png', data }] });
+  assert.equal(res.status, 429);
+  assert.match(res.body.error, /quota of 500 bytes/);
+  await remove(key, upload.body.id);
+});
+
+test('a conversion that cannot start still leaves the finished upload with its file', async () => {
+  const key = await issueKey({ quotas: { '*': { cpuSeconds: 0.000001 } } });
+  const data = await tinyPng();
+  const upload = await api.request('POST', '/api/uploads', {
+    token: key,
+    body: { name: 'red.png', size: data.length, convert: { type: 'image', format: 'jpg' } }
+  });
+  assert.equal(upload.status, 201);
+  // Uses up the CPU-second quota before the upload is finished
+  assert.equal((await api.request('POST', '/api/convert/image', { token: key, body: { format: 'png' }, files: [{ name: 'red.png', data }] })).status, 200);
+  await usageMeter.queue;
+
+  const done = await api.request('PATCH', `/api/uploads/${upload.body.id}`, {
+    token: key,
+    headers: { 'Tus-Resumable': '1.0.0', 'Content-Type': 'application/offset+octet-stream', 'Upload-Offset': '0' },
+    body: data
+  });
+  assert.equal(done.status, 200);
+  assert.equal(done.body.jobId, null);
+  assert.equal(done.body.jobError.status, 429);
+  assert.match(done.body.jobError.error, /CPU-seconds/);
+  assert.equal(done.body.file.id, done.body.fileId);
+  assert.equal((await api.request('GET', `/api/uploads/${upload.body.id}`, { token: key })).status, 200);
+  assert.equal((await api.request('GET', `/api/files/${done.body.fileId}`, { token: key })).status, 200);
+});
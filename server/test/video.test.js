@@ -0,0 +1,72 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { startServer, HAS_FFMPEG } = require('./helpers');
+
+const needsFfmpeg = { skip: !HAS_FFMPEG && 'ffmpeg is not installed' };
+// The start of an MP4 (an "ftyp" box): enough for format detection and option checks
+const MP4_HEAD = Buffer.concat([Buffer.from('000000186674797069736f6d0000020069736f6d69736f32', 'hex'), Buffer.alloc(64)]);
+let api;
+let clip;
+
+before(async () => {
+  api = await startServer({ AUTH_REQUIRED: 'false' });
+  if (HAS_FFMPEG) {
+    // One second of test pattern with a tone, 64x48
+    const file = path.join(api.cwd, 'clip.mp4');
+    execFileSync(process.env.FFMPEG_PATH || 'ffmpeg', [
+      '-y', '-loglevel', 'error', '-f', 'lavfi', '-i', 'testsrc=size=64x48:rate=10:duration=1',
+      '-f', 'lavfi', '-i', 'sine=frequency=440:duration=1', '-shortest',
+      '-c:v', 'libx264', '-pix_fmt', 'yuv420p', '-c:a', 'aac', file
+    ]);
+    clip = fs.readFileSync(file);
+  }
+});
+
+after(() => api.close());
+
+function convert(body, data = clip) {
+  return api.request('POST', '/api/convert/video', { body, files: [{ name: 'clip.mp4', data }] });
+}
+
+test('unsupported output formats and malformed encoder options are refused', async () => {
+  const cases = [
+    [{ format: 'avi' }, /Unsupported output format avi/],
+    [{ format: 'mp4', options: { crf: 'abc' } }, /Invalid crf abc/],
+    [{ format: 'mp4', options: { videoBitrate: 'fast' } }, /Invalid videoBitrate fast/]
+  ];
+  for (const [body, message] of cases) {
+    const res = await convert(body, MP4_HEAD);
+    assert.equal(res.status, 400, JSON.stringify(body));
+    assert.match(res.body.error, message);
+  }
+});
+
+test('trim points are checked against each other and the input', needsFfmpeg, async () => {
+  const backwards = await convert({ format: 'mp4', options: { start: 0.8, end: 0.2 } });
+  assert.equal(backwards.status, 400);
+  assert.match(backwards.body.error, /End time must be after start time/);
+  const late = await convert({ format: 'mp4', options: { start: 5 } });
+  assert.equal(late.status, 400);
+  assert.match(late.body.error, /beyond the end of the input/);
+});
+
+test('a trimmed clip is encoded with a poster frame', needsFfmpeg, async () => {
+  const res = await convert({ format: 'mp4', options: { start: 0.2, end: 0.8, thumbnail: { at: 0.5, format: 'png' } } });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  assert.ok(Math.abs(res.body.result.duration - 0.6) < 0.15, `duration ${res.body.result.duration}`);
+  assert.equal(res.body.downloads.length, 2);
+  const poster = await api.request('GET', res.body.downloads.find(u => u.endsWith('.png')));
+  assert.equal(poster.status, 200);
+});
+
+test('GIFs are scaled and the audio track can be extracted', needsFfmpeg, async () => {
+  const gif = await convert({ format: 'gif', options: { resolution: { width: 32 } } });
+  assert.equal(gif.status, 200, JSON.stringify(gif.body));
+  assert.deepEqual([gif.body.result.width, gif.body.result.height], [32, 24]);
+  const mp3 = await convert({ format: 'mp3' });
+  assert.equal(mp3.status, 200, JSON.stringify(mp3.body));
+  assert.match(mp3.body.downloads[0], /clip\.mp3$/);
+});
@@ -0,0 +1,87 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { startServer, tinyPng } = require('./helpers');
+
+const ADMIN = 'test-admin-token';
+let api;
+let logged;
+
+before(async () => {
+  api = await startServer({ ADMIN_TOKEN: ADMIN, AUTH_REQUIRED: 'false', WEBHOOK_SECRET: 'test-secret', WEBHOOK_MAX_ATTEMPTS: '1' });
+  // A delivery of an anonymous conversion whose receiver answered with a body
+  logged = {
+    id: crypto.randomUUID(),
+    url: 'https://receiver.example/hook',
+    event: 'conversion.succeeded',
+    meta: { conversionId: 'c1', jobId: null, owner: 'anonymous' },
+    status: 'failed',
+    attempts: [{ at: new Date().toISOString(), statusCode: 500, error: 'HTTP 500', durationMs: 5, response: 'internal details' }],
+    createdAt: new Date().toISOString(),
+    nextAttemptAt: null,
+    deliveredAt: null,
+    replayOf: null,
+    payload: {}
+  };
+  const dir = path.join(api.cwd, 'server', 'data', 'webhooks');
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, `${logged.id}.json`), JSON.stringify(logged));
+});
+
+after(() => api.close());
+
+function convertWithCallback(callbackUrl) {
+  return tinyPng().then(data => api.request('POST', '/api/convert/image', {
+    body: { format: 'jpg', callbackUrl },
+    files: [{ name: 'red.png', data }]
+  }));
+}
+
+test('callback URLs pointing at private, loopback or link-local addresses are refused', async () => {
+  for (const url of ['http://127.0.0.1:9/', 'http://169.254.169.254/latest/meta-data', 'http://10.0.0.1/', 'http://[::1]/', 'http://[::ffff:127.0.0.1]/']) {
+    const res = await convertWithCallback(url);
+    assert.equal(res.status, 400, url);
+    assert.match(res.body.error, /private or loopback/);
+  }
+});
+
+test('host names are checked against the address they resolve to when sending', async () => {
+  const res = await convertWithCallback('http://localhost:9/hook');
+  assert.equal(res.status, 200);
+  let delivery;
+  for (let i = 0; i < 50 && !delivery?.attempts.length; i++) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+    const list = await api.request('GET', `/api/webhooks/deliveries?conversionId=${res.body.id}`);
+    delivery = list.body.deliveries[0];
+  }
+  assert.equal(delivery.status, 'failed');
+  assert.match(delivery.attempts[0].error, /private or loopback/);
+});
+
+test('receiver responses are only shown to the admin', async () => {
+  const anonymous = await api.request('GET', `/api/webhooks/deliveries/${logged.id}`);
+  assert.equal(anonymous.status, 200);
+  assert.equal(anonymous.body.attempts[0].response, undefined);
+  assert.equal(anonymous.body.attempts[0].statusCode, 500);
+  const admin = await api.request('GET', `/api/webhooks/deliveries/${logged.id}`, { token: ADMIN });
+  assert.equal(admin.body.attempts[0].response, 'internal details');
+});
+
+test('deliveries can be replayed by the caller they belong to', async () => {
+  const key = (await api.request('POST', '/api/keys', { token: ADMIN, body: { name: 'other' } })).body.key;
+  assert.equal((await api.request('POST', `/api/webhooks/deliveries/${logged.id}/replay`, { token: key })).status, 404);
+  const replay = await api.request('POST', `/api/webhooks/deliveries/${logged.id}/replay`);
+  assert.equal(replay.status, 202);
+  assert.equal(replay.body.replayOf, logged.id);
+  assert.equal(replay.body.meta.owner, 'anonymous');
+
+  // Let the attempt land before the server and its data folder go
+  let delivery = replay.body;
+  for (let i = 0; i < 100 && !delivery.attempts.length; i++) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+    delivery = (await api.request('GET', `/api/webhooks/deliveries/${replay.body.id}`)).body;
+  }
+  assert.equal(delivery.status, 'failed');
+});